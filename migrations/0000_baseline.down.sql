@@ -0,0 +1,2 @@
+-- 0000: rien à annuler (colonnes ajoutées = colonnes de 0001, supprimées avec ses tables)
+do $$ begin end $$;
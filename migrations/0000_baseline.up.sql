@@ -0,0 +1,52 @@
+-- =========================================
+-- 0000 • pont base historique -> migrations
+--   base vide: rien à faire (0001+ créent tout)
+--   base existante: positions / order_buckets / stop_buckets / assets n'ont
+--   jamais été créées par schema.sql (tables faites à la main) et
+--   `create table if not exists` (0001) ne touche pas une table existante:
+--   - colonnes indexées par 0001 ajoutées si absentes
+--     (positions.trader_addr_lc générée, deployment = 'default')
+--   - clés (deployment, …) et modèle assets NON réécrits: une base qui ne les a
+--     pas est refusée avec un message explicite (prérequis, cf. README)
+-- =========================================
+alter table if exists public.positions     add column if not exists deployment text not null default 'default';
+alter table if exists public.positions     add column if not exists trader_addr_lc text generated always as (lower(trader_addr)) stored;
+alter table if exists public.order_buckets add column if not exists deployment text not null default 'default';
+alter table if exists public.stop_buckets  add column if not exists deployment text not null default 'default';
+
+do $$
+declare
+  v_missing text;
+begin
+  -- colonnes attendues par 0001..0006 sur les tables déjà présentes
+  select string_agg(format('%s.%s', r.tbl, r.col), ', ' order by r.tbl, r.col) into v_missing
+  from (values
+    ('assets', 'asset_id'), ('assets', 'tick_size_usd6'), ('assets', 'lot_num'), ('assets', 'lot_den'),
+    ('positions', 'long_side'), ('positions', 'lots'), ('positions', 'leverage_x'),
+    ('order_buckets', 'bucket_id'), ('order_buckets', 'lots'), ('order_buckets', 'side'),
+    ('stop_buckets', 'bucket_id'), ('stop_buckets', 'stop_type'), ('stop_buckets', 'lots'), ('stop_buckets', 'side')
+  ) as r(tbl, col)
+  where to_regclass('public.' || r.tbl) is not null
+    and not exists (
+      select 1 from information_schema.columns c
+      where c.table_schema = 'public' and c.table_name = r.tbl and c.column_name = r.col
+    );
+  if v_missing is not null then
+    raise exception 'Base existante incompatible (colonnes absentes: %) — cf. README, migrations / prérequis', v_missing;
+  end if;
+
+  -- clés préfixées par deployment (bloc DEPLOYMENTS de schema.sql): sans elles,
+  -- les upserts on_conflict=deployment,… échouent
+  select string_agg(r.tbl, ', ' order by r.tbl) into v_missing
+  from (values ('positions'), ('order_buckets'), ('stop_buckets')) as r(tbl)
+  where to_regclass('public.' || r.tbl) is not null
+    and not exists (
+      select 1
+      from pg_constraint k
+      join pg_attribute a on a.attrelid = k.conrelid and a.attnum = k.conkey[1]
+      where k.conrelid = ('public.' || r.tbl)::regclass and k.contype = 'p' and a.attname = 'deployment'
+    );
+  if v_missing is not null then
+    raise exception 'Base existante sans clé (deployment, …) sur: % — appliquer d''abord le bloc DEPLOYMENTS de schema.sql (cf. README)', v_missing;
+  end if;
+end$$;
@@ -0,0 +1,4 @@
+drop table if exists public.stop_buckets;
+drop table if exists public.order_buckets;
+drop table if exists public.positions;
+drop table if exists public.assets;
@@ -0,0 +1,88 @@
+-- =========================================
+-- 0001 • assets, positions, order_buckets, stop_buckets
+--   positions.state: 0=ORDER, 1=OPEN, 2=CLOSED, 3=CANCELLED
+--   buckets: bucket_id = floor(prix_x6 / assets.tick_size_usd6)
+--   stop_buckets.stop_type: 1=SL, 2=TP, 3=LIQ; side = !long_side (antagoniste)
+-- =========================================
+create table if not exists public.assets (
+  asset_id        int4 primary key,
+  symbol          text not null,
+  tick_size_usd6  int8 not null check (tick_size_usd6 > 0),  -- ex: 10000 => $0.01 (x1e6)
+  lot_num         int8 not null default 1,
+  lot_den         int8 not null default 1,
+  created_at      timestamptz not null default now()
+);
+
+create table if not exists public.positions (
+  deployment      text    not null default 'default',
+  id              int8    not null,                 -- id on-chain
+  state           int2    not null,
+  asset_id        int4    not null,
+  trader_addr     text    not null,
+  trader_addr_lc  text    generated always as (lower(trader_addr)) stored,
+  long_side       boolean not null,
+  lots            int4    not null,
+  leverage_x      int4    not null,
+
+  entry_x6        int8,                             -- OPEN
+  target_x6       int8,                             -- ORDER
+  sl_x6           int8    not null default 0,
+  tp_x6           int8    not null default 0,
+  liq_x6          int8    not null default 0,
+  notional_usd6   int8,
+  margin_usd6     int8,
+
+  close_reason    int2,
+  exec_x6         int8,
+  pnl_usd6        numeric(38,0),
+
+  -- provenance de chaque transition (event Opened / Executed / Removed)
+  opened_block    int8,
+  opened_at       timestamptz,
+  opened_tx       text,
+  executed_block  int8,
+  executed_at     timestamptz,
+  executed_tx     text,
+  closed_block    int8,
+  closed_at       timestamptz,
+  closed_tx       text,
+
+  primary key (deployment, id),
+  constraint positions_state_check check (state in (0, 1, 2, 3))
+);
+
+create index if not exists positions_dep_trader_idx
+  on public.positions(deployment, trader_addr_lc);
+
+create table if not exists public.order_buckets (
+  deployment   text    not null default 'default',
+  asset_id     int4    not null,
+  bucket_id    int8    not null,
+  position_id  int8    not null,
+  lots         int4    not null default 0,
+  side         boolean not null,                    -- = long_side
+  primary key (deployment, asset_id, bucket_id, position_id)
+);
+
+create index if not exists order_buckets_dep_asset_bucket_side_idx
+  on public.order_buckets(deployment, asset_id, bucket_id, side);
+
+create index if not exists order_buckets_dep_position_idx
+  on public.order_buckets(deployment, position_id);
+
+create table if not exists public.stop_buckets (
+  deployment   text    not null default 'default',
+  asset_id     int4    not null,
+  bucket_id    int8    not null,
+  position_id  int8    not null,
+  stop_type    int2    not null check (stop_type in (1, 2, 3)),
+  lots         int4    not null default 0,
+  side         boolean not null,                    -- = !long_side
+  primary key (deployment, asset_id, bucket_id, position_id, stop_type)
+);
+
+create index if not exists stop_buckets_dep_asset_bucket_side_idx
+  on public.stop_buckets(deployment, asset_id, bucket_id, side);
+
+create index if not exists stop_buckets_dep_position_idx
+  on public.stop_buckets(deployment, position_id);
@@ -0,0 +1,5 @@
+drop trigger if exists trg_positions_exposure on public.positions;
+drop function if exists public.positions_exposure_trg();
+drop function if exists public.exposure_apply(text, int4, boolean, int8, int8, int4, int8, int4);
+drop view if exists public.exposure_metrics;
+drop table if exists public.exposure_agg;
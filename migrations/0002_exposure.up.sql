@@ -0,0 +1,124 @@
+-- =========================================
+-- 0002 • exposure_agg (agrégats long/short par deployment + asset)
+--   maintenu par trigger: seules les positions state=1 (OPEN) comptent
+--   exposure_metrics = vue de lecture (moyennes calculées)
+-- =========================================
+create table if not exists public.exposure_agg (
+  deployment         text    not null default 'default',
+  asset_id           int4    not null,
+  side               boolean not null,                   -- true=LONG, false=SHORT
+  sum_lots           int8    not null default 0,
+  sum_entry_x6_lots  numeric(38,0) not null default 0,   -- somme(entry_x6 * lots)
+  sum_leverage_lots  numeric(38,0) not null default 0,   -- somme(leverage_x * lots)
+  sum_liq_x6_lots    numeric(38,0) not null default 0,   -- somme(liq_x6 * lots) (si liq_x6>0)
+  sum_liq_lots       int8    not null default 0,         -- somme(lots) pris en compte pour avg liq
+  positions_count    int8    not null default 0,
+  primary key (deployment, asset_id, side)
+);
+
+create or replace view public.exposure_metrics as
+select
+  ea.deployment,
+  ea.asset_id,
+  case when ea.side then 'LONG' else 'SHORT' end as side_label,
+  ea.sum_lots,
+  case when ea.sum_lots > 0
+       then floor(ea.sum_entry_x6_lots / ea.sum_lots)
+       else null end                          as avg_entry_x6,
+  case when ea.sum_lots > 0
+       then (ea.sum_leverage_lots::numeric / ea.sum_lots)::numeric
+       else null end                          as avg_leverage_x,
+  case when ea.sum_liq_lots > 0
+       then floor(ea.sum_liq_x6_lots / ea.sum_liq_lots)
+       else null end                          as avg_liq_x6,
+  ea.positions_count
+from public.exposure_agg ea;
+
+-- delta (+1 ajoute, -1 retire) sur les agrégats
+create or replace function public.exposure_apply(
+  _deployment text,
+  _asset_id   int4,
+  _side       boolean,
+  _lots       int8,
+  _entry_x6   int8,
+  _lev_x      int4,
+  _liq_x6     int8,
+  _sign       int4
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_lots           int8 := coalesce(_lots, 0);
+  v_entry_x6       int8 := coalesce(_entry_x6, 0);
+  v_lev_x          int4 := coalesce(_lev_x, 0);
+  v_liq_x6         int8 := coalesce(_liq_x6, 0);
+  d_sum_lots       int8;
+  d_sum_entry_lots numeric(38,0);
+  d_sum_lev_lots   numeric(38,0);
+  d_sum_liq_lots   numeric(38,0);
+  d_liq_lots       int8;
+  d_count          int8;
+begin
+  if v_lots = 0 then
+    return;
+  end if;
+
+  d_sum_lots       := _sign * v_lots;
+  d_sum_entry_lots := _sign * (v_entry_x6::numeric * v_lots::numeric);
+  d_sum_lev_lots   := _sign * (v_lev_x::numeric * v_lots::numeric);
+  d_sum_liq_lots   := case when v_liq_x6 > 0 then _sign * (v_liq_x6::numeric * v_lots::numeric) else 0 end;
+  d_liq_lots       := case when v_liq_x6 > 0 then _sign * v_lots else 0 end;
+  d_count          := _sign * 1;
+
+  insert into public.exposure_agg as ea (
+    deployment, asset_id, side, sum_lots, sum_entry_x6_lots, sum_leverage_lots, sum_liq_x6_lots, sum_liq_lots, positions_count
+  )
+  values (_deployment, _asset_id, _side, d_sum_lots, d_sum_entry_lots, d_sum_lev_lots, d_sum_liq_lots, d_liq_lots, d_count)
+  on conflict (deployment, asset_id, side) do update
+  set sum_lots          = ea.sum_lots          + excluded.sum_lots,
+      sum_entry_x6_lots = ea.sum_entry_x6_lots + excluded.sum_entry_x6_lots,
+      sum_leverage_lots = ea.sum_leverage_lots + excluded.sum_leverage_lots,
+      sum_liq_x6_lots   = ea.sum_liq_x6_lots   + excluded.sum_liq_x6_lots,
+      sum_liq_lots      = ea.sum_liq_lots      + excluded.sum_liq_lots,
+      positions_count   = ea.positions_count   + excluded.positions_count;
+end
+$$;
+
+create or replace function public.positions_exposure_trg()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (tg_op = 'INSERT') then
+    if new.state = 1 then
+      perform public.exposure_apply(new.deployment, new.asset_id, new.long_side, new.lots, new.entry_x6, new.leverage_x, new.liq_x6, +1);
+    end if;
+    return new;
+  end if;
+
+  if (tg_op = 'UPDATE') then
+    if coalesce(old.state, -1) = 1 then
+      perform public.exposure_apply(old.deployment, old.asset_id, old.long_side, old.lots, old.entry_x6, old.leverage_x, old.liq_x6, -1);
+    end if;
+    if coalesce(new.state, -1) = 1 then
+      perform public.exposure_apply(new.deployment, new.asset_id, new.long_side, new.lots, new.entry_x6, new.leverage_x, new.liq_x6, +1);
+    end if;
+    return new;
+  end if;
+
+  if (tg_op = 'DELETE') then
+    if old.state = 1 then
+      perform public.exposure_apply(old.deployment, old.asset_id, old.long_side, old.lots, old.entry_x6, old.leverage_x, old.liq_x6, -1);
+    end if;
+    return old;
+  end if;
+
+  return null;
+end
+$$;
+
+drop trigger if exists trg_positions_exposure on public.positions;
+create trigger trg_positions_exposure
+after insert or update or delete on public.positions
+for each row execute function public.positions_exposure_trg();
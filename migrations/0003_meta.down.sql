@@ -0,0 +1,6 @@
+drop table if exists public.meta_signatures;
+drop trigger if exists trg_meta_actions_updated_at on public.meta_actions;
+drop function if exists public.set_meta_actions_updated_at();
+drop table if exists public.meta_actions;
+drop type if exists meta_action_status;
+drop type if exists meta_action_type;
@@ -0,0 +1,89 @@
+-- =========================================
+-- 0003 • meta-transactions signées (EIP-712)
+--   meta_actions    = modèle typé (enums), signature unique
+--   meta_signatures = file alimentée par POST /meta/submit
+-- =========================================
+do $$
+begin
+  if not exists (select 1 from pg_type where typname = 'meta_action_type') then
+    create type meta_action_type as enum (
+      'OPEN_MARKET',
+      'CLOSE_MARKET',
+      'OPEN_LIMIT',
+      'CANCEL_ORDER',
+      'SET_SL',
+      'SET_TP',
+      'UPDATE_STOPS'
+    );
+  end if;
+
+  if not exists (select 1 from pg_type where typname = 'meta_action_status') then
+    create type meta_action_status as enum (
+      'PENDING',   -- signé mais pas encore consommé
+      'USED',      -- consommé on-chain (tx OK)
+      'FAILED',    -- tentative on-chain échouée
+      'EXPIRED'    -- deadline dépassée sans exécution
+    );
+  end if;
+end$$;
+
+create table if not exists public.meta_actions (
+  id              bigserial primary key,
+  deployment      text not null default 'default',
+  action_type     meta_action_type not null,
+  trader          text not null,                   -- 0x... (signer)
+  payload         jsonb not null,                  -- struct EIP-712 signée
+  signature       text not null,                   -- 0x...
+  status          meta_action_status not null default 'PENDING',
+  tx_hash         text,                            -- tx qui consomme la signature (USED/FAILED)
+  error_message   text,                            -- si FAILED
+  deadline        numeric(20,0) not null,          -- deadline du message signé (uint256)
+  relayer_wallet  text,
+  created_at      timestamptz not null default now(),
+  updated_at      timestamptz not null default now(),
+  constraint meta_actions_signature_unique unique (signature)
+);
+
+create or replace function public.set_meta_actions_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end
+$$;
+
+drop trigger if exists trg_meta_actions_updated_at on public.meta_actions;
+create trigger trg_meta_actions_updated_at
+before update on public.meta_actions
+for each row
+execute function public.set_meta_actions_updated_at();
+
+create index if not exists meta_actions_trader_status_idx
+  on public.meta_actions(trader, status);
+
+create index if not exists meta_actions_status_idx
+  on public.meta_actions(status);
+
+create index if not exists meta_actions_deadline_idx
+  on public.meta_actions(deadline);
+
+create table if not exists public.meta_signatures (
+  id           bigserial primary key,
+  deployment   text not null default 'default',
+  trader_addr  text,                               -- minuscule
+  action_type  text not null,                      -- "OPEN_MARKET", "OPEN_LIMIT", etc.
+  payload      jsonb not null,                     -- tuple signé complet
+  signature    text not null,                      -- 0x...
+  tx_hash      text,
+  state        smallint not null default 0,        -- 0=PENDING, 1=USED, 2=FAILED
+  error_msg    text,
+  created_at   timestamptz not null default now(),
+  used_at      timestamptz,
+  failed_at    timestamptz,
+  expires_at   timestamptz
+);
+
+create index if not exists meta_signatures_dep_trader_state_idx
+  on public.meta_signatures(deployment, trader_addr, state);
@@ -0,0 +1,6 @@
+drop table if exists public.dead_letters;
+drop table if exists public.reorg_undo;
+drop table if exists public.processed_events;
+drop table if exists public.trade_events;
+drop table if exists public.indexer_checkpoints;
+drop table if exists public.deployments;
@@ -0,0 +1,104 @@
+-- =========================================
+-- 0004 • état de l'indexer
+--   deployments          = chaînes / contrats suivis (cf. src/shared/deployments.js)
+--   indexer_checkpoints  = dernier bloc ENTIÈREMENT traité par (deployment, contrat)
+--   trade_events         = journal append-only des events décodés (removed = annulé par reorg)
+--   processed_events     = idempotence: un event (block, tx, logIndex) appliqué une fois
+--   reorg_undo           = état AVANT chaque event, purgé au-delà de REORG_WINDOW
+--   dead_letters         = events dont le handler a échoué (retry auto / manuel)
+--   (block, tx, logIndex) suffit comme clé: un tx hash est propre à une chaîne (EIP-155)
+-- =========================================
+create table if not exists public.deployments (
+  name           text primary key,
+  chain_id       int8,
+  contract_addr  text not null,                     -- 0x... (minuscule)
+  created_at     timestamptz not null default now(),
+  unique (chain_id, contract_addr)
+);
+
+create table if not exists public.indexer_checkpoints (
+  deployment     text not null default 'default',
+  contract_addr  text not null,                     -- 0x... (minuscule)
+  last_block     int8 not null,
+  updated_at     timestamptz not null default now(),
+  primary key (deployment, contract_addr)
+);
+
+create table if not exists public.trade_events (
+  id           bigserial primary key,
+  deployment   text not null default 'default',
+  trade_id     int8,                                -- = positions.id
+  evt          text not null,                       -- 'Opened' | 'Executed' | 'StopsUpdated' | 'Removed'
+  payload      jsonb not null,
+  tx_hash      text,
+  block_num    int8,
+  block_hash   text,
+  log_index    int4,
+  block_time   timestamptz,
+  raw          jsonb,                               -- { address, topics, data }
+  removed      boolean not null default false,
+  occurred_at  timestamptz not null default now()
+);
+
+create unique index if not exists trade_events_block_tx_log_uidx
+  on public.trade_events(block_num, tx_hash, log_index);
+
+create index if not exists trade_events_trade_idx
+  on public.trade_events(trade_id, block_num, log_index);
+
+create index if not exists trade_events_dep_block_idx
+  on public.trade_events(deployment, block_num, log_index);
+
+create table if not exists public.processed_events (
+  deployment    text not null default 'default',
+  block_number  int8 not null,
+  tx_hash       text not null,
+  log_index     int4 not null,
+  event_name    text not null,
+  position_id   int8,
+  processed_at  timestamptz not null default now(),
+  primary key (block_number, tx_hash, log_index)
+);
+
+create index if not exists processed_events_position_idx
+  on public.processed_events(position_id);
+
+create index if not exists processed_events_dep_block_idx
+  on public.processed_events(deployment, block_number);
+
+create table if not exists public.reorg_undo (
+  deployment    text not null default 'default',
+  block_number  int8 not null,
+  block_hash    text not null,
+  tx_hash       text not null,
+  log_index     int4 not null,
+  position_id   int8 not null,
+  snapshot      jsonb not null,                     -- { position, order_buckets, stop_buckets }
+  created_at    timestamptz not null default now(),
+  primary key (block_number, tx_hash, log_index)
+);
+
+create index if not exists reorg_undo_dep_block_idx
+  on public.reorg_undo(deployment, block_number);
+
+create table if not exists public.dead_letters (
+  id              bigserial primary key,
+  deployment      text not null default 'default',
+  block_number    int8 not null,
+  tx_hash         text not null,
+  log_index       int4 not null,
+  event_name      text not null,
+  position_id     int8,
+  event           jsonb not null,                   -- row journal (toJournalRow)
+  error           text,
+  attempts        int4 not null default 1,
+  status          text not null default 'pending'
+                  check (status in ('pending','exhausted','discarded')),
+  next_retry_at   timestamptz,
+  first_failed_at timestamptz not null default now(),
+  last_failed_at  timestamptz not null default now(),
+  unique (block_number, tx_hash, log_index)
+);
+
+create index if not exists dead_letters_dep_due_idx
+  on public.dead_letters(deployment, status, next_retry_at);
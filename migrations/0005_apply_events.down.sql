@@ -0,0 +1,5 @@
+drop function if exists public.positions_apply_removed(text, int8, int4, int8, numeric, int8, timestamptz, text);
+drop function if exists public.positions_apply_stops_updated(text, int8, int8, int8);
+drop function if exists public.positions_apply_executed(text, int8, int8, int8, timestamptz, text);
+drop function if exists public.positions_apply_opened(text, int8, int4, int4, boolean, int4, int8, int8, int8, int8, text, int4, int8, timestamptz, text);
+drop function if exists public.positions_index_stops(text, int4, int8, int8, int8, int8, boolean, int4);
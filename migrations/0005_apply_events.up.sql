@@ -0,0 +1,201 @@
+-- =========================================
+-- 0005 • application atomique des events (PostgREST /rpc/… ou store pg)
+--   cf. src/shared/db.js: un event = un appel = une transaction
+-- =========================================
+
+-- Helper: indexe SL/TP/LIQ non nuls d'une position
+create or replace function public.positions_index_stops(
+  _deployment  text,
+  _asset_id    int4,
+  _position_id int8,
+  _sl_x6       int8,
+  _tp_x6       int8,
+  _liq_x6      int8,
+  _long_side   boolean,
+  _lots        int4
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_tick int8;
+begin
+  select a.tick_size_usd6 into v_tick from public.assets a where a.asset_id = _asset_id;
+  if v_tick is null then
+    raise exception 'Asset % introuvable (table assets)', _asset_id;
+  end if;
+
+  insert into public.stop_buckets (deployment, asset_id, bucket_id, position_id, stop_type, lots, side)
+  select _deployment, _asset_id, div(s.px, v_tick), _position_id, s.stop_type, coalesce(_lots, 0), not _long_side
+  from (values (coalesce(_sl_x6, 0), 1), (coalesce(_tp_x6, 0), 2), (coalesce(_liq_x6, 0), 3)) as s(px, stop_type)
+  where s.px <> 0
+  on conflict (deployment, asset_id, bucket_id, position_id, stop_type) do nothing;
+end
+$$;
+
+-- Opened (state 0 = ORDER, 1 = OPEN): insert (doublon ignoré) + indexation
+create or replace function public.positions_apply_opened(
+  _deployment         text,
+  _id                 int8,
+  _state              int4,
+  _asset_id           int4,
+  _long_side          boolean,
+  _lots               int4,
+  _entry_or_target_x6 int8,
+  _sl_x6              int8,
+  _tp_x6              int8,
+  _liq_x6             int8,
+  _trader             text,
+  _leverage_x         int4,
+  _block              int8 default null,
+  _at                 timestamptz default null,
+  _tx                 text default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  a          public.assets%rowtype;
+  v_notional numeric;
+  v_margin   numeric;
+begin
+  select * into a from public.assets where asset_id = _asset_id;
+  if not found then
+    raise exception 'Asset % introuvable (table assets)', _asset_id;
+  end if;
+
+  if _state = 1 then
+    v_notional := div(_entry_or_target_x6::numeric * _lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1));
+    v_margin   := div(v_notional, _leverage_x);
+  end if;
+
+  insert into public.positions (
+    deployment, id, state, asset_id, trader_addr, long_side, lots, leverage_x,
+    entry_x6, target_x6, sl_x6, tp_x6, liq_x6, notional_usd6, margin_usd6,
+    opened_block, opened_at, opened_tx
+  )
+  values (
+    _deployment, _id, _state, _asset_id, _trader, _long_side, _lots, _leverage_x,
+    case when _state = 1 then _entry_or_target_x6 end,
+    case when _state = 0 then _entry_or_target_x6 end,
+    coalesce(_sl_x6, 0), coalesce(_tp_x6, 0), coalesce(_liq_x6, 0),
+    v_notional, v_margin,
+    _block, _at, lower(_tx)
+  )
+  on conflict (deployment, id) do nothing;
+
+  if _state = 0 then
+    insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+    values (_deployment, _asset_id, div(_entry_or_target_x6, a.tick_size_usd6), _id, coalesce(_lots, 0), _long_side)
+    on conflict (deployment, asset_id, bucket_id, position_id) do nothing;
+  else
+    delete from public.stop_buckets where deployment = _deployment and position_id = _id;
+    perform public.positions_index_stops(_deployment, _asset_id, _id, _sl_x6, _tp_x6, _liq_x6, _long_side, _lots);
+  end if;
+end
+$$;
+
+-- Executed (ORDER -> OPEN): state, entry, notional/margin, index order -> stops
+create or replace function public.positions_apply_executed(
+  _deployment text,
+  _id         int8,
+  _entry_x6   int8,
+  _block      int8 default null,
+  _at         timestamptz default null,
+  _tx         text default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  p          record;
+  a          public.assets%rowtype;
+  v_notional numeric;
+begin
+  select * into p from public.positions where deployment = _deployment and id = _id for update;
+  if not found then
+    raise exception 'Position % introuvable pour Executed', _id;
+  end if;
+
+  select * into a from public.assets where asset_id = p.asset_id;
+  if not found then
+    raise exception 'Asset % introuvable (table assets)', p.asset_id;
+  end if;
+
+  v_notional := div(_entry_x6::numeric * p.lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1));
+
+  update public.positions
+  set state          = 1,
+      entry_x6       = _entry_x6,
+      notional_usd6  = v_notional,
+      margin_usd6    = div(v_notional, p.leverage_x),
+      executed_block = coalesce(_block, executed_block),
+      executed_at    = coalesce(_at, executed_at),
+      executed_tx    = coalesce(lower(_tx), executed_tx)
+  where deployment = _deployment and id = _id;
+
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+  perform public.positions_index_stops(_deployment, p.asset_id, _id, p.sl_x6, p.tp_x6, p.liq_x6, p.long_side, p.lots);
+end
+$$;
+
+-- StopsUpdated: SL/TP (LIQ conservé), réindexation SL/TP
+create or replace function public.positions_apply_stops_updated(
+  _deployment text,
+  _id         int8,
+  _sl_x6      int8,
+  _tp_x6      int8
+)
+returns void
+language plpgsql
+as $$
+declare
+  p record;
+begin
+  select * into p from public.positions where deployment = _deployment and id = _id for update;
+  if not found then
+    raise exception 'Position % introuvable pour StopsUpdated', _id;
+  end if;
+
+  update public.positions
+  set sl_x6 = coalesce(_sl_x6, 0),
+      tp_x6 = coalesce(_tp_x6, 0)
+  where deployment = _deployment and id = _id;
+
+  delete from public.stop_buckets
+  where deployment = _deployment and position_id = _id and stop_type in (1, 2);
+  perform public.positions_index_stops(_deployment, p.asset_id, _id, _sl_x6, _tp_x6, 0, p.long_side, p.lots);
+end
+$$;
+
+-- Removed (fermeture ou annulation): state=2 + clôture, plus aucun index
+create or replace function public.positions_apply_removed(
+  _deployment text,
+  _id         int8,
+  _reason     int4,
+  _exec_x6    int8,
+  _pnl_usd6   numeric,
+  _block      int8 default null,
+  _at         timestamptz default null,
+  _tx         text default null
+)
+returns void
+language plpgsql
+as $$
+begin
+  update public.positions
+  set state        = 2,
+      close_reason = _reason,
+      exec_x6      = coalesce(_exec_x6, 0),
+      pnl_usd6     = coalesce(_pnl_usd6, 0),
+      closed_block = coalesce(_block, closed_block),
+      closed_at    = coalesce(_at, closed_at),
+      closed_tx    = coalesce(lower(_tx), closed_tx)
+  where deployment = _deployment and id = _id;
+
+  -- ordre limite annulé: son order_bucket part aussi
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+end
+$$;
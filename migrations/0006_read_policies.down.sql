@@ -0,0 +1,13 @@
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'assets', 'positions', 'order_buckets', 'stop_buckets', 'exposure_agg',
+    'meta_actions', 'meta_signatures', 'deployments', 'indexer_checkpoints', 'trade_events'
+  ]
+  loop
+    execute format('drop policy if exists %I on public.%I', 'read_' || t || '_public', t);
+    execute format('alter table public.%I disable row level security', t);
+  end loop;
+end$$;
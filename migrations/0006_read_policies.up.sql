@@ -0,0 +1,22 @@
+-- =========================================
+-- 0006 • RLS: lecture publique (exposition PostgREST)
+--   écriture réservée au backend (service key / rôle propriétaire): aucune policy insert/update/delete
+-- =========================================
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'assets', 'positions', 'order_buckets', 'stop_buckets', 'exposure_agg',
+    'meta_actions', 'meta_signatures', 'deployments', 'indexer_checkpoints', 'trade_events'
+  ]
+  loop
+    execute format('alter table public.%I enable row level security', t);
+    if not exists (
+      select 1 from pg_policies
+      where schemaname = 'public' and tablename = t and policyname = 'read_' || t || '_public'
+    ) then
+      execute format('create policy %I on public.%I for select using (true)', 'read_' || t || '_public', t);
+    end if;
+  end loop;
+end$$;
@@ -0,0 +1,6 @@
+drop trigger if exists trg_assets_bump_version on public.assets;
+drop function if exists public.assets_bump_version_trg();
+drop trigger if exists trg_assets_touch on public.assets;
+drop function if exists public.assets_touch_trg();
+drop table if exists public.cache_versions;
+alter table public.assets drop column if exists updated_at;
@@ -0,0 +1,60 @@
+-- =========================================
+-- 0007 • invalidation des caches assets entre process
+--   toute écriture sur assets (API admin ou SQL direct) incrémente
+--   cache_versions['assets']; listeners / API la relisent périodiquement
+--   (cf. src/shared/assetwatch.js) et vident leur cache quand elle change
+-- =========================================
+alter table public.assets add column if not exists updated_at timestamptz not null default now();
+
+create table if not exists public.cache_versions (
+  name        text primary key,
+  version     int8 not null default 0,
+  updated_at  timestamptz not null default now()
+);
+
+insert into public.cache_versions (name) values ('assets') on conflict (name) do nothing;
+
+create or replace function public.assets_touch_trg()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end
+$$;
+
+drop trigger if exists trg_assets_touch on public.assets;
+create trigger trg_assets_touch
+before update on public.assets
+for each row execute function public.assets_touch_trg();
+
+create or replace function public.assets_bump_version_trg()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.cache_versions
+  set version = version + 1, updated_at = now()
+  where name = 'assets';
+  return null;
+end
+$$;
+
+drop trigger if exists trg_assets_bump_version on public.assets;
+create trigger trg_assets_bump_version
+after insert or update or delete on public.assets
+for each statement execute function public.assets_bump_version_trg();
+
+alter table public.cache_versions enable row level security;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public' and tablename = 'cache_versions' and policyname = 'read_cache_versions_public'
+  ) then
+    create policy read_cache_versions_public on public.cache_versions
+      for select using (true);
+  end if;
+end$$;
@@ -0,0 +1 @@
+drop function if exists public.rebucket_asset(int4, text);
@@ -0,0 +1,93 @@
+-- =========================================
+-- 0008 • re-bucketing d'un asset (après changement de tick_size_usd6)
+--   recalcule order_buckets / stop_buckets de l'asset depuis positions,
+--   en une transaction (mêmes règles que positions_apply_*):
+--   - ORDER (state 0): bucket = div(target_x6, tick), side = long_side
+--   - OPEN  (state 1): SL/TP/LIQ non nuls, side = !long_side
+--   _deployment null = tous les déploiements (le tick est global à l'asset)
+--   retourne les compteurs: before / after / moved (bucket_id changé)
+-- =========================================
+create or replace function public.rebucket_asset(
+  _asset_id   int4,
+  _deployment text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_tick          int8;
+  v_positions     int8;
+  v_orders_before int8;
+  v_orders_moved  int8;
+  v_orders_after  int8;
+  v_stops_before  int8;
+  v_stops_moved   int8;
+  v_stops_after   int8;
+begin
+  select a.tick_size_usd6 into v_tick from public.assets a where a.asset_id = _asset_id for share;
+  if v_tick is null then
+    raise exception 'Asset % introuvable (table assets)', _asset_id;
+  end if;
+  if v_tick <= 0 then
+    raise exception 'Asset %: tick_size_usd6 invalide (%)', _asset_id, v_tick;
+  end if;
+
+  -- verrouille les positions de l'asset: aucun event ne les modifie pendant le recalcul
+  select count(*) into v_positions from (
+    select 1 from public.positions p
+    where p.asset_id = _asset_id and (_deployment is null or p.deployment = _deployment)
+    for update
+  ) locked;
+
+  -- ---------- order_buckets ----------
+  select count(*),
+         count(*) filter (where p.target_x6 is null or ob.bucket_id <> div(p.target_x6, v_tick))
+  into v_orders_before, v_orders_moved
+  from public.order_buckets ob
+  left join public.positions p on p.deployment = ob.deployment and p.id = ob.position_id
+  where ob.asset_id = _asset_id and (_deployment is null or ob.deployment = _deployment);
+
+  delete from public.order_buckets ob
+  where ob.asset_id = _asset_id and (_deployment is null or ob.deployment = _deployment);
+
+  insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+  select p.deployment, p.asset_id, div(p.target_x6, v_tick), p.id, coalesce(p.lots, 0), p.long_side
+  from public.positions p
+  where p.asset_id = _asset_id and (_deployment is null or p.deployment = _deployment)
+    and p.state = 0 and coalesce(p.target_x6, 0) <> 0
+  on conflict do nothing;
+  get diagnostics v_orders_after = row_count;
+
+  -- ---------- stop_buckets ----------
+  select count(*),
+         count(*) filter (where s.px is null or sb.bucket_id <> div(s.px, v_tick))
+  into v_stops_before, v_stops_moved
+  from public.stop_buckets sb
+  left join public.positions p on p.deployment = sb.deployment and p.id = sb.position_id
+  left join lateral (
+    select case sb.stop_type when 1 then p.sl_x6 when 2 then p.tp_x6 else p.liq_x6 end as px
+  ) s on true
+  where sb.asset_id = _asset_id and (_deployment is null or sb.deployment = _deployment);
+
+  delete from public.stop_buckets sb
+  where sb.asset_id = _asset_id and (_deployment is null or sb.deployment = _deployment);
+
+  insert into public.stop_buckets (deployment, asset_id, bucket_id, position_id, stop_type, lots, side)
+  select p.deployment, p.asset_id, div(s.px, v_tick), p.id, s.stop_type, coalesce(p.lots, 0), not p.long_side
+  from public.positions p
+  cross join lateral (values (p.sl_x6, 1), (p.tp_x6, 2), (p.liq_x6, 3)) as s(px, stop_type)
+  where p.asset_id = _asset_id and (_deployment is null or p.deployment = _deployment)
+    and p.state = 1 and coalesce(s.px, 0) <> 0
+  on conflict do nothing;
+  get diagnostics v_stops_after = row_count;
+
+  return jsonb_build_object(
+    'asset_id', _asset_id,
+    'deployment', _deployment,
+    'tick_size_usd6', v_tick,
+    'positions', v_positions,
+    'orders', jsonb_build_object('before', v_orders_before, 'after', v_orders_after, 'moved', v_orders_moved),
+    'stops',  jsonb_build_object('before', v_stops_before,  'after', v_stops_after,  'moved', v_stops_moved)
+  );
+end
+$$;
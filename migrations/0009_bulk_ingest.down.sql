@@ -0,0 +1,37 @@
+drop function if exists public.positions_bulk_upsert(jsonb);
+drop function if exists public.exposure_rebuild(text, int4);
+
+-- positions_exposure_trg remis à la définition de 0002, à l'identique
+-- (0009 y avait ajouté la lecture de brokex.skip_exposure; plus aucune ici)
+create or replace function public.positions_exposure_trg()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (tg_op = 'INSERT') then
+    if new.state = 1 then
+      perform public.exposure_apply(new.deployment, new.asset_id, new.long_side, new.lots, new.entry_x6, new.leverage_x, new.liq_x6, +1);
+    end if;
+    return new;
+  end if;
+
+  if (tg_op = 'UPDATE') then
+    if coalesce(old.state, -1) = 1 then
+      perform public.exposure_apply(old.deployment, old.asset_id, old.long_side, old.lots, old.entry_x6, old.leverage_x, old.liq_x6, -1);
+    end if;
+    if coalesce(new.state, -1) = 1 then
+      perform public.exposure_apply(new.deployment, new.asset_id, new.long_side, new.lots, new.entry_x6, new.leverage_x, new.liq_x6, +1);
+    end if;
+    return new;
+  end if;
+
+  if (tg_op = 'DELETE') then
+    if old.state = 1 then
+      perform public.exposure_apply(old.deployment, old.asset_id, old.long_side, old.lots, old.entry_x6, old.leverage_x, old.liq_x6, -1);
+    end if;
+    return old;
+  end if;
+
+  return null;
+end
+$$;
@@ -0,0 +1,206 @@
+-- =========================================
+-- 0009 • ingestion en masse (backfills: manual_backfill.js / manual.js --bulk)
+--   positions_bulk_upsert: un lot de positions + leurs buckets en une transaction,
+--     sans trigger exposure par ligne (brokex.skip_exposure local à la transaction)
+--   exposure_rebuild: recalcule exposure_agg depuis positions (state=1), une fois
+--     en fin de backfill
+-- =========================================
+
+-- trigger exposure: ignoré pendant un positions_bulk_upsert
+create or replace function public.positions_exposure_trg()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(current_setting('brokex.skip_exposure', true), '') = 'on' then
+    return coalesce(new, old);
+  end if;
+
+  if (tg_op = 'INSERT') then
+    if new.state = 1 then
+      perform public.exposure_apply(new.deployment, new.asset_id, new.long_side, new.lots, new.entry_x6, new.leverage_x, new.liq_x6, +1);
+    end if;
+    return new;
+  end if;
+
+  if (tg_op = 'UPDATE') then
+    if coalesce(old.state, -1) = 1 then
+      perform public.exposure_apply(old.deployment, old.asset_id, old.long_side, old.lots, old.entry_x6, old.leverage_x, old.liq_x6, -1);
+    end if;
+    if coalesce(new.state, -1) = 1 then
+      perform public.exposure_apply(new.deployment, new.asset_id, new.long_side, new.lots, new.entry_x6, new.leverage_x, new.liq_x6, +1);
+    end if;
+    return new;
+  end if;
+
+  if (tg_op = 'DELETE') then
+    if old.state = 1 then
+      perform public.exposure_apply(old.deployment, old.asset_id, old.long_side, old.lots, old.entry_x6, old.leverage_x, old.liq_x6, -1);
+    end if;
+    return old;
+  end if;
+
+  return null;
+end
+$$;
+
+-- Agrégats recalculés depuis positions (state=1), mêmes règles que exposure_apply
+--   _deployment / _asset_id null = tous
+create or replace function public.exposure_rebuild(
+  _deployment text default null,
+  _asset_id   int4 default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_rows      int8;
+  v_positions int8;
+begin
+  -- aucun event ne modifie positions pendant le recalcul
+  lock table public.positions in share mode;
+
+  delete from public.exposure_agg ea
+  where (_deployment is null or ea.deployment = _deployment)
+    and (_asset_id is null or ea.asset_id = _asset_id);
+
+  insert into public.exposure_agg (
+    deployment, asset_id, side, sum_lots, sum_entry_x6_lots, sum_leverage_lots, sum_liq_x6_lots, sum_liq_lots, positions_count
+  )
+  select p.deployment, p.asset_id, p.long_side,
+         sum(p.lots),
+         sum(coalesce(p.entry_x6, 0)::numeric * p.lots),
+         sum(coalesce(p.leverage_x, 0)::numeric * p.lots),
+         sum(case when coalesce(p.liq_x6, 0) > 0 then p.liq_x6::numeric * p.lots else 0 end),
+         sum(case when coalesce(p.liq_x6, 0) > 0 then p.lots else 0 end),
+         count(*)
+  from public.positions p
+  where p.state = 1 and coalesce(p.lots, 0) <> 0
+    and (_deployment is null or p.deployment = _deployment)
+    and (_asset_id is null or p.asset_id = _asset_id)
+  group by p.deployment, p.asset_id, p.long_side;
+  get diagnostics v_rows = row_count;
+
+  select count(*) into v_positions
+  from public.positions p
+  where p.state = 1 and coalesce(p.lots, 0) <> 0
+    and (_deployment is null or p.deployment = _deployment)
+    and (_asset_id is null or p.asset_id = _asset_id);
+
+  return jsonb_build_object('deployment', _deployment, 'asset_id', _asset_id, 'rows', v_rows, 'positions', v_positions);
+end
+$$;
+
+-- Lot de positions (tableau jsonb de lignes positions, cf. db.js positionRow):
+--   - upsert sur (deployment, id): colonnes écrasées, provenance absente conservée
+--   - notional / margin calculés si entry_x6 connu (troncature comme positions_apply_*)
+--   - buckets des positions du lot reconstruits (ORDER: order_buckets, OPEN: stop_buckets)
+--   - exposure_agg NON maintenu: appeler exposure_rebuild en fin d'ingestion
+create or replace function public.positions_bulk_upsert(
+  _positions jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_missing int4;
+  v_rows    int8;
+  v_orders  int8;
+  v_stops   int8;
+begin
+  perform set_config('brokex.skip_exposure', 'on', true);
+
+  create temp table _bulk on commit drop as
+  select r.*
+  from jsonb_to_recordset(_positions) as r(
+    deployment text, id int8, state int2, asset_id int4, trader_addr text, long_side boolean,
+    lots int4, leverage_x int4, entry_x6 int8, target_x6 int8, sl_x6 int8, tp_x6 int8, liq_x6 int8,
+    close_reason int2, exec_x6 int8, pnl_usd6 numeric,
+    opened_block int8, opened_at timestamptz, opened_tx text,
+    executed_block int8, executed_at timestamptz, executed_tx text,
+    closed_block int8, closed_at timestamptz, closed_tx text
+  );
+
+  select b.asset_id into v_missing
+  from _bulk b left join public.assets a on a.asset_id = b.asset_id
+  where a.asset_id is null
+  limit 1;
+  if found then
+    raise exception 'Asset % introuvable (table assets)', v_missing;
+  end if;
+
+  insert into public.positions as p (
+    deployment, id, state, asset_id, trader_addr, long_side, lots, leverage_x,
+    entry_x6, target_x6, sl_x6, tp_x6, liq_x6, notional_usd6, margin_usd6,
+    close_reason, exec_x6, pnl_usd6,
+    opened_block, opened_at, opened_tx,
+    executed_block, executed_at, executed_tx,
+    closed_block, closed_at, closed_tx
+  )
+  select b.deployment, b.id, b.state, b.asset_id, b.trader_addr, b.long_side, b.lots, b.leverage_x,
+         b.entry_x6, b.target_x6, coalesce(b.sl_x6, 0), coalesce(b.tp_x6, 0), coalesce(b.liq_x6, 0),
+         n.notional, case when n.notional is not null and b.leverage_x > 0 then div(n.notional, b.leverage_x) end,
+         b.close_reason, b.exec_x6, b.pnl_usd6,
+         b.opened_block, b.opened_at, lower(b.opened_tx),
+         b.executed_block, b.executed_at, lower(b.executed_tx),
+         b.closed_block, b.closed_at, lower(b.closed_tx)
+  from _bulk b
+  join public.assets a on a.asset_id = b.asset_id
+  cross join lateral (
+    select case when b.entry_x6 is not null
+                then div(b.entry_x6::numeric * b.lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1))
+           end as notional
+  ) n
+  on conflict (deployment, id) do update
+  set state          = excluded.state,
+      asset_id       = excluded.asset_id,
+      trader_addr    = excluded.trader_addr,
+      long_side      = excluded.long_side,
+      lots           = excluded.lots,
+      leverage_x     = excluded.leverage_x,
+      entry_x6       = excluded.entry_x6,
+      target_x6      = excluded.target_x6,
+      sl_x6          = excluded.sl_x6,
+      tp_x6          = excluded.tp_x6,
+      liq_x6         = excluded.liq_x6,
+      notional_usd6  = excluded.notional_usd6,
+      margin_usd6    = excluded.margin_usd6,
+      close_reason   = excluded.close_reason,
+      exec_x6        = excluded.exec_x6,
+      pnl_usd6       = excluded.pnl_usd6,
+      opened_block   = coalesce(excluded.opened_block, p.opened_block),
+      opened_at      = coalesce(excluded.opened_at, p.opened_at),
+      opened_tx      = coalesce(excluded.opened_tx, p.opened_tx),
+      executed_block = coalesce(excluded.executed_block, p.executed_block),
+      executed_at    = coalesce(excluded.executed_at, p.executed_at),
+      executed_tx    = coalesce(excluded.executed_tx, p.executed_tx),
+      closed_block   = coalesce(excluded.closed_block, p.closed_block),
+      closed_at      = coalesce(excluded.closed_at, p.closed_at),
+      closed_tx      = coalesce(excluded.closed_tx, p.closed_tx);
+  get diagnostics v_rows = row_count;
+
+  delete from public.order_buckets ob using _bulk b where ob.deployment = b.deployment and ob.position_id = b.id;
+  delete from public.stop_buckets  sb using _bulk b where sb.deployment = b.deployment and sb.position_id = b.id;
+
+  insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+  select b.deployment, b.asset_id, div(b.target_x6, a.tick_size_usd6), b.id, coalesce(b.lots, 0), b.long_side
+  from _bulk b join public.assets a on a.asset_id = b.asset_id
+  where b.state = 0 and coalesce(b.target_x6, 0) <> 0
+  on conflict do nothing;
+  get diagnostics v_orders = row_count;
+
+  insert into public.stop_buckets (deployment, asset_id, bucket_id, position_id, stop_type, lots, side)
+  select b.deployment, b.asset_id, div(s.px, a.tick_size_usd6), b.id, s.stop_type, coalesce(b.lots, 0), not b.long_side
+  from _bulk b
+  join public.assets a on a.asset_id = b.asset_id
+  cross join lateral (values (b.sl_x6, 1), (b.tp_x6, 2), (b.liq_x6, 3)) as s(px, stop_type)
+  where b.state = 1 and coalesce(s.px, 0) <> 0
+  on conflict do nothing;
+  get diagnostics v_stops = row_count;
+
+  drop table _bulk;
+  perform set_config('brokex.skip_exposure', 'off', true);
+
+  return jsonb_build_object('positions', v_rows, 'orders', v_orders, 'stops', v_stops);
+end
+$$;
@@ -0,0 +1,287 @@
+drop function if exists public.positions_apply_removed(text, int8, int4, int8, numeric, int8, timestamptz, text, int4, int8, int4, int2);
+drop function if exists public.positions_apply_stops_updated(text, int8, int8, int8, int8, int4, int8, int4);
+drop function if exists public.positions_apply_executed(text, int8, int8, int8, timestamptz, text, int4, int8, int4);
+drop function if exists public.positions_apply_opened(text, int8, int4, int4, boolean, int4, int8, int8, int8, int8, text, int4, int8, timestamptz, text, int4, int8, int4);
+
+-- positions_apply_* de 0005 (sans garde de version)
+-- Opened (state 0 = ORDER, 1 = OPEN): insert (doublon ignoré) + indexation
+create or replace function public.positions_apply_opened(
+  _deployment         text,
+  _id                 int8,
+  _state              int4,
+  _asset_id           int4,
+  _long_side          boolean,
+  _lots               int4,
+  _entry_or_target_x6 int8,
+  _sl_x6              int8,
+  _tp_x6              int8,
+  _liq_x6             int8,
+  _trader             text,
+  _leverage_x         int4,
+  _block              int8 default null,
+  _at                 timestamptz default null,
+  _tx                 text default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  a          public.assets%rowtype;
+  v_notional numeric;
+  v_margin   numeric;
+begin
+  select * into a from public.assets where asset_id = _asset_id;
+  if not found then
+    raise exception 'Asset % introuvable (table assets)', _asset_id;
+  end if;
+
+  if _state = 1 then
+    v_notional := div(_entry_or_target_x6::numeric * _lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1));
+    v_margin   := div(v_notional, _leverage_x);
+  end if;
+
+  insert into public.positions (
+    deployment, id, state, asset_id, trader_addr, long_side, lots, leverage_x,
+    entry_x6, target_x6, sl_x6, tp_x6, liq_x6, notional_usd6, margin_usd6,
+    opened_block, opened_at, opened_tx
+  )
+  values (
+    _deployment, _id, _state, _asset_id, _trader, _long_side, _lots, _leverage_x,
+    case when _state = 1 then _entry_or_target_x6 end,
+    case when _state = 0 then _entry_or_target_x6 end,
+    coalesce(_sl_x6, 0), coalesce(_tp_x6, 0), coalesce(_liq_x6, 0),
+    v_notional, v_margin,
+    _block, _at, lower(_tx)
+  )
+  on conflict (deployment, id) do nothing;
+
+  if _state = 0 then
+    insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+    values (_deployment, _asset_id, div(_entry_or_target_x6, a.tick_size_usd6), _id, coalesce(_lots, 0), _long_side)
+    on conflict (deployment, asset_id, bucket_id, position_id) do nothing;
+  else
+    delete from public.stop_buckets where deployment = _deployment and position_id = _id;
+    perform public.positions_index_stops(_deployment, _asset_id, _id, _sl_x6, _tp_x6, _liq_x6, _long_side, _lots);
+  end if;
+end
+$$;
+
+-- Executed (ORDER -> OPEN): state, entry, notional/margin, index order -> stops
+create or replace function public.positions_apply_executed(
+  _deployment text,
+  _id         int8,
+  _entry_x6   int8,
+  _block      int8 default null,
+  _at         timestamptz default null,
+  _tx         text default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  p          record;
+  a          public.assets%rowtype;
+  v_notional numeric;
+begin
+  select * into p from public.positions where deployment = _deployment and id = _id for update;
+  if not found then
+    raise exception 'Position % introuvable pour Executed', _id;
+  end if;
+
+  select * into a from public.assets where asset_id = p.asset_id;
+  if not found then
+    raise exception 'Asset % introuvable (table assets)', p.asset_id;
+  end if;
+
+  v_notional := div(_entry_x6::numeric * p.lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1));
+
+  update public.positions
+  set state          = 1,
+      entry_x6       = _entry_x6,
+      notional_usd6  = v_notional,
+      margin_usd6    = div(v_notional, p.leverage_x),
+      executed_block = coalesce(_block, executed_block),
+      executed_at    = coalesce(_at, executed_at),
+      executed_tx    = coalesce(lower(_tx), executed_tx)
+  where deployment = _deployment and id = _id;
+
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+  perform public.positions_index_stops(_deployment, p.asset_id, _id, p.sl_x6, p.tp_x6, p.liq_x6, p.long_side, p.lots);
+end
+$$;
+
+-- StopsUpdated: SL/TP (LIQ conservé), réindexation SL/TP
+create or replace function public.positions_apply_stops_updated(
+  _deployment text,
+  _id         int8,
+  _sl_x6      int8,
+  _tp_x6      int8
+)
+returns void
+language plpgsql
+as $$
+declare
+  p record;
+begin
+  select * into p from public.positions where deployment = _deployment and id = _id for update;
+  if not found then
+    raise exception 'Position % introuvable pour StopsUpdated', _id;
+  end if;
+
+  update public.positions
+  set sl_x6 = coalesce(_sl_x6, 0),
+      tp_x6 = coalesce(_tp_x6, 0)
+  where deployment = _deployment and id = _id;
+
+  delete from public.stop_buckets
+  where deployment = _deployment and position_id = _id and stop_type in (1, 2);
+  perform public.positions_index_stops(_deployment, p.asset_id, _id, _sl_x6, _tp_x6, 0, p.long_side, p.lots);
+end
+$$;
+
+-- Removed (fermeture ou annulation): state=2 + clôture, plus aucun index
+create or replace function public.positions_apply_removed(
+  _deployment text,
+  _id         int8,
+  _reason     int4,
+  _exec_x6    int8,
+  _pnl_usd6   numeric,
+  _block      int8 default null,
+  _at         timestamptz default null,
+  _tx         text default null
+)
+returns void
+language plpgsql
+as $$
+begin
+  update public.positions
+  set state        = 2,
+      close_reason = _reason,
+      exec_x6      = coalesce(_exec_x6, 0),
+      pnl_usd6     = coalesce(_pnl_usd6, 0),
+      closed_block = coalesce(_block, closed_block),
+      closed_at    = coalesce(_at, closed_at),
+      closed_tx    = coalesce(lower(_tx), closed_tx)
+  where deployment = _deployment and id = _id;
+
+  -- ordre limite annulé: son order_bucket part aussi
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+end
+$$;
+
+-- positions_bulk_upsert de 0009 (sans garde de version)
+create or replace function public.positions_bulk_upsert(
+  _positions jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_missing int4;
+  v_rows    int8;
+  v_orders  int8;
+  v_stops   int8;
+begin
+  perform set_config('brokex.skip_exposure', 'on', true);
+
+  create temp table _bulk on commit drop as
+  select r.*
+  from jsonb_to_recordset(_positions) as r(
+    deployment text, id int8, state int2, asset_id int4, trader_addr text, long_side boolean,
+    lots int4, leverage_x int4, entry_x6 int8, target_x6 int8, sl_x6 int8, tp_x6 int8, liq_x6 int8,
+    close_reason int2, exec_x6 int8, pnl_usd6 numeric,
+    opened_block int8, opened_at timestamptz, opened_tx text,
+    executed_block int8, executed_at timestamptz, executed_tx text,
+    closed_block int8, closed_at timestamptz, closed_tx text
+  );
+
+  select b.asset_id into v_missing
+  from _bulk b left join public.assets a on a.asset_id = b.asset_id
+  where a.asset_id is null
+  limit 1;
+  if found then
+    raise exception 'Asset % introuvable (table assets)', v_missing;
+  end if;
+
+  insert into public.positions as p (
+    deployment, id, state, asset_id, trader_addr, long_side, lots, leverage_x,
+    entry_x6, target_x6, sl_x6, tp_x6, liq_x6, notional_usd6, margin_usd6,
+    close_reason, exec_x6, pnl_usd6,
+    opened_block, opened_at, opened_tx,
+    executed_block, executed_at, executed_tx,
+    closed_block, closed_at, closed_tx
+  )
+  select b.deployment, b.id, b.state, b.asset_id, b.trader_addr, b.long_side, b.lots, b.leverage_x,
+         b.entry_x6, b.target_x6, coalesce(b.sl_x6, 0), coalesce(b.tp_x6, 0), coalesce(b.liq_x6, 0),
+         n.notional, case when n.notional is not null and b.leverage_x > 0 then div(n.notional, b.leverage_x) end,
+         b.close_reason, b.exec_x6, b.pnl_usd6,
+         b.opened_block, b.opened_at, lower(b.opened_tx),
+         b.executed_block, b.executed_at, lower(b.executed_tx),
+         b.closed_block, b.closed_at, lower(b.closed_tx)
+  from _bulk b
+  join public.assets a on a.asset_id = b.asset_id
+  cross join lateral (
+    select case when b.entry_x6 is not null
+                then div(b.entry_x6::numeric * b.lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1))
+           end as notional
+  ) n
+  on conflict (deployment, id) do update
+  set state          = excluded.state,
+      asset_id       = excluded.asset_id,
+      trader_addr    = excluded.trader_addr,
+      long_side      = excluded.long_side,
+      lots           = excluded.lots,
+      leverage_x     = excluded.leverage_x,
+      entry_x6       = excluded.entry_x6,
+      target_x6      = excluded.target_x6,
+      sl_x6          = excluded.sl_x6,
+      tp_x6          = excluded.tp_x6,
+      liq_x6         = excluded.liq_x6,
+      notional_usd6  = excluded.notional_usd6,
+      margin_usd6    = excluded.margin_usd6,
+      close_reason   = excluded.close_reason,
+      exec_x6        = excluded.exec_x6,
+      pnl_usd6       = excluded.pnl_usd6,
+      opened_block   = coalesce(excluded.opened_block, p.opened_block),
+      opened_at      = coalesce(excluded.opened_at, p.opened_at),
+      opened_tx      = coalesce(excluded.opened_tx, p.opened_tx),
+      executed_block = coalesce(excluded.executed_block, p.executed_block),
+      executed_at    = coalesce(excluded.executed_at, p.executed_at),
+      executed_tx    = coalesce(excluded.executed_tx, p.executed_tx),
+      closed_block   = coalesce(excluded.closed_block, p.closed_block),
+      closed_at      = coalesce(excluded.closed_at, p.closed_at),
+      closed_tx      = coalesce(excluded.closed_tx, p.closed_tx);
+  get diagnostics v_rows = row_count;
+
+  delete from public.order_buckets ob using _bulk b where ob.deployment = b.deployment and ob.position_id = b.id;
+  delete from public.stop_buckets  sb using _bulk b where sb.deployment = b.deployment and sb.position_id = b.id;
+
+  insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+  select b.deployment, b.asset_id, div(b.target_x6, a.tick_size_usd6), b.id, coalesce(b.lots, 0), b.long_side
+  from _bulk b join public.assets a on a.asset_id = b.asset_id
+  where b.state = 0 and coalesce(b.target_x6, 0) <> 0
+  on conflict do nothing;
+  get diagnostics v_orders = row_count;
+
+  insert into public.stop_buckets (deployment, asset_id, bucket_id, position_id, stop_type, lots, side)
+  select b.deployment, b.asset_id, div(s.px, a.tick_size_usd6), b.id, s.stop_type, coalesce(b.lots, 0), not b.long_side
+  from _bulk b
+  join public.assets a on a.asset_id = b.asset_id
+  cross join lateral (values (b.sl_x6, 1), (b.tp_x6, 2), (b.liq_x6, 3)) as s(px, stop_type)
+  where b.state = 1 and coalesce(s.px, 0) <> 0
+  on conflict do nothing;
+  get diagnostics v_stops = row_count;
+
+  drop table _bulk;
+  perform set_config('brokex.skip_exposure', 'off', true);
+
+  return jsonb_build_object('positions', v_rows, 'orders', v_orders, 'stops', v_stops);
+end
+$$;
+
+drop function if exists public.positions_version_newer(int8, int4, int8, int4);
+
+alter table public.positions drop column if exists version_log_index;
+alter table public.positions drop column if exists version_block;
@@ -0,0 +1,398 @@
+-- =========================================
+-- 0010 • garde de version monotone sur positions
+--   positions.version_block / version_log_index = (bloc, logIndex) de la dernière écriture
+--   - event indexé: (blockNumber, logIndex) du log
+--   - reconciler: (bloc de la lecture on-chain, 2147483647) = état en fin de bloc
+--   une écriture n'est appliquée que si sa version est STRICTEMENT plus récente:
+--   rejeu = no-op, event en retard = ignoré, l'état ne régresse jamais
+--   version absente (_block null) = écriture forcée, version inchangée
+--   Opened devient un vrai upsert (merge) sous cette garde
+--   positions_apply_*: true si appliqué, false si version périmée
+-- =========================================
+alter table public.positions add column if not exists version_block     int8;
+alter table public.positions add column if not exists version_log_index int4;
+
+create or replace function public.positions_version_newer(
+  _cur_block int8,
+  _cur_log   int4,
+  _block     int8,
+  _log       int4
+)
+returns boolean
+language sql
+immutable
+as $$
+  select _block is null
+      or _cur_block is null
+      or (_block, coalesce(_log, 2147483647)) > (_cur_block, coalesce(_cur_log, 2147483647))
+$$;
+
+-- signatures de 0005 (sans _log_index) remplacées
+drop function if exists public.positions_apply_opened(text, int8, int4, int4, boolean, int4, int8, int8, int8, int8, text, int4, int8, timestamptz, text);
+drop function if exists public.positions_apply_executed(text, int8, int8, int8, timestamptz, text);
+drop function if exists public.positions_apply_stops_updated(text, int8, int8, int8);
+drop function if exists public.positions_apply_removed(text, int8, int4, int8, numeric, int8, timestamptz, text);
+
+-- Opened (state 0 = ORDER, 1 = OPEN): insert, ou merge si version plus récente, + réindexation
+--   _v_block / _v_log_index: version si différente de la provenance (reconcilers)
+create or replace function public.positions_apply_opened(
+  _deployment         text,
+  _id                 int8,
+  _state              int4,
+  _asset_id           int4,
+  _long_side          boolean,
+  _lots               int4,
+  _entry_or_target_x6 int8,
+  _sl_x6              int8,
+  _tp_x6              int8,
+  _liq_x6             int8,
+  _trader             text,
+  _leverage_x         int4,
+  _block              int8 default null,
+  _at                 timestamptz default null,
+  _tx                 text default null,
+  _log_index          int4 default null,
+  _v_block            int8 default null,
+  _v_log_index        int4 default null
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  a          public.assets%rowtype;
+  v_notional numeric;
+  v_margin   numeric;
+  v_block    int8 := coalesce(_v_block, _block);
+  v_log      int4 := case when _v_block is not null then _v_log_index else _log_index end;
+begin
+  select * into a from public.assets where asset_id = _asset_id;
+  if not found then
+    raise exception 'Asset % introuvable (table assets)', _asset_id;
+  end if;
+
+  if _state = 1 then
+    v_notional := div(_entry_or_target_x6::numeric * _lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1));
+    v_margin   := div(v_notional, _leverage_x);
+  end if;
+
+  insert into public.positions as p (
+    deployment, id, state, asset_id, trader_addr, long_side, lots, leverage_x,
+    entry_x6, target_x6, sl_x6, tp_x6, liq_x6, notional_usd6, margin_usd6,
+    opened_block, opened_at, opened_tx, version_block, version_log_index
+  )
+  values (
+    _deployment, _id, _state, _asset_id, _trader, _long_side, _lots, _leverage_x,
+    case when _state = 1 then _entry_or_target_x6 end,
+    case when _state = 0 then _entry_or_target_x6 end,
+    coalesce(_sl_x6, 0), coalesce(_tp_x6, 0), coalesce(_liq_x6, 0),
+    v_notional, v_margin,
+    _block, _at, lower(_tx), v_block, v_log
+  )
+  on conflict (deployment, id) do update
+  set state             = excluded.state,
+      asset_id          = excluded.asset_id,
+      trader_addr       = excluded.trader_addr,
+      long_side         = excluded.long_side,
+      lots              = excluded.lots,
+      leverage_x        = excluded.leverage_x,
+      entry_x6          = excluded.entry_x6,
+      target_x6         = excluded.target_x6,
+      sl_x6             = excluded.sl_x6,
+      tp_x6             = excluded.tp_x6,
+      liq_x6            = excluded.liq_x6,
+      notional_usd6     = excluded.notional_usd6,
+      margin_usd6       = excluded.margin_usd6,
+      close_reason      = null,
+      exec_x6           = null,
+      pnl_usd6          = null,
+      opened_block      = coalesce(excluded.opened_block, p.opened_block),
+      opened_at         = coalesce(excluded.opened_at, p.opened_at),
+      opened_tx         = coalesce(excluded.opened_tx, p.opened_tx),
+      version_block     = coalesce(excluded.version_block, p.version_block),
+      version_log_index = case when excluded.version_block is null then p.version_log_index else excluded.version_log_index end
+  where public.positions_version_newer(p.version_block, p.version_log_index, v_block, v_log);
+
+  if not found then
+    return false;
+  end if;
+
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+  if _state = 0 then
+    insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+    values (_deployment, _asset_id, div(_entry_or_target_x6, a.tick_size_usd6), _id, coalesce(_lots, 0), _long_side)
+    on conflict (deployment, asset_id, bucket_id, position_id) do nothing;
+  else
+    perform public.positions_index_stops(_deployment, _asset_id, _id, _sl_x6, _tp_x6, _liq_x6, _long_side, _lots);
+  end if;
+  return true;
+end
+$$;
+
+-- Executed (ORDER -> OPEN): state, entry, notional/margin, index order -> stops
+create or replace function public.positions_apply_executed(
+  _deployment   text,
+  _id           int8,
+  _entry_x6     int8,
+  _block        int8 default null,
+  _at           timestamptz default null,
+  _tx           text default null,
+  _log_index    int4 default null,
+  _v_block      int8 default null,
+  _v_log_index  int4 default null
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  p          record;
+  a          public.assets%rowtype;
+  v_notional numeric;
+  v_block    int8 := coalesce(_v_block, _block);
+  v_log      int4 := case when _v_block is not null then _v_log_index else _log_index end;
+begin
+  select * into p from public.positions where deployment = _deployment and id = _id for update;
+  if not found then
+    raise exception 'Position % introuvable pour Executed', _id;
+  end if;
+  if not public.positions_version_newer(p.version_block, p.version_log_index, v_block, v_log) then
+    return false;
+  end if;
+
+  select * into a from public.assets where asset_id = p.asset_id;
+  if not found then
+    raise exception 'Asset % introuvable (table assets)', p.asset_id;
+  end if;
+
+  v_notional := div(_entry_x6::numeric * p.lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1));
+
+  update public.positions
+  set state             = 1,
+      entry_x6          = _entry_x6,
+      notional_usd6     = v_notional,
+      margin_usd6       = div(v_notional, p.leverage_x),
+      executed_block    = coalesce(_block, executed_block),
+      executed_at       = coalesce(_at, executed_at),
+      executed_tx       = coalesce(lower(_tx), executed_tx),
+      version_block     = coalesce(v_block, version_block),
+      version_log_index = case when v_block is null then version_log_index else v_log end
+  where deployment = _deployment and id = _id;
+
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+  perform public.positions_index_stops(_deployment, p.asset_id, _id, p.sl_x6, p.tp_x6, p.liq_x6, p.long_side, p.lots);
+  return true;
+end
+$$;
+
+-- StopsUpdated: SL/TP (LIQ conservé), réindexation SL/TP
+create or replace function public.positions_apply_stops_updated(
+  _deployment   text,
+  _id           int8,
+  _sl_x6        int8,
+  _tp_x6        int8,
+  _block        int8 default null,
+  _log_index    int4 default null,
+  _v_block      int8 default null,
+  _v_log_index  int4 default null
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  p       record;
+  v_block int8 := coalesce(_v_block, _block);
+  v_log   int4 := case when _v_block is not null then _v_log_index else _log_index end;
+begin
+  select * into p from public.positions where deployment = _deployment and id = _id for update;
+  if not found then
+    raise exception 'Position % introuvable pour StopsUpdated', _id;
+  end if;
+  if not public.positions_version_newer(p.version_block, p.version_log_index, v_block, v_log) then
+    return false;
+  end if;
+
+  update public.positions
+  set sl_x6             = coalesce(_sl_x6, 0),
+      tp_x6             = coalesce(_tp_x6, 0),
+      version_block     = coalesce(v_block, version_block),
+      version_log_index = case when v_block is null then version_log_index else v_log end
+  where deployment = _deployment and id = _id;
+
+  delete from public.stop_buckets
+  where deployment = _deployment and position_id = _id and stop_type in (1, 2);
+  perform public.positions_index_stops(_deployment, p.asset_id, _id, _sl_x6, _tp_x6, 0, p.long_side, p.lots);
+  return true;
+end
+$$;
+
+-- Removed (fermeture ou annulation): state=_state (2 CLOSED, 3 CANCELLED) + clôture, plus aucun index
+create or replace function public.positions_apply_removed(
+  _deployment   text,
+  _id           int8,
+  _reason       int4,
+  _exec_x6      int8,
+  _pnl_usd6     numeric,
+  _block        int8 default null,
+  _at           timestamptz default null,
+  _tx           text default null,
+  _log_index    int4 default null,
+  _v_block      int8 default null,
+  _v_log_index  int4 default null,
+  _state        int2 default 2
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  v_block int8 := coalesce(_v_block, _block);
+  v_log   int4 := case when _v_block is not null then _v_log_index else _log_index end;
+begin
+  update public.positions
+  set state             = coalesce(_state, 2),
+      close_reason      = _reason,
+      exec_x6           = coalesce(_exec_x6, 0),
+      pnl_usd6          = coalesce(_pnl_usd6, 0),
+      closed_block      = coalesce(_block, closed_block),
+      closed_at         = coalesce(_at, closed_at),
+      closed_tx         = coalesce(lower(_tx), closed_tx),
+      version_block     = coalesce(v_block, version_block),
+      version_log_index = case when v_block is null then version_log_index else v_log end
+  where deployment = _deployment and id = _id
+    and public.positions_version_newer(version_block, version_log_index, v_block, v_log);
+
+  if not found then
+    -- position absente: rien à fermer (comme avant); sinon version périmée
+    return false;
+  end if;
+
+  -- ordre limite annulé: son order_bucket part aussi
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+  return true;
+end
+$$;
+
+-- positions_bulk_upsert (0009) sous la même garde: lignes périmées écartées du lot
+create or replace function public.positions_bulk_upsert(
+  _positions jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_missing int4;
+  v_stale   int8;
+  v_rows    int8;
+  v_orders  int8;
+  v_stops   int8;
+begin
+  perform set_config('brokex.skip_exposure', 'on', true);
+
+  create temp table _bulk on commit drop as
+  select r.*
+  from jsonb_to_recordset(_positions) as r(
+    deployment text, id int8, state int2, asset_id int4, trader_addr text, long_side boolean,
+    lots int4, leverage_x int4, entry_x6 int8, target_x6 int8, sl_x6 int8, tp_x6 int8, liq_x6 int8,
+    close_reason int2, exec_x6 int8, pnl_usd6 numeric,
+    opened_block int8, opened_at timestamptz, opened_tx text,
+    executed_block int8, executed_at timestamptz, executed_tx text,
+    closed_block int8, closed_at timestamptz, closed_tx text,
+    version_block int8, version_log_index int4
+  );
+
+  select b.asset_id into v_missing
+  from _bulk b left join public.assets a on a.asset_id = b.asset_id
+  where a.asset_id is null
+  limit 1;
+  if found then
+    raise exception 'Asset % introuvable (table assets)', v_missing;
+  end if;
+
+  -- version périmée: ni la position ni ses buckets ne sont touchés
+  delete from _bulk b
+  using public.positions p
+  where p.deployment = b.deployment and p.id = b.id
+    and not public.positions_version_newer(p.version_block, p.version_log_index, b.version_block, b.version_log_index);
+  get diagnostics v_stale = row_count;
+
+  insert into public.positions as p (
+    deployment, id, state, asset_id, trader_addr, long_side, lots, leverage_x,
+    entry_x6, target_x6, sl_x6, tp_x6, liq_x6, notional_usd6, margin_usd6,
+    close_reason, exec_x6, pnl_usd6,
+    opened_block, opened_at, opened_tx,
+    executed_block, executed_at, executed_tx,
+    closed_block, closed_at, closed_tx,
+    version_block, version_log_index
+  )
+  select b.deployment, b.id, b.state, b.asset_id, b.trader_addr, b.long_side, b.lots, b.leverage_x,
+         b.entry_x6, b.target_x6, coalesce(b.sl_x6, 0), coalesce(b.tp_x6, 0), coalesce(b.liq_x6, 0),
+         n.notional, case when n.notional is not null and b.leverage_x > 0 then div(n.notional, b.leverage_x) end,
+         b.close_reason, b.exec_x6, b.pnl_usd6,
+         b.opened_block, b.opened_at, lower(b.opened_tx),
+         b.executed_block, b.executed_at, lower(b.executed_tx),
+         b.closed_block, b.closed_at, lower(b.closed_tx),
+         b.version_block, b.version_log_index
+  from _bulk b
+  join public.assets a on a.asset_id = b.asset_id
+  cross join lateral (
+    select case when b.entry_x6 is not null
+                then div(b.entry_x6::numeric * b.lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1))
+           end as notional
+  ) n
+  on conflict (deployment, id) do update
+  set state             = excluded.state,
+      asset_id          = excluded.asset_id,
+      trader_addr       = excluded.trader_addr,
+      long_side         = excluded.long_side,
+      lots              = excluded.lots,
+      leverage_x        = excluded.leverage_x,
+      entry_x6          = excluded.entry_x6,
+      target_x6         = excluded.target_x6,
+      sl_x6             = excluded.sl_x6,
+      tp_x6             = excluded.tp_x6,
+      liq_x6            = excluded.liq_x6,
+      notional_usd6     = excluded.notional_usd6,
+      margin_usd6       = excluded.margin_usd6,
+      close_reason      = excluded.close_reason,
+      exec_x6           = excluded.exec_x6,
+      pnl_usd6          = excluded.pnl_usd6,
+      opened_block      = coalesce(excluded.opened_block, p.opened_block),
+      opened_at         = coalesce(excluded.opened_at, p.opened_at),
+      opened_tx         = coalesce(excluded.opened_tx, p.opened_tx),
+      executed_block    = coalesce(excluded.executed_block, p.executed_block),
+      executed_at       = coalesce(excluded.executed_at, p.executed_at),
+      executed_tx       = coalesce(excluded.executed_tx, p.executed_tx),
+      closed_block      = coalesce(excluded.closed_block, p.closed_block),
+      closed_at         = coalesce(excluded.closed_at, p.closed_at),
+      closed_tx         = coalesce(excluded.closed_tx, p.closed_tx),
+      version_block     = coalesce(excluded.version_block, p.version_block),
+      version_log_index = case when excluded.version_block is null then p.version_log_index else excluded.version_log_index end
+  where public.positions_version_newer(p.version_block, p.version_log_index, excluded.version_block, excluded.version_log_index);
+  get diagnostics v_rows = row_count;
+
+  delete from public.order_buckets ob using _bulk b where ob.deployment = b.deployment and ob.position_id = b.id;
+  delete from public.stop_buckets  sb using _bulk b where sb.deployment = b.deployment and sb.position_id = b.id;
+
+  insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+  select b.deployment, b.asset_id, div(b.target_x6, a.tick_size_usd6), b.id, coalesce(b.lots, 0), b.long_side
+  from _bulk b join public.assets a on a.asset_id = b.asset_id
+  where b.state = 0 and coalesce(b.target_x6, 0) <> 0
+  on conflict do nothing;
+  get diagnostics v_orders = row_count;
+
+  insert into public.stop_buckets (deployment, asset_id, bucket_id, position_id, stop_type, lots, side)
+  select b.deployment, b.asset_id, div(s.px, a.tick_size_usd6), b.id, s.stop_type, coalesce(b.lots, 0), not b.long_side
+  from _bulk b
+  join public.assets a on a.asset_id = b.asset_id
+  cross join lateral (values (b.sl_x6, 1), (b.tp_x6, 2), (b.liq_x6, 3)) as s(px, stop_type)
+  where b.state = 1 and coalesce(s.px, 0) <> 0
+  on conflict do nothing;
+  get diagnostics v_stops = row_count;
+
+  drop table _bulk;
+  perform set_config('brokex.skip_exposure', 'off', true);
+
+  return jsonb_build_object('positions', v_rows, 'orders', v_orders, 'stops', v_stops, 'stale', v_stale);
+end
+$$;
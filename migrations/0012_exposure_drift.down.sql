@@ -0,0 +1 @@
+drop function if exists public.exposure_drift(text, int4, boolean);
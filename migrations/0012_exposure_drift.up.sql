@@ -0,0 +1,100 @@
+-- =========================================
+-- 0012 • détection de dérive exposure_agg
+--   exposure_agg est maintenu par delta (positions_exposure_trg): un trigger
+--   manqué ou doublé fausse /exposure pour toujours
+--   exposure_drift: recalcule les agrégats depuis positions (state=1), compare à
+--   exposure_agg par (deployment, asset, side), rapporte les écarts;
+--   _apply = true: exposure_rebuild dans la même transaction si écart (positions
+--   verrouillées en share mode avant la comparaison: rien ne bouge entre les deux)
+--   _deployment / _asset_id null = tous
+-- =========================================
+create or replace function public.exposure_drift(
+  _deployment text default null,
+  _asset_id   int4 default null,
+  _apply      boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_checked int8;
+  v_drifted int8;
+  v_rows    jsonb;
+begin
+  if _apply then
+    lock table public.positions in share mode;
+  end if;
+
+  with expected as (
+    select p.deployment, p.asset_id, p.long_side as side,
+           sum(p.lots)::int8                                                                        as sum_lots,
+           sum(coalesce(p.entry_x6, 0)::numeric * p.lots)                                           as sum_entry_x6_lots,
+           sum(coalesce(p.leverage_x, 0)::numeric * p.lots)                                         as sum_leverage_lots,
+           sum(case when coalesce(p.liq_x6, 0) > 0 then p.liq_x6::numeric * p.lots else 0 end)      as sum_liq_x6_lots,
+           sum(case when coalesce(p.liq_x6, 0) > 0 then p.lots else 0 end)::int8                    as sum_liq_lots,
+           count(*)::int8                                                                           as positions_count
+    from public.positions p
+    where p.state = 1 and coalesce(p.lots, 0) <> 0
+      and (_deployment is null or p.deployment = _deployment)
+      and (_asset_id is null or p.asset_id = _asset_id)
+    group by p.deployment, p.asset_id, p.long_side
+  ),
+  actual as (
+    select ea.*
+    from public.exposure_agg ea
+    where (_deployment is null or ea.deployment = _deployment)
+      and (_asset_id is null or ea.asset_id = _asset_id)
+  ),
+  cmp as (
+    -- groupe absent d'un côté = zéros (un agrégat à zéro n'est pas une dérive)
+    select coalesce(e.deployment, a.deployment) as deployment,
+           coalesce(e.asset_id, a.asset_id)     as asset_id,
+           coalesce(e.side, a.side)             as side,
+           coalesce(e.sum_lots, 0)          as e_sum_lots,          coalesce(a.sum_lots, 0)          as a_sum_lots,
+           coalesce(e.sum_entry_x6_lots, 0) as e_sum_entry_x6_lots, coalesce(a.sum_entry_x6_lots, 0) as a_sum_entry_x6_lots,
+           coalesce(e.sum_leverage_lots, 0) as e_sum_leverage_lots, coalesce(a.sum_leverage_lots, 0) as a_sum_leverage_lots,
+           coalesce(e.sum_liq_x6_lots, 0)   as e_sum_liq_x6_lots,   coalesce(a.sum_liq_x6_lots, 0)   as a_sum_liq_x6_lots,
+           coalesce(e.sum_liq_lots, 0)      as e_sum_liq_lots,      coalesce(a.sum_liq_lots, 0)      as a_sum_liq_lots,
+           coalesce(e.positions_count, 0)   as e_positions_count,   coalesce(a.positions_count, 0)   as a_positions_count
+    from expected e
+    full join actual a on a.deployment = e.deployment and a.asset_id = e.asset_id and a.side = e.side
+  )
+  select count(*),
+         count(*) filter (where d.drift),
+         coalesce(jsonb_agg(jsonb_build_object(
+           'deployment', d.deployment,
+           'asset_id',   d.asset_id,
+           'side',       case when d.side then 'LONG' else 'SHORT' end,
+           -- sommes numeric(38,0) en texte (précision JSON)
+           'actual', jsonb_build_object(
+             'sum_lots', d.a_sum_lots, 'sum_entry_x6_lots', d.a_sum_entry_x6_lots::text,
+             'sum_leverage_lots', d.a_sum_leverage_lots::text, 'sum_liq_x6_lots', d.a_sum_liq_x6_lots::text,
+             'sum_liq_lots', d.a_sum_liq_lots, 'positions_count', d.a_positions_count),
+           'expected', jsonb_build_object(
+             'sum_lots', d.e_sum_lots, 'sum_entry_x6_lots', d.e_sum_entry_x6_lots::text,
+             'sum_leverage_lots', d.e_sum_leverage_lots::text, 'sum_liq_x6_lots', d.e_sum_liq_x6_lots::text,
+             'sum_liq_lots', d.e_sum_liq_lots, 'positions_count', d.e_positions_count)
+         ) order by d.deployment, d.asset_id, d.side desc) filter (where d.drift), '[]'::jsonb)
+  into v_checked, v_drifted, v_rows
+  from (
+    select c.*,
+           (c.e_sum_lots, c.e_sum_entry_x6_lots, c.e_sum_leverage_lots, c.e_sum_liq_x6_lots, c.e_sum_liq_lots, c.e_positions_count)
+           is distinct from
+           (c.a_sum_lots, c.a_sum_entry_x6_lots, c.a_sum_leverage_lots, c.a_sum_liq_x6_lots, c.a_sum_liq_lots, c.a_positions_count) as drift
+    from cmp c
+  ) d;
+
+  if _apply and v_drifted > 0 then
+    perform public.exposure_rebuild(_deployment, _asset_id);
+  end if;
+
+  return jsonb_build_object(
+    'deployment', _deployment,
+    'asset_id',   _asset_id,
+    'checked',    v_checked,
+    'drifted',    v_drifted,
+    'applied',    _apply and v_drifted > 0,
+    'rows',       v_rows
+  );
+end
+$$;
@@ -0,0 +1,3 @@
+drop function if exists public.exposure_history(text, int4, timestamptz, timestamptz, int4);
+drop function if exists public.exposure_snapshot(text, int4);
+drop table if exists public.exposure_snapshots;
@@ -0,0 +1,116 @@
+-- =========================================
+-- 0013 • séries temporelles d'exposition (open interest par asset / side)
+--   exposure_snapshots: photo périodique de exposure_metrics (une ligne par
+--   deployment, asset, side et créneau), prise par l'indexer (EXPOSURE_SNAPSHOT_MS)
+--   exposure_snapshot: écrit le créneau courant (now() arrondi à _period_s);
+--     rejouable: un second appel dans le même créneau remplace les valeurs
+--     (redémarrage, plusieurs indexers); assets sans position = zéros (pas de trou)
+--   exposure_history: dernière photo de chaque intervalle de _interval_s secondes
+--     dans [_from, _to[, par side (GET /exposure/:assetId/history)
+-- =========================================
+create table if not exists public.exposure_snapshots (
+  deployment       text        not null default 'default',
+  asset_id         int4        not null,
+  side             boolean     not null,               -- true=LONG, false=SHORT
+  taken_at         timestamptz not null,               -- début du créneau
+  sum_lots         int8        not null default 0,
+  avg_entry_x6     numeric,                            -- null: aucun lot
+  avg_leverage_x   numeric,
+  avg_liq_x6       numeric,
+  positions_count  int8        not null default 0,
+  primary key (deployment, asset_id, side, taken_at)
+);
+
+create index if not exists exposure_snapshots_asset_time_idx
+  on public.exposure_snapshots(deployment, asset_id, taken_at);
+
+-- lecture publique (comme exposure_agg, cf. 0006)
+alter table public.exposure_snapshots enable row level security;
+do $$
+begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public' and tablename = 'exposure_snapshots' and policyname = 'read_exposure_snapshots_public'
+  ) then
+    create policy read_exposure_snapshots_public on public.exposure_snapshots for select using (true);
+  end if;
+end$$;
+
+-- _deployment null = tous les déploiements enregistrés (table deployments)
+create or replace function public.exposure_snapshot(
+  _deployment text default null,
+  _period_s   int4 default 300
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_period int4 := greatest(coalesce(_period_s, 300), 1);
+  v_at     timestamptz := to_timestamp(floor(extract(epoch from now()) / v_period) * v_period);
+  v_rows   int8;
+begin
+  insert into public.exposure_snapshots as s (
+    deployment, asset_id, side, taken_at, sum_lots, avg_entry_x6, avg_leverage_x, avg_liq_x6, positions_count
+  )
+  select d.name, a.asset_id, sd.side, v_at,
+         coalesce(ea.sum_lots, 0),
+         case when ea.sum_lots > 0 then floor(ea.sum_entry_x6_lots / ea.sum_lots) end,
+         case when ea.sum_lots > 0 then ea.sum_leverage_lots::numeric / ea.sum_lots end,
+         case when ea.sum_liq_lots > 0 then floor(ea.sum_liq_x6_lots / ea.sum_liq_lots) end,
+         coalesce(ea.positions_count, 0)
+  from (
+    select _deployment as name where _deployment is not null
+    union all
+    select dp.name from public.deployments dp where _deployment is null
+  ) d
+  cross join public.assets a
+  cross join (values (true), (false)) as sd(side)
+  left join public.exposure_agg ea
+    on ea.deployment = d.name and ea.asset_id = a.asset_id and ea.side = sd.side
+  on conflict (deployment, asset_id, side, taken_at) do update
+  set sum_lots        = excluded.sum_lots,
+      avg_entry_x6    = excluded.avg_entry_x6,
+      avg_leverage_x  = excluded.avg_leverage_x,
+      avg_liq_x6      = excluded.avg_liq_x6,
+      positions_count = excluded.positions_count;
+  get diagnostics v_rows = row_count;
+
+  return jsonb_build_object('deployment', _deployment, 'taken_at', v_at, 'rows', v_rows);
+end
+$$;
+
+create or replace function public.exposure_history(
+  _deployment text,
+  _asset_id   int4,
+  _from       timestamptz,
+  _to         timestamptz,
+  _interval_s int4 default 3600
+)
+returns table (
+  t               timestamptz,
+  side_label      text,
+  sum_lots        int8,
+  avg_entry_x6    numeric,
+  avg_leverage_x  numeric,
+  avg_liq_x6      numeric,
+  positions_count int8,
+  taken_at        timestamptz
+)
+language sql
+stable
+as $$
+  select distinct on (b.t, s.side)
+         b.t,
+         case when s.side then 'LONG' else 'SHORT' end,
+         s.sum_lots, s.avg_entry_x6, s.avg_leverage_x, s.avg_liq_x6, s.positions_count,
+         s.taken_at
+  from public.exposure_snapshots s
+  cross join lateral (
+    select to_timestamp(floor(extract(epoch from s.taken_at) / greatest(_interval_s, 1)) * greatest(_interval_s, 1)) as t
+  ) b
+  where s.deployment = _deployment
+    and s.asset_id = _asset_id
+    and s.taken_at >= _from
+    and s.taken_at <  _to
+  order by b.t, s.side desc, s.taken_at desc
+$$;
@@ -0,0 +1,5 @@
+-- 'superseded' n'existe pas avant 0014: ces entrées repassent en 'discarded'
+update public.dead_letters set status = 'discarded' where status = 'superseded';
+alter table public.dead_letters drop constraint if exists dead_letters_status_check;
+alter table public.dead_letters add constraint dead_letters_status_check
+  check (status in ('pending','exhausted','discarded'));
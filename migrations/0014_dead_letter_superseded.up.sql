@@ -0,0 +1,9 @@
+-- =========================================
+-- 0014 • dead letters: statut 'superseded'
+--   retry d'un event refusé par la garde de version (position déjà mise à jour
+--   par un event plus récent, cf. 0010): l'event n'est plus applicable mais
+--   l'entrée est conservée pour audit au lieu d'être supprimée comme résolue
+-- =========================================
+alter table public.dead_letters drop constraint if exists dead_letters_status_check;
+alter table public.dead_letters add constraint dead_letters_status_check
+  check (status in ('pending','exhausted','discarded','superseded'));
@@ -0,0 +1 @@
+drop function if exists public.positions_restore_snapshot(text, int8, jsonb);
@@ -0,0 +1,85 @@
+-- =========================================
+-- 0015 • annulation reorg en une transaction
+--   positions_restore_snapshot: remet une position et ses buckets dans l'état
+--   d'un snapshot reorg_undo (cf. db.js snapshotPosition) en un seul appel:
+--   - buckets actuels de la position supprimés
+--   - snapshot sans position (absente avant l'event) -> position supprimée
+--   - sinon ligne complète réécrite (version 0010 incluse: le rejeu après
+--     reorg repasse la garde), puis buckets d'origine réinsérés
+--   exposure_agg suit par le trigger positions_exposure_trg
+-- =========================================
+create or replace function public.positions_restore_snapshot(
+  _deployment  text,
+  _position_id int8,
+  _snapshot    jsonb
+)
+returns void
+language plpgsql
+as $$
+begin
+  delete from public.order_buckets where deployment = _deployment and position_id = _position_id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _position_id;
+
+  if coalesce(jsonb_typeof(_snapshot -> 'position'), 'null') = 'null' then
+    delete from public.positions where deployment = _deployment and id = _position_id;
+    return;
+  end if;
+
+  insert into public.positions as p (
+    deployment, id, state, asset_id, trader_addr, long_side, lots, leverage_x,
+    entry_x6, target_x6, sl_x6, tp_x6, liq_x6, notional_usd6, margin_usd6,
+    close_reason, exec_x6, pnl_usd6,
+    opened_block, opened_at, opened_tx,
+    executed_block, executed_at, executed_tx,
+    closed_block, closed_at, closed_tx,
+    version_block, version_log_index
+  )
+  select _deployment, _position_id, r.state, r.asset_id, r.trader_addr, r.long_side, r.lots, r.leverage_x,
+         r.entry_x6, r.target_x6, coalesce(r.sl_x6, 0), coalesce(r.tp_x6, 0), coalesce(r.liq_x6, 0),
+         r.notional_usd6, r.margin_usd6,
+         r.close_reason, r.exec_x6, r.pnl_usd6,
+         r.opened_block, r.opened_at, r.opened_tx,
+         r.executed_block, r.executed_at, r.executed_tx,
+         r.closed_block, r.closed_at, r.closed_tx,
+         r.version_block, r.version_log_index
+  from jsonb_populate_record(null::public.positions, _snapshot -> 'position') r
+  on conflict (deployment, id) do update
+  set state             = excluded.state,
+      asset_id          = excluded.asset_id,
+      trader_addr       = excluded.trader_addr,
+      long_side         = excluded.long_side,
+      lots              = excluded.lots,
+      leverage_x        = excluded.leverage_x,
+      entry_x6          = excluded.entry_x6,
+      target_x6         = excluded.target_x6,
+      sl_x6             = excluded.sl_x6,
+      tp_x6             = excluded.tp_x6,
+      liq_x6            = excluded.liq_x6,
+      notional_usd6     = excluded.notional_usd6,
+      margin_usd6       = excluded.margin_usd6,
+      close_reason      = excluded.close_reason,
+      exec_x6           = excluded.exec_x6,
+      pnl_usd6          = excluded.pnl_usd6,
+      opened_block      = excluded.opened_block,
+      opened_at         = excluded.opened_at,
+      opened_tx         = excluded.opened_tx,
+      executed_block    = excluded.executed_block,
+      executed_at       = excluded.executed_at,
+      executed_tx       = excluded.executed_tx,
+      closed_block      = excluded.closed_block,
+      closed_at         = excluded.closed_at,
+      closed_tx         = excluded.closed_tx,
+      version_block     = excluded.version_block,
+      version_log_index = excluded.version_log_index;
+
+  insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+  select _deployment, r.asset_id, r.bucket_id, _position_id, r.lots, r.side
+  from jsonb_populate_recordset(null::public.order_buckets, coalesce(_snapshot -> 'order_buckets', '[]'::jsonb)) r
+  on conflict do nothing;
+
+  insert into public.stop_buckets (deployment, asset_id, bucket_id, position_id, stop_type, lots, side)
+  select _deployment, r.asset_id, r.bucket_id, _position_id, r.stop_type, r.lots, r.side
+  from jsonb_populate_recordset(null::public.stop_buckets, coalesce(_snapshot -> 'stop_buckets', '[]'::jsonb)) r
+  on conflict do nothing;
+end
+$$;
@@ -1,72 +1,20 @@
+-- ⚠️ HISTORIQUE — ne plus modifier ce fichier.
+-- Le schéma de référence est versionné dans migrations/ (node src/migrate.js up).
+-- Évolutions successives du modèle positions, gardées pour les bases existantes
+-- (prérequis avant `migrate up`: cf. README et migrations/0000_baseline).
+-- L'ancien modèle trades / ingest_* (types trade_state / remove_reason, assets(id, tick_x6),
+-- price_to_bucket, get_ids_by_tick, get_trader_ids_grouped, get_trade_detail)
+-- a été retiré avec l'API historique (src/server.js) qui était seule à le lire;
+-- l'API est src/endpoint.js.
 
 -- ===============================
 -- BROKEX / SUPABASE - MVP SCHEMA
 -- ===============================
 
--- ---------- ENUMS ----------
-do $$
-begin
-  if not exists (select 1 from pg_type where typname = 'trade_state') then
-    create type trade_state as enum ('ORDER','OPEN','CLOSED','CANCELLED');
-  end if;
-  if not exists (select 1 from pg_type where typname = 'remove_reason') then
-    create type remove_reason as enum ('CANCELLED','MARKET','SL','TP','LIQ');
-  end if;
-end$$;
-
 -- ---------- TABLES ----------
-create table if not exists public.assets (
-  id           int4 primary key,
-  symbol       text not null,
-  tick_x6      int8 not null,              -- ex: 10000 => $0.01 (x1e6)
-  lot_num      numeric default 1,          -- optionnel
-  lot_den      numeric default 1,          -- optionnel
-  created_at   timestamptz default now()
-);
-
-create table if not exists public.trades (
-  id                int8 primary key,      -- id on-chain
-  owner_addr        text not null,         -- 0x...
-  asset_id          int4 not null references public.assets(id) on delete restrict,
-
-  long_side         boolean not null,
-  lots              int2 not null,
-  leverage_x        int2 not null,         -- 1..100
-  margin_usd6       int8 not null,
-
-  state             trade_state not null,  -- ORDER | OPEN | CLOSED | CANCELLED
-
-  entry_x6          int8 not null default 0,
-  target_x6         int8 not null default 0,
-  sl_x6             int8 not null default 0,
-  tp_x6             int8 not null default 0,
-  liq_x6            int8 not null default 0,
-
-  opened_at         timestamptz default now(),
-  executed_at       timestamptz,
-  closed_at         timestamptz,
-  cancelled_at      timestamptz,
-  removed_reason    remove_reason,
-  last_tx_hash      text,
-  last_block_num    bigint,
-
-  -- buckets (pré-calculés pour recherches par prix/tick)
-  target_bucket     int8,
-  sl_bucket         int8,
-  tp_bucket         int8,
-  liq_bucket        int8,
-
-  constraint chk_state_entry
-    check (
-      (state='ORDER'     and entry_x6=0) or
-      (state in ('OPEN','CLOSED') and entry_x6<>0) or
-      (state='CANCELLED')
-    )
-);
-
 create table if not exists public.trade_events (
   id              bigserial primary key,
-  trade_id        int8 not null references public.trades(id) on delete cascade,
+  trade_id        int8 not null,           -- = positions.id
   evt             text not null,           -- 'Opened' | 'Executed' | 'StopsUpdated' | 'Removed'
   payload         jsonb not null,
   tx_hash         text,
@@ -74,225 +22,8 @@ create table if not exists public.trade_events (
   occurred_at     timestamptz not null default now()
 );
 
--- ---------- INDEXES ----------
-create index if not exists trades_owner_state_idx on public.trades(owner_addr, state);
-create index if not exists trades_asset_state_idx on public.trades(asset_id, state);
-
--- Tick lookups (index partiels)
-create index if not exists trades_target_bucket_idx on public.trades(asset_id, target_bucket) where state='ORDER';
-create index if not exists trades_sl_bucket_idx     on public.trades(asset_id, sl_bucket)     where state='OPEN';
-create index if not exists trades_tp_bucket_idx     on public.trades(asset_id, tp_bucket)     where state='OPEN';
-create index if not exists trades_liq_bucket_idx    on public.trades(asset_id, liq_bucket)    where state='OPEN';
-
--- ---------- HELPERS (SQL functions) ----------
--- Calcule le bucket pour un prix en fonction du tick de l'asset.
-create or replace function public.price_to_bucket(_asset_id int4, _price_x6 int8)
-returns int8
-language sql
-stable
-as $$
-  select floor(_price_x6 / a.tick_x6)::int8
-  from assets a
-  where a.id = _asset_id
-$$;
-
--- ---------- RPC LECTURE (ENDPOINTS) ----------
-
--- A) Par “tick” : retourne tous les IDs liés à ce prix/tick (ORDER/SL/TP/LIQ)
-create or replace function public.get_ids_by_tick(
-  in _asset_id int4,
-  in _price_x6 int8
-)
-returns table(id int8, kind text)
-language sql
-stable
-as $$
-  with b as (select price_to_bucket(_asset_id, _price_x6) as bucket)
-  -- ORDER (target)
-  select t.id, 'ORDER'
-  from trades t, b
-  where t.asset_id=_asset_id and t.state='ORDER'
-    and t.target_bucket = b.bucket
-
-  union all
-  -- SL (OPEN)
-  select t.id, 'SL'
-  from trades t, b
-  where t.asset_id=_asset_id and t.state='OPEN' and t.sl_x6<>0
-    and t.sl_bucket = b.bucket
-
-  union all
-  -- TP (OPEN)
-  select t.id, 'TP'
-  from trades t, b
-  where t.asset_id=_asset_id and t.state='OPEN' and t.tp_x6<>0
-    and t.tp_bucket = b.bucket
-
-  union all
-  -- LIQ (OPEN)
-  select t.id, 'LIQ'
-  from trades t, b
-  where t.asset_id=_asset_id and t.state='OPEN' and t.liq_x6<>0
-    and t.liq_bucket = b.bucket
-$$;
-
--- B) IDs d’un trader groupés par état (JSON)
-create or replace function public.get_trader_ids_grouped(
-  in _owner_addr text
-)
-returns jsonb
-language sql
-stable
-as $$
-select jsonb_build_object(
-  'order',     coalesce((select jsonb_agg(id order by id) from trades where owner_addr=_owner_addr and state='ORDER'), '[]'::jsonb),
-  'open',      coalesce((select jsonb_agg(id order by id) from trades where owner_addr=_owner_addr and state='OPEN'), '[]'::jsonb),
-  'closed',    coalesce((select jsonb_agg(id order by id) from trades where owner_addr=_owner_addr and state='CLOSED'), '[]'::jsonb),
-  'cancelled', coalesce((select jsonb_agg(id order by id) from trades where owner_addr=_owner_addr and state='CANCELLED'), '[]'::jsonb)
-);
-$$;
-
--- C) Détails d’une position (retourne la ligne complète)
-create or replace function public.get_trade_detail(
-  in _id int8
-)
-returns trades
-language sql
-stable
-as $$
-  select * from trades where id=_id;
-$$;
-
--- ---------- RPC INGESTION (facultatif mais pratique) ----------
--- Appelées par ton indexer quand il lit les events on-chain.
-
--- 1) Opened (market ou limit)
--- entry_or_target_x6 = entry si state=OPEN, target si state=ORDER
-create or replace function public.ingest_opened(
-  _id int8,
-  _owner_addr text,
-  _asset_id int4,
-  _long_side boolean,
-  _lots int2,
-  _leverage_x int2,
-  _margin_usd6 int8,
-  _state trade_state,              -- 'ORDER' ou 'OPEN'
-  _entry_or_target_x6 int8,
-  _sl_x6 int8,
-  _tp_x6 int8,
-  _liq_x6 int8,
-  _tx_hash text,
-  _block_num bigint
-)
-returns void
-language plpgsql
-volatile
-as $$
-begin
-  insert into public.trades as t (
-    id, owner_addr, asset_id, long_side, lots, leverage_x, margin_usd6,
-    state, entry_x6, target_x6, sl_x6, tp_x6, liq_x6,
-    opened_at, last_tx_hash, last_block_num,
-    target_bucket, sl_bucket, tp_bucket, liq_bucket
-  )
-  values (
-    _id, _owner_addr, _asset_id, _long_side, _lots, _leverage_x, _margin_usd6,
-    _state,
-    case when _state='OPEN' then _entry_or_target_x6 else 0 end,
-    case when _state='ORDER' then _entry_or_target_x6 else 0 end,
-    _sl_x6, _tp_x6, _liq_x6,
-    now(), _tx_hash, _block_num,
-    case when _state='ORDER' and _entry_or_target_x6<>0 then price_to_bucket(_asset_id, _entry_or_target_x6) else null end,
-    case when _sl_x6<>0 then price_to_bucket(_asset_id, _sl_x6) else null end,
-    case when _tp_x6<>0 then price_to_bucket(_asset_id, _tp_x6) else null end,
-    case when _liq_x6<>0 then price_to_bucket(_asset_id, _liq_x6) else null end
-  )
-  on conflict (id) do update
-  set state          = excluded.state,
-      entry_x6       = excluded.entry_x6,
-      target_x6      = excluded.target_x6,
-      sl_x6          = excluded.sl_x6,
-      tp_x6          = excluded.tp_x6,
-      liq_x6         = excluded.liq_x6,
-      last_tx_hash   = excluded.last_tx_hash,
-      last_block_num = excluded.last_block_num,
-      target_bucket  = excluded.target_bucket,
-      sl_bucket      = excluded.sl_bucket,
-      tp_bucket      = excluded.tp_bucket,
-      liq_bucket     = excluded.liq_bucket;
-end
-$$;
-
--- 2) Executed (LIMIT -> OPEN)
-create or replace function public.ingest_executed(
-  _id int8,
-  _entry_x6 int8,
-  _tx_hash text,
-  _block_num bigint
-)
-returns void
-language sql
-volatile
-as $$
-  update public.trades
-  set state='OPEN',
-      entry_x6 = _entry_x6,
-      executed_at = coalesce(executed_at, now()),
-      last_tx_hash=_tx_hash, last_block_num=_block_num
-  where id=_id;
-$$;
-
--- 3) StopsUpdated
-create or replace function public.ingest_stops_updated(
-  _id int8,
-  _sl_x6 int8,
-  _tp_x6 int8,
-  _tx_hash text,
-  _block_num bigint
-)
-returns void
-language plpgsql
-volatile
-as $$
-declare
-  _asset_id int4;
-begin
-  select asset_id into _asset_id from trades where id=_id;
-  update public.trades
-  set sl_x6=_sl_x6,
-      tp_x6=_tp_x6,
-      sl_bucket = case when _sl_x6<>0 then price_to_bucket(_asset_id, _sl_x6) else null end,
-      tp_bucket = case when _tp_x6<>0 then price_to_bucket(_asset_id, _tp_x6) else null end,
-      last_tx_hash=_tx_hash, last_block_num=_block_num
-  where id=_id;
-end
-$$;
-
--- 4) Removed (CLOSED ou CANCELLED)
-create or replace function public.ingest_removed(
-  _id int8,
-  _reason remove_reason,      -- 'CANCELLED' | 'MARKET' | 'SL' | 'TP' | 'LIQ'
-  _exec_x6 int8,
-  _pnl_usd6 numeric,
-  _tx_hash text,
-  _block_num bigint
-)
-returns void
-language sql
-volatile
-as $$
-  update public.trades
-  set state = case when _reason='CANCELLED' then 'CANCELLED'::trade_state else 'CLOSED'::trade_state end,
-      removed_reason = _reason,
-      closed_at   = case when _reason<>'CANCELLED' then now() else null end,
-      cancelled_at= case when _reason='CANCELLED' then now() else null end,
-      last_tx_hash=_tx_hash, last_block_num=_block_num
-  where id=_id;
-$$;
-
 -- ---------- RLS (Row-Level Security) ----------
 alter table public.assets       enable row level security;
-alter table public.trades       enable row level security;
 alter table public.trade_events enable row level security;
 
 -- Lecture publique (lisible par ton backend / indexer / front)
@@ -303,11 +34,6 @@ begin
       for select using (true);
   end if;
 
-  if not exists (select 1 from pg_policies where schemaname='public' and tablename='trades' and policyname='read_trades_public') then
-    create policy read_trades_public on public.trades
-      for select using (true);
-  end if;
-
   if not exists (select 1 from pg_policies where schemaname='public' and tablename='trade_events' and policyname='read_events_public') then
     create policy read_events_public on public.trade_events
       for select using (true);
@@ -675,3 +401,563 @@ end$$;
 
 
 
+
+-- =========================================
+-- TABLE: indexer_checkpoints (reprise après redémarrage)
+--   last_block = dernier bloc ENTIÈREMENT traité pour ce contrat;
+--   au démarrage l'indexer rejoue [last_block+1 .. head] via eth_getLogs
+-- =========================================
+create table if not exists public.indexer_checkpoints (
+  contract_addr  text primary key,          -- 0x... (minuscule)
+  last_block     int8 not null,
+  updated_at     timestamptz not null default now()
+);
+
+alter table public.indexer_checkpoints enable row level security;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename  = 'indexer_checkpoints'
+      and policyname = 'read_indexer_checkpoints_public'
+  ) then
+    create policy read_indexer_checkpoints_public on public.indexer_checkpoints
+      for select using (true);
+  end if;
+end$$;
+
+-- =========================================
+-- TABLE: reorg_undo (annulation des events en cas de réorganisation)
+--   snapshot = état AVANT l'event: { position, order_buckets, stop_buckets }
+--   purgé au-delà de REORG_WINDOW blocs
+-- =========================================
+create table if not exists public.reorg_undo (
+  block_number  int8 not null,
+  block_hash    text not null,
+  tx_hash       text not null,
+  log_index     int4 not null,
+  position_id   int8 not null,
+  snapshot      jsonb not null,
+  created_at    timestamptz not null default now(),
+  primary key (block_number, tx_hash, log_index)
+);
+
+create index if not exists reorg_undo_block_idx
+  on public.reorg_undo(block_number);
+
+-- =========================================
+-- TABLE: processed_events (idempotence des handlers)
+--   un event (block, tx, logIndex) n'est appliqué qu'une seule fois,
+--   même en cas de rejeu / rattrapage / listeners concurrents
+-- =========================================
+create table if not exists public.processed_events (
+  block_number  int8 not null,
+  tx_hash       text not null,
+  log_index     int4 not null,
+  event_name    text not null,             -- 'Opened' | 'Executed' | 'StopsUpdated' | 'Removed'
+  position_id   int8,
+  processed_at  timestamptz not null default now(),
+  primary key (block_number, tx_hash, log_index)
+);
+
+create index if not exists processed_events_position_idx
+  on public.processed_events(position_id);
+
+-- =========================================
+-- trade_events = journal append-only de TOUS les events décodés
+--   (trade_id = positions.id; plus de FK vers l'ancien modèle trades)
+--   removed=true: event annulé par une réorganisation (ignoré au rebuild)
+-- =========================================
+alter table public.trade_events drop constraint if exists trade_events_trade_id_fkey;
+
+alter table public.trade_events add column if not exists block_hash text;
+alter table public.trade_events add column if not exists log_index  int4;
+alter table public.trade_events add column if not exists block_time timestamptz;
+alter table public.trade_events add column if not exists raw        jsonb;   -- { address, topics, data }
+alter table public.trade_events add column if not exists removed    boolean not null default false;
+
+create unique index if not exists trade_events_block_tx_log_uidx
+  on public.trade_events(block_num, tx_hash, log_index);
+
+create index if not exists trade_events_trade_idx
+  on public.trade_events(trade_id, block_num, log_index);
+
+-- =========================================
+-- TABLE: dead_letters (events dont le handler a échoué)
+--   event = row journal (toJournalRow) pour rejouer l'event à l'identique
+--   status: pending (retenté à next_retry_at) | exhausted (max tentatives,
+--   retry manuel via l'API) | discarded (abandonné via l'API)
+--   une ligne disparaît quand l'event finit par être appliqué
+-- =========================================
+create table if not exists public.dead_letters (
+  id              bigserial primary key,
+  block_number    int8 not null,
+  tx_hash         text not null,
+  log_index       int4 not null,
+  event_name      text not null,
+  position_id     int8,
+  event           jsonb not null,
+  error           text,
+  attempts        int4 not null default 1,
+  status          text not null default 'pending'
+                  check (status in ('pending','exhausted','discarded')),
+  next_retry_at   timestamptz,
+  first_failed_at timestamptz not null default now(),
+  last_failed_at  timestamptz not null default now(),
+  unique (block_number, tx_hash, log_index)
+);
+
+create index if not exists dead_letters_due_idx
+  on public.dead_letters(status, next_retry_at);
+
+-- =========================================
+-- DEPLOYMENTS (plusieurs chaînes / contrats dans la même base)
+--   deployment = nom logique (env DEPLOYMENTS, cf. src/shared/deployments.js)
+--   toutes les tables métier portent une colonne deployment (def: 'default',
+--   les lignes existantes y sont rattachées) et leurs clés l'incluent.
+--   processed_events / reorg_undo / trade_events / dead_letters gardent la clé
+--   (block, tx, logIndex): un tx hash est propre à une chaîne (EIP-155).
+--   NB: les FK éventuelles vers positions(id) sont supprimées (cascade).
+-- =========================================
+create table if not exists public.deployments (
+  name           text primary key,
+  chain_id       int8,
+  contract_addr  text not null,             -- 0x... (minuscule)
+  created_at     timestamptz not null default now(),
+  unique (chain_id, contract_addr)
+);
+
+alter table public.deployments enable row level security;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename  = 'deployments'
+      and policyname = 'read_deployments_public'
+  ) then
+    create policy read_deployments_public on public.deployments
+      for select using (true);
+  end if;
+end$$;
+
+alter table public.positions           add column if not exists deployment text not null default 'default';
+alter table public.order_buckets       add column if not exists deployment text not null default 'default';
+alter table public.stop_buckets        add column if not exists deployment text not null default 'default';
+alter table public.exposure_agg        add column if not exists deployment text not null default 'default';
+alter table public.meta_signatures     add column if not exists deployment text not null default 'default';
+alter table public.meta_actions        add column if not exists deployment text not null default 'default';
+alter table public.indexer_checkpoints add column if not exists deployment text not null default 'default';
+alter table public.processed_events    add column if not exists deployment text not null default 'default';
+alter table public.reorg_undo          add column if not exists deployment text not null default 'default';
+alter table public.trade_events        add column if not exists deployment text not null default 'default';
+alter table public.dead_letters        add column if not exists deployment text not null default 'default';
+
+-- Clés primaires préfixées par deployment
+alter table public.positions drop constraint if exists positions_pkey cascade;
+alter table public.positions add primary key (deployment, id);
+
+alter table public.order_buckets drop constraint if exists order_buckets_pkey cascade;
+alter table public.order_buckets add primary key (deployment, asset_id, bucket_id, position_id);
+
+alter table public.stop_buckets drop constraint if exists stop_buckets_pkey cascade;
+alter table public.stop_buckets add primary key (deployment, asset_id, bucket_id, position_id, stop_type);
+
+alter table public.exposure_agg drop constraint if exists exposure_agg_pkey cascade;
+alter table public.exposure_agg add primary key (deployment, asset_id, side);
+
+alter table public.indexer_checkpoints drop constraint if exists indexer_checkpoints_pkey cascade;
+alter table public.indexer_checkpoints add primary key (deployment, contract_addr);
+
+-- Index de lecture (les anciens sont remplacés)
+drop index if exists public.order_buckets_asset_bucket_side_idx;
+create index if not exists order_buckets_dep_asset_bucket_side_idx
+  on public.order_buckets(deployment, asset_id, bucket_id, side);
+
+drop index if exists public.stop_buckets_asset_bucket_side_idx;
+create index if not exists stop_buckets_dep_asset_bucket_side_idx
+  on public.stop_buckets(deployment, asset_id, bucket_id, side);
+
+create index if not exists positions_dep_trader_idx
+  on public.positions(deployment, trader_addr_lc);
+
+create index if not exists processed_events_dep_block_idx
+  on public.processed_events(deployment, block_number);
+
+create index if not exists reorg_undo_dep_block_idx
+  on public.reorg_undo(deployment, block_number);
+
+create index if not exists trade_events_dep_block_idx
+  on public.trade_events(deployment, block_num, log_index);
+
+create index if not exists dead_letters_dep_due_idx
+  on public.dead_letters(deployment, status, next_retry_at);
+
+create index if not exists meta_signatures_dep_trader_state_idx
+  on public.meta_signatures(deployment, trader_addr, state);
+
+-- exposure_apply: agrégats par (deployment, asset, side)
+drop function if exists public.exposure_apply(int4, boolean, int8, int8, int4, int8, int4);
+
+create or replace function public.exposure_apply(
+  _deployment text,
+  _asset_id   int4,
+  _side       boolean,
+  _lots       int8,
+  _entry_x6   int8,
+  _lev_x      int4,
+  _liq_x6     int8,
+  _sign       int4
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_lots           int8 := coalesce(_lots, 0);
+  v_entry_x6       int8 := coalesce(_entry_x6, 0);
+  v_lev_x          int4 := coalesce(_lev_x, 0);
+  v_liq_x6         int8 := coalesce(_liq_x6, 0);
+  d_sum_lots       int8;
+  d_sum_entry_lots numeric(38,0);
+  d_sum_lev_lots   numeric(38,0);
+  d_sum_liq_lots   numeric(38,0);
+  d_liq_lots       int8;
+  d_count          int8;
+begin
+  if v_lots = 0 then
+    return;
+  end if;
+
+  d_sum_lots       := _sign * v_lots;
+  d_sum_entry_lots := _sign * (v_entry_x6::numeric * v_lots::numeric);
+  d_sum_lev_lots   := _sign * (v_lev_x::numeric * v_lots::numeric);
+  d_sum_liq_lots   := case when v_liq_x6 > 0 then _sign * (v_liq_x6::numeric * v_lots::numeric) else 0 end;
+  d_liq_lots       := case when v_liq_x6 > 0 then _sign * v_lots else 0 end;
+  d_count          := _sign * 1;
+
+  insert into public.exposure_agg as ea (
+    deployment, asset_id, side, sum_lots, sum_entry_x6_lots, sum_leverage_lots, sum_liq_x6_lots, sum_liq_lots, positions_count
+  )
+  values (_deployment, _asset_id, _side, d_sum_lots, d_sum_entry_lots, d_sum_lev_lots, d_sum_liq_lots, d_liq_lots, d_count)
+  on conflict (deployment, asset_id, side) do update
+  set sum_lots          = ea.sum_lots          + excluded.sum_lots,
+      sum_entry_x6_lots = ea.sum_entry_x6_lots + excluded.sum_entry_x6_lots,
+      sum_leverage_lots = ea.sum_leverage_lots + excluded.sum_leverage_lots,
+      sum_liq_x6_lots   = ea.sum_liq_x6_lots   + excluded.sum_liq_x6_lots,
+      sum_liq_lots      = ea.sum_liq_lots      + excluded.sum_liq_lots,
+      positions_count   = ea.positions_count   + excluded.positions_count;
+end
+$$;
+
+create or replace function public.positions_exposure_trg()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (tg_op = 'INSERT') then
+    if new.state = 1 then
+      perform public.exposure_apply(new.deployment, new.asset_id, new.long_side, new.lots, new.entry_x6, new.leverage_x, new.liq_x6, +1);
+    end if;
+    return new;
+  end if;
+
+  if (tg_op = 'UPDATE') then
+    if coalesce(old.state, -1) = 1 then
+      perform public.exposure_apply(old.deployment, old.asset_id, old.long_side, old.lots, old.entry_x6, old.leverage_x, old.liq_x6, -1);
+    end if;
+    if coalesce(new.state, -1) = 1 then
+      perform public.exposure_apply(new.deployment, new.asset_id, new.long_side, new.lots, new.entry_x6, new.leverage_x, new.liq_x6, +1);
+    end if;
+    return new;
+  end if;
+
+  if (tg_op = 'DELETE') then
+    if old.state = 1 then
+      perform public.exposure_apply(old.deployment, old.asset_id, old.long_side, old.lots, old.entry_x6, old.leverage_x, old.liq_x6, -1);
+    end if;
+    return old;
+  end if;
+
+  return null;
+end
+$$;
+
+-- Vue: la colonne deployment s'ajoute en tête (drop + create, create or replace
+-- ne permet pas d'insérer une colonne)
+drop view if exists public.exposure_metrics;
+create view public.exposure_metrics as
+select
+  ea.deployment,
+  ea.asset_id,
+  case when ea.side then 'LONG' else 'SHORT' end as side_label,
+  ea.sum_lots,
+  case when ea.sum_lots > 0
+       then floor(ea.sum_entry_x6_lots / ea.sum_lots)
+       else null end                          as avg_entry_x6,
+  case when ea.sum_lots > 0
+       then (ea.sum_leverage_lots::numeric / ea.sum_lots)::numeric
+       else null end                          as avg_leverage_x,
+  case when ea.sum_liq_lots > 0
+       then floor(ea.sum_liq_x6_lots / ea.sum_liq_lots)
+       else null end                          as avg_liq_x6,
+  ea.positions_count
+from public.exposure_agg ea;
+
+-- =========================================
+-- positions: provenance de chaque transition
+--   opened_*   = event Opened   (ordre limite ou ouverture market)
+--   executed_* = event Executed (ordre -> position)
+--   closed_*   = event Removed  (fermeture ou annulation)
+--   renseignée par l'indexer; par les reconcilers via journal / eth_getLogs
+-- =========================================
+alter table public.positions add column if not exists opened_block   int8;
+alter table public.positions add column if not exists opened_at      timestamptz;
+alter table public.positions add column if not exists opened_tx      text;
+alter table public.positions add column if not exists executed_block int8;
+alter table public.positions add column if not exists executed_at    timestamptz;
+alter table public.positions add column if not exists executed_tx    text;
+alter table public.positions add column if not exists closed_block   int8;
+alter table public.positions add column if not exists closed_at      timestamptz;
+alter table public.positions add column if not exists closed_tx      text;
+
+-- Rattrapage depuis le journal pour les positions existantes
+update public.positions p
+set opened_block = te.block_num, opened_at = te.block_time, opened_tx = te.tx_hash
+from (
+  select distinct on (deployment, trade_id) deployment, trade_id, block_num, block_time, tx_hash
+  from public.trade_events
+  where evt = 'Opened' and removed = false
+  order by deployment, trade_id, block_num desc, log_index desc
+) te
+where te.deployment = p.deployment and te.trade_id = p.id and p.opened_block is null;
+
+update public.positions p
+set executed_block = te.block_num, executed_at = te.block_time, executed_tx = te.tx_hash
+from (
+  select distinct on (deployment, trade_id) deployment, trade_id, block_num, block_time, tx_hash
+  from public.trade_events
+  where evt = 'Executed' and removed = false
+  order by deployment, trade_id, block_num desc, log_index desc
+) te
+where te.deployment = p.deployment and te.trade_id = p.id and p.executed_block is null;
+
+update public.positions p
+set closed_block = te.block_num, closed_at = te.block_time, closed_tx = te.tx_hash
+from (
+  select distinct on (deployment, trade_id) deployment, trade_id, block_num, block_time, tx_hash
+  from public.trade_events
+  where evt = 'Removed' and removed = false
+  order by deployment, trade_id, block_num desc, log_index desc
+) te
+where te.deployment = p.deployment and te.trade_id = p.id and p.closed_block is null;
+
+-- =========================================
+-- Application atomique des events (appelées via PostgREST /rpc/…)
+--   une transaction par event: positions, order_buckets, stop_buckets et
+--   exposure_agg (trigger) bougent ensemble, ou pas du tout.
+--   Mêmes règles que les anciens handlers JS (shared/db.js):
+--   - bucket = div(prix_x6, tick_size_usd6) (troncature comme BigInt)
+--   - notional = div(entry_x6 * lots * lot_num, lot_den), margin = div(notional, leverage_x)
+--   - stops: side antagoniste (!long_side), lots de la position
+--   - provenance (_block/_at/_tx) nulle => colonne inchangée
+-- =========================================
+
+-- Helper: indexe SL/TP/LIQ non nuls d'une position
+create or replace function public.positions_index_stops(
+  _deployment  text,
+  _asset_id    int4,
+  _position_id int8,
+  _sl_x6       int8,
+  _tp_x6       int8,
+  _liq_x6      int8,
+  _long_side   boolean,
+  _lots        int4
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_tick int8;
+begin
+  select a.tick_size_usd6 into v_tick from public.assets a where a.asset_id = _asset_id;
+  if v_tick is null then
+    raise exception 'Asset % introuvable (table assets)', _asset_id;
+  end if;
+
+  insert into public.stop_buckets (deployment, asset_id, bucket_id, position_id, stop_type, lots, side)
+  select _deployment, _asset_id, div(s.px, v_tick), _position_id, s.stop_type, coalesce(_lots, 0), not _long_side
+  from (values (coalesce(_sl_x6, 0), 1), (coalesce(_tp_x6, 0), 2), (coalesce(_liq_x6, 0), 3)) as s(px, stop_type)
+  where s.px <> 0
+  on conflict (deployment, asset_id, bucket_id, position_id, stop_type) do nothing;
+end
+$$;
+
+-- Opened (state 0 = ORDER, 1 = OPEN): insert (doublon ignoré) + indexation
+create or replace function public.positions_apply_opened(
+  _deployment         text,
+  _id                 int8,
+  _state              int4,
+  _asset_id           int4,
+  _long_side          boolean,
+  _lots               int4,
+  _entry_or_target_x6 int8,
+  _sl_x6              int8,
+  _tp_x6              int8,
+  _liq_x6             int8,
+  _trader             text,
+  _leverage_x         int4,
+  _block              int8 default null,
+  _at                 timestamptz default null,
+  _tx                 text default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  a          public.assets%rowtype;
+  v_notional numeric;
+  v_margin   numeric;
+begin
+  select * into a from public.assets where asset_id = _asset_id;
+  if not found then
+    raise exception 'Asset % introuvable (table assets)', _asset_id;
+  end if;
+
+  if _state = 1 then
+    v_notional := div(_entry_or_target_x6::numeric * _lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1));
+    v_margin   := div(v_notional, _leverage_x);
+  end if;
+
+  insert into public.positions (
+    deployment, id, state, asset_id, trader_addr, long_side, lots, leverage_x,
+    entry_x6, target_x6, sl_x6, tp_x6, liq_x6, notional_usd6, margin_usd6,
+    opened_block, opened_at, opened_tx
+  )
+  values (
+    _deployment, _id, _state, _asset_id, _trader, _long_side, _lots, _leverage_x,
+    case when _state = 1 then _entry_or_target_x6 end,
+    case when _state = 0 then _entry_or_target_x6 end,
+    coalesce(_sl_x6, 0), coalesce(_tp_x6, 0), coalesce(_liq_x6, 0),
+    v_notional, v_margin,
+    _block, _at, lower(_tx)
+  )
+  on conflict (deployment, id) do nothing;
+
+  if _state = 0 then
+    insert into public.order_buckets (deployment, asset_id, bucket_id, position_id, lots, side)
+    values (_deployment, _asset_id, div(_entry_or_target_x6, a.tick_size_usd6), _id, coalesce(_lots, 0), _long_side)
+    on conflict (deployment, asset_id, bucket_id, position_id) do nothing;
+  else
+    delete from public.stop_buckets where deployment = _deployment and position_id = _id;
+    perform public.positions_index_stops(_deployment, _asset_id, _id, _sl_x6, _tp_x6, _liq_x6, _long_side, _lots);
+  end if;
+end
+$$;
+
+-- Executed (ORDER -> OPEN): state, entry, notional/margin, index order -> stops
+create or replace function public.positions_apply_executed(
+  _deployment text,
+  _id         int8,
+  _entry_x6   int8,
+  _block      int8 default null,
+  _at         timestamptz default null,
+  _tx         text default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  p          record;
+  a          public.assets%rowtype;
+  v_notional numeric;
+begin
+  select * into p from public.positions where deployment = _deployment and id = _id for update;
+  if not found then
+    raise exception 'Position % introuvable pour Executed', _id;
+  end if;
+
+  select * into a from public.assets where asset_id = p.asset_id;
+  if not found then
+    raise exception 'Asset % introuvable (table assets)', p.asset_id;
+  end if;
+
+  v_notional := div(_entry_x6::numeric * p.lots * coalesce(a.lot_num, 1), coalesce(a.lot_den, 1));
+
+  update public.positions
+  set state          = 1,
+      entry_x6       = _entry_x6,
+      notional_usd6  = v_notional,
+      margin_usd6    = div(v_notional, p.leverage_x),
+      executed_block = coalesce(_block, executed_block),
+      executed_at    = coalesce(_at, executed_at),
+      executed_tx    = coalesce(lower(_tx), executed_tx)
+  where deployment = _deployment and id = _id;
+
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+  perform public.positions_index_stops(_deployment, p.asset_id, _id, p.sl_x6, p.tp_x6, p.liq_x6, p.long_side, p.lots);
+end
+$$;
+
+-- StopsUpdated: SL/TP (LIQ conservé), réindexation SL/TP
+create or replace function public.positions_apply_stops_updated(
+  _deployment text,
+  _id         int8,
+  _sl_x6      int8,
+  _tp_x6      int8
+)
+returns void
+language plpgsql
+as $$
+declare
+  p record;
+begin
+  select * into p from public.positions where deployment = _deployment and id = _id for update;
+  if not found then
+    raise exception 'Position % introuvable pour StopsUpdated', _id;
+  end if;
+
+  update public.positions
+  set sl_x6 = coalesce(_sl_x6, 0),
+      tp_x6 = coalesce(_tp_x6, 0)
+  where deployment = _deployment and id = _id;
+
+  delete from public.stop_buckets
+  where deployment = _deployment and position_id = _id and stop_type in (1, 2);
+  perform public.positions_index_stops(_deployment, p.asset_id, _id, _sl_x6, _tp_x6, 0, p.long_side, p.lots);
+end
+$$;
+
+-- Removed (fermeture ou annulation): state=2 + clôture, plus aucun index
+create or replace function public.positions_apply_removed(
+  _deployment text,
+  _id         int8,
+  _reason     int4,
+  _exec_x6    int8,
+  _pnl_usd6   numeric,
+  _block      int8 default null,
+  _at         timestamptz default null,
+  _tx         text default null
+)
+returns void
+language plpgsql
+as $$
+begin
+  update public.positions
+  set state        = 2,
+      close_reason = _reason,
+      exec_x6      = coalesce(_exec_x6, 0),
+      pnl_usd6     = coalesce(_pnl_usd6, 0),
+      closed_block = coalesce(_block, closed_block),
+      closed_at    = coalesce(_at, closed_at),
+      closed_tx    = coalesce(lower(_tx), closed_tx)
+  where deployment = _deployment and id = _id;
+
+  -- ordre limite annulé: son order_bucket part aussi
+  delete from public.order_buckets where deployment = _deployment and position_id = _id;
+  delete from public.stop_buckets  where deployment = _deployment and position_id = _id;
+end
+$$;
@@ -4,36 +4,39 @@
 // - If equal: run manual_backfill ONLY on the missing holes (skip 0)
 // - Else: run manual_backfill on (missing holes + tail [dbMax+1..chainMax]) (skip 0)
 // - Chunks ids to avoid long argv
+// - Un passage par déploiement (shared/deployments.js), ou un seul via --deployment
+// - --bulk transmis à manual_backfill (écriture par lots, exposure recalculée par chunk:
+//   monter BACKFILL_CHUNK_SIZE en conséquence)
 //
 // Usage:
 //   node src/backfill_missing_auto.js
+//   node src/backfill_missing_auto.js --deployment=testnet
+//   BACKFILL_CHUNK_SIZE=10000 node src/backfill_missing_auto.js --bulk
 //
 // Env (reuse from your project):
-//   RPC_URL / RPC_HTTP        → EVM RPC
+//   DEPLOYMENTS?              → déploiements (def: CONTRACT_ADDR + RPC_URLS ci-dessous)
+//   RPC_URLS (ou RPC_URL / RPC_HTTP) → EVM RPC (liste = failover, cf. shared/rpc.js)
+//   RPC_QUORUM?               → transmis à manual_backfill (stateOf/getTrade)
 //   CONTRACT_ADDR             → contract address (has nextId())
-//   POSTGREST_URL (ou ENDPOINT) → base PostgREST (ex: http://127.0.0.1:9304)
+//   STORAGE?                  → rest (def) | pg | memory (cf. shared/store/index.js)
+//   ENDPOINT (ou POSTGREST_URL) → base PostgREST si STORAGE=rest (ex: http://127.0.0.1:9304)
 //   BACKFILL_CHUNK_SIZE?      → optional, default 400
 //   DB_PAGE_SIZE?             → optional, default 10000
 // ======================================================================
 
 import 'dotenv/config';
 import { spawn } from 'node:child_process';
-import { ethers } from 'ethers';
+import { RpcContract } from './shared/rpc.js';
+import { get as pgGet, STORAGE } from './shared/store/index.js';
+import { DEPLOYMENTS, getDeployment, assertDeployment } from './shared/deployments.js';
 
 // ---------- ENV ----------
-const RPC_URL       = (process.env.RPC_URL || process.env.RPC_HTTP || '').trim();
-const CONTRACT_ADDR = (process.env.CONTRACT_ADDR || '').trim();
-// Supporte POSTGREST_URL et ENDPOINT (comme shared/rest.js)
-const POSTGREST_URL = (
-  process.env.POSTGREST_URL ||
-  process.env.ENDPOINT ||
-  process.env.REST_URL ||
-  process.env.POSTGREST_ENDPOINT ||
-  'http://127.0.0.1:9304'
-).trim();
-
-if (!RPC_URL)       throw new Error('RPC_URL manquant');
-if (!CONTRACT_ADDR) throw new Error('CONTRACT_ADDR manquant');
+const flags = Object.fromEntries(process.argv.slice(2).map(a => {
+  const [k, v = 'true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
+  return [k, v];
+}));
+const DEPS = (flags.deployment ? [getDeployment(flags.deployment)] : DEPLOYMENTS)
+  .map((d) => assertDeployment(d, { rpc: true }));
 
 const CHUNK        = Math.max(1, Number(process.env.BACKFILL_CHUNK_SIZE || 400));
 const DB_PAGE_SIZE = Math.max(1000, Number(process.env.DB_PAGE_SIZE || 10000));
@@ -51,28 +54,18 @@ const ABI_NEXTID = [
   }
 ];
 
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const contract = new ethers.Contract(CONTRACT_ADDR, ABI_NEXTID, provider);
+// nextId() avance en continu: failover seulement (pas de quorum)
+const rpcFor = (dep) => new RpcContract({ address: dep.contract, abi: ABI_NEXTID, urls: dep.rpcUrls, quorum: 1 });
 
 // ---------- Helpers ----------
 const log = (...a) => console.log(new Date().toISOString(), `[${TAG}]`, ...a);
 const err = (...a) => console.error(new Date().toISOString(), `[${TAG}]`, ...a);
 
-// GET via PostgREST
-async function pgGet(path) {
-  const base = POSTGREST_URL.replace(/\/+$/,'');
-  const url  = `${base}/${String(path).replace(/^\/+/, '')}`;
-  const r = await fetch(url, { headers: { Accept: 'application/json' } });
-  if (!r.ok) {
-    const t = await r.text().catch(()=> '');
-    throw new Error(`GET ${path} -> HTTP ${r.status} :: ${t}`);
-  }
-  return r.json();
-}
+const depEq = (dep) => `deployment=eq.${encodeURIComponent(dep.name)}`;
 
 // DB max id
-async function getDbMaxId() {
-  const rows = await pgGet('positions?select=id&order=id.desc&limit=1');
+async function getDbMaxId(dep) {
+  const rows = await pgGet(`positions?${depEq(dep)}&select=id&order=id.desc&limit=1`);
   const maxId = rows?.[0]?.id;
   if (maxId === undefined || maxId === null) return -1;
   const n = Number(maxId);
@@ -80,10 +73,10 @@ async function getDbMaxId() {
 }
 
 // All DB ids (paginé)
-async function getAllDbIds() {
+async function getAllDbIds(dep) {
   const seen = new Set();
   for (let offset = 0; ; offset += DB_PAGE_SIZE) {
-    const rows = await pgGet(`positions?select=id&order=id.asc&limit=${DB_PAGE_SIZE}&offset=${offset}`);
+    const rows = await pgGet(`positions?${depEq(dep)}&select=id&order=id.asc&limit=${DB_PAGE_SIZE}&offset=${offset}`);
     if (!rows || rows.length === 0) break;
     for (const r of rows) {
       const n = Number(r.id);
@@ -113,75 +106,93 @@ function chunkIds(arr, size) {
   return chunks;
 }
 
-async function callManualBackfill(idsChunk) {
+async function callManualBackfill(dep, idsChunk) {
   return new Promise((resolve) => {
-    const args = ['src/manual_backfill.js', `--ids=${idsChunk.join(',')}`];
+    const args = ['src/manual_backfill.js', `--deployment=${dep.name}`, `--ids=${idsChunk.join(',')}`];
+    if (flags.bulk === 'true') args.push('--bulk');
     const p = spawn('node', args, { stdio: 'inherit' });
     p.on('exit', (code) => resolve(code ?? 0));
   });
 }
 
-// ---------- Main ----------
-(async () => {
-  log(`RPC=${RPC_URL} | CONTRACT=${CONTRACT_ADDR} | POSTGREST=${POSTGREST_URL}`);
+// ---------- Backfill d'un déploiement ----------
+// → nb de chunks en erreur (-1 si nextId() illisible)
+async function backfillDeployment(dep) {
+  const rpc = rpcFor(dep);
+  log(`[${dep.name}] RPC=${rpc.describe()} | CONTRACT=${dep.contract} | STORAGE=${STORAGE}`);
 
   // 1) Chain max = nextId() - 1
   let chainNext, chainMax;
   try {
-    chainNext = await contract.nextId();
+    chainNext = await rpc.read((c) => c.nextId());
     chainMax = Number(chainNext) - 1;
   } catch (e) {
-    err('Erreur nextId():', e?.shortMessage || e?.message || e);
-    process.exit(1);
+    err(`[${dep.name}] Erreur nextId():`, e?.shortMessage || e?.message || e);
+    return -1;
   }
   if (!Number.isInteger(chainMax)) {
-    err('chainMax invalide');
-    process.exit(1);
+    err(`[${dep.name}] chainMax invalide`);
+    return -1;
   }
-  log(`Chain nextId=${String(chainNext)} => chainMax=${chainMax}`);
+  log(`[${dep.name}] Chain nextId=${String(chainNext)} => chainMax=${chainMax}`);
 
   // 2) DB max
-  const dbMax = await getDbMaxId();
-  log(`DB maxId=${dbMax}`);
+  const dbMax = await getDbMaxId(dep);
+  log(`[${dep.name}] DB maxId=${dbMax}`);
 
   // 3) Récupère tous les ids DB & calcule les trous jusqu’à dbMax
-  const seen = await getAllDbIds();
+  const seen = await getAllDbIds(dep);
   const missingUpToDb = computeMissingIds(seen, dbMax, { skipZero: true });
 
   // 4) Si dbMax < chainMax, on ajoute la queue [dbMax+1 .. chainMax]
   let idsToBackfill = [];
   if (dbMax === chainMax) {
     idsToBackfill = missingUpToDb;
-    log(`dbMax === chainMax → uniquement les trous: missing=${idsToBackfill.length}`);
+    log(`[${dep.name}] dbMax === chainMax → uniquement les trous: missing=${idsToBackfill.length}`);
   } else {
     const tailStart = Math.max(1, dbMax + 1);
     const tail = tailStart <= chainMax
       ? Array.from({ length: chainMax - tailStart + 1 }, (_, i) => tailStart + i)
       : [];
     idsToBackfill = Array.from(new Set([...missingUpToDb, ...tail])).sort((a,b)=>a-b);
-    log(`dbMax(${dbMax}) != chainMax(${chainMax}) → trous + queue. missing=${missingUpToDb.length}, tail=${tail.length}, total=${idsToBackfill.length}`);
+    log(`[${dep.name}] dbMax(${dbMax}) != chainMax(${chainMax}) → trous + queue. missing=${missingUpToDb.length}, tail=${tail.length}, total=${idsToBackfill.length}`);
   }
 
   if (idsToBackfill.length === 0) {
-    log('Rien à backfiller. ✅');
-    process.exit(0);
+    log(`[${dep.name}] Rien à backfiller. ✅`);
+    return 0;
   }
 
   // 5) Chunk + call manual_backfill
   const chunks = chunkIds(idsToBackfill, CHUNK);
-  log(`Backfill en ${chunks.length} chunk(s) de ≤ ${CHUNK} id ...`);
+  log(`[${dep.name}] Backfill en ${chunks.length} chunk(s) de ≤ ${CHUNK} id ...`);
 
   let fail = 0;
   for (let i = 0; i < chunks.length; i++) {
     const c = chunks[i];
-    log(`Chunk ${i+1}/${chunks.length}: ids=[${c[0]}..${c[c.length-1]}] (${c.length})`);
-    const code = await callManualBackfill(c);
+    log(`[${dep.name}] Chunk ${i+1}/${chunks.length}: ids=[${c[0]}..${c[c.length-1]}] (${c.length})`);
+    const code = await callManualBackfill(dep, c);
     if (code !== 0) {
       fail++;
-      err(`manual_backfill a quitté avec code=${code} pour le chunk ${i+1}`);
+      err(`[${dep.name}] manual_backfill a quitté avec code=${code} pour le chunk ${i+1}`);
     }
   }
+  return fail;
+}
 
+// ---------- Main ----------
+(async () => {
+  let rpcFailed = 0, fail = 0;
+  for (const dep of DEPS) {
+    const r = await backfillDeployment(dep);
+    if (r < 0) rpcFailed++;
+    else fail += r;
+  }
+
+  if (rpcFailed > 0) {
+    err(`Terminé: ${rpcFailed} déploiement(s) sans nextId().`);
+    process.exit(1);
+  }
   if (fail > 0) {
     err(`Terminé avec ${fail} chunk(s) en erreur.`);
     process.exit(2);
@@ -1,18 +1,44 @@
 // src/endpoint.js
 import 'dotenv/config';
+import crypto from 'node:crypto';
 import express from 'express';
 import cors from 'cors';
 
-import { get, postArray } from './shared/rest.js';
+import { get, postArray } from './shared/store/index.js';
 import { logInfo, logErr } from './shared/logger.js';
 import { verifyAndSync, verifyAndSyncFull } from './verify.js';
-import { getMissingPositionIds } from './shared/db.js';
+import {
+  getMissingPositionIds,
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetter,
+  createAsset,
+  updateAsset,
+  rebucketAsset,
+  getStopsHistory,
+  checkExposureDrift,
+  getExposureHistory,
+  ASSET_COLS
+} from './shared/db.js';
+import { watchAssetChanges } from './shared/assetwatch.js';
+import { DEPLOYMENTS, DEFAULT_DEPLOYMENT, getDeployment } from './shared/deployments.js';
 
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+// Déploiement ciblé (chaîne + contrat): ?deployment=<nom> ou header X-Deployment,
+// def: DEFAULT_DEPLOYMENT; inconnu → 400 deployment_unknown
+app.use((req, res, next) => {
+  try {
+    req.dep = getDeployment(req.query.deployment ?? req.get('x-deployment'));
+    next();
+  } catch (e) {
+    bad(res, e.message, e.http || 400);
+  }
+});
+
 const PORT = Number(process.env.API_PORT || process.env.PORT || 7392);
 
 /* -------------------------------
@@ -32,6 +58,25 @@ function priceStrToX6(str) {
   return BigInt(sign + digits);
 }
 
+/** Format x6 BigInt as decimal price string with `decimals` digits (e.g. 108910010000n, 2 → "108910.01"). */
+function x6ToPriceStr(x6, decimals = 6) {
+  const v = BigInt(x6);
+  const abs = (v < 0n ? -v : v) / 10n ** BigInt(6 - decimals);
+  const s = abs.toString().padStart(decimals + 1, '0');
+  const out = decimals > 0 ? `${s.slice(0, -decimals)}.${s.slice(-decimals)}` : s;
+  return v < 0n ? `-${out}` : out;
+}
+
+/** Decimals implied by a tick size x6 (1000000 → 0, 10000 → 2, 1 → 6) */
+function tickDecimals(tick) {
+  let t = BigInt(tick), d = 6;
+  while (d > 0 && t % 10n === 0n) { t /= 10n; d--; }
+  return d;
+}
+
+/** Price step x6 → whole number of buckets (rounded up, min 1) */
+const bucketsPerStep = (stepX6, tick) => (stepX6 <= tick ? 1n : (stepX6 + tick - 1n) / tick);
+
 /** Compute bucket id from (asset, price x6) using assets.tick_size_usd6 */
 async function computeBucketId(assetId, priceX6) {
   const rows = await get(`assets?asset_id=eq.${Number(assetId)}&select=tick_size_usd6&limit=1`);
@@ -43,6 +88,21 @@ async function computeBucketId(assetId, priceX6) {
 }
 
 function ok(res, data) { res.json(data); }
+
+/** Routes d'admin: Authorization: Bearer <ADMIN_TOKEN> (ou X-Admin-Token); ADMIN_TOKEN absent → 503 */
+const ADMIN_TOKEN = String(process.env.ADMIN_TOKEN || '');
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return bad(res, 'admin_disabled', 503);
+  const auth = String(req.get('authorization') || '');
+  const token = auth.toLowerCase().startsWith('bearer ') ? auth.slice(7).trim() : String(req.get('x-admin-token') || '');
+  if (!token || !crypto.timingSafeEqual(sha256(token), sha256(ADMIN_TOKEN))) return bad(res, 'unauthorized', 401);
+  next();
+}
+
+/** Filtre PostgREST sur le déploiement de la requête */
+const depEq = (req) => `deployment=eq.${encodeURIComponent(req.dep.name)}`;
 function bad(res, msg = 'bad_request', code = 400) { res.status(code).json({ error: msg }); }
 
 /* -------------------------------
@@ -119,7 +179,7 @@ async function resolveBucketRange(q) {
 -------------------------------- */
 app.get('/health', async (_req, res) => {
   try {
-    await get('assets?select=asset_id&limit=1'); // ping PostgREST
+    await get('assets?select=asset_id&limit=1'); // ping du stockage (PostgREST / pg / memory)
     ok(res, { ok: true });
   } catch (e) {
     logErr('API+', e);
@@ -132,7 +192,7 @@ app.get('/health', async (_req, res) => {
 -------------------------------- */
 app.get('/assets', async (_req, res) => {
   try {
-    const rows = await get('assets?select=asset_id,symbol,tick_size_usd6,lot_num,lot_den&order=asset_id.asc');
+    const rows = await get(`assets?select=${ASSET_COLS}&order=asset_id.asc`);
     ok(res, rows || []);
   } catch (e) {
     logErr('API+/assets', e);
@@ -144,7 +204,7 @@ app.get('/assets/:assetId', async (req, res) => {
   try {
     const assetId = Number(req.params.assetId);
     if (!Number.isInteger(assetId)) return bad(res, 'asset_id_invalid');
-    const rows = await get(`assets?asset_id=eq.${assetId}&select=asset_id,symbol,tick_size_usd6,lot_num,lot_den&limit=1`);
+    const rows = await get(`assets?asset_id=eq.${assetId}&select=${ASSET_COLS}&limit=1`);
     if (!rows?.length) return res.status(404).json({ error: 'asset_not_found' });
     ok(res, rows[0]);
   } catch (e) {
@@ -153,6 +213,111 @@ app.get('/assets/:assetId', async (req, res) => {
   }
 });
 
+/* -------------------------------
+   Assets — admin (authentifié, cf. requireAdmin)
+   POST  /assets           { asset_id, symbol, tick_size_usd6, lot_num?, lot_den? } -> 201 asset
+   PATCH /assets/:assetId  { symbol?, tick_size_usd6?, lot_num?, lot_den? }         -> 200 asset
+   Le cache assets de chaque listener / API est invalidé (cf. shared/assetwatch.js).
+-------------------------------- */
+const ASSET_FIELDS = ['symbol', 'tick_size_usd6', 'lot_num', 'lot_den'];
+
+/** Valide les champs d'asset fournis; entiers x6 acceptés en number ou string */
+function parseAssetFields(body, { partial }) {
+  const src = body && typeof body === 'object' ? body : {};
+  const out = {};
+  const posInt = (v) => /^[0-9]+$/.test(String(v ?? '').trim()) && BigInt(String(v).trim()) > 0n;
+
+  for (const k of Object.keys(src)) {
+    if (!ASSET_FIELDS.includes(k) && !(k === 'asset_id' && !partial)) {
+      throw Object.assign(new Error('field_not_allowed'), { http: 400 });
+    }
+  }
+  if (src.symbol !== undefined || !partial) {
+    const sym = typeof src.symbol === 'string' ? src.symbol.trim() : '';
+    if (!sym || sym.length > 32) throw Object.assign(new Error('symbol_invalid'), { http: 400 });
+    out.symbol = sym;
+  }
+  if (src.tick_size_usd6 !== undefined || !partial) {
+    if (!posInt(src.tick_size_usd6)) throw Object.assign(new Error('bad_tick'), { http: 400 });
+    out.tick_size_usd6 = String(src.tick_size_usd6).trim();
+  }
+  for (const k of ['lot_num', 'lot_den']) {
+    if (src[k] === undefined) continue;
+    if (!posInt(src[k])) throw Object.assign(new Error('lot_invalid'), { http: 400 });
+    out[k] = String(src[k]).trim();
+  }
+  if (!Object.keys(out).length) throw Object.assign(new Error('no_fields'), { http: 400 });
+  return out;
+}
+
+app.post('/assets', requireAdmin, async (req, res) => {
+  try {
+    const assetId = Number(req.body?.asset_id);
+    if (!Number.isInteger(assetId) || assetId < 0) return bad(res, 'asset_id_invalid');
+    const fields = parseAssetFields(req.body, { partial: false });
+
+    const row = await createAsset({ asset_id: assetId, ...fields });
+    if (!row) return bad(res, 'asset_exists', 409);
+    logInfo('API+/assets', `created asset ${assetId} ${fields.symbol}`);
+    res.status(201).json(row);
+  } catch (e) {
+    if (e?.http) return bad(res, e.message, e.http);
+    logErr('API+/assets POST', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+app.patch('/assets/:assetId', requireAdmin, async (req, res) => {
+  try {
+    const assetId = Number(req.params.assetId);
+    if (!Number.isInteger(assetId)) return bad(res, 'asset_id_invalid');
+    const fields = parseAssetFields(req.body, { partial: true });
+
+    const row = await updateAsset(assetId, fields);
+    if (!row) return res.status(404).json({ error: 'asset_not_found' });
+    logInfo('API+/assets', `updated asset ${assetId}: ${Object.keys(fields).join(',')}`);
+    ok(res, row);
+  } catch (e) {
+    if (e?.http) return bad(res, e.message, e.http);
+    logErr('API+/assets PATCH', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+/* -------------------------------
+   Re-bucketing d'un asset (admin) — à lancer après un changement de tick
+   POST /assets/:assetId/rebucket
+   - recalcule order_buckets / stop_buckets depuis positions, en une transaction
+   - tous les déploiements, sauf sélecteur explicite (?deployment= / X-Deployment)
+   -> { asset_id, deployment, tick_size_usd6, positions, orders: {before, after, moved}, stops: {...} }
+-------------------------------- */
+app.post('/assets/:assetId/rebucket', requireAdmin, async (req, res) => {
+  try {
+    const assetId = Number(req.params.assetId);
+    if (!Number.isInteger(assetId) || assetId < 0) return bad(res, 'asset_id_invalid');
+
+    const rows = await get(`assets?asset_id=eq.${assetId}&select=asset_id&limit=1`);
+    if (!rows?.length) return res.status(404).json({ error: 'asset_not_found' });
+
+    const explicit = req.query.deployment !== undefined || req.get('x-deployment') !== undefined;
+    ok(res, await rebucketAsset(assetId, { deployment: explicit ? req.dep.name : undefined }));
+  } catch (e) {
+    logErr('API+/assets/rebucket', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+/* -------------------------------
+   Deployments (chaînes / contrats indexés)
+   GET /deployments -> { default, items: [{ name, chain_id, contract }] }
+-------------------------------- */
+app.get('/deployments', (_req, res) => {
+  ok(res, {
+    default: DEFAULT_DEPLOYMENT,
+    items: DEPLOYMENTS.map(d => ({ name: d.name, chain_id: d.chainId, contract: d.contract }))
+  });
+});
+
 /* -------------------------------
    Position detail (with "max" support)
    GET /position/:id
@@ -166,7 +331,7 @@ app.get('/position/:id', async (req, res) => {
     // Mot-clé spécial: /position/max
     if (raw.toLowerCase() === 'max') {
       // on renvoie aussi la row complète de la position max (pratique)
-      const rows = await get('positions?select=*&order=id.desc&limit=1');
+      const rows = await get(`positions?${depEq(req)}&select=*&order=id.desc&limit=1`);
       const row = rows?.[0] ?? null;
       return ok(res, {
         max_id: row ? String(row.id) : null,
@@ -177,7 +342,7 @@ app.get('/position/:id', async (req, res) => {
     // Cas standard: id numérique -> garde la logique intacte
     if (!/^\d+$/.test(raw)) return bad(res, 'id_invalid', 400);
 
-    const rows = await get(`positions?id=eq.${raw}&select=*&limit=1`);
+    const rows = await get(`positions?${depEq(req)}&id=eq.${raw}&select=*&limit=1`);
     if (!rows?.length) return res.status(404).json({ error: 'position_not_found' });
     ok(res, rows[0]);
   } catch (e) {
@@ -186,14 +351,47 @@ app.get('/position/:id', async (req, res) => {
   }
 });
 
+/* -------------------------------
+   Historique SL/TP d'une position (ordre d'application)
+   GET /position/:id/stops-history?limit=100&offset=0
+   -> { position_id, sl_x6, tp_x6, count, items: [{ evt, old_sl_x6, old_tp_x6, sl_x6, tp_x6,
+        block_number, log_index, tx_hash, block_time, recorded_at }] }
+-------------------------------- */
+app.get('/position/:id/stops-history', async (req, res) => {
+  try {
+    const raw = String(req.params.id).trim();
+    if (!/^\d+$/.test(raw)) return bad(res, 'id_invalid', 400);
+
+    const limit  = Math.min(Math.max(Number(req.query.limit ?? 100) || 100, 1), 1000);
+    const offset = Math.max(Number(req.query.offset ?? 0) || 0, 0);
+
+    const [pos, items] = await Promise.all([
+      get(`positions?${depEq(req)}&id=eq.${raw}&select=id,sl_x6,tp_x6&limit=1`),
+      getStopsHistory(req.dep.name, raw, { limit, offset })
+    ]);
+    if (!pos?.length) return res.status(404).json({ error: 'position_not_found' });
+
+    ok(res, {
+      position_id: String(pos[0].id),
+      sl_x6: pos[0].sl_x6,
+      tp_x6: pos[0].tp_x6,
+      count: items.length,
+      items
+    });
+  } catch (e) {
+    logErr('API+/position/:id/stops-history', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 /* -------------------------------
    Missing IDs (global)
    GET /missing
    -> { ok, count, missing_ids: [...] }
 -------------------------------- */
-app.get('/missing', async (_req, res) => {
+app.get('/missing', async (req, res) => {
   try {
-    const missing = await getMissingPositionIds();
+    const missing = await getMissingPositionIds(req.dep.name);
     res.json({ ok: true, count: missing.length, missing_ids: missing });
   } catch (e) {
     logErr('API+/missing', e);
@@ -213,9 +411,9 @@ app.get('/trader/:addr', async (req, res) => {
     const addr = toLowerAddr(addrRaw);
 
     const [orders, open, closedAll] = await Promise.all([
-      get(`positions?trader_addr_lc=eq.${addr}&state=eq.0&select=id&order=id.asc`),
-      get(`positions?trader_addr_lc=eq.${addr}&state=eq.1&select=id&order=id.asc`),
-      get(`positions?trader_addr_lc=eq.${addr}&state=eq.2&select=id,close_reason&order=id.asc`)
+      get(`positions?${depEq(req)}&trader_addr_lc=eq.${addr}&state=eq.0&select=id&order=id.asc`),
+      get(`positions?${depEq(req)}&trader_addr_lc=eq.${addr}&state=eq.1&select=id&order=id.asc`),
+      get(`positions?${depEq(req)}&trader_addr_lc=eq.${addr}&state=eq.2&select=id,close_reason&order=id.asc`)
     ]);
 
     const cancelled = (closedAll || []).filter(r => r.close_reason === 0).map(r => r.id);
@@ -265,7 +463,7 @@ app.get('/bucket/orders', async (req, res) => {
     const sort = parseSort(req.query);
     const ord  = parseOrder(req.query);
 
-    let qp = `order_buckets?asset_id=eq.${asset}&bucket_id=eq.${bucketId}` +
+    let qp = `order_buckets?${depEq(req)}&asset_id=eq.${asset}&bucket_id=eq.${bucketId}` +
              `&select=position_id,lots,side&order=${sort}.${ord}`;
     if (side !== null) qp += `&side=eq.${side}`;
 
@@ -298,7 +496,7 @@ app.get('/bucket/stops', async (req, res) => {
     const sort = parseSort(req.query);
     const ord  = parseOrder(req.query);
 
-    let qp = `stop_buckets?asset_id=eq.${asset}&bucket_id=eq.${bucketId}` +
+    let qp = `stop_buckets?${depEq(req)}&asset_id=eq.${asset}&bucket_id=eq.${bucketId}` +
              `&select=position_id,stop_type,lots,side&order=${sort}.${ord}`;
     if (side !== null) qp += `&side=eq.${side}`;
 
@@ -346,7 +544,7 @@ app.get('/bucket/orders-range', async (req, res) => {
     const ord  = parseOrder(req.query);
     const group = String(req.query.group || '').trim() === '1';
 
-    let qp = `order_buckets?asset_id=eq.${asset}&bucket_id=gte.${fromId}&bucket_id=lte.${toId}` +
+    let qp = `order_buckets?${depEq(req)}&asset_id=eq.${asset}&bucket_id=gte.${fromId}&bucket_id=lte.${toId}` +
              `&select=bucket_id,position_id,lots,side&order=bucket_id.asc,${sort}.${ord}`;
     if (side !== null) qp += `&side=eq.${side}`;
 
@@ -406,7 +604,7 @@ app.get('/bucket/stops-range', async (req, res) => {
     const ord  = parseOrder(req.query);
     const group = String(req.query.group || '').trim() === '1';
 
-    let qp = `stop_buckets?asset_id=eq.${asset}&bucket_id=gte.${fromId}&bucket_id=lte.${toId}` +
+    let qp = `stop_buckets?${depEq(req)}&asset_id=eq.${asset}&bucket_id=gte.${fromId}&bucket_id=lte.${toId}` +
              `&select=bucket_id,position_id,stop_type,lots,side&order=bucket_id.asc,${sort}.${ord}`;
     if (side !== null) qp += `&side=eq.${side}`;
 
@@ -463,9 +661,9 @@ app.get('/bucket/stops-range', async (req, res) => {
 /* -------------------------------
    Exposure
 -------------------------------- */
-app.get('/exposure', async (_req, res) => {
+app.get('/exposure', async (req, res) => {
   try {
-    const rows = await get('exposure_metrics?select=asset_id,side_label,sum_lots,avg_entry_x6,avg_leverage_x,avg_liq_x6,positions_count&order=asset_id.asc,side_label.asc');
+    const rows = await get(`exposure_metrics?${depEq(req)}&select=asset_id,side_label,sum_lots,avg_entry_x6,avg_leverage_x,avg_liq_x6,positions_count&order=asset_id.asc,side_label.asc`);
     ok(res, rows || []);
   } catch (e) {
     logErr('API+/exposure', e);
@@ -473,23 +671,147 @@ app.get('/exposure', async (_req, res) => {
   }
 });
 
+/* -------------------------------
+   PnL latent & exposition nette au prix mark (exposure_agg + assets.lot_num / lot_den)
+   GET /exposure/pnl?marks=0:108910.01,1:3850.2   (tous les actifs cotés)
+   GET /exposure/:assetId/pnl?mark=108910.01
+   - par side: upnl = ±(mark * sum_lots - somme(entry * lots)) * lot_num / lot_den (usd6)
+   - net = traders (long - short); house = contrepartie (opposé du net)
+   - skew = (long - short) / (long + short) en lots, null si aucun lot
+   - montants usd6 en texte (BigInt)
+   -> { asset_id, mark_x6, long, short, net: { lots, exposure_usd6, upnl_usd6 }, house: { exposure_usd6, upnl_usd6 }, skew }
+-------------------------------- */
+const isDecimal = (v) => /^\d+(\.\d+)?$/.test(String(v ?? '').trim());
+const AGG_COLS = 'asset_id,side,sum_lots,sum_entry_x6_lots,positions_count';
+
+/** Agrégats long / short d'un actif → PnL latent, exposition nette, skew au prix markX6 (BigInt) */
+function exposurePnl(asset, aggRows, markX6) {
+  const num = BigInt(asset.lot_num ?? 1);
+  const den = BigInt(asset.lot_den ?? 1);
+  const usd6 = (x6Lots) => (x6Lots * num) / den; // tronqué vers 0 (comme div() côté SQL)
+
+  const side = (long) => {
+    const r = aggRows.find(a => String(a.side) === String(long)) || {};
+    const lots = BigInt(r.sum_lots ?? 0);
+    const entry = BigInt(r.sum_entry_x6_lots ?? 0);
+    const upnl = usd6(long ? markX6 * lots - entry : entry - markX6 * lots);
+    return {
+      lots,
+      upnl,
+      out: {
+        sum_lots: Number(lots),
+        positions_count: Number(r.positions_count ?? 0),
+        avg_entry_x6: lots > 0n ? Number(entry / lots) : null,
+        entry_notional_usd6: usd6(entry).toString(),
+        mark_notional_usd6: usd6(markX6 * lots).toString(),
+        upnl_usd6: upnl.toString()
+      }
+    };
+  };
+
+  const long = side(true);
+  const short = side(false);
+  const netLots = long.lots - short.lots;
+  const netExposure = usd6(markX6 * netLots);
+  const netUpnl = long.upnl + short.upnl;
+  const totalLots = long.lots + short.lots;
+
+  return {
+    asset_id: Number(asset.asset_id),
+    mark_x6: markX6.toString(),
+    long: long.out,
+    short: short.out,
+    net: { lots: Number(netLots), exposure_usd6: netExposure.toString(), upnl_usd6: netUpnl.toString() },
+    house: { exposure_usd6: (-netExposure).toString(), upnl_usd6: (-netUpnl).toString() },
+    skew: totalLots > 0n ? Number(netLots) / Number(totalLots) : null
+  };
+}
+
+app.get('/exposure/pnl', async (req, res) => {
+  try {
+    const raw = String(req.query.marks ?? '').trim();
+    if (!raw) return bad(res, 'marks_required');
+
+    const marks = new Map(); // asset_id -> mark_x6
+    for (const part of raw.split(',')) {
+      const m = /^(\d+):(.+)$/.exec(part.trim());
+      if (!m || !isDecimal(m[2]) || priceStrToX6(m[2]) <= 0n) return bad(res, 'marks_invalid');
+      marks.set(Number(m[1]), priceStrToX6(m[2]));
+    }
+
+    const [assets, agg] = await Promise.all([
+      get(`assets?select=${ASSET_COLS}&order=asset_id.asc`),
+      get(`exposure_agg?${depEq(req)}&select=${AGG_COLS}`)
+    ]);
+    const byId = new Map((assets || []).map(a => [Number(a.asset_id), a]));
+    for (const id of marks.keys()) {
+      if (!byId.has(id)) return res.status(404).json({ error: 'asset_not_found' });
+    }
+
+    const items = Array.from(marks.keys()).sort((x, y) => x - y)
+      .map(id => exposurePnl(byId.get(id), (agg || []).filter(r => Number(r.asset_id) === id), marks.get(id)));
+    const sum = (f) => items.reduce((acc, it) => acc + BigInt(f(it)), 0n).toString();
+    const unpriced = Array.from(new Set((agg || [])
+      .filter(r => Number(r.sum_lots) !== 0 && !marks.has(Number(r.asset_id)))
+      .map(r => Number(r.asset_id)))).sort((x, y) => x - y);
+
+    ok(res, {
+      count: items.length,
+      items,
+      total: {
+        upnl_usd6: sum(it => it.net.upnl_usd6),
+        exposure_usd6: sum(it => it.net.exposure_usd6),
+        house_upnl_usd6: sum(it => it.house.upnl_usd6),
+        house_exposure_usd6: sum(it => it.house.exposure_usd6)
+      },
+      unpriced
+    });
+  } catch (e) {
+    logErr('API+/exposure/pnl', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+app.get('/exposure/:assetId/pnl', async (req, res) => {
+  try {
+    const assetId = Number(req.params.assetId);
+    if (!Number.isInteger(assetId)) return bad(res, 'asset_id_invalid');
+    if (!isDecimal(req.query.mark) || priceStrToX6(req.query.mark) <= 0n) return bad(res, 'mark_invalid');
+
+    const [assets, agg] = await Promise.all([
+      get(`assets?asset_id=eq.${assetId}&select=${ASSET_COLS}&limit=1`),
+      get(`exposure_agg?${depEq(req)}&asset_id=eq.${assetId}&select=${AGG_COLS}`)
+    ]);
+    if (!assets?.length) return res.status(404).json({ error: 'asset_not_found' });
+
+    ok(res, exposurePnl(assets[0], agg || [], priceStrToX6(req.query.mark)));
+  } catch (e) {
+    logErr('API+/exposure/:asset/pnl', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+/** Ligne exposure_metrics / exposure_history → { sum_lots, avg_*, positions_count } */
+function exposureSide(r) {
+  return {
+    sum_lots: Number(r.sum_lots || 0),
+    avg_entry_x6: r.avg_entry_x6 === null ? null : Number(r.avg_entry_x6),
+    avg_leverage_x: r.avg_leverage_x === null ? null : Number(r.avg_leverage_x),
+    avg_liq_x6: r.avg_liq_x6 === null ? null : Number(r.avg_liq_x6),
+    positions_count: Number(r.positions_count || 0)
+  };
+}
+
 app.get('/exposure/:assetId', async (req, res) => {
   try {
     const assetId = Number(req.params.assetId);
     if (!Number.isInteger(assetId)) return bad(res, 'asset_id_invalid');
 
-    const rows = await get(`exposure_metrics?asset_id=eq.${assetId}&select=asset_id,side_label,sum_lots,avg_entry_x6,avg_leverage_x,avg_liq_x6,positions_count`);
+    const rows = await get(`exposure_metrics?${depEq(req)}&asset_id=eq.${assetId}&select=asset_id,side_label,sum_lots,avg_entry_x6,avg_leverage_x,avg_liq_x6,positions_count`);
     const out = { asset_id: assetId, long: null, short: null };
     for (const r of (rows || [])) {
-      const obj = {
-        sum_lots: Number(r.sum_lots || 0),
-        avg_entry_x6: r.avg_entry_x6 === null ? null : Number(r.avg_entry_x6),
-        avg_leverage_x: r.avg_leverage_x === null ? null : Number(r.avg_leverage_x),
-        avg_liq_x6: r.avg_liq_x6 === null ? null : Number(r.avg_liq_x6),
-        positions_count: Number(r.positions_count || 0)
-      };
-      if (String(r.side_label).toUpperCase() === 'LONG') out.long = obj;
-      if (String(r.side_label).toUpperCase() === 'SHORT') out.short = obj;
+      if (String(r.side_label).toUpperCase() === 'LONG') out.long = exposureSide(r);
+      if (String(r.side_label).toUpperCase() === 'SHORT') out.short = exposureSide(r);
     }
     ok(res, out);
   } catch (e) {
@@ -498,6 +820,91 @@ app.get('/exposure/:assetId', async (req, res) => {
   }
 });
 
+/* -------------------------------
+   Historique d'exposition (exposure_snapshots, migration 0013)
+   GET /exposure/:assetId/history?from=<ISO|unix s>&to=<ISO|unix s>&interval=<s|5m|1h|1d>
+   - def: to = maintenant, from = to - 24h, interval = 1h
+   - une photo par intervalle (la dernière), par side; side absent → null
+   -> { asset_id, from, to, interval, count, points: [{ t, long, short }] }
+-------------------------------- */
+const HISTORY_MAX_POINTS = 2000;
+const INTERVAL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/** "2026-10-18T00:00:00Z" | "1760745600" (unix s) → ms; invalide → NaN */
+function parseTime(v) {
+  const s = String(v).trim();
+  const ms = /^\d+$/.test(s) ? Number(s) * 1000 : Date.parse(s);
+  return Number.isNaN(new Date(ms).getTime()) ? NaN : ms;
+}
+
+/** "3600" | "5m" | "1h" | "1d" → secondes; invalide → NaN */
+function parseInterval(v) {
+  const m = /^(\d+)([smhd]?)$/.exec(String(v).trim().toLowerCase());
+  return m ? Number(m[1]) * INTERVAL_UNITS[m[2] || 's'] : NaN;
+}
+
+app.get('/exposure/:assetId/history', async (req, res) => {
+  try {
+    const assetId = Number(req.params.assetId);
+    if (!Number.isInteger(assetId)) return bad(res, 'asset_id_invalid');
+
+    const to = req.query.to === undefined ? Date.now() : parseTime(req.query.to);
+    const from = req.query.from === undefined ? to - 86400 * 1000 : parseTime(req.query.from);
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) return bad(res, 'range_invalid');
+
+    const interval = req.query.interval === undefined ? 3600 : parseInterval(req.query.interval);
+    if (!Number.isInteger(interval) || interval <= 0) return bad(res, 'interval_invalid');
+    if ((to - from) / (interval * 1000) > HISTORY_MAX_POINTS) return bad(res, 'range_too_large');
+
+    const rows = await getExposureHistory(req.dep.name, assetId, { from, to, interval_s: interval });
+    const points = new Map(); // t -> { t, long, short }
+    for (const r of rows) {
+      const t = new Date(r.t).toISOString();
+      if (!points.has(t)) points.set(t, { t, long: null, short: null });
+      if (String(r.side_label).toUpperCase() === 'LONG') points.get(t).long = exposureSide(r);
+      if (String(r.side_label).toUpperCase() === 'SHORT') points.get(t).short = exposureSide(r);
+    }
+
+    ok(res, {
+      asset_id: assetId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      interval,
+      count: points.size,
+      points: Array.from(points.values())
+    });
+  } catch (e) {
+    logErr('API+/exposure/:asset/history', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+/* -------------------------------
+   Dérive exposure_agg (admin)
+   POST /exposure/drift?asset=<id>&apply=1
+   - recalcule depuis les positions ouvertes, compare à exposure_agg par (asset, side)
+   - apply=1: agrégats remplacés en une transaction si écart
+   - tous les déploiements, sauf sélecteur explicite (?deployment= / X-Deployment)
+   -> { deployment, asset_id, checked, drifted, applied, rows: [{ deployment, asset_id, side, actual, expected }] }
+-------------------------------- */
+app.post('/exposure/drift', requireAdmin, async (req, res) => {
+  try {
+    const rawAsset = req.query.asset;
+    if (rawAsset !== undefined && !/^\d+$/.test(String(rawAsset))) return bad(res, 'asset_id_invalid');
+
+    const explicit = req.query.deployment !== undefined || req.get('x-deployment') !== undefined;
+    const apply = String(req.query.apply || '').trim() === '1';
+    ok(res, await checkExposureDrift({
+      deployment: explicit ? req.dep.name : undefined,
+      asset_id: rawAsset === undefined ? undefined : Number(rawAsset),
+      apply
+    }));
+  } catch (e) {
+    logErr('API+/exposure/drift', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 /* -------------------------------
    Bucket RANGE (orders + stops, one-shot)
    Endpoint: /bucket/range
@@ -527,7 +934,7 @@ app.get('/bucket/range', async (req, res) => {
     // Build queries
     const queries = [];
     if (wantOrders) {
-      let qp = `order_buckets?asset_id=eq.${asset}&bucket_id=gte.${fromId}&bucket_id=lte.${toId}` +
+      let qp = `order_buckets?${depEq(req)}&asset_id=eq.${asset}&bucket_id=gte.${fromId}&bucket_id=lte.${toId}` +
                `&select=bucket_id,position_id,lots,side&order=bucket_id.asc,${sort}.${ord}`;
       if (side !== null) qp += `&side=eq.${side}`;
       queries.push(get(qp));
@@ -536,7 +943,7 @@ app.get('/bucket/range', async (req, res) => {
     }
 
     if (wantStops) {
-      let qp = `stop_buckets?asset_id=eq.${asset}&bucket_id=gte.${fromId}&bucket_id=lte.${toId}` +
+      let qp = `stop_buckets?${depEq(req)}&asset_id=eq.${asset}&bucket_id=gte.${fromId}&bucket_id=lte.${toId}` +
                `&select=bucket_id,position_id,stop_type,lots,side&order=bucket_id.asc,${sort}.${ord}`;
       if (side !== null) qp += `&side=eq.${side}`;
       queries.push(get(qp));
@@ -624,6 +1031,171 @@ app.get('/bucket/range', async (req, res) => {
 });
 
 
+/* -------------------------------
+   Heatmap des liquidations (stop_buckets, stop_type=3)
+   GET /heatmap/liquidations/:assetId?from=100000&to=120000&step=250
+   - from, to (prix décimaux, requis), step (prix décimal; def: (to - from) / 100)
+   - bornes alignées sur tick_size_usd6: from/to arrondis au bucket, step au multiple
+     de tick supérieur → chaque bande = des buckets entiers [price_from_x6, price_to_x6[
+   - par bande et par side de la POSITION liquidée (long = liquidé à la baisse):
+     lots cumulés + nombre de positions; bandes vides incluses (continuité du graphe)
+   -> { asset_id, tick_size_usd6, from_x6, to_x6, step_x6, band_count, totals, bands: [...] }
+-------------------------------- */
+const HEATMAP_MAX_BANDS = 1000;
+
+app.get('/heatmap/liquidations/:assetId', async (req, res) => {
+  try {
+    const assetId = Number(req.params.assetId);
+    if (!Number.isInteger(assetId)) return bad(res, 'asset_id_invalid');
+    if (req.query.from === undefined || req.query.to === undefined) return bad(res, 'range_required');
+    if (!isDecimal(req.query.from) || !isDecimal(req.query.to)) return bad(res, 'range_invalid');
+    if (req.query.step !== undefined && (!isDecimal(req.query.step) || priceStrToX6(req.query.step) <= 0n)) return bad(res, 'step_invalid');
+
+    const assets = await get(`assets?asset_id=eq.${assetId}&select=tick_size_usd6&limit=1`);
+    if (!assets?.length) return res.status(404).json({ error: 'asset_not_found' });
+    const tick = BigInt(assets[0].tick_size_usd6);
+    if (tick <= 0n) return bad(res, 'bad_tick');
+
+    const fromB = priceStrToX6(req.query.from) / tick;
+    const toB = (priceStrToX6(req.query.to) + tick - 1n) / tick; // exclu, arrondi au bucket supérieur
+    if (fromB >= toB) return bad(res, 'range_invalid');
+
+    const stepX6 = req.query.step === undefined
+      ? ((toB - fromB) * tick + 99n) / 100n
+      : priceStrToX6(req.query.step);
+    const stepB = bucketsPerStep(stepX6, tick);
+    const bandCount = (toB - fromB + stepB - 1n) / stepB;
+    if (bandCount > BigInt(HEATMAP_MAX_BANDS)) return bad(res, 'range_too_large');
+
+    const rows = await get(
+      `stop_buckets?${depEq(req)}&asset_id=eq.${assetId}&stop_type=eq.3` +
+      `&bucket_id=gte.${fromB}&bucket_id=lt.${toB}&select=bucket_id,lots,side`
+    ) || [];
+
+    const empty = () => ({ lots: 0, count: 0 });
+    const bands = [];
+    for (let k = 0n; k < bandCount; k++) {
+      const lo = fromB + k * stepB;
+      const hi = lo + stepB < toB ? lo + stepB : toB;
+      bands.push({ price_from_x6: (lo * tick).toString(), price_to_x6: (hi * tick).toString(), long: empty(), short: empty() });
+    }
+    const totals = { long: empty(), short: empty() };
+    for (const r of rows) {
+      const band = bands[Number((BigInt(r.bucket_id) - fromB) / stepB)];
+      // stop_buckets.side = side de l'ordre de clôture (opposé de la position)
+      const key = r.side === true ? 'short' : 'long';
+      for (const agg of [band[key], totals[key]]) {
+        agg.lots += Number(r.lots ?? 0);
+        agg.count += 1;
+      }
+    }
+
+    ok(res, {
+      asset_id: assetId,
+      tick_size_usd6: tick.toString(),
+      from_x6: (fromB * tick).toString(),
+      to_x6: (toB * tick).toString(),
+      step_x6: (stepB * tick).toString(),
+      band_count: bands.length,
+      totals,
+      bands
+    });
+  } catch (e) {
+    logErr('API+/heatmap/liquidations', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+/* -------------------------------
+   Carnet d'ordres agrégé (order_buckets → niveaux de prix)
+   GET /book/:assetId?mark=108910.01&depth=20&step=0.5
+   - mark (prix décimal, requis): point de départ du ladder
+   - step (prix décimal; def: tick_size_usd6) arrondi au multiple de tick supérieur;
+     niveau = bucket_id arrondi au multiple de step (inférieur pour les bids,
+     supérieur pour les asks: un niveau n'affiche jamais un meilleur prix que ses ordres)
+   - bids = ordres LONG (achat), asks = ordres SHORT (vente), chacun trié du niveau
+     le plus proche du mark au plus éloigné; depth niveaux par side (def 20, max 500)
+   - seuls les buckets de mark ± depth·step sont lus; totals = cette fenêtre
+   - prix décimaux avec les décimales du tick (tick 10000 → 2 décimales)
+   -> { asset_id, tick_size_usd6, step, step_x6, mark_x6, depth, bids, asks, totals }
+-------------------------------- */
+const BOOK_MAX_DEPTH = 500;
+
+app.get('/book/:assetId', async (req, res) => {
+  try {
+    const assetId = Number(req.params.assetId);
+    if (!Number.isInteger(assetId)) return bad(res, 'asset_id_invalid');
+    if (!isDecimal(req.query.mark) || priceStrToX6(req.query.mark) <= 0n) return bad(res, 'mark_invalid');
+    if (req.query.step !== undefined && (!isDecimal(req.query.step) || priceStrToX6(req.query.step) <= 0n)) return bad(res, 'step_invalid');
+    const depth = req.query.depth === undefined ? 20 : Number(req.query.depth);
+    if (!Number.isInteger(depth) || depth < 1 || depth > BOOK_MAX_DEPTH) return bad(res, 'depth_invalid');
+
+    const assets = await get(`assets?asset_id=eq.${assetId}&select=tick_size_usd6&limit=1`);
+    if (!assets?.length) return res.status(404).json({ error: 'asset_not_found' });
+    const tick = BigInt(assets[0].tick_size_usd6);
+    if (tick <= 0n) return bad(res, 'bad_tick');
+
+    const markX6 = priceStrToX6(req.query.mark);
+    const stepB = bucketsPerStep(req.query.step === undefined ? tick : priceStrToX6(req.query.step), tick);
+    const decimals = tickDecimals(tick);
+
+    // fenêtre mark ± depth niveaux: seuls ces buckets sont lus (index deployment, asset_id, bucket_id)
+    const markB = markX6 / tick;
+    const fromB = markB - BigInt(depth) * stepB;
+    const toB = markB + BigInt(depth) * stepB;
+    const rows = await get(
+      `order_buckets?${depEq(req)}&asset_id=eq.${assetId}` +
+      `&bucket_id=gte.${fromB < 0n ? 0n : fromB}&bucket_id=lte.${toB}&select=bucket_id,lots,side`
+    ) || [];
+
+    // side -> niveau (bucket_id arrondi à step) -> { lots, count }
+    const levels = { bids: new Map(), asks: new Map() };
+    const totals = { bids: { lots: 0, count: 0 }, asks: { lots: 0, count: 0 } };
+    for (const r of rows) {
+      const key = r.side === true ? 'bids' : 'asks';
+      const b = BigInt(r.bucket_id);
+      const level = key === 'bids' ? (b / stepB) * stepB : ((b + stepB - 1n) / stepB) * stepB;
+      const agg = levels[key].get(level) || { lots: 0, count: 0 };
+      agg.lots += Number(r.lots ?? 0);
+      agg.count += 1;
+      levels[key].set(level, agg);
+      totals[key].lots += Number(r.lots ?? 0);
+      totals[key].count += 1;
+    }
+
+    const ladder = (m) => {
+      let cum = 0;
+      return Array.from(m.entries())
+        .map(([level, agg]) => ({ priceX6: level * tick, ...agg }))
+        .map(l => ({ ...l, dist: l.priceX6 > markX6 ? l.priceX6 - markX6 : markX6 - l.priceX6 }))
+        .sort((x, y) => (x.dist === y.dist ? (x.priceX6 < y.priceX6 ? -1 : 1) : x.dist < y.dist ? -1 : 1))
+        .slice(0, depth)
+        .map(l => ({
+          price: x6ToPriceStr(l.priceX6, decimals),
+          price_x6: l.priceX6.toString(),
+          lots: l.lots,
+          count: l.count,
+          cum_lots: (cum += l.lots)
+        }));
+    };
+
+    ok(res, {
+      asset_id: assetId,
+      tick_size_usd6: tick.toString(),
+      step: x6ToPriceStr(stepB * tick, decimals),
+      step_x6: (stepB * tick).toString(),
+      mark_x6: markX6.toString(),
+      depth,
+      bids: ladder(levels.bids),
+      asks: ladder(levels.asks),
+      totals
+    });
+  } catch (e) {
+    logErr('API+/book', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 /* -------------------------------
    Find positions by threshold
    GET /find/targets
@@ -679,7 +1251,7 @@ app.get('/find/targets', async (req, res) => {
     // ---- build PostgREST query ----
     // comparator on bucket_id
     const cmp = op === 'lte' ? 'lte' : 'gte';
-    let qp = `${table}?asset_id=eq.${asset}&bucket_id=${cmp}.${thr.bucketId}&select=position_id,side`;
+    let qp = `${table}?${depEq(req)}&asset_id=eq.${asset}&bucket_id=${cmp}.${thr.bucketId}&select=position_id,side`;
 
     if (table === 'stop_buckets' && stopType != null) {
       qp += `&stop_type=eq.${stopType}`;
@@ -747,7 +1319,7 @@ app.get('/verify/:ids', async (req, res) => {
 
     if (!ids.length) return bad(res, 'ids_invalid');
 
-    const result = await verifyAndSync(ids);
+    const result = await verifyAndSync(ids, { deployment: req.dep.name });
 
     ok(res, {
       ok: true,
@@ -787,6 +1359,7 @@ app.get('/verify/full/:ids', async (req, res) => {
     if (!ids.length) return bad(res, 'ids_invalid');
 
     const opts = {
+      deployment:     req.dep.name,
       dbConcurrency:  req.query.dbConcurrency  ? Number(req.query.dbConcurrency)  : undefined,
       rpcConcurrency: req.query.rpcConcurrency ? Number(req.query.rpcConcurrency) : undefined,
       workers:        req.query.workers        ? Number(req.query.workers)        : undefined
@@ -816,6 +1389,60 @@ app.get('/verify/full/:ids', async (req, res) => {
   }
 });
 
+/* -------------------------------
+   Dead letters (events dont le handler a échoué)
+   GET  /dead-letters?status=pending|exhausted|discarded|superseded&limit=100&offset=0
+   POST /dead-letters/:id/retry    -> pending, retenté au prochain cycle de l'indexer (attempts remis à 0, erreur effacée)
+   POST /dead-letters/:id/discard  -> abandonné (ligne conservée pour audit)
+   - admin (requireAdmin): payloads bruts / erreurs exposés, discard = état on-chain abandonné
+-------------------------------- */
+const DEAD_LETTER_STATUSES = ['pending', 'exhausted', 'discarded', 'superseded'];
+
+app.get('/dead-letters', requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).toLowerCase() : undefined;
+    if (status && !DEAD_LETTER_STATUSES.includes(status)) return bad(res, 'status_invalid');
+
+    const limit  = Math.min(Math.max(Number(req.query.limit ?? 100) || 100, 1), 1000);
+    const offset = Math.max(Number(req.query.offset ?? 0) || 0, 0);
+
+    const rows = await listDeadLetters({ deployment: req.dep.name, status, limit, offset });
+    ok(res, { count: rows.length, items: rows });
+  } catch (e) {
+    logErr('API+/dead-letters', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+async function setDeadLetterStatus(req, res, fields) {
+  const raw = String(req.params.id).trim();
+  if (!/^\d+$/.test(raw)) return bad(res, 'id_invalid');
+
+  const row = await getDeadLetter(req.dep.name, raw);
+  if (!row) return res.status(404).json({ error: 'dead_letter_not_found' });
+
+  await updateDeadLetter(req.dep.name, raw, fields);
+  ok(res, { ok: true, id: Number(raw), status: fields.status });
+}
+
+app.post('/dead-letters/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    await setDeadLetterStatus(req, res, { status: 'pending', attempts: 0, error: null, next_retry_at: new Date().toISOString() });
+  } catch (e) {
+    logErr('API+/dead-letters/retry', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+app.post('/dead-letters/:id/discard', requireAdmin, async (req, res) => {
+  try {
+    await setDeadLetterStatus(req, res, { status: 'discarded', next_retry_at: null });
+  } catch (e) {
+    logErr('API+/dead-letters/discard', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 /* -------------------------------
    Enregistrer une meta-tx signée (SANS vérification)
    POST /meta/submit
@@ -852,6 +1479,7 @@ app.post('/meta/submit', async (req, res) => {
 
     // Construire la ligne à insérer dans meta_signatures
     const row = {
+      deployment: req.dep.name,             // chaîne / contrat ciblés
       trader_addr: traderAddr,              // peut être null
       action_type,                          // texte libre
       payload,                              // jsonb
@@ -880,8 +1508,13 @@ app.post('/meta/submit', async (req, res) => {
 app.use((_req, res) => res.status(404).json({ error: 'not_found' }));
 
 /* -------------------------------
-   Start
+   Start (API_LISTEN=0: app exportée sans écoute ni polling — tests)
 -------------------------------- */
-app.listen(PORT, '0.0.0.0', () => {
-  logInfo('BROKEX', `[API+] listening on http://0.0.0.0:${PORT}`);
-});
+export { app };
+
+if (process.env.API_LISTEN !== '0') {
+  app.listen(PORT, '0.0.0.0', () => {
+    logInfo('BROKEX', `[API+] listening on http://0.0.0.0:${PORT}`);
+  });
+  watchAssetChanges();
+}
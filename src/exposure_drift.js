@@ -0,0 +1,52 @@
+// ======================================================================
+// BROKEX • exposure drift (exposure_agg <-> positions)
+// - Recalcule les agrégats depuis les positions ouvertes (state=1) et les compare
+//   à exposure_agg par (deployment, asset, side) (fonction SQL exposure_drift, migration 0012)
+// - Affiche chaque écart (actuel / attendu / delta)
+// - --apply: remplace les agrégats en une transaction si écart (exposure_rebuild)
+// - --deployment=<nom> / --asset=<id>: restreint le contrôle (def: tous)
+// - Exit 2 si une dérive est trouvée et non corrigée (cron / alerting)
+// - Aussi disponible via POST /exposure/drift (admin)
+//
+// Usage:
+//   node src/exposure_drift.js
+//   node src/exposure_drift.js --asset=0 --deployment=testnet
+//   node src/exposure_drift.js --apply
+// ======================================================================
+
+import 'dotenv/config';
+import { logInfo as L, logWarn as W, logErr as E } from './shared/logger.js';
+import { checkExposureDrift } from './shared/db.js';
+import { getDeployment } from './shared/deployments.js';
+
+const TAG = 'ExposureDrift';
+
+const flags = Object.fromEntries(process.argv.slice(2).map(a => {
+  const [k, v = 'true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
+  return [k, v];
+}));
+
+const DEPLOYMENT = flags.deployment ? getDeployment(flags.deployment).name : undefined;
+const APPLY = flags.apply === 'true';
+
+if (flags.asset !== undefined && !/^\d+$/.test(String(flags.asset))) {
+  console.error('Usage: node src/exposure_drift.js [--asset=<id>] [--deployment=<nom>] [--apply]');
+  process.exit(1);
+}
+const ASSET = flags.asset === undefined ? undefined : Number(flags.asset);
+
+const delta = (expected, actual) => (BigInt(expected) - BigInt(actual)).toString();
+
+(async () => {
+  const r = await checkExposureDrift({ deployment: DEPLOYMENT, asset_id: ASSET, apply: APPLY });
+
+  for (const row of r.rows || []) {
+    const diffs = Object.keys(row.expected)
+      .filter(k => String(row.expected[k]) !== String(row.actual[k]))
+      .map(k => `${k}: ${row.actual[k]} -> ${row.expected[k]} (${delta(row.expected[k], row.actual[k])})`);
+    W(TAG, `deployment=${row.deployment} asset=${row.asset_id} side=${row.side} | ${diffs.join(' | ')}`);
+  }
+
+  L(TAG, `Done. deployment=${DEPLOYMENT ?? 'all'} asset=${ASSET ?? 'all'} checked=${r.checked} drifted=${r.drifted} applied=${r.applied}`);
+  process.exit(r.drifted > 0 && !r.applied ? 2 : 0);
+})().catch(err => { E(TAG, err?.message || err); process.exit(1); });
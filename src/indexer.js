@@ -0,0 +1,413 @@
+// src/indexer.js
+// Indexer unique: Opened / Executed / StopsUpdated / Removed sur UN seul abonnement WS,
+// appliqués strictement dans l'ordre (block, logIndex) via les handlers shared/db.js.
+// Remplace les 4 process opened.js / executed.js / stopsUpdated.js / removed.js.
+//
+// Connexion: ResilientLogSource (WS avec reconnexion exponentielle, repli polling HTTP
+// sur RPC_URL pendant les coupures); statut mode/lag loggé toutes les STATUS_MS.
+//
+// Reprise: le dernier bloc entièrement traité est persisté (indexer_checkpoints).
+// Au démarrage on rejoue [checkpoint+1 .. head confirmé] via eth_getLogs (par tranches
+// de LOGS_CHUNK blocs) AVANT de passer au live.
+//
+// Confirmations: les logs live sont gardés en attente jusqu'à ce que leur bloc ait
+// CONFIRMATIONS blocs au-dessus (minimum 1: les logs du bloc H ne sont garantis livrés
+// qu'une fois H+1 reçu). Un log `removed` encore en attente est simplement oublié.
+//
+// Journal: chaque event décodé est d'abord écrit dans trade_events (payload, log brut,
+// tx, bloc, logIndex, timestamp du bloc); `npm run rebuild` rejoue ce journal.
+//
+// Idempotence: chaque event est réservé dans processed_events avant application,
+// un rejeu (rattrapage, redémarrage, second indexer) ne l'applique jamais deux fois.
+//
+// Dead letters: un event dont le handler échoue est stocké dans dead_letters (erreur,
+// tentatives, prochaine tentative) puis retenté en tâche de fond avec backoff.
+//
+// Stockage injoignable (TransportError: réseau, timeout, 5xx, disjoncteur PostgREST ouvert):
+// l'event reste en tête de file et la consommation est suspendue (backoff STORE_RETRY_MS →
+// STORE_RETRY_MAX_MS, puis attente du disjoncteur) jusqu'au retour du stockage; rien n'est
+// perdu ni envoyé en dead letter, le checkpoint n'avance pas.
+//
+// Réorganisations: chaque event appliqué laisse un snapshot (reorg_undo). Un log
+// `removed` déjà appliqué, ou un hash de bloc qui ne correspond plus à la chaîne,
+// déclenche un rollback depuis le bloc fautif puis un re-rattrapage via eth_getLogs.
+//
+// Multi-déploiement: un pipeline indépendant (source, checkpoint, file, reorg, DLQ)
+// par déploiement de shared/deployments.js; chaque event porte ev.deployment.
+//
+// Env:
+//   DEPLOYMENTS    → déploiements indexés (cf. shared/deployments.js; def: WSS_URL/CONTRACT_ADDR)
+//   START_BLOCK    → bloc de départ si aucun checkpoint (def: head courant; par
+//                    déploiement: startBlock)
+//   LOGS_CHUNK     → taille des tranches eth_getLogs (def: 2000)
+//   CONFIRMATIONS  → profondeur de confirmation (def: 2)
+//   REORG_WINDOW   → nb de blocs pendant lesquels un event reste annulable (def: 64)
+//   STATUS_MS      → période du log de statut mode/lag (def: 30000)
+//   DLQ_POLL_MS    → période du retry des dead letters (def: 15000)
+//   DLQ_BASE_MS, DLQ_MAX_MS, DLQ_MAX_ATTEMPTS → voir shared/deadletter.js
+//   EXPOSURE_SNAPSHOT_MS → période des photos exposure_snapshots (def: 300000; 0 = désactivé)
+//   ASSET_CACHE_POLL_MS → invalidation du cache assets (cf. shared/assetwatch.js)
+//   STORE_RETRY_MS, STORE_RETRY_MAX_MS → pause après un échec de transport (def: 1000 / 30000)
+//   REST_TIMEOUT_MS, REST_RETRIES, REST_BREAKER_* → voir shared/rest.js
+//   POLL_MS, WS_STALE_MS, RPC_URL → voir ResilientLogSource (shared/provider.js)
+import { ResilientLogSource, makeBlockTimes } from './shared/provider.js';
+import { DEPLOYMENTS, assertDeployment } from './shared/deployments.js';
+import { watchAssetChanges } from './shared/assetwatch.js';
+import {
+  EVENT_TOPICS, decodeLog, compareEvents, applyEventOnce, forgetRecentEvents, describeEvent, toJournalRow
+} from './shared/events.js';
+import { getCheckpoint, saveCheckpoint, journalEvent, registerDeployment, snapshotExposure } from './shared/db.js';
+import { ReorgGuard } from './shared/reorg.js';
+import { deadLetter, retryDeadLetters } from './shared/deadletter.js';
+import { eventKey } from './shared/cache.js';
+import { whenAvailable, isTransportError } from './shared/store/index.js';
+import { logInfo, logWarn, logErr } from './shared/logger.js';
+
+const TAG = 'Indexer';
+
+const LOGS_CHUNK    = Math.max(1, Number(process.env.LOGS_CHUNK || 2000));
+const CONFIRMATIONS = Math.max(0, Number(process.env.CONFIRMATIONS ?? 2));
+const REORG_WINDOW  = Math.max(CONFIRMATIONS + 1, Number(process.env.REORG_WINDOW || 64));
+const STATUS_MS     = Math.max(1000, Number(process.env.STATUS_MS || 30000));
+const DLQ_POLL_MS   = Math.max(1000, Number(process.env.DLQ_POLL_MS || 15000));
+const EXPOSURE_SNAPSHOT_MS = Math.max(0, Number(process.env.EXPOSURE_SNAPSHOT_MS ?? 300000));
+const STORE_RETRY_MS     = Math.max(100, Number(process.env.STORE_RETRY_MS || 1000));
+const STORE_RETRY_MAX_MS = Math.max(STORE_RETRY_MS, Number(process.env.STORE_RETRY_MAX_MS || 30000));
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Dernier bloc considéré comme confirmé pour un head donné
+const confirmedHead = (head) => head - Math.max(CONFIRMATIONS, 1);
+
+/* =========================================================
+   Checkpoint persistant
+   - advance(): ne recule jamais, une seule écriture en vol (avances fusionnées)
+   - reset(): recul explicite (rollback de réorganisation)
+========================================================= */
+class Checkpoint {
+  constructor(deployment, contractAddr, tag = TAG) {
+    this.deployment = deployment;
+    this.contractAddr = contractAddr;
+    this.tag = tag;
+    this.block = -1;   // dernier bloc confirmé en DB
+    this.wanted = -1;  // dernier bloc demandé
+    this.saving = null;
+  }
+
+  async load() {
+    this.block = this.wanted = await getCheckpoint(this.deployment, this.contractAddr);
+    return this.block;
+  }
+
+  advance(block) {
+    if (!Number.isInteger(block) || block <= this.wanted) return this.saving;
+    this.wanted = block;
+    if (!this.saving) this.saving = this._flush();
+    return this.saving;
+  }
+
+  async reset(block) {
+    await this.saving;
+    await saveCheckpoint(this.deployment, this.contractAddr, block);
+    this.block = this.wanted = block;
+  }
+
+  async _flush() {
+    try {
+      while (this.wanted > this.block) {
+        const b = this.wanted;
+        await saveCheckpoint(this.deployment, this.contractAddr, b);
+        this.block = b;
+      }
+    } catch (e) {
+      logErr(this.tag, `saveCheckpoint failed (wanted=${this.wanted}):`, e?.message || e);
+    } finally {
+      this.saving = null;
+    }
+  }
+}
+
+/* =========================================================
+   File ordonnée (block, logIndex) + consommation séquentielle
+   - un seul event appliqué à la fois
+   - insertion triée: un log arrivé en retard passe devant les suivants
+   - échec du handler → onFail(ev, err) (dead letter), la file continue
+   - échec de transport → l'event est remis en tête, la file se met en pause
+     puis le rejoue (ev.reclaim: sa réservation a pu passer sans réponse)
+========================================================= */
+class OrderedQueue {
+  constructor(apply, onFail, tag = TAG) {
+    this.apply = apply;
+    this.onFail = onFail;
+    this.tag = tag;
+    this.pending = [];
+    this.running = null;
+    this.last = null; // dernier event appliqué
+    this.outages = 0; // échecs de transport consécutifs
+  }
+
+  push(ev) {
+    let i = this.pending.length;
+    while (i > 0 && compareEvents(this.pending[i - 1], ev) > 0) i--;
+    this.pending.splice(i, 0, ev);
+    if (!this.running) this.running = this._drain();
+  }
+
+  // Résout quand la file est vide
+  async idle() {
+    while (this.running) await this.running;
+  }
+
+  async _drain() {
+    try {
+      while (this.pending.length) {
+        const ev = this.pending.shift();
+        if (this.last && compareEvents(ev, this.last) < 0) {
+          logWarn(this.tag, `out-of-order event (after block=${this.last.blockNumber} logIndex=${this.last.logIndex}): ${describeEvent(ev)}`);
+        }
+        try {
+          const result = await this.apply(ev);
+          if (result === 'duplicate') logInfo(this.tag, `duplicate skipped ${describeEvent(ev)}`);
+          else if (result === 'stale') logInfo(this.tag, `stale skipped (position already newer) ${describeEvent(ev)}`);
+          else logInfo(this.tag, `stored ${describeEvent(ev)}`);
+          if (this.outages) logInfo(this.tag, `storage back after ${this.outages} failure(s), consumption resumed`);
+          this.outages = 0;
+        } catch (e) {
+          if (isTransportError(e)) {
+            ev.reclaim = true;
+            this.pending.unshift(ev);
+            await this._pause(ev, e);
+            continue;
+          }
+          logErr(this.tag, `${ev.name} failed:`, e?.message || e);
+          await Promise.resolve(this.onFail?.(ev, e))
+            .catch((err) => logErr(this.tag, `dead letter failed ${describeEvent(ev)}:`, err?.message || err));
+        }
+        this.last = ev;
+      }
+    } finally {
+      this.running = null;
+    }
+  }
+
+  // Backoff exponentiel puis attente du disjoncteur du stockage
+  async _pause(ev, err) {
+    this.outages++;
+    const wait = Math.min(STORE_RETRY_MAX_MS, STORE_RETRY_MS * 2 ** (this.outages - 1));
+    logWarn(this.tag, `storage unavailable (${err?.message || err}) → consumption paused ${wait}ms, retry ${describeEvent(ev)}`);
+    await sleep(wait);
+    await whenAvailable();
+  }
+}
+
+/* =========================================================
+   Pipeline complet d'un déploiement (chaîne + contrat)
+========================================================= */
+async function runDeployment(dep) {
+  const tag = `${TAG}:${dep.name}`;
+  const checkpoint = new Checkpoint(dep.name, dep.contract, tag);
+  const guard = new ReorgGuard({ deployment: dep.name, window: REORG_WINDOW });
+
+  // Un seul filtre: adresse du contrat + topic0 ∈ {Opened, Executed, StopsUpdated, Removed}
+  const filter = { address: dep.contract, topics: [EVENT_TOPICS] };
+  const decode = (log) => decodeLog(log, dep.name);
+
+  // WS avec reconnexion + repli HTTP; lectures (getLogs/getBlock) sur le lien disponible
+  const source = new ResilientLogSource({
+    filter, onLog, onHead: onNewHead, name: dep.name, wssUrl: dep.wss, rpcUrl: dep.rpcUrls[0]
+  });
+  const blockTime = makeBlockTimes(source);
+
+  // idempotent (processed_events), snapshot (undo) et application
+  const applyOnce = (ev) => applyEventOnce(ev, { beforeApply: () => guard.record(ev), reclaim: ev.reclaim });
+
+  // journal (trade_events) d'abord; échec du handler → dead_letters
+  const queue = new OrderedQueue(async (ev) => {
+    ev.blockTime ??= await blockTime(ev.blockNumber);
+    await journalEvent(toJournalRow(ev));
+    return applyOnce(ev);
+  }, deadLetter, tag);
+
+  let live = false;          // false pendant le rattrapage initial
+  let releasedThrough = -1;  // tous les events des blocs <= releasedThrough ont été appliqués
+  let forkAt = null;         // plus petit bloc signalé par un log `removed` déjà appliqué
+  let catchUpPending = false; // re-rattrapage après rollback pas encore abouti: rien n'est libéré
+  const waiting = new Map(); // eventKey -> ev (logs live en attente de confirmations)
+
+  // Sections critiques (rattrapage, release, rollback) exécutées une par une
+  let lock = Promise.resolve();
+  const exclusive = (fn) => {
+    const run = lock.then(fn);
+    lock = run.catch((e) => logErr(tag, e?.message || e));
+    return run;
+  };
+
+  /* ---------- rattrapage eth_getLogs [fromBlock .. toBlock] par tranches ---------- */
+  async function catchUp(fromBlock, toBlock) {
+    if (fromBlock > toBlock) return;
+    logInfo(tag, `catch-up blocks ${fromBlock}..${toBlock} (chunk=${LOGS_CHUNK})`);
+
+    for (let a = fromBlock; a <= toBlock; a += LOGS_CHUNK) {
+      const b = Math.min(toBlock, a + LOGS_CHUNK - 1);
+      const logs = await source.getLogs({ ...filter, fromBlock: a, toBlock: b });
+      const events = logs.map(decode).filter(Boolean).sort(compareEvents);
+      for (const ev of events) queue.push(ev);
+      await queue.idle();
+      releasedThrough = b;
+      await checkpoint.advance(b);
+      if (events.length) logInfo(tag, `catch-up ${a}..${b}: ${events.length} event(s)`);
+    }
+  }
+
+  /* ---------- rollback depuis fromBlock puis re-synchronisation ---------- */
+  async function rollback(fromBlock, head) {
+    await queue.idle();
+    await guard.rollback(fromBlock);
+    forgetRecentEvents();
+    await checkpoint.reset(fromBlock - 1);
+    releasedThrough = fromBlock - 1;
+    for (const [k, ev] of waiting) {
+      if (ev.blockNumber <= confirmedHead(head)) waiting.delete(k); // revient via getLogs
+    }
+    // getLogs en échec: repris depuis releasedThrough + 1 au prochain head (cf. onHead)
+    catchUpPending = true;
+    await catchUp(fromBlock, confirmedHead(head));
+    catchUpPending = false;
+  }
+
+  /* ---------- nouveau head: réorg ? puis libération des blocs confirmés ---------- */
+  async function onHead(head) {
+    guard.head = head;
+
+    let fork = await guard.findFork(source);
+    if (forkAt !== null) fork = fork === null ? forkAt : Math.min(fork, forkAt);
+    forkAt = null;
+    if (fork !== null) {
+      logWarn(tag, `reorg detected at block=${fork} (head=${head})`);
+      await rollback(fork, head);
+    }
+
+    const target = confirmedHead(head);
+    if (target <= releasedThrough) return;
+
+    // rattrapage interrompu: ces blocs ne sont plus dans `waiting`, seul getLogs les ramène
+    if (catchUpPending) {
+      await catchUp(releasedThrough + 1, target);
+      catchUpPending = false;
+    }
+
+    const ready = [];
+    for (const [k, ev] of waiting) {
+      if (ev.blockNumber > target) continue;
+      waiting.delete(k);
+      if (ev.blockNumber > releasedThrough) ready.push(ev);
+    }
+    ready.sort(compareEvents);
+    for (const ev of ready) queue.push(ev);
+    await queue.idle();
+
+    releasedThrough = target;
+    checkpoint.advance(target);
+    await guard.prune();
+  }
+
+  /* ---------- logs live (WS ou polling HTTP): mise en attente de confirmations ---------- */
+  function onLog(log) {
+    const ev = decode(log);
+    if (!ev) return;
+    const key = eventKey(ev);
+
+    if (ev.removed) {
+      if (waiting.delete(key)) {
+        logInfo(tag, `dropped unconfirmed removed log ${describeEvent(ev)}`);
+      } else if (ev.blockNumber <= releasedThrough) {
+        logWarn(tag, `removed log already applied: ${describeEvent(ev)}`);
+        forkAt = forkAt === null ? ev.blockNumber : Math.min(forkAt, ev.blockNumber);
+      }
+      return;
+    }
+    waiting.set(key, ev);
+  }
+
+  function onNewHead(head) {
+    if (live) exclusive(() => onHead(head)).catch(() => {}); // déjà loggé
+  }
+
+  // 1) Abonnement live d'abord (rien ne passe entre rattrapage et live)
+  await source.start();
+
+  const chainId = await source.getChainId();
+  if (dep.chainId !== null && chainId !== dep.chainId) {
+    throw new Error(`[${dep.name}] chainId=${chainId} ≠ chainId configuré ${dep.chainId}`);
+  }
+  await registerDeployment({ name: dep.name, chainId, contract: dep.contract });
+
+  // 2) Rattrapage depuis le checkpoint (après contrôle d'une réorg survenue pendant l'arrêt)
+  await exclusive(async () => {
+    const saved = await checkpoint.load();
+    const head = await source.getBlockNumber();
+    guard.head = head;
+    await guard.load(head - REORG_WINDOW);
+
+    let fromBlock;
+    if (saved >= 0) {
+      fromBlock = saved + 1;
+    } else if (Number.isInteger(dep.startBlock)) {
+      fromBlock = dep.startBlock;
+    } else {
+      logWarn(tag, `no checkpoint and no START_BLOCK → starting at head=${head} (no replay)`);
+      fromBlock = confirmedHead(head) + 1;
+      await checkpoint.advance(confirmedHead(head));
+    }
+    releasedThrough = fromBlock - 1;
+
+    const fork = await guard.findFork(source);
+    if (fork !== null && fork < fromBlock) {
+      logWarn(tag, `reorg detected while stopped at block=${fork}`);
+      await rollback(fork, head);
+    } else {
+      await catchUp(fromBlock, confirmedHead(head));
+    }
+    live = true;
+  });
+
+  logInfo(tag, `listening… chainId=${chainId} contract=${dep.contract} checkpoint=${checkpoint.block} confirmations=${CONFIRMATIONS} events=Opened,Executed,StopsUpdated,Removed`);
+
+  // Retry des dead letters échues (section critique: jamais en parallèle de la file)
+  setInterval(() => {
+    if (!live) return;
+    exclusive(async () => {
+      const r = await retryDeadLetters(dep.name, applyOnce);
+      if (r.due) logInfo(tag, `dead letters: due=${r.due} resolved=${r.resolved} superseded=${r.superseded} failed=${r.failed}`);
+    }).catch(() => {}); // déjà loggé
+  }, DLQ_POLL_MS);
+
+  // Photo exposure_agg → exposure_snapshots (créneau = EXPOSURE_SNAPSHOT_MS, rejouable)
+  if (EXPOSURE_SNAPSHOT_MS > 0) {
+    setInterval(() => {
+      if (!live) return;
+      exclusive(() => snapshotExposure({ deployment: dep.name, period_s: Math.max(1, Math.round(EXPOSURE_SNAPSHOT_MS / 1000)) }))
+        .catch(() => {}); // déjà loggé
+    }, EXPOSURE_SNAPSHOT_MS);
+  }
+
+  // Mode (ws/http) et retard (head - dernier bloc appliqué)
+  setInterval(() => {
+    const st = source.status();
+    logInfo(tag, `status mode=${st.mode} head=${st.head} applied=${releasedThrough} lag=${Math.max(0, st.head - releasedThrough)} waiting=${waiting.size} reconnects=${st.reconnects}`);
+  }, STATUS_MS);
+}
+
+async function main() {
+  const deps = DEPLOYMENTS.map((d) => assertDeployment(d, { wss: true }));
+  logInfo(TAG, `deployments: ${deps.map((d) => d.name).join(', ')}`);
+  watchAssetChanges();
+
+  // Un déploiement qui ne démarre pas arrête le process (comme en mono-déploiement)
+  await Promise.all(deps.map(runDeployment));
+}
+
+process.on('unhandledRejection', (err) => logErr(TAG, 'unhandledRejection', err));
+process.on('uncaughtException', (err) => logErr(TAG, 'uncaughtException', err));
+
+main().catch((e) => { logErr(TAG, e?.message || e); process.exit(1); });
@@ -3,31 +3,49 @@
 // Modes :
 //   node src/manual.js --end=700 --count=100
 //   node src/manual.js --ids=620,621,700
+// Les transitions corrigées reçoivent leur provenance (bloc / timestamp / tx) via
+// shared/provenance.js (journal trade_events, sinon eth_getLogs).
+// État lu au bloc de tête B (RpcContract.readAt): chaque écriture porte la version
+// (B, fin de bloc) et n'écrase jamais un état plus récent déjà indexé (stale).
+// Une position OPEN divergente est ré-écrite en entier (upsert Opened, merge).
 // Optional flags:
 //   --dbConcurrency=500  --rpcConcurrency=100  --workers=500
+//   --quorum=2   (stateOf/getTrade identiques sur N endpoints RPC_URLS avant écriture)
+//   --deployment=mainnet   (déploiement de shared/deployments.js; def: DEFAULT_DEPLOYMENT)
+//   --bulk [--batch=1000]  (ligne divergente ré-écrite en entier depuis la chaîne, par lots
+//                           positions_bulk_upsert via shared/bulk.js; exposure_agg recalculé
+//                           une fois à la fin; exit 2 si des lignes échouent)
 // ======================================================================
 
 import 'dotenv/config';
-import { ethers } from 'ethers';
 import { ABI } from './shared/abi.js';
+import { RpcContract } from './shared/rpc.js';
+import { getDeployment, assertDeployment } from './shared/deployments.js';
 import { logInfo as L, logErr as E } from './shared/logger.js';
 
 // Handlers DB existants (comme tes scripts d’events)
 import {
   upsertOpenedEvent,
-  handleExecutedEvent,
-  handleStopsUpdatedEvent,
-  handleRemovedEvent
+  handleRemovedEvent,
+  positionRow
 } from './shared/db.js';
+import { createBulkWriter } from './shared/bulk.js';
 
 // Accès lecture PostgREST pour comparer DB vs chain
-import { get as pgGet, patch as pgPatch } from './shared/rest.js';
+import { get as pgGet } from './shared/store/index.js';
+
+// Provenance (bloc / timestamp / tx) des transitions corrigées + vrai log Removed
+import { lookupProvenance, expectedTransitions, removedFrom, syncProvenance } from './shared/provenance.js';
+
+// ---------- CLI flags ----------
+const flags = Object.fromEntries(process.argv.slice(2).map(a => {
+  const [k, v = 'true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
+  return [k, v];
+}));
 
 // ---------- ENV / CONCURRENCY ----------
-const RPC_URL       = (process.env.RPC_URL || process.env.RPC_HTTP || '').trim();
-const CONTRACT_ADDR = (process.env.CONTRACT_ADDR || '').trim();
-if (!RPC_URL)       throw new Error('RPC_URL manquant dans .env');
-if (!CONTRACT_ADDR) throw new Error('CONTRACT_ADDR manquant dans .env');
+const DEP = assertDeployment(getDeployment(flags.deployment), { rpc: true });
+const DEP_EQ = `deployment=eq.${encodeURIComponent(DEP.name)}`;
 
 const TAG = 'Manual';
 
@@ -35,10 +53,9 @@ const TAG = 'Manual';
 const DEFAULT_DB_CONC  = Number(process.env.DB_CONC || 500);
 const DEFAULT_RPC_CONC = Number(process.env.RPC_CONC || 100);
 
-// ---------- ETHERS (HTTP RPC) ----------
-const iface    = new ethers.Interface(ABI.Getters);
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const contract = new ethers.Contract(CONTRACT_ADDR, iface, provider);
+// ---------- RPC (multi-endpoints, failover, quorum optionnel) ----------
+const rpc = new RpcContract({ address: DEP.contract, abi: ABI.Getters, urls: DEP.rpcUrls });
+let QUORUM = rpc.quorum;
 
 // ---------- Utils ----------
 const BI   = (x) => BigInt(x ?? 0);
@@ -105,31 +122,28 @@ async function withRpc(fn) {
 
 // ---------- DB wrappers (use withDb when calling) ----------
 async function readDb(id) {
-  return withDb(() => pgGet(`positions?id=eq.${id}`).then(rows => rows?.[0] || null));
+  return withDb(() => pgGet(`positions?${DEP_EQ}&id=eq.${id}`).then(rows => rows?.[0] || null));
 }
 
 async function readBuckets(id) {
   return withDb(() => Promise.all([
-    pgGet(`order_buckets?position_id=eq.${id}`),
-    pgGet(`stop_buckets?position_id=eq.${id}`)
+    pgGet(`order_buckets?${DEP_EQ}&position_id=eq.${id}`),
+    pgGet(`stop_buckets?${DEP_EQ}&position_id=eq.${id}`)
   ]).then(([orders, stops]) => ({ orders: orders || [], stops: stops || [] })));
 }
 
 // NOTE: all calls that modify DB or call handlers must use withDb wrapper
 async function runUpsertOpenedEvent(obj) {
-  return withDb(() => upsertOpenedEvent(obj));
-}
-async function runHandleExecutedEvent(obj) {
-  return withDb(() => handleExecutedEvent(obj));
-}
-async function runHandleStopsUpdatedEvent(obj) {
-  return withDb(() => handleStopsUpdatedEvent(obj));
+  return withDb(() => upsertOpenedEvent({ deployment: DEP.name, ...obj }));
 }
 async function runHandleRemovedEvent(obj) {
-  return withDb(() => handleRemovedEvent(obj));
+  return withDb(() => handleRemovedEvent({ deployment: DEP.name, ...obj }));
+}
+async function runLookupProvenance(id, state) {
+  return withDb(() => lookupProvenance({ dep: DEP, rpc, id, want: expectedTransitions(state) }));
 }
-async function runPgPatch(path, body) {
-  return withDb(() => pgPatch(path, body));
+async function runSyncProvenance(id, state, prov) {
+  return withDb(() => syncProvenance({ dep: DEP, rpc, id, state, prov }));
 }
 
 // ---------- Equality helpers (unchanged) ----------
@@ -180,15 +194,68 @@ function orderIndexedEqual(haveOrders, { lots, long_side }) {
   return Number(o.lots) === Number(lots) && Boolean(o.side) === Boolean(long_side);
 }
 
+// ---------- --bulk: divergence => ligne complète (positions + buckets) dans le lot ----------
+let bulk = null;
+
+async function reconcileBulk(id, chain, db, version) {
+  const changed = { created:0, removed:0, skipped:0, provenance:0, upserted:0 };
+  const { state } = chain;
+
+  let dirty;
+  if (state === 0) {
+    dirty = !db || !dbAndChainEqualOrder(db, chain)
+      || !orderIndexedEqual((await readBuckets(id)).orders, { lots: db.lots, long_side: db.long_side });
+  } else if (state === 1) {
+    dirty = !db || !dbAndChainEqualOpen(db, chain);
+  } else if (state === 2 || state === 3) {
+    dirty = !db || Number(db.state) !== state;
+  } else {
+    dirty = false;
+  }
+  if (!dirty) { changed.skipped++; return changed; }
+
+  const prov = await runLookupProvenance(id, state);
+  await bulk.add(positionRow({
+    deployment: DEP.name,
+    id,
+    state,
+    asset: chain.asset,
+    longSide: chain.longSide,
+    lots: chain.lots,
+    leverageX: chain.leverageX,
+    entryX6: chain.entryX6,
+    targetX6: chain.targetX6,
+    slX6: chain.slX6,
+    tpX6: chain.tpX6,
+    liqX6: chain.liqX6,
+    trader: chain.owner,
+    removed: state >= 2 ? removedFrom(prov, state) : null,
+    prov,
+    version
+  }));
+  changed.upserted++;
+  if (!db) changed.created++;
+  if (state >= 2) changed.removed++;
+  if (Object.keys(prov).length) changed.provenance++;
+  return changed;
+}
+
 // ---------- Reconcil per id (uses withRpc / withDb wrappers) ----------
 async function reconcileId(id) {
-  let changed = { created:0, executed:0, stops:0, removed:0, statePatched:0, skipped:0 };
+  let changed = { created:0, executed:0, stops:0, removed:0, statePatched:0, skipped:0, provenance:0, stale:0 };
+  let prov; // historique on-chain (journal / getLogs), lu une seule fois
 
-  // 1) chain (limit concurrent RPC calls)
-  let state, t;
+  // 1) chain (limit concurrent RPC calls) — stateOf + getTrade lus ensemble au même bloc,
+  //    même réponse exigée sur QUORUM endpoints; version = (bloc lu, fin de bloc)
+  let state, t, version;
   try {
-    state = Number(await withRpc(() => contract.stateOf(id)));
-    t = await withRpc(() => contract.getTrade(id));
+    const { block, value } = await withRpc(() => rpc.readAt(
+      (c, at) => Promise.all([c.stateOf(id, at), c.getTrade(id, at)]),
+      { quorum: QUORUM }
+    ));
+    [state, t] = value;
+    state = Number(state);
+    version = { block, logIndex: null };
   } catch (err) {
     E(TAG, `id=${id} read chain failed:`, err?.shortMessage || err?.message || err);
     changed.skipped++; return changed;
@@ -215,13 +282,18 @@ async function reconcileId(id) {
 
   // 2) db (wrapped)
   const db = await readDb(id);
+  if (bulk) return reconcileBulk(id, chain, db, version);
+
+  // une écriture refusée (version périmée) = la base est déjà plus récente que la lecture
+  const wrote = (applied, key) => { changed[applied === false ? 'stale' : key]++; };
 
   // 3) Routes selon state on-chain
   if (state === 0) {
     // ============ ORDER ============
     if (!db || !dbAndChainEqualOrder(db, chain)) {
-      await runUpsertOpenedEvent({
+      wrote(await runUpsertOpenedEvent({
         id,
+        version,
         state: 0,
         asset: chain.asset,
         longSide: chain.longSide,
@@ -232,13 +304,13 @@ async function reconcileId(id) {
         liqX6: chain.liqX6,
         trader: chain.owner,
         leverageX: chain.leverageX
-      });
-      changed.created++;
+      }), 'created');
     } else {
       const { orders } = await readBuckets(id);
       if (!orderIndexedEqual(orders, { lots: db.lots, long_side: db.long_side })) {
-        await runUpsertOpenedEvent({
+        wrote(await runUpsertOpenedEvent({
           id,
+          version,
           state: 0,
           asset: db.asset_id,
           longSide: db.long_side,
@@ -249,17 +321,28 @@ async function reconcileId(id) {
           liqX6: db.liq_x6,
           trader: db.trader_addr,
           leverageX: db.leverage_x
-        });
-        changed.created++;
+        }), 'created');
       } else {
         changed.skipped++;
       }
     }
   } else if (state === 1) {
     // ============ OPEN ============
-    if (!db) {
-      await runUpsertOpenedEvent({
+    // divergence => position ré-écrite en entier (state, entry, SL/TP/LIQ, buckets) en un upsert
+    const same = db && dbAndChainEqualOpen(db, chain) && stopsIndexedEqual((await readBuckets(id)).stops, {
+      asset_id: db.asset_id, sl_x6: chain.slX6, tp_x6: chain.tpX6, liq_x6: chain.liqX6,
+      lots: db.lots, long_side: db.long_side
+    });
+    if (same) {
+      changed.skipped++;
+    } else {
+      const kind = !db ? 'created'
+        : Number(db.state) === 0 || !eqBI(db.entry_x6, chain.entryX6) ? 'executed'
+        : Number(db.state) !== 1 ? 'statePatched'
+        : 'stops';
+      wrote(await runUpsertOpenedEvent({
         id,
+        version,
         state: 1,
         asset: chain.asset,
         longSide: chain.longSide,
@@ -270,52 +353,13 @@ async function reconcileId(id) {
         liqX6: chain.liqX6,
         trader: chain.owner,
         leverageX: chain.leverageX
-      });
-      changed.created++;
-    } else if (Number(db.state) === 0) {
-      if (!eqBI(db.entry_x6, chain.entryX6)) {
-        await runHandleExecutedEvent({ id, entryX6: chain.entryX6 });
-        changed.executed++;
-      }
-      const { stops } = await readBuckets(id);
-      if (!stopsIndexedEqual(stops, {
-        asset_id: db.asset_id, sl_x6: chain.slX6, tp_x6: chain.tpX6, liq_x6: chain.liqX6,
-        lots: db.lots, long_side: db.long_side
-      })) {
-        await runHandleStopsUpdatedEvent({ id, slX6: chain.slX6, tpX6: chain.tpX6 });
-        changed.stops++;
-      }
-    } else {
-      let touched = false;
-      if (!dbAndChainEqualOpen(db, chain)) {
-        if (!eqBI(db.entry_x6, chain.entryX6)) {
-          await runHandleExecutedEvent({ id, entryX6: chain.entryX6 });
-          touched = true; changed.executed++;
-        }
-        const { stops } = await readBuckets(id);
-        if (!stopsIndexedEqual(stops, {
-          asset_id: db.asset_id, sl_x6: chain.slX6, tp_x6: chain.tpX6, liq_x6: chain.liqX6,
-          lots: db.lots, long_side: db.long_side
-        })) {
-          await runHandleStopsUpdatedEvent({ id, slX6: chain.slX6, tpX6: chain.tpX6 });
-          touched = true; changed.stops++;
-        }
-        if (Number(db.state) !== 1) {
-          await runPgPatch(`positions?id=eq.${id}`, { state: 1 });
-          changed.statePatched++;
-          touched = true;
-        }
-      }
-      if (!touched) changed.skipped++;
+      }), kind);
     }
   } else if (state === 2 || state === 3) {
-    const needRemoved = !db || Number(db.state) !== 2 || (state === 3 && Number(db.state) !== 3);
-    if (needRemoved) {
-      await runHandleRemovedEvent({ id, reason: state === 3 ? 0 : 1, execX6: 0, pnlUsd6: 0 });
-      if (state === 3) {
-        await runPgPatch(`positions?id=eq.${id}`, { state: 3 });
-      }
-      changed.removed++;
+    if (!db || Number(db.state) !== state) {
+      // vrai log Removed (reason / exec / pnl); zéros seulement s'il est introuvable
+      prov = await runLookupProvenance(id, state);
+      wrote(await runHandleRemovedEvent({ id, ...removedFrom(prov, state), state, version }), 'removed');
     } else {
       changed.skipped++;
     }
@@ -323,19 +367,27 @@ async function reconcileId(id) {
     changed.skipped++;
   }
 
+
+  // 4) Provenance des transitions corrigées (journal, sinon eth_getLogs)
+  if (changed.created || changed.executed || changed.removed || changed.statePatched) {
+    try {
+      if (await runSyncProvenance(id, state, prov)) changed.provenance++;
+    } catch (err) {
+      E(TAG, `id=${id} provenance failed:`, err?.message || err);
+    }
+  }
   return changed;
 }
 
 // ---------- CLI ----------
-const flags = Object.fromEntries(process.argv.slice(2).map(a => {
-  const [k, v = 'true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
-  return [k, v];
-}));
-
 // parse concurrency overrides
 DB_CONC = Number(flags.dbConcurrency ?? flags.db_concurrency ?? DB_CONC);
 RPC_CONC = Number(flags.rpcConcurrency ?? flags.rpc_concurrency ?? RPC_CONC);
 const explicitWorkers = flags.workers ? Number(flags.workers) : undefined;
+if (flags.quorum) QUORUM = Math.max(1, Number(flags.quorum) || 1);
+if (flags.bulk === 'true') {
+  bulk = createBulkWriter({ deployment: DEP.name, batchSize: flags.batch ? Math.max(1, Number(flags.batch) || 1) : undefined, tag: TAG });
+}
 
 // re-create semaphores with actual values (in case overridden)
 dbSem.max = Math.max(1, Math.floor(DB_CONC));
@@ -358,12 +410,12 @@ if (flags.ids) {
 WORKERS = explicitWorkers ? Math.max(1, explicitWorkers) : Math.min(ids.length || 1, Math.max(1, DB_CONC));
 
 // log
-L(TAG, `RPC=${RPC_URL} | CONTRACT=${CONTRACT_ADDR}`);
-L(TAG, `${flags.ids ? 'MODE=list' : 'MODE=range'} | ids=${ids.length} | dbConc=${DB_CONC} rpcConc=${RPC_CONC} workers=${WORKERS}`);
+L(TAG, `DEPLOYMENT=${DEP.name} | RPC=${rpc.describe()} | CONTRACT=${DEP.contract} | quorum=${QUORUM}`);
+L(TAG, `${flags.ids ? 'MODE=list' : 'MODE=range'} | ids=${ids.length} | dbConc=${DB_CONC} rpcConc=${RPC_CONC} workers=${WORKERS}${bulk ? ' | bulk' : ''}`);
 
 // ---------- Worker pool runner ----------
 (async () => {
-  const acc = { created:0, executed:0, stops:0, removed:0, statePatched:0, skipped:0 };
+  const acc = { created:0, executed:0, stops:0, removed:0, statePatched:0, skipped:0, provenance:0, upserted:0, stale:0 };
   let idx = 0;
 
   async function workerMain(workerId) {
@@ -385,6 +437,16 @@ L(TAG, `${flags.ids ? 'MODE=list' : 'MODE=range'} | ids=${ids.length} | dbConc=$
   const workers = Array.from({length: WORKERS}, (_,i) => workerMain(i));
   await Promise.all(workers);
 
-  L(TAG, `Done. scanned=${ids.length} created=${acc.created} executed=${acc.executed} stops=${acc.stops} removed=${acc.removed} statePatched=${acc.statePatched} skipped=${acc.skipped}`);
+  if (bulk) {
+    const b = await bulk.close();
+    L(TAG, `Bulk: batches=${b.batches} positions=${b.positions} orders=${b.orders} stops=${b.stops} stale=${b.stale} failed=${b.failed.length} | exposure rows=${b.exposure?.rows}`);
+    if (b.failed.length) {
+      E(TAG, `Bulk: ids en échec: ${b.failed.sort((x, y) => x - y).join(',')}`);
+      process.exitCode = 2;
+    }
+  }
+
+  L(TAG, `RPC health: ${JSON.stringify(rpc.stats())}`);
+  L(TAG, `Done. scanned=${ids.length} created=${acc.created} executed=${acc.executed} stops=${acc.stops} removed=${acc.removed} statePatched=${acc.statePatched} skipped=${acc.skipped} stale=${acc.stale} provenance=${acc.provenance}${bulk ? ` upserted=${acc.upserted}` : ''}`);
 })().catch(err => { E(TAG, err?.message || err); process.exit(1); });
 
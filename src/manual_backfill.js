@@ -4,39 +4,53 @@
 // - Si l'ID existe déjà en DB: SKIP
 // - Sinon: lit stateOf + getTrade, puis:
 //     state=0 (ORDER)   -> upsertOpenedEvent(state:0)          (+index LIMIT via handler)
-//     state=1 (OPEN)    -> upsertOpenedEvent(state:1)          (+index SL/TP via handler)
-//     state=2/3 (CLOSE/CANCEL) -> handleRemovedEvent           (puis patch state=3 si besoin)
+//     state=1 (OPEN)    -> upsertOpenedEvent(state:1)          (+index SL/TP/LIQ via handler)
+//     state=2/3 (CLOSE/CANCEL) -> handleRemovedEvent(state)    (reason/exec/pnl du vrai log
+//                                 Removed: journal, sinon getLogs)
+//   état lu au bloc de tête B; écritures versionnées (B, fin de bloc): un event déjà
+//   indexé plus récent n'est jamais écrasé
+// - Lignes créées: provenance (bloc / timestamp / tx) via shared/provenance.js
 // - Concurrence: DB=500, RPC=100 (overridable)
+// - --bulk: lignes complètes (provenance incluse) écrites par lots via
+//   positions_bulk_upsert (shared/bulk.js), ids existants lus en une passe,
+//   exposure_agg recalculé une fois à la fin (exit 2 si des lignes échouent)
 // Usage:
 //   node src/manual_backfill.js --end=1200 --count=100
 //   node src/manual_backfill.js --ids=905,906,940
 //   node src/manual_backfill.js --end=5000 --count=1000 --dbConcurrency=500 --rpcConcurrency=100 --workers=300
+//   node src/manual_backfill.js --ids=905,906 --quorum=2   (stateOf/getTrade identiques sur 2 endpoints RPC_URLS)
+//   node src/manual_backfill.js --ids=905 --deployment=testnet   (def: DEFAULT_DEPLOYMENT)
+//   node src/manual_backfill.js --end=50000 --count=50000 --bulk [--batch=1000]
 // ======================================================================
 
 import 'dotenv/config';
-import { ethers } from 'ethers';
 import { ABI } from './shared/abi.js';
+import { RpcContract } from './shared/rpc.js';
+import { getDeployment, assertDeployment } from './shared/deployments.js';
 import { logInfo as L, logErr as E } from './shared/logger.js';
-import { get as pgGet, patch as pgPatch } from './shared/rest.js';
+import { get as pgGet } from './shared/store/index.js';
 import {
   upsertOpenedEvent,
-  handleStopsUpdatedEvent,
-  handleExecutedEvent,
-  handleRemovedEvent
+  handleRemovedEvent,
+  positionRow,
+  getExistingPositionIds
 } from './shared/db.js';
-
-// ---------- ENV ----------
-const RPC_URL       = (process.env.RPC_URL || process.env.RPC_HTTP || '').trim();
-const CONTRACT_ADDR = (process.env.CONTRACT_ADDR || '').trim();
-if (!RPC_URL)       throw new Error('RPC_URL manquant dans .env');
-if (!CONTRACT_ADDR) throw new Error('CONTRACT_ADDR manquant dans .env');
+import { lookupProvenance, expectedTransitions, removedFrom, syncProvenance } from './shared/provenance.js';
+import { createBulkWriter } from './shared/bulk.js';
 
 const TAG = 'ManualBackfill';
 
-// ---------- ETHERS ----------
-const iface    = new ethers.Interface(ABI.Getters);
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const contract = new ethers.Contract(CONTRACT_ADDR, iface, provider);
+const flags = Object.fromEntries(process.argv.slice(2).map(a => {
+  const [k, v='true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
+  return [k, v];
+}));
+
+// ---------- Déploiement (chaîne + contrat) ----------
+const DEP = assertDeployment(getDeployment(flags.deployment), { rpc: true });
+const DEP_EQ = `deployment=eq.${encodeURIComponent(DEP.name)}`;
+
+// ---------- RPC (multi-endpoints, failover, quorum optionnel) ----------
+const rpc = new RpcContract({ address: DEP.contract, abi: ABI.Getters, urls: DEP.rpcUrls });
 
 // ---------- Concurrency ----------
 class Semaphore {
@@ -47,12 +61,10 @@ class Semaphore {
   }
   _next(){ if (this.q.length && this.cur < this.max) this.q.shift()(); }
 }
-const flags = Object.fromEntries(process.argv.slice(2).map(a => {
-  const [k, v='true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
-  return [k, v];
-}));
 const DB_CONC  = Number(flags.dbConcurrency  ?? flags.db_concurrency  ?? process.env.DB_CONC  ?? 500);
 const RPC_CONC = Number(flags.rpcConcurrency ?? flags.rpc_concurrency ?? process.env.RPC_CONC ?? 100);
+const QUORUM   = flags.quorum ? Math.max(1, Number(flags.quorum) || 1) : rpc.quorum;
+const BULK     = flags.bulk === 'true';
 const dbSem  = new Semaphore(DB_CONC);
 const rpcSem = new Semaphore(RPC_CONC);
 const withDb  = async fn => { const r = await dbSem.acquire();  try { return await fn(); } finally { r(); } };
@@ -62,22 +74,27 @@ const withRpc = async fn => { const r = await rpcSem.acquire(); try { return awa
 const toU = (x)=> Number(x ?? 0);
 const isZeroAddr = (a)=> !a || String(a).toLowerCase() === '0x0000000000000000000000000000000000000000';
 
+// ---------- Bulk (--bulk) ----------
+const bulk = BULK
+  ? createBulkWriter({ deployment: DEP.name, batchSize: flags.batch ? Math.max(1, Number(flags.batch) || 1) : undefined, tag: TAG })
+  : null;
+let existingIds = null; // --bulk: ids déjà en DB, lus en une passe avant les workers
+
 // ---------- DB helpers ----------
 async function dbHasPosition(id){
+  if (existingIds) return existingIds.has(id);
   return withDb(async ()=>{
-    const row = (await pgGet(`positions?id=eq.${id}&select=id`))?.[0];
+    const row = (await pgGet(`positions?${DEP_EQ}&id=eq.${id}&select=id`))?.[0];
     return !!row;
   });
 }
-async function patchState3IfNeeded(id, chainState){
-  if (chainState === 3) {
-    await withDb(()=> pgPatch(`positions?id=eq.${id}`, { state: 3 }));
-  }
-}
+
+// id -> historique on-chain déjà lu (réutilisé pour la provenance)
+const provById = new Map();
 
 // ---------- Core: hydrate ONE id if missing ----------
 async function hydrateIfMissing(id){
-  const out = { id, createdOrder:0, createdOpen:0, executed:0, stops:0, removed:0, skipped:0, ownerZero:0, rpcFailed:0, reason:'' };
+  const out = { id, state:null, createdOrder:0, createdOpen:0, executed:0, stops:0, removed:0, skipped:0, ownerZero:0, rpcFailed:0, reason:'' };
 
   // 1) existe déjà en DB ?
   if (await dbHasPosition(id)) {
@@ -85,11 +102,14 @@ async function hydrateIfMissing(id){
     return out;
   }
 
-  // 2) lecture chaîne
-  let state, t;
+  // 2) lecture chaîne au bloc de tête (stateOf + getTrade identiques sur QUORUM endpoints)
+  let state, t, version;
   try {
-    state = Number(await withRpc(()=> contract.stateOf(id)));
-    t     = await withRpc(()=> contract.getTrade(id));
+    const { block, value } = await withRpc(()=> rpc.readAt((c, at)=> Promise.all([c.stateOf(id, at), c.getTrade(id, at)]), { quorum: QUORUM }));
+    [state, t] = value;
+    state = Number(state);
+    version = { block, logIndex: null };
+    out.state = state;
   } catch (e) {
     out.rpcFailed=1; out.reason = e?.shortMessage || e?.message || 'rpc error';
     return out;
@@ -113,11 +133,15 @@ async function hydrateIfMissing(id){
     longSide:  (toU(t.flags) & 1) === 1
   };
 
+  if (BULK) return hydrateBulk(id, chain, out, version);
+
   // 3) Hydratation selon state
   if (state === 0) {
     // ORDER → on crée via upsertOpenedEvent(state:0)
     await withDb(()=> upsertOpenedEvent({
+      deployment: DEP.name,
       id,
+      version,
       state: 0,
       asset: chain.asset,
       longSide: chain.longSide,
@@ -134,9 +158,11 @@ async function hydrateIfMissing(id){
   }
 
   if (state === 1) {
-    // OPEN → on crée via upsertOpenedEvent(state:1) + stops si non nuls
+    // OPEN → on crée via upsertOpenedEvent(state:1), SL/TP/LIQ non nuls indexés par le handler
     await withDb(()=> upsertOpenedEvent({
+      deployment: DEP.name,
       id,
+      version,
       state: 1,
       asset: chain.asset,
       longSide: chain.longSide,
@@ -149,19 +175,16 @@ async function hydrateIfMissing(id){
       leverageX: chain.leverageX
     }));
     out.createdOpen=1;
-
-    if (chain.slX6 || chain.tpX6) {
-      await withDb(()=> handleStopsUpdatedEvent({ id, slX6: chain.slX6, tpX6: chain.tpX6 }));
-      out.stops=1;
-    }
+    out.stops = (chain.slX6 || chain.tpX6) ? 1 : 0;
     out.reason='created-open(+stops?)';
     return out;
   }
 
   if (state === 2 || state === 3) {
-    // CLOSED/CANCELLED → on nettoie via removed (le handler met state=2); si 3, on patch state=3
-    await withDb(()=> handleRemovedEvent({ id, reason: state===3 ? 0 : 1, execX6: 0, pnlUsd6: 0 }));
-    await patchState3IfNeeded(id, state);
+    // CLOSED/CANCELLED → on nettoie via removed (state=2 ou 3 posé par le handler)
+    const prov = await withDb(()=> lookupProvenance({ dep: DEP, rpc, id, want: expectedTransitions(state) }));
+    provById.set(id, prov);
+    await withDb(()=> handleRemovedEvent({ deployment: DEP.name, id, ...removedFrom(prov, state), state, version }));
     out.removed=1; out.reason= (state===3 ? 'created-cancelled' : 'created-closed');
     return out;
   }
@@ -171,6 +194,41 @@ async function hydrateIfMissing(id){
   return out;
 }
 
+// ---------- --bulk: ligne complète (provenance + clôture) -> lot ----------
+async function hydrateBulk(id, chain, out, version){
+  const { state } = chain;
+  if (![0, 1, 2, 3].includes(state)) {
+    out.skipped=1; out.reason=`unknown-state-${state}`;
+    return out;
+  }
+
+  const prov = await withDb(()=> lookupProvenance({ dep: DEP, rpc, id, want: expectedTransitions(state) }));
+  await bulk.add(positionRow({
+    deployment: DEP.name,
+    id,
+    state,
+    asset: chain.asset,
+    longSide: chain.longSide,
+    lots: chain.lots,
+    leverageX: chain.leverageX,
+    entryX6: chain.entryX6,
+    targetX6: chain.targetX6,
+    slX6: chain.slX6,
+    tpX6: chain.tpX6,
+    liqX6: chain.liqX6,
+    trader: chain.owner,
+    removed: state >= 2 ? removedFrom(prov, state) : null,
+    prov,
+    version
+  }));
+
+  if (state === 0) { out.createdOrder=1; out.reason='bulk-order'; }
+  if (state === 1) { out.createdOpen=1; out.stops = (chain.slX6 || chain.tpX6) ? 1 : 0; out.reason='bulk-open'; }
+  if (state >= 2)  { out.removed=1; out.reason = state===3 ? 'bulk-cancelled' : 'bulk-closed'; }
+  out.provenance = Object.keys(prov).length ? 1 : 0;
+  return out;
+}
+
 // ---------- Build ID list ----------
 let ids = [];
 if (flags.ids) {
@@ -192,12 +250,13 @@ if (flags.ids) {
 const WORKERS = Math.min(ids.length || 1, Number(flags.workers ?? DB_CONC));
 
 // ---------- Run ----------
-L(TAG, `RPC=${RPC_URL} | CONTRACT=${CONTRACT_ADDR}`);
-L(TAG, `${flags.ids ? 'MODE=list' : 'MODE=range'} | ids=${ids.length} | dbConc=${DB_CONC} rpcConc=${RPC_CONC} workers=${WORKERS}`);
+L(TAG, `DEPLOYMENT=${DEP.name} | RPC=${rpc.describe()} | CONTRACT=${DEP.contract} | quorum=${QUORUM}`);
+L(TAG, `${flags.ids ? 'MODE=list' : 'MODE=range'} | ids=${ids.length} | dbConc=${DB_CONC} rpcConc=${RPC_CONC} workers=${WORKERS}${BULK ? ' | bulk' : ''}`);
 
 (async () => {
-  const acc = { scanned:0, createdOrder:0, createdOpen:0, executed:0, stops:0, removed:0, skipped:0, ownerZero:0, rpcFailed:0 };
+  const acc = { scanned:0, createdOrder:0, createdOpen:0, executed:0, stops:0, removed:0, skipped:0, ownerZero:0, rpcFailed:0, provenance:0 };
   let idx = 0;
+  if (BULK) existingIds = await getExistingPositionIds(DEP.name, ids);
 
   async function workerMain(wid) {
     while (true) {
@@ -206,6 +265,17 @@ L(TAG, `${flags.ids ? 'MODE=list' : 'MODE=range'} | ids=${ids.length} | dbConc=$
       const id = ids[i];
       try {
         const r = await hydrateIfMissing(id);
+        // provenance (bloc / timestamp / tx) des lignes créées (--bulk: déjà dans la ligne)
+        acc.provenance += r.provenance||0;
+        if (!BULK && (r.createdOrder || r.createdOpen || r.removed)) {
+          try {
+            const prov = provById.get(id);
+            if (await withDb(() => syncProvenance({ dep: DEP, rpc, id, state: r.state, prov }))) acc.provenance++;
+          } catch (e) {
+            E(TAG, `id=${id} provenance failed:`, e?.message || e);
+          }
+        }
+        provById.delete(id);
         acc.scanned++;
         acc.createdOrder += r.createdOrder||0;
         acc.createdOpen  += r.createdOpen||0;
@@ -223,5 +293,14 @@ L(TAG, `${flags.ids ? 'MODE=list' : 'MODE=range'} | ids=${ids.length} | dbConc=$
   }
 
   await Promise.all(Array.from({length: WORKERS}, (_,i) => workerMain(i)));
-  L(TAG, `Done. scanned=${acc.scanned} createdOrder=${acc.createdOrder} createdOpen=${acc.createdOpen} stops=${acc.stops} removed=${acc.removed} skipped=${acc.skipped} ownerZero=${acc.ownerZero} rpcFailed=${acc.rpcFailed}`);
+  if (bulk) {
+    const b = await bulk.close();
+    L(TAG, `Bulk: batches=${b.batches} positions=${b.positions} orders=${b.orders} stops=${b.stops} stale=${b.stale} failed=${b.failed.length} | exposure rows=${b.exposure?.rows}`);
+    if (b.failed.length) {
+      E(TAG, `Bulk: ids en échec: ${b.failed.sort((x, y) => x - y).join(',')}`);
+      process.exitCode = 2;
+    }
+  }
+  L(TAG, `RPC health: ${JSON.stringify(rpc.stats())}`);
+  L(TAG, `Done. scanned=${acc.scanned} createdOrder=${acc.createdOrder} createdOpen=${acc.createdOpen} stops=${acc.stops} removed=${acc.removed} skipped=${acc.skipped} ownerZero=${acc.ownerZero} rpcFailed=${acc.rpcFailed} provenance=${acc.provenance}`);
 })().catch(err => { E(TAG, err?.message || err); process.exit(1); });
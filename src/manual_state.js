@@ -3,9 +3,12 @@
 // - Appelle UNIQUEMENT stateOf(id) (PAS de getTrade)
 // - Compare à DB.positions.state
 // - Cas 0->1 : Executed + index SL/TP si non nuls
-// - Cas 1->2/3 : handleRemovedEvent (nettoie SL/TP/LIQ/ORDER) + set state 3 si besoin
+// - Cas 1->2/3 : handleRemovedEvent (nettoie SL/TP/LIQ/ORDER) + set state 3 si besoin;
+//   reason / exec_x6 / pnl_usd6 lus sur le vrai log Removed (journal, sinon getLogs sur
+//   le topic id), zéros seulement si aucun log n'existe
 // - Cas égaux : vérifie/retape les index (voir détails ci-dessous)
 // - Autres mismatch : patch state uniquement
+// - Toute correction: provenance (bloc / timestamp / tx) via shared/provenance.js
 //
 // Vérifs supplémentaires quand états égaux :
 //   state=0 : ORDER bien indexé ? sinon upsertOpenedEvent(state:0)
@@ -17,32 +20,34 @@
 //   node src/manual_state.js --end=1200 --count=100
 //   node src/manual_state.js --ids=905,906,940
 //   node src/manual_state.js --end=5000 --count=1000 --dbConcurrency=500 --rpcConcurrency=100 --workers=300
+//   node src/manual_state.js --ids=905,906 --quorum=2   (stateOf identique sur 2 endpoints RPC_URLS)
+//   node src/manual_state.js --ids=905 --deployment=testnet   (def: DEFAULT_DEPLOYMENT)
 // ======================================================================
 
 import 'dotenv/config';
-import { ethers } from 'ethers';
 import { ABI } from './shared/abi.js';
+import { RpcContract } from './shared/rpc.js';
+import { getDeployment, assertDeployment } from './shared/deployments.js';
 import { logInfo as L, logErr as E } from './shared/logger.js';
-import { get as pgGet, patch as pgPatch } from './shared/rest.js';
+import { get as pgGet, patch as pgPatch } from './shared/store/index.js';
 import {
   handleExecutedEvent,
   handleStopsUpdatedEvent,
   handleRemovedEvent,
   upsertOpenedEvent
 } from './shared/db.js';
-
-// ---------- ENV ----------
-const RPC_URL       = (process.env.RPC_URL || process.env.RPC_HTTP || '').trim();
-const CONTRACT_ADDR = (process.env.CONTRACT_ADDR || '').trim();
-if (!RPC_URL)       throw new Error('RPC_URL manquant dans .env');
-if (!CONTRACT_ADDR) throw new Error('CONTRACT_ADDR manquant dans .env');
+import { lookupProvenance, expectedTransitions, removedFrom, syncProvenance } from './shared/provenance.js';
 
 const TAG = 'ManualState';
 
-// ---------- ETHERS (HTTP RPC) ----------
-const iface    = new ethers.Interface(ABI.Getters);
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const contract = new ethers.Contract(CONTRACT_ADDR, iface, provider);
+// ---------- RPC par déploiement (multi-endpoints, failover, quorum optionnel) ----------
+const rpcs = new Map();
+function rpcFor(dep) {
+  if (!rpcs.has(dep.name)) {
+    rpcs.set(dep.name, new RpcContract({ address: dep.contract, abi: ABI.Getters, urls: dep.rpcUrls }));
+  }
+  return rpcs.get(dep.name);
+}
 
 // ---------- Concurrency utils ----------
 class Semaphore {
@@ -62,19 +67,23 @@ class Semaphore {
   _next() { if (this.q.length && this.cur < this.max) this.q.shift()(); }
 }
 
-function makeCtx({ dbConcurrency = 500, rpcConcurrency = 100 } = {}) {
+function makeCtx({ deployment, dbConcurrency = 500, rpcConcurrency = 100, quorum } = {}) {
+  const dep = assertDeployment(getDeployment(deployment), { rpc: true });
+  const rpc = rpcFor(dep);
+  const depEq = `deployment=eq.${encodeURIComponent(dep.name)}`;
   const dbSem  = new Semaphore(Number(dbConcurrency));
   const rpcSem = new Semaphore(Number(rpcConcurrency));
   const withDb  = async fn => { const r = await dbSem.acquire();  try { return await fn(); } finally { r(); } };
   const withRpc = async fn => { const r = await rpcSem.acquire(); try { return await fn(); } finally { r(); } };
-  return { withDb, withRpc };
+  const prov = new Map(); // id -> historique on-chain déjà lu (réutilisé pour la provenance)
+  return { dep, deployment: dep.name, depEq, rpc, prov, withDb, withRpc, quorum: quorum ?? rpc.quorum };
 }
 
 // ---------- DB helpers ----------
-async function readDbRow(id, withDb) {
+async function readDbRow(id, { withDb, depEq }) {
   return withDb(async () => {
-    const sel = 'id,state,sl_x6,tp_x6,liq_x6,target_x6,entry_x6,lots,long_side,asset_id,leverage_x,trader_addr';
-    const row = (await pgGet(`positions?id=eq.${id}&select=${sel}&limit=1`))?.[0] || null;
+    const sel = 'id,state,sl_x6,tp_x6,liq_x6,target_x6,entry_x6,lots,long_side,asset_id,leverage_x,trader_addr,close_reason,exec_x6,pnl_usd6';
+    const row = (await pgGet(`positions?${depEq}&id=eq.${id}&select=${sel}&limit=1`))?.[0] || null;
     return row ? {
       id: Number(row.id),
       state: Number(row.state),
@@ -87,23 +96,35 @@ async function readDbRow(id, withDb) {
       long_side: Boolean(row.long_side),
       asset_id: Number(row.asset_id ?? 0),
       leverage_x: Number(row.leverage_x ?? 0),
-      trader_addr: String(row.trader_addr || '')
+      trader_addr: String(row.trader_addr || ''),
+      close_reason: row.close_reason === null ? null : Number(row.close_reason),
+      exec_x6: row.exec_x6 ?? 0,
+      pnl_usd6: row.pnl_usd6 ?? 0
     } : null;
   });
 }
-async function patchDbState(id, state, withDb) {
-  return withDb(async () => pgPatch(`positions?id=eq.${id}`, { state }));
+async function patchDbState(id, state, { withDb, depEq }) {
+  return withDb(async () => pgPatch(`positions?${depEq}&id=eq.${id}`, { state }));
 }
-async function readBucketsByPosition(id, withDb) {
+async function readBucketsByPosition(id, { withDb, depEq }) {
   return withDb(async () => {
     const [orders, stops] = await Promise.all([
-      pgGet(`order_buckets?position_id=eq.${id}`),
-      pgGet(`stop_buckets?position_id=eq.${id}`)
+      pgGet(`order_buckets?${depEq}&position_id=eq.${id}`),
+      pgGet(`stop_buckets?${depEq}&position_id=eq.${id}`)
     ]);
     return { orders: orders || [], stops: stops || [] };
   });
 }
 
+// Arguments Removed: vrai log (journal / getLogs) sinon `fallback` / zéros
+async function removedArgs(id, chainState, ctx, fallback = null) {
+  const prov = await ctx.withDb(() => lookupProvenance({
+    dep: ctx.dep, rpc: ctx.rpc, id, want: expectedTransitions(chainState)
+  }));
+  ctx.prov.set(id, prov);
+  return removedFrom(prov, chainState, fallback);
+}
+
 // ---------- equality helpers ----------
 const BI = (x) => BigInt(x ?? 0);
 
@@ -137,25 +158,26 @@ function hasAnyIndex(orders, stops) {
 
 // ---------- Core (STATE-ONLY + consistency) ----------
 export async function reconcileStateOnly(id, ctx) {
-  const { withDb, withRpc } = ctx;
+  const { deployment, rpc, withDb, withRpc, quorum } = ctx;
   const out = { id, patched:0, executed:0, stops:0, removed:0, skipped:0, missingDb:0, rpcFailed:0, reason:'' };
 
-  // 1) Lecture on-chain (state only)
+  // 1) Lecture on-chain (state only, identique sur `quorum` endpoints)
   let chainState;
   try {
-    chainState = Number(await withRpc(() => contract.stateOf(id)));
+    chainState = Number(await withRpc(() => rpc.read((c) => c.stateOf(id), { quorum })));
   } catch (e) {
     out.rpcFailed=1; out.reason = e?.shortMessage || e?.message || 'rpc error';
     return out;
   }
+  out.chainState = chainState;
 
   // 2) Lecture DB + buckets
-  const db = await readDbRow(id, withDb);
+  const db = await readDbRow(id, ctx);
   if (!db) {
     out.missingDb=1; out.reason='db-missing';
     return out;
   }
-  const { orders, stops } = await readBucketsByPosition(id, withDb);
+  const { orders, stops } = await readBucketsByPosition(id, ctx);
 
   // 3) États différents → logique habituelle
   if (db.state !== chainState) {
@@ -164,14 +186,14 @@ export async function reconcileStateOnly(id, ctx) {
       const entryX6 = db.entry_x6 !== 0n ? db.entry_x6 : (db.target_x6 !== 0n ? db.target_x6 : 0n);
       try {
         if (entryX6 !== 0n) {
-          await withDb(() => handleExecutedEvent({ id, entryX6 }));
+          await withDb(() => handleExecutedEvent({ deployment, id, entryX6 }));
           out.executed++;
         } else {
-          await patchDbState(id, 1, withDb);
+          await patchDbState(id, 1, ctx);
           out.patched++;
         }
         if (db.sl_x6 !== 0n || db.tp_x6 !== 0n) {
-          await withDb(() => handleStopsUpdatedEvent({ id, slX6: db.sl_x6, tpX6: db.tp_x6 }));
+          await withDb(() => handleStopsUpdatedEvent({ deployment, id, slX6: db.sl_x6, tpX6: db.tp_x6 }));
           out.stops++;
         }
         out.reason = 'order->open (executed + stops if any)';
@@ -185,8 +207,9 @@ export async function reconcileStateOnly(id, ctx) {
     // 1 -> 2/3
     if (db.state === 1 && (chainState === 2 || chainState === 3)) {
       try {
-        await withDb(() => handleRemovedEvent({ id, reason: chainState===3 ? 0 : 1, execX6: 0, pnlUsd6: 0 }));
-        if (chainState === 3) await patchDbState(id, 3, withDb);
+        const removed = await removedArgs(id, chainState, ctx);
+        await withDb(() => handleRemovedEvent({ deployment, id, ...removed }));
+        if (chainState === 3) await patchDbState(id, 3, ctx);
         out.removed++; out.reason = chainState===3 ? 'open->cancelled (clean indexes)' : 'open->closed (clean indexes)';
         return out;
       } catch (e) {
@@ -197,7 +220,7 @@ export async function reconcileStateOnly(id, ctx) {
 
     // sinon: patch minimal
     try {
-      await patchDbState(id, chainState, withDb);
+      await patchDbState(id, chainState, ctx);
       out.patched=1; out.reason=`patched ${db.state} -> ${chainState}`;
     } catch (e) {
       out.rpcFailed=1; out.reason = e?.message || String(e);
@@ -210,8 +233,12 @@ export async function reconcileStateOnly(id, ctx) {
   if (chainState === 2 || chainState === 3) {
     if (hasAnyIndex(orders, stops)) {
       try {
-        await withDb(() => handleRemovedEvent({ id, reason: chainState===3 ? 0 : 1, execX6: 0, pnlUsd6: 0 }));
-        if (chainState === 3) await patchDbState(id, 3, withDb); // par sûreté
+        // clôture déjà en DB: conservée si aucun log Removed n'est trouvé
+        const removed = await removedArgs(id, chainState, ctx, db.close_reason === null ? null : {
+          reason: db.close_reason, execX6: db.exec_x6, pnlUsd6: db.pnl_usd6
+        });
+        await withDb(() => handleRemovedEvent({ deployment, id, ...removed }));
+        if (chainState === 3) await patchDbState(id, 3, ctx); // par sûreté
         out.removed++; out.reason = 'closed/cancelled but had indexes → cleaned';
       } catch (e) {
         out.rpcFailed=1; out.reason = e?.message || String(e);
@@ -227,6 +254,7 @@ export async function reconcileStateOnly(id, ctx) {
     if (!orderIndexedEqual(orders, { lots: db.lots, long_side: db.long_side })) {
       try {
         await withDb(() => upsertOpenedEvent({
+          deployment,
           id,
           state: 0,
           asset: db.asset_id,
@@ -257,10 +285,10 @@ export async function reconcileStateOnly(id, ctx) {
       const entryX6 = db.entry_x6 !== 0n ? db.entry_x6 : (db.target_x6 !== 0n ? db.target_x6 : 0n);
       try {
         if (entryX6 !== 0n) {
-          await withDb(() => handleExecutedEvent({ id, entryX6 }));
+          await withDb(() => handleExecutedEvent({ deployment, id, entryX6 }));
         } else {
           // fallback minimal : patch state=1 (devrait être déjà 1) pour déclencher une ré-index éventuelle côté handlers
-          await patchDbState(id, 1, withDb);
+          await patchDbState(id, 1, ctx);
         }
         out.executed++; out.reason = 'open had lingering ORDER → cleaned via executed';
         return out;
@@ -273,7 +301,7 @@ export async function reconcileStateOnly(id, ctx) {
     if (!stopsIndexedOkForOpen(stops, db)) {
       try {
         // on ne peut gérer que SL/TP via handleStopsUpdatedEvent (LIQ souvent géré ailleurs)
-        await withDb(() => handleStopsUpdatedEvent({ id, slX6: db.sl_x6, tpX6: db.tp_x6 }));
+        await withDb(() => handleStopsUpdatedEvent({ deployment, id, slX6: db.sl_x6, tpX6: db.tp_x6 }));
         out.stops++; out.reason = 'open stops (SL/TP) fixed';
       } catch (e) {
         out.rpcFailed=1; out.reason = e?.message || String(e);
@@ -294,12 +322,14 @@ export async function runManualState(ids, {
   dbConcurrency  = Number(process.env.DB_CONC  ?? 500),
   rpcConcurrency = Number(process.env.RPC_CONC ?? 100),
   workers,           // optionnel, def = min(ids.length, dbConc)
+  deployment,        // nom (shared/deployments.js), def = DEFAULT_DEPLOYMENT
+  quorum,            // def = RPC_QUORUM
   suppressLogs = false
 } = {}) {
-  const ctx = makeCtx({ dbConcurrency, rpcConcurrency });
+  const ctx = makeCtx({ deployment, dbConcurrency, rpcConcurrency, quorum });
   const W = Math.min(ids.length || 1, Number(workers ?? dbConcurrency));
 
-  const acc = { scanned:0, patched:0, executed:0, stops:0, removed:0, skipped:0, missingDb:0, rpcFailed:0 };
+  const acc = { scanned:0, patched:0, executed:0, stops:0, removed:0, skipped:0, missingDb:0, rpcFailed:0, provenance:0 };
   let idx = 0;
 
   async function workerMain(wid) {
@@ -308,6 +338,16 @@ export async function runManualState(ids, {
       if (i >= ids.length) return;
       const id = ids[i];
       const r = await reconcileStateOnly(id, ctx);
+      // provenance (bloc / timestamp / tx) des transitions corrigées
+      if (r.patched || r.executed || r.removed) {
+        try {
+          const prov = ctx.prov.get(id);
+          if (await ctx.withDb(() => syncProvenance({ dep: ctx.dep, rpc: ctx.rpc, id, state: r.chainState, prov }))) acc.provenance++;
+        } catch (e) {
+          E(TAG, `id=${id} provenance failed:`, e?.message || e);
+        }
+      }
+      ctx.prov.delete(id);
       acc.scanned++;
       acc.patched   += r.patched   || 0;
       acc.executed  += r.executed  || 0;
@@ -323,7 +363,8 @@ export async function runManualState(ids, {
   await Promise.all(Array.from({ length: W }, (_, i) => workerMain(i)));
 
   if (!suppressLogs) {
-    L(TAG, `Done. scanned=${acc.scanned} patched=${acc.patched} executed=${acc.executed} stops=${acc.stops} removed=${acc.removed} skipped=${acc.skipped} missingDb=${acc.missingDb} rpcFailed=${acc.rpcFailed}`);
+    L(TAG, `RPC health: ${JSON.stringify(ctx.rpc.stats())}`);
+    L(TAG, `Done. scanned=${acc.scanned} patched=${acc.patched} executed=${acc.executed} stops=${acc.stops} removed=${acc.removed} skipped=${acc.skipped} missingDb=${acc.missingDb} rpcFailed=${acc.rpcFailed} provenance=${acc.provenance}`);
   }
   return acc;
 }
@@ -355,11 +396,14 @@ if (isDirectRun) {
   const dbConc  = Number(flags.dbConcurrency  ?? flags.db_concurrency  ?? process.env.DB_CONC  ?? 500);
   const rpcConc = Number(flags.rpcConcurrency ?? flags.rpc_concurrency ?? process.env.RPC_CONC ?? 100);
   const workers = flags.workers ? Number(flags.workers) : undefined;
+  const dep     = assertDeployment(getDeployment(flags.deployment), { rpc: true });
+  const rpc     = rpcFor(dep);
+  const quorum  = flags.quorum ? Math.max(1, Number(flags.quorum) || 1) : rpc.quorum;
 
-  L(TAG, `RPC=${RPC_URL} | CONTRACT=${CONTRACT_ADDR}`);
+  L(TAG, `DEPLOYMENT=${dep.name} | RPC=${rpc.describe()} | CONTRACT=${dep.contract} | quorum=${quorum}`);
   L(TAG, `${flags.ids ? 'MODE=list' : 'MODE=range'} | ids=${ids.length} | dbConc=${dbConc} rpcConc=${rpcConc} workers=${Math.min(ids.length || 1, Number(workers ?? dbConc))}`);
 
-  runManualState(ids, { dbConcurrency: dbConc, rpcConcurrency: rpcConc, workers })
+  runManualState(ids, { deployment: dep.name, dbConcurrency: dbConc, rpcConcurrency: rpcConc, workers, quorum })
     .then(() => process.exit(0))
     .catch(err => { E(TAG, err?.message || err); process.exit(1); });
 }
@@ -0,0 +1,143 @@
+// ======================================================================
+// BROKEX • migrate (schéma versionné: migrations/NNNN_nom.up.sql / .down.sql)
+// - schema_migrations: version, nom, checksum (sha256 du .up.sql), date
+// - up: applique les migrations manquantes dans l'ordre, une transaction chacune
+// - down: annule les dernières migrations appliquées (⚠️ DROP: données perdues)
+// - status: appliquées / en attente / modifiées depuis leur application
+// - connexion directe Postgres (shared/pg.js: PGHOST, PGDATABASE, PGUSER, PGPASSWORD)
+// - les .up.sql sont idempotents (if not exists / create or replace): une base
+//   existante peut passer `up` pour être versionnée; 0000_baseline complète ou
+//   refuse ses tables positions / buckets / assets (prérequis: cf. README)
+//
+// Usage:
+//   node src/migrate.js status
+//   node src/migrate.js up [--to=4]
+//   node src/migrate.js down --yes [--steps=1 | --to=3]
+// ======================================================================
+
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { logInfo as L, logWarn as W, logErr as E } from './shared/logger.js';
+
+const TAG = 'Migrate';
+const DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const LOCK_KEY = 7_304_221; // pg_advisory_xact_lock: un seul migrate à la fois
+
+const [cmd = 'status', ...rest] = process.argv.slice(2);
+const flags = Object.fromEntries(rest.map(a => {
+  const [k, v = 'true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
+  return [k, v];
+}));
+
+// ---------- Fichiers ----------
+function loadMigrations() {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(DIR).sort()) {
+    const m = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/.exec(file);
+    if (!m) continue;
+    const version = Number(m[1]);
+    const mig = byVersion.get(version) ?? { version, name: m[2] };
+    if (mig.name !== m[2]) throw new Error(`Migration ${version}: noms différents (${mig.name} / ${m[2]})`);
+    mig[m[3]] = fs.readFileSync(path.join(DIR, file), 'utf8');
+    byVersion.set(version, mig);
+  }
+  const list = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const mig of list) {
+    if (!mig.up || !mig.down) throw new Error(`Migration ${mig.version}_${mig.name}: .up.sql et .down.sql requis`);
+    mig.checksum = crypto.createHash('sha256').update(mig.up).digest('hex');
+  }
+  return list;
+}
+
+// ---------- DB ----------
+const ENSURE_TABLE = `
+  create table if not exists public.schema_migrations (
+    version     int4 primary key,
+    name        text not null,
+    checksum    text not null,
+    applied_at  timestamptz not null default now()
+  )`;
+
+async function getApplied(query) {
+  await query(ENSURE_TABLE);
+  const { rows } = await query('select version, name, checksum, applied_at from public.schema_migrations order by version');
+  return new Map(rows.map(r => [Number(r.version), r]));
+}
+
+const label = (m) => `${String(m.version).padStart(4, '0')}_${m.name}`;
+
+// ---------- Commandes ----------
+async function status(pg) {
+  const applied = await getApplied(pg.query);
+  for (const mig of loadMigrations()) {
+    const row = applied.get(mig.version);
+    applied.delete(mig.version);
+    if (!row) L(TAG, `pending   ${label(mig)}`);
+    else if (row.checksum !== mig.checksum) W(TAG, `modified  ${label(mig)} (appliquée ${new Date(row.applied_at).toISOString()}, fichier changé depuis)`);
+    else L(TAG, `applied   ${label(mig)} @ ${new Date(row.applied_at).toISOString()}`);
+  }
+  for (const row of applied.values()) W(TAG, `missing   ${label(row)} (appliquée mais fichier absent)`);
+}
+
+async function up(pg) {
+  const to = flags.to === undefined ? Infinity : Number(flags.to);
+  const applied = await getApplied(pg.query);
+  const todo = loadMigrations().filter(m => m.version <= to && !applied.has(m.version));
+  if (!todo.length) return L(TAG, 'up: rien à appliquer');
+
+  for (const mig of todo) {
+    await pg.tx(async (client) => {
+      await client.query('select pg_advisory_xact_lock($1)', [LOCK_KEY]);
+      const { rowCount } = await client.query('select 1 from public.schema_migrations where version = $1', [mig.version]);
+      if (rowCount) return; // appliquée entre-temps par un autre migrate
+      await client.query(mig.up);
+      await client.query(
+        'insert into public.schema_migrations (version, name, checksum) values ($1, $2, $3)',
+        [mig.version, mig.name, mig.checksum]
+      );
+    });
+    L(TAG, `up ${label(mig)} ✓`);
+  }
+}
+
+async function down(pg) {
+  if (flags.yes !== 'true') {
+    throw new Error('down supprime des tables et leurs données: relancer avec --yes');
+  }
+  const files = new Map(loadMigrations().map(m => [m.version, m]));
+  const applied = [...(await getApplied(pg.query)).keys()].sort((a, b) => b - a);
+  const todo = flags.to !== undefined
+    ? applied.filter(v => v > Number(flags.to))
+    : applied.slice(0, Math.max(1, Number(flags.steps ?? 1)));
+  if (!todo.length) return L(TAG, 'down: rien à annuler');
+
+  for (const version of todo) {
+    const mig = files.get(version);
+    if (!mig) throw new Error(`Migration ${version} appliquée mais fichiers absents: down impossible`);
+    await pg.tx(async (client) => {
+      await client.query('select pg_advisory_xact_lock($1)', [LOCK_KEY]);
+      await client.query(mig.down);
+      await client.query('delete from public.schema_migrations where version = $1', [version]);
+    });
+    L(TAG, `down ${label(mig)} ✓`);
+  }
+}
+
+const COMMANDS = { status, up, down };
+
+(async () => {
+  const run = COMMANDS[cmd];
+  if (!run) {
+    console.error('Usage: node src/migrate.js status | up [--to=N] | down --yes [--steps=1 | --to=N]');
+    process.exit(1);
+  }
+  const pg = await import('./shared/pg.js'); // après l'usage: PG* requis seulement ici
+  try {
+    await run(pg);
+  } finally {
+    await pg.pool.end().catch(() => {});
+  }
+})().catch(err => { E(TAG, err?.message || err); process.exit(1); });
@@ -0,0 +1,57 @@
+// ======================================================================
+// BROKEX • rebucket (order_buckets / stop_buckets <- positions)
+// - Recalcule tous les bucket_id d'un asset avec son tick_size_usd6 ACTUEL
+//   (à lancer après un changement de tick: /bucket/* et /find/targets
+//   cherchent par bucket_id)
+// - Une transaction par asset (fonction SQL rebucket_asset, migration 0008)
+// - Affiche les compteurs: positions, orders/stops before / after / moved
+// - --deployment=<nom>: ne traite que ce déploiement (def: tous, le tick est global)
+// - Aussi disponible via POST /assets/:assetId/rebucket (admin)
+//
+// Usage:
+//   node src/rebucket.js --asset=0
+//   node src/rebucket.js --asset=0 --deployment=testnet
+//   node src/rebucket.js --all
+// ======================================================================
+
+import 'dotenv/config';
+import { logInfo as L, logErr as E } from './shared/logger.js';
+import { get } from './shared/store/index.js';
+import { rebucketAsset } from './shared/db.js';
+import { getDeployment } from './shared/deployments.js';
+
+const TAG = 'Rebucket';
+
+const flags = Object.fromEntries(process.argv.slice(2).map(a => {
+  const [k, v = 'true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
+  return [k, v];
+}));
+
+const DEPLOYMENT = flags.deployment ? getDeployment(flags.deployment).name : undefined;
+
+if (flags.all !== 'true' && !/^\d+$/.test(String(flags.asset ?? ''))) {
+  console.error('Usage: node src/rebucket.js --asset=<id> | --all   [--deployment=<nom>]');
+  process.exit(1);
+}
+
+(async () => {
+  const assetIds = flags.all === 'true'
+    ? ((await get('assets?select=asset_id&order=asset_id.asc')) || []).map(r => Number(r.asset_id))
+    : [Number(flags.asset)];
+
+  let failed = 0;
+  for (const assetId of assetIds) {
+    try {
+      const r = await rebucketAsset(assetId, { deployment: DEPLOYMENT });
+      L(TAG, `asset=${assetId} tick=${r.tick_size_usd6} positions=${r.positions} ` +
+        `orders before=${r.orders.before} after=${r.orders.after} moved=${r.orders.moved} | ` +
+        `stops before=${r.stops.before} after=${r.stops.after} moved=${r.stops.moved}`);
+    } catch (err) {
+      failed++;
+      E(TAG, `asset=${assetId} failed (rien n'a changé):`, err?.message || err);
+    }
+  }
+
+  L(TAG, `Done. assets=${assetIds.length} failed=${failed} deployment=${DEPLOYMENT ?? 'all'}`);
+  process.exit(failed > 0 ? 2 : 0);
+})().catch(err => { E(TAG, err?.message || err); process.exit(1); });
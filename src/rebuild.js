@@ -0,0 +1,90 @@
+// ======================================================================
+// BROKEX • rebuild (projections <- journal trade_events)
+// - Vide positions, order_buckets, stop_buckets, exposure_agg, position_stops_history
+//   (+ reorg_undo); dead_letters conservées (audit)
+// - Rejoue TOUS les events non annulés du journal, dans l'ordre (block, logIndex),
+//   via les handlers shared/db.js (mêmes règles que l'indexer)
+// - Dead letters: event en dead letter (pending / exhausted) rejoué avec succès → résolu;
+//   échec du rejeu → dead letter (réservation processed_events libérée: retry possible)
+// - Déterministe: même journal => mêmes projections
+// - --deployment=<nom>: ne reconstruit que ce déploiement (def: tous)
+// ⚠️ Arrêter l'indexer pendant le rebuild.
+//
+// Usage:
+//   node src/rebuild.js --yes
+//   node src/rebuild.js --yes --pageSize=5000
+//   node src/rebuild.js --yes --deployment=testnet
+// ======================================================================
+
+import 'dotenv/config';
+import { logInfo as L, logErr as E } from './shared/logger.js';
+import { getJournalPage, resetProjections, listDeadLetters, deleteDeadLetter, releaseEvent } from './shared/db.js';
+import { applyEvent, fromJournalRow, describeEvent } from './shared/events.js';
+import { deadLetter } from './shared/deadletter.js';
+import { eventKey } from './shared/cache.js';
+import { DEPLOYMENTS, getDeployment } from './shared/deployments.js';
+
+const TAG = 'Rebuild';
+
+const flags = Object.fromEntries(process.argv.slice(2).map(a => {
+  const [k, v = 'true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
+  return [k, v];
+}));
+
+const PAGE_SIZE = Math.max(100, Number(flags.pageSize ?? 1000));
+const DEPLOYMENT = flags.deployment ? getDeployment(flags.deployment).name : undefined;
+
+if (flags.yes !== 'true') {
+  console.error('Usage: node src/rebuild.js --yes [--pageSize=1000] [--deployment=<nom>]   (efface puis reconstruit positions/buckets/exposure)');
+  process.exit(1);
+}
+
+(async () => {
+  L(TAG, `resetting projections (positions, order_buckets, stop_buckets, exposure_agg, position_stops_history, reorg_undo) deployment=${DEPLOYMENT ?? 'all'}…`);
+  await resetProjections({ deployment: DEPLOYMENT });
+
+  // dead letters encore ouvertes: résolues si leur event passe au rejeu
+  const open = new Map(); // eventKey -> { deployment, id }
+  for (const name of DEPLOYMENT ? [DEPLOYMENT] : DEPLOYMENTS.map(d => d.name)) {
+    for (const status of ['pending', 'exhausted']) {
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const rows = await listDeadLetters({ deployment: name, status, limit: PAGE_SIZE, offset });
+        for (const r of rows) {
+          open.set(eventKey({ blockNumber: r.block_number, txHash: r.tx_hash, logIndex: r.log_index }), { deployment: r.deployment, id: r.id });
+        }
+        if (rows.length < PAGE_SIZE) break;
+      }
+    }
+  }
+
+  const acc = { replayed: 0, failed: 0, resolved: 0 };
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const rows = await getJournalPage({ deployment: DEPLOYMENT, offset, limit: PAGE_SIZE });
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      const ev = fromJournalRow(row);
+      try {
+        await applyEvent(ev);
+        acc.replayed++;
+      } catch (err) {
+        acc.failed++;
+        E(TAG, `replay failed ${describeEvent(ev)}:`, err?.message || err);
+        await releaseEvent(ev);
+        await deadLetter(ev, err);
+        continue;
+      }
+      const dl = open.get(eventKey(ev));
+      if (dl) {
+        await deleteDeadLetter(dl.deployment, dl.id);
+        acc.resolved++;
+        L(TAG, `dead letter resolved by replay ${describeEvent(ev)}`);
+      }
+    }
+    L(TAG, `progress: replayed=${acc.replayed} failed=${acc.failed} resolved=${acc.resolved} (last block=${rows[rows.length - 1].block_num})`);
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  L(TAG, `Done. replayed=${acc.replayed} failed=${acc.failed} (dead-lettered) resolved=${acc.resolved}`);
+  process.exit(acc.failed > 0 ? 2 : 0);
+})().catch(err => { E(TAG, err?.message || err); process.exit(1); });
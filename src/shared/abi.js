@@ -86,3 +86,11 @@ export const ABI = {
   ],
 };
 
+// Les 4 events du contrat dans une seule interface (indexer unique)
+ABI.Events = [
+  ...ABI.Opened,
+  ...ABI.Executed,
+  ...ABI.StopsUpdated,
+  ...ABI.Removed
+];
+
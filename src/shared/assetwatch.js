@@ -0,0 +1,40 @@
+// src/shared/assetwatch.js
+// Invalidation du cache assets (shared/db.js getAsset) dans tous les process:
+// toute écriture sur assets (API admin ou SQL direct) incrémente
+// cache_versions['assets'] par trigger; chaque listener / API interroge cette
+// version toutes les ASSET_CACHE_POLL_MS et vide son cache quand elle change.
+//   ASSET_CACHE_POLL_MS → période (def: 15000, 0 = désactivé)
+import { getCacheVersion, invalidateAssetCache } from './db.js';
+import { logInfo, logWarn } from './logger.js';
+
+const TAG = 'Assets';
+const ASSET_CACHE_POLL_MS = Math.max(0, Number(process.env.ASSET_CACHE_POLL_MS ?? 15000));
+
+export function watchAssetChanges({ intervalMs = ASSET_CACHE_POLL_MS } = {}) {
+  if (!intervalMs) return () => {};
+
+  let known = null;
+  let failing = false;
+
+  const check = async () => {
+    try {
+      const v = await getCacheVersion('assets');
+      if (known !== null && v !== known) {
+        invalidateAssetCache();
+        logInfo(TAG, `assets changed (version ${known} -> ${v}), cache invalidated`);
+      }
+      known = v;
+      if (failing) logInfo(TAG, 'version check recovered');
+      failing = false;
+    } catch (e) {
+      // un échec ponctuel ne vide pas le cache; loggé une fois par série d'échecs
+      if (!failing) logWarn(TAG, 'version check failed:', e?.message || e);
+      failing = true;
+    }
+  };
+
+  check();
+  const timer = setInterval(check, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,95 @@
+// src/shared/bulk.js
+// Écriture en masse pour les backfills (manual_backfill.js / manual.js --bulk):
+// les lignes positions (db.js positionRow) sont accumulées puis écrites par lots
+// via positions_bulk_upsert (positions + buckets, une transaction par lot, un seul
+// aller-retour); exposure_agg est recalculé une seule fois, par close().
+// Un lot refusé (ValidationError / ConflictError) est coupé en deux jusqu'à isoler les
+// lignes fautives (loggées, comptées). Stockage injoignable (TransportError): le lot entier
+// est retenté avec backoff, puis l'erreur remonte (aucune ligne marquée en échec).
+// Lignes plus anciennes que la position en base (garde de version, migration 0010): ignorées (stale).
+//   BULK_BATCH_SIZE → lignes par lot (def: 1000)
+//   BULK_RETRIES, BULK_RETRY_MS, BULK_RETRY_MAX_MS → retentatives d'un lot sur TransportError (def: 5 / 1000 / 30000)
+import { bulkUpsertPositions, rebuildExposure } from './db.js';
+import { ValidationError, ConflictError, isTransportError } from './store/index.js';
+import { logInfo, logWarn, logErr } from './logger.js';
+
+const BULK_BATCH_SIZE = Math.max(1, Number(process.env.BULK_BATCH_SIZE || 1000));
+const BULK_RETRIES = Math.max(0, Number(process.env.BULK_RETRIES ?? 5));
+const BULK_RETRY_MS = Math.max(100, Number(process.env.BULK_RETRY_MS || 1000));
+const BULK_RETRY_MAX_MS = Math.max(BULK_RETRY_MS, Number(process.env.BULK_RETRY_MAX_MS || 30000));
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export function createBulkWriter({ deployment, batchSize = BULK_BATCH_SIZE, retries = BULK_RETRIES, tag = 'Bulk' } = {}) {
+  // deployment:id -> ligne (la dernière gagne: un upsert ne touche pas deux fois la même ligne)
+  let buffer = new Map();
+  let queue = Promise.resolve(); // lots écrits l'un après l'autre
+  const stats = { batches: 0, positions: 0, orders: 0, stops: 0, stale: 0, failed: [] };
+
+  // Lot entier retenté tant que le stockage est injoignable; les autres erreurs remontent telles quelles
+  async function upsert(rows) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await bulkUpsertPositions(rows);
+      } catch (e) {
+        if (!isTransportError(e) || attempt > retries) throw e;
+        const wait = Math.min(BULK_RETRY_MAX_MS, BULK_RETRY_MS * 2 ** (attempt - 1));
+        logWarn(tag, `bulk batch rows=${rows.length} store unreachable, retry #${attempt} in ${wait}ms:`, e?.message || e);
+        await sleep(wait);
+      }
+    }
+  }
+
+  async function write(rows) {
+    try {
+      const r = await upsert(rows);
+      stats.batches++;
+      stats.positions += Number(r?.positions ?? 0);
+      stats.orders += Number(r?.orders ?? 0);
+      stats.stops += Number(r?.stops ?? 0);
+      stats.stale += Number(r?.stale ?? 0);
+    } catch (e) {
+      // seul un refus du stockage désigne des lignes fautives; le reste interrompt l'ingestion
+      if (!(e instanceof ValidationError || e instanceof ConflictError)) throw e;
+      if (rows.length === 1) {
+        stats.failed.push(Number(rows[0].id));
+        logErr(tag, `bulk id=${rows[0].id} failed:`, e?.message || e);
+        return;
+      }
+      const mid = rows.length >> 1;
+      await write(rows.slice(0, mid));
+      await write(rows.slice(mid));
+    }
+  }
+
+  // Écrit le tampon courant; la promesse résout quand ce lot (et les précédents) est écrit
+  function flush() {
+    if (!buffer.size) return queue;
+    const rows = [...buffer.values()];
+    buffer = new Map();
+    queue = queue.then(async () => {
+      await write(rows);
+      logInfo(tag, `bulk batch rows=${rows.length} | total positions=${stats.positions} orders=${stats.orders} stops=${stats.stops} stale=${stats.stale} failed=${stats.failed.length}`);
+    });
+    return queue;
+  }
+
+  return {
+    // À attendre: bloque l'appelant pendant l'écriture quand le lot est plein
+    add(row) {
+      buffer.set(`${row.deployment}:${row.id}`, row);
+      return buffer.size >= batchSize ? flush() : Promise.resolve();
+    },
+
+    flush,
+
+    // Dernier lot + exposure_agg recalculé pour le déploiement
+    async close() {
+      await flush();
+      const exposure = await rebuildExposure({ deployment });
+      return { ...stats, failed: [...stats.failed], exposure };
+    },
+
+    stats: () => ({ ...stats, failed: [...stats.failed] })
+  };
+}
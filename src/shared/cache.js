@@ -29,6 +29,15 @@ export class EventCache {
     this.map.set(key, Date.now());
     return false;
   }
+
+  // Oublie une clé (ex: traitement échoué → doit pouvoir être rejoué)
+  forget(key) {
+    this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
 }
 
 // Helper pour fabriquer une clé unique fiable
@@ -36,6 +45,6 @@ export function eventKey(evt) {
   // evt.logIndex, evt.transactionHash, evt.blockNumber sont présents dans ethers v6
   const bn = evt.blockNumber ?? 'bn?';
   const li = evt.logIndex ?? 'li?';
-  const tx = (evt.transactionHash || 'tx?').toLowerCase();
+  const tx = (evt.transactionHash || evt.txHash || 'tx?').toLowerCase();
   return `${bn}:${tx}:${li}`;
 }
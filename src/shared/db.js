@@ -1,17 +1,32 @@
 // src/shared/db.js
-import { get, postArray, patch, del } from './rest.js';
+import { get, postArray, patch, del, rpc } from './store/index.js';
 import { logInfo } from './logger.js';
+import { DEFAULT_DEPLOYMENT } from './deployments.js';
 
 /* =========================================================
    Helpers
 ========================================================= */
 const BI = (x) => BigInt(x);
-const divFloor = (a, b) => a / b;
-const mulDivFloor = (a, b, c) => (a * b) / c;
 const idStr = (x) => (typeof x === 'bigint' ? x.toString() : String(x));
 
+// Déploiement (chainId + contrat) — absent => DEFAULT_DEPLOYMENT (cf. shared/deployments.js)
+const depOf = (d) => String(d ?? DEFAULT_DEPLOYMENT);
+const depEq = (d) => `deployment=eq.${encodeURIComponent(depOf(d))}`;
+
+// Provenance d'une transition -> colonnes <prefix>_block / _at / _tx
+// (champs absents ignorés: un reconcile sans info ne les écrase pas)
+function provenanceCols(prefix, { blockNumber, blockTime, txHash } = {}) {
+  const out = {};
+  if (blockNumber !== undefined && blockNumber !== null) out[`${prefix}_block`] = Number(blockNumber);
+  if (blockTime) out[`${prefix}_at`] = new Date(blockTime).toISOString();
+  if (txHash) out[`${prefix}_tx`] = String(txHash).toLowerCase();
+  return out;
+}
+
 /* =========================================================
    Assets cache (assets.asset_id, tick_size_usd6, lot_num, lot_den)
+   - vidé par invalidateAssetCache(): écriture locale (createAsset/updateAsset)
+     ou changement vu par watchAssetChanges() (cf. shared/assetwatch.js)
 ========================================================= */
 const assetCache = new Map();
 export async function getAsset(asset_id) {
@@ -25,260 +40,365 @@ export async function getAsset(asset_id) {
   return row;
 }
 
+export function invalidateAssetCache() {
+  assetCache.clear();
+}
+
 /* =========================================================
-   Notional / Margin
+   Assets (admin)
+   - createAsset: null si asset_id existe déjà
+   - updateAsset: null si asset_id inconnu
+   - chaque écriture incrémente cache_versions['assets'] (trigger, migration 0007)
 ========================================================= */
-function computeNotionalAndMargin({ entry_x6, lots, leverage_x, lot_num, lot_den }) {
-  const entry   = BI(entry_x6);
-  const lotsBI  = BI(lots);
-  const lotNum  = BI(lot_num ?? 1);
-  const lotDen  = BI(lot_den ?? 1);
-  const lev     = BI(leverage_x);
+export const ASSET_COLS = 'asset_id,symbol,tick_size_usd6,lot_num,lot_den';
 
-  const qty_num = lotsBI * lotNum;
-  const qty_den = lotDen;
+export async function createAsset({ asset_id, symbol, tick_size_usd6, lot_num = 1, lot_den = 1 }) {
+  const rows = await postArray(
+    'assets?on_conflict=asset_id',
+    [{ asset_id: Number(asset_id), symbol, tick_size_usd6: String(tick_size_usd6), lot_num: String(lot_num), lot_den: String(lot_den) }],
+    { headers: { 'Prefer': 'return=representation, resolution=ignore-duplicates' } }
+  );
+  invalidateAssetCache();
+  const row = rows?.[0];
+  return row ? Object.fromEntries(ASSET_COLS.split(',').map(c => [c, row[c] ?? null])) : null;
+}
+
+export async function updateAsset(asset_id, fields) {
+  const k = Number(asset_id);
+  const rows = await get(`assets?asset_id=eq.${k}&select=asset_id&limit=1`);
+  if (!rows?.length) return null;
 
-  const notional = mulDivFloor(entry, qty_num, qty_den);
-  const margin   = divFloor(notional, lev);
-  return { notional_usd6: notional.toString(), margin_usd6: margin.toString() };
+  await patch(`assets?asset_id=eq.${k}`, fields);
+  invalidateAssetCache();
+  return (await get(`assets?asset_id=eq.${k}&select=${ASSET_COLS}&limit=1`))?.[0] ?? null;
 }
 
 /* =========================================================
-   Indexation des stops (SL/TP/LIQ) via PostgREST
-   - side antagoniste (!long_side)
-   - conserve lots
+   Re-bucketing (fonction SQL rebucket_asset, migration 0008)
+   - recalcule order_buckets / stop_buckets d'un asset depuis positions
+     avec le tick courant, en une transaction
+   - deployment absent = tous les déploiements (le tick est global)
+   -> { asset_id, deployment, tick_size_usd6, positions,
+        orders: { before, after, moved }, stops: { before, after, moved } }
 ========================================================= */
-async function indexStops({ asset_id, position_id, sl_x6, tp_x6, liq_x6, long_side, lots }) {
-  const asset = await getAsset(Number(asset_id));
-  const tick  = BI(asset.tick_size_usd6);
-
-  const rows = [];
-  if (Number(sl_x6)  !== 0) rows.push({ px: BI(sl_x6),  type: 1 }); // SL
-  if (Number(tp_x6)  !== 0) rows.push({ px: BI(tp_x6),  type: 2 }); // TP
-  if (Number(liq_x6) !== 0) rows.push({ px: BI(liq_x6), type: 3 }); // LIQ
-  if (!rows.length) return;
-
-  const payload = rows.map(r => ({
-    asset_id: Number(asset_id),
-    bucket_id: divFloor(r.px, tick).toString(),
-    position_id: idStr(position_id),
-    stop_type: r.type,
-    lots: Number(lots || 0),
-    side: !Boolean(long_side) // antagoniste dans l'order book
-  }));
+export async function rebucketAsset(asset_id, { deployment } = {}) {
+  const report = await rpc('rebucket_asset', {
+    _asset_id: Number(asset_id),
+    _deployment: deployment ? depOf(deployment) : null
+  });
+  logInfo('DB', `Rebucket asset=${asset_id} deployment=${deployment ?? 'all'} tick=${report?.tick_size_usd6} ` +
+    `orders=${report?.orders?.after} (moved=${report?.orders?.moved}) stops=${report?.stops?.after} (moved=${report?.stops?.moved})`);
+  return report;
+}
 
-  await postArray(
-    'stop_buckets?on_conflict=asset_id,bucket_id,position_id,stop_type',
-    payload
-  );
+// Version d'un cache partagé (cache_versions.version), 0 si absente
+export async function getCacheVersion(name) {
+  const rows = await get(`cache_versions?name=eq.${encodeURIComponent(name)}&select=version&limit=1`);
+  return Number(rows?.[0]?.version ?? 0);
+}
+
+/* =========================================================
+   Application atomique (fonctions SQL positions_apply_*, migration 0005)
+   - un event = un appel /rpc = une transaction: positions, order_buckets,
+     stop_buckets et exposure_agg (trigger) bougent ensemble ou pas du tout
+   - bigint envoyés en string (pas de perte de précision JSON)
+   - provenance (blockNumber, blockTime, txHash) -> _block / _at / _tx (null = inchangé)
+   - garde de version (migration 0010): écriture appliquée seulement si sa version
+     (bloc, logIndex) est plus récente que celle de la position; sinon ignorée (false)
+     event: (blockNumber, logIndex); reconciler: ev.version = { block, logIndex }
+     (bloc de la lecture on-chain, cf. RpcContract.readAt), logIndex null = fin de bloc
+========================================================= */
+const x6 = (v) => BI(v ?? 0).toString();
+const numOrNull = (v) => (v === undefined || v === null ? null : Number(v));
+
+function provenanceArgs({ blockNumber, blockTime, txHash } = {}) {
+  return {
+    _block: numOrNull(blockNumber),
+    _at: blockTime ? new Date(blockTime).toISOString() : null,
+    _tx: txHash ? String(txHash).toLowerCase() : null
+  };
+}
+
+function versionArgs({ logIndex, version } = {}) {
+  return {
+    _log_index: numOrNull(logIndex),
+    _v_block: numOrNull(version?.block),
+    _v_log_index: numOrNull(version?.logIndex)
+  };
+}
+
+const versionLabel = ({ blockNumber, logIndex, version } = {}) =>
+  version ? `${version.block}:${version.logIndex ?? 'end'}` : `${blockNumber ?? '?'}:${logIndex ?? 'end'}`;
+
+function logStale(what, deployment, id, ev, why = 'pas plus récente') {
+  logInfo('DB', `${what} ignoré deployment=${depOf(deployment)} id=${idStr(id)} (version ${versionLabel(ev)} ${why})`);
 }
 
 /* =========================================================
    OPENED (state=0=ORDER, state=1=OPEN)
-   - positions: upsert (⚠️ ne PAS envoyer trader_addr_lc — colonne générée)
-   - state=0: order_buckets upsert (target) avec lots + side=longSide
-   - state=1: stop_buckets upsert (SL/TP/LIQ) lots + side=!longSide
-   (les triggers Postgres maintiennent exposure_agg automatiquement)
+   - positions: insert, ou merge si version plus récente (trader_addr_lc est générée côté SQL)
+   - buckets de la position supprimés puis reconstruits
+   - notional/margin calculés en SQL si state=1 (troncature comme BigInt)
+   - state=0: order_buckets (target) avec lots + side=longSide
+   - state=1: stop_buckets (SL/TP/LIQ) lots + side=!longSide
 ========================================================= */
 export async function upsertOpenedEvent(ev) {
   const {
-    id, state, asset, longSide, lots,
+    deployment, id, state, asset, longSide, lots,
     entryOrTargetX6, slX6, tpX6, liqX6,
     trader, leverageX
   } = ev;
 
-  const assetRow = await getAsset(Number(asset));
-
-  let notional_usd6 = null;
-  let margin_usd6   = null;
-
-  if (Number(state) === 1) {
-    const calc = computeNotionalAndMargin({
-      entry_x6: entryOrTargetX6,
-      lots,
-      leverage_x: leverageX,
-      lot_num: assetRow.lot_num,
-      lot_den: assetRow.lot_den
-    });
-    notional_usd6 = calc.notional_usd6;
-    margin_usd6   = calc.margin_usd6;
-  }
-
-  // 1) UPSERT position
-  await postArray('positions?on_conflict=id', [
-    {
-      id: idStr(id),
-      state: Number(state),
-      asset_id: Number(asset),
-      trader_addr: String(trader),
-      long_side: Boolean(longSide),
-      lots: Number(lots),
-      leverage_x: Number(leverageX),
-      entry_x6: Number(state) === 1 ? BI(entryOrTargetX6).toString() : null,
-      target_x6: Number(state) === 0 ? BI(entryOrTargetX6).toString() : null,
-      sl_x6: BI(slX6 ?? 0).toString(),
-      tp_x6: BI(tpX6 ?? 0).toString(),
-      liq_x6: BI(liqX6 ?? 0).toString(),
-      notional_usd6: notional_usd6 ? BI(notional_usd6).toString() : null,
-      margin_usd6:   margin_usd6   ? BI(margin_usd6).toString()   : null
-    }
-  ]);
+  const applied = await rpc('positions_apply_opened', {
+    _deployment: depOf(deployment),
+    _id: idStr(id),
+    _state: Number(state),
+    _asset_id: Number(asset),
+    _long_side: Boolean(longSide),
+    _lots: Number(lots),
+    _entry_or_target_x6: x6(entryOrTargetX6),
+    _sl_x6: x6(slX6),
+    _tp_x6: x6(tpX6),
+    _liq_x6: x6(liqX6),
+    _trader: String(trader),
+    _leverage_x: Number(leverageX),
+    ...provenanceArgs(ev),
+    ...versionArgs(ev)
+  });
 
-  // 2) Indexation
-  if (Number(state) === 0) {
-    // ORDER -> order_buckets (lots + side = longSide)
-    const tick   = BI(assetRow.tick_size_usd6);
-    const price  = BI(entryOrTargetX6);
-    const bucket = divFloor(price, tick).toString();
-
-    await postArray(
-      'order_buckets?on_conflict=asset_id,bucket_id,position_id',
-      [{
-        asset_id: Number(asset),
-        bucket_id: bucket,
-        position_id: idStr(id),
-        lots: Number(lots || 0),
-        side: Boolean(longSide)
-      }]
-    );
-  } else {
-    // OPEN -> (re)indexer SL/TP/LIQ antagonistes
-    await del(`stop_buckets?position_id=eq.${idStr(id)}`);
-    await indexStops({
-      asset_id: Number(asset),
-      position_id: idStr(id),
-      sl_x6: slX6,
-      tp_x6: tpX6,
-      liq_x6: liqX6,
-      long_side: Boolean(longSide),
-      lots: Number(lots || 0)
-    });
+  if (applied === false) {
+    logStale('Opened', deployment, id, ev);
+    return false;
   }
-
-  // ⚠️ Les agrégats exposure_agg sont MAJ par trigger quand state=1
-  logInfo('DB', `Opened upserted id=${idStr(id)} state=${state} (indexed=${Number(state)===0?'order':'stops'})`);
+  logInfo('DB', `Opened upserted deployment=${depOf(deployment)} id=${idStr(id)} state=${state} (indexed=${Number(state)===0?'order':'stops'})`);
+  return true;
 }
 
 /* =========================================================
    EXECUTED (ORDER -> OPEN)
-   - update position: state=1, entry_x6, notional/margin
-   - delete order_buckets
-   - (re)index SL/TP/LIQ antagonistes
-   (trigger mettra à jour exposure_agg car state passe à 1)
+   - update position: state=1, entry_x6, notional/margin, executed_block/_at/_tx
+   - delete order_buckets + stop_buckets, (re)index SL/TP/LIQ antagonistes
+   (position verrouillée FOR UPDATE; introuvable => exception, rien n'est écrit)
 ========================================================= */
 export async function handleExecutedEvent(ev) {
-  const { id, entryX6 } = ev;
-
-  // Lire position: besoin de asset_id, lots, leverage_x, stops actuels, long_side
-  const rows = await get(`positions?id=eq.${idStr(id)}&select=asset_id,lots,leverage_x,sl_x6,tp_x6,liq_x6,long_side`);
-  const pos = rows?.[0];
-  if (!pos) throw new Error(`Position ${idStr(id)} introuvable pour Executed`);
-
-  const assetRow = await getAsset(Number(pos.asset_id));
-  const calc = computeNotionalAndMargin({
-    entry_x6: entryX6,
-    lots: pos.lots,
-    leverage_x: pos.leverage_x,
-    lot_num: assetRow.lot_num,
-    lot_den: assetRow.lot_den
-  });
-
-  // 1) Update position -> triggers: ajoute à exposure_agg (état devient OPEN)
-  await patch(
-    `positions?id=eq.${idStr(id)}`,
-    {
-      state: 1,
-      entry_x6: BI(entryX6).toString(),
-      notional_usd6: BI(calc.notional_usd6).toString(),
-      margin_usd6:   BI(calc.margin_usd6).toString()
-    }
-  );
-
-  // 2) Nettoyage des index
-  await del(`order_buckets?position_id=eq.${idStr(id)}`);
-  await del(`stop_buckets?position_id=eq.${idStr(id)}`);
-
-  // 3) (Ré)indexer SL/TP/LIQ antagonistes
-  await indexStops({
-    asset_id: Number(pos.asset_id),
-    position_id: idStr(id),
-    sl_x6: pos.sl_x6 ?? 0,
-    tp_x6: pos.tp_x6 ?? 0,
-    liq_x6: pos.liq_x6 ?? 0,
-    long_side: Boolean(pos.long_side),
-    lots: Number(pos.lots || 0)
+  const { deployment, id, entryX6 } = ev;
+
+  const applied = await rpc('positions_apply_executed', {
+    _deployment: depOf(deployment),
+    _id: idStr(id),
+    _entry_x6: x6(entryX6),
+    ...provenanceArgs(ev),
+    ...versionArgs(ev)
   });
 
-  logInfo('DB', `Executed applied id=${idStr(id)} entryX6=${entryX6} (order->stops indexed)`);
+  if (applied === false) {
+    logStale('Executed', deployment, id, ev);
+    return false;
+  }
+  logInfo('DB', `Executed applied deployment=${depOf(deployment)} id=${idStr(id)} entryX6=${entryX6} (order->stops indexed)`);
+  return true;
 }
 
 /* =========================================================
    STOPS UPDATED
    - update SL/TP (pas LIQ)
-   - delete stop_buckets (types 1,2), conserve LIQ (3)
-   - re-index SL/TP antagonistes
-   (exposure_agg ne change pas ici sauf si tu changes liq_x6)
+   - delete stop_buckets (types 1,2), conserve LIQ (3), re-index SL/TP
+   - ancienne / nouvelle valeur -> position_stops_history (migration 0011)
 ========================================================= */
 export async function handleStopsUpdatedEvent(ev) {
-  const { id, slX6, tpX6 } = ev;
-
-  const rows = await get(`positions?id=eq.${idStr(id)}&select=asset_id,liq_x6,long_side,lots`);
-  const pos = rows?.[0];
-  if (!pos) throw new Error(`Position ${idStr(id)} introuvable pour StopsUpdated`);
-
-  // 1) Update SL/TP
-  await patch(
-    `positions?id=eq.${idStr(id)}`,
-    { sl_x6: BI(slX6 ?? 0).toString(), tp_x6: BI(tpX6 ?? 0).toString() }
-  );
-
-  // 2) Supprimer SL/TP (1,2), conserver LIQ (3)
-  await del(`stop_buckets?position_id=eq.${idStr(id)}&stop_type=in.(1,2)`);
-
-  // 3) Réindexer SL/TP antagonistes
-  await indexStops({
-    asset_id: Number(pos.asset_id),
-    position_id: idStr(id),
-    sl_x6: slX6,
-    tp_x6: tpX6,
-    liq_x6: 0,
-    long_side: Boolean(pos.long_side),
-    lots: Number(pos.lots || 0)
+  const { deployment, id, slX6, tpX6 } = ev;
+
+  const applied = await rpc('positions_apply_stops_updated', {
+    _deployment: depOf(deployment),
+    _id: idStr(id),
+    _sl_x6: x6(slX6),
+    _tp_x6: x6(tpX6),
+    ...provenanceArgs(ev),
+    ...versionArgs(ev)
   });
 
-  logInfo('DB', `StopsUpdated id=${idStr(id)} slX6=${slX6} tpX6=${tpX6} (LIQ conservé)`);
+  if (applied === false) {
+    logStale('StopsUpdated', deployment, id, ev);
+    return false;
+  }
+  logInfo('DB', `StopsUpdated deployment=${depOf(deployment)} id=${idStr(id)} slX6=${slX6} tpX6=${tpX6} (LIQ conservé)`);
+  return true;
 }
 
 /* =========================================================
    REMOVED (fermeture ou annulation)
-   - update position: state=2, close_reason, exec_x6, pnl_usd6
-   - delete tous les stops
+   - update position: state=2 (ou ev.state=3 CANCELLED, reconcilers), close_reason, exec_x6, pnl_usd6, closed_block/_at/_tx
+   - delete stops + order_bucket éventuel (ordre annulé)
    (trigger soustrait l'expo si la position était OPEN)
 ========================================================= */
 export async function handleRemovedEvent(ev) {
-  const { id, reason, execX6, pnlUsd6 } = ev;
-
-  await patch(
-    `positions?id=eq.${idStr(id)}`,
-    {
-      state: 2,
-      close_reason: Number(reason),
-      exec_x6: BI(execX6 ?? 0).toString(),
-      pnl_usd6: String(pnlUsd6 ?? 0)
-    }
+  const { deployment, id, reason, execX6, pnlUsd6, state = 2 } = ev;
+
+  const applied = await rpc('positions_apply_removed', {
+    _deployment: depOf(deployment),
+    _id: idStr(id),
+    _reason: Number(reason),
+    _exec_x6: x6(execX6),
+    _pnl_usd6: String(pnlUsd6 ?? 0),
+    ...provenanceArgs(ev),
+    ...versionArgs(ev),
+    _state: Number(state)
+  });
+
+  if (applied === false) {
+    logStale('Removed', deployment, id, ev, 'pas plus récente ou position absente');
+    return false;
+  }
+  logInfo('DB', `Removed deployment=${depOf(deployment)} id=${idStr(id)} state=${state} reason=${reason} execX6=${execX6} pnlUsd6=${pnlUsd6}`);
+  return true;
+}
+
+/* =========================================================
+   Provenance seule (reconcilers): { opened, executed, closed }
+   chacun { blockNumber, blockTime, txHash } ou absent
+========================================================= */
+export async function patchPositionProvenance(deployment, id, { opened, executed, closed } = {}) {
+  const body = {
+    ...provenanceCols('opened', opened),
+    ...provenanceCols('executed', executed),
+    ...provenanceCols('closed', closed)
+  };
+  if (!Object.keys(body).length) return false;
+  await patch(`positions?${depEq(deployment)}&id=eq.${idStr(id)}`, body);
+  return true;
+}
+
+/* =========================================================
+   Historique SL/TP (position_stops_history, migration 0011)
+   - une ligne par changement: StopsUpdated, Opened (création / merge
+     correctif), Bulk (backfill); ordre d'application (= ordre des versions)
+   - rollback de réorganisation: lignes >= bloc du fork supprimées
+========================================================= */
+export const STOPS_HISTORY_COLS =
+  'evt,old_sl_x6,old_tp_x6,sl_x6,tp_x6,block_number,log_index,tx_hash,block_time,recorded_at';
+
+export async function getStopsHistory(deployment, position_id, { limit = 100, offset = 0 } = {}) {
+  const rows = await get(
+    `position_stops_history?${depEq(deployment)}&position_id=eq.${idStr(position_id)}` +
+    `&select=${STOPS_HISTORY_COLS}&order=id.asc&limit=${Number(limit)}&offset=${Number(offset)}`
   );
+  return rows || [];
+}
+
+export async function deleteStopsHistorySince(deployment, fromBlock) {
+  await del(`position_stops_history?${depEq(deployment)}&block_number=gte.${Number(fromBlock)}`);
+}
+
+/* =========================================================
+   Ingestion en masse (backfills --bulk, migration 0009; cf. shared/bulk.js)
+   - positionRow: ligne positions complète depuis l'état on-chain
+     (removed = removedFrom() si fermée / annulée, prov = { opened, executed, closed },
+     version = { block, logIndex } de la lecture; ligne ignorée si la position est plus récente)
+   - bulkUpsertPositions: un lot = un appel positions_bulk_upsert = une transaction
+     (positions + buckets); exposure_agg n'est PAS maintenu par ligne
+   - rebuildExposure: exposure_agg recalculé depuis positions (state=1), en fin d'ingestion
+========================================================= */
+export function positionRow({
+  deployment, id, state, asset, longSide, lots, leverageX,
+  entryX6, targetX6, slX6, tpX6, liqX6, trader, removed = null, prov = {}, version = null
+}) {
+  const nz = (v) => (BI(v ?? 0) !== 0n ? x6(v) : null);
+  return {
+    deployment: depOf(deployment),
+    id: idStr(id),
+    state: Number(state),
+    asset_id: Number(asset),
+    trader_addr: String(trader),
+    long_side: Boolean(longSide),
+    lots: Number(lots),
+    leverage_x: Number(leverageX),
+    entry_x6: Number(state) === 0 ? null : nz(entryX6),
+    target_x6: nz(targetX6),
+    sl_x6: x6(slX6),
+    tp_x6: x6(tpX6),
+    liq_x6: x6(liqX6),
+    close_reason: removed ? Number(removed.reason) : null,
+    exec_x6: removed ? x6(removed.execX6) : null,
+    pnl_usd6: removed ? x6(removed.pnlUsd6) : null,
+    ...provenanceCols('opened', prov.opened),
+    ...provenanceCols('executed', prov.executed),
+    ...provenanceCols('closed', prov.closed ?? removed ?? {}),
+    version_block: numOrNull(version?.block),
+    version_log_index: numOrNull(version?.logIndex)
+  };
+}
 
-  await del(`stop_buckets?position_id=eq.${idStr(id)}`);
+export async function bulkUpsertPositions(rows) {
+  if (!rows?.length) return { positions: 0, orders: 0, stops: 0, stale: 0 };
+  return rpc('positions_bulk_upsert', { _positions: rows });
+}
 
-  logInfo('DB', `Removed id=${idStr(id)} reason=${reason} execX6=${execX6} pnlUsd6=${pnlUsd6}`);
+export async function rebuildExposure({ deployment, asset_id } = {}) {
+  const report = await rpc('exposure_rebuild', {
+    _deployment: deployment ? depOf(deployment) : null,
+    _asset_id: asset_id === undefined || asset_id === null ? null : Number(asset_id)
+  });
+  logInfo('DB', `Exposure rebuild deployment=${deployment ?? 'all'} asset=${asset_id ?? 'all'} rows=${report?.rows} positions=${report?.positions}`);
+  return report;
+}
+
+/* =========================================================
+   Dérive exposure_agg (fonction SQL exposure_drift, migration 0012)
+   - agrégats recalculés depuis positions (state=1) vs exposure_agg, par (deployment, asset, side)
+   - apply: agrégats remplacés (exposure_rebuild) dans la même transaction si écart
+   -> { deployment, asset_id, checked, drifted, applied, rows: [{ deployment, asset_id, side, actual, expected }] }
+========================================================= */
+export async function checkExposureDrift({ deployment, asset_id, apply = false } = {}) {
+  const report = await rpc('exposure_drift', {
+    _deployment: deployment ? depOf(deployment) : null,
+    _asset_id: asset_id === undefined || asset_id === null ? null : Number(asset_id),
+    _apply: Boolean(apply)
+  });
+  logInfo('DB', `Exposure drift deployment=${deployment ?? 'all'} asset=${asset_id ?? 'all'} checked=${report?.checked} drifted=${report?.drifted} applied=${report?.applied}`);
+  return report;
+}
+
+/* =========================================================
+   Séries temporelles d'exposition (migration 0013)
+   - snapshotExposure: photo de exposure_metrics pour le créneau courant
+     (now() arrondi à period_s; rejouable, le dernier appel du créneau gagne)
+   - getExposureHistory: dernière photo par intervalle de interval_s dans [from, to[
+     -> [{ t, side_label, sum_lots, avg_entry_x6, avg_leverage_x, avg_liq_x6, positions_count, taken_at }]
+========================================================= */
+export async function snapshotExposure({ deployment, period_s = 300 } = {}) {
+  return rpc('exposure_snapshot', {
+    _deployment: deployment ? depOf(deployment) : null,
+    _period_s: Number(period_s)
+  });
+}
+
+export async function getExposureHistory(deployment, asset_id, { from, to, interval_s = 3600 }) {
+  return (await rpc('exposure_history', {
+    _deployment: depOf(deployment),
+    _asset_id: Number(asset_id),
+    _from: new Date(from).toISOString(),
+    _to: new Date(to).toISOString(),
+    _interval_s: Number(interval_s)
+  })) || [];
+}
+
+// ids déjà présents parmi `ids` (requêtes id=in.(…) par tranches)
+export async function getExistingPositionIds(deployment, ids, { chunk = 500 } = {}) {
+  const seen = new Set();
+  for (let i = 0; i < ids.length; i += chunk) {
+    const part = ids.slice(i, i + chunk).map(idStr);
+    const rows = await get(`positions?${depEq(deployment)}&id=in.(${part.join(',')})&select=id`);
+    for (const r of rows || []) seen.add(Number(r.id));
+  }
+  return seen;
 }
 
 /* =========================================================
    Get Highest Position ID (via PostgREST only)
 ========================================================= */
-export async function getHighestPositionId() {
+export async function getHighestPositionId(deployment) {
   // Prend la dernière id (ORDER BY id DESC LIMIT 1)
-  const rows = await get('positions?select=id&order=id.desc&limit=1');
+  const rows = await get(`positions?${depEq(deployment)}&select=id&order=id.desc&limit=1`);
   const id = rows?.[0]?.id;
   // Retourne -1 si table vide, sinon Number(id)
   return (id === undefined || id === null) ? -1 : Number(id);
@@ -290,9 +410,9 @@ export async function getHighestPositionId() {
    - no pg.Pool required
    - paginates positions ids and computes gaps in Node
 ========================================================= */
-export async function getMissingPositionIds() {
+export async function getMissingPositionIds(deployment) {
   // 1) max(id)
-  const maxRows = await get('positions?select=id&order=id.desc&limit=1');
+  const maxRows = await get(`positions?${depEq(deployment)}&select=id&order=id.desc&limit=1`);
   const maxId = Number(maxRows?.[0]?.id ?? -1);
   if (!Number.isInteger(maxId) || maxId < 0) return [];
 
@@ -301,7 +421,7 @@ export async function getMissingPositionIds() {
   const seen = new Set();
 
   for (let offset = 0; ; offset += pageSize) {
-    const rows = await get(`positions?select=id&order=id.asc&limit=${pageSize}&offset=${offset}`);
+    const rows = await get(`positions?${depEq(deployment)}&select=id&order=id.asc&limit=${pageSize}&offset=${offset}`);
     if (!rows || rows.length === 0) break;
     for (const r of rows) {
       const n = Number(r.id);
@@ -318,3 +438,269 @@ export async function getMissingPositionIds() {
   return missing;
 }
 
+
+/* =========================================================
+   Déploiements connus (table deployments, lue par l'API)
+   - upsert au démarrage de l'indexer depuis la config (shared/deployments.js)
+========================================================= */
+export async function registerDeployment({ name, chainId, contract }) {
+  await postArray(
+    'deployments?on_conflict=name',
+    [{ name: String(name), chain_id: chainId ?? null, contract_addr: String(contract).toLowerCase() }],
+    { headers: { 'Prefer': 'return=minimal, resolution=merge-duplicates' } }
+  );
+}
+
+/* =========================================================
+   Checkpoint indexer (dernier bloc entièrement traité / déploiement + contrat)
+   - -1 si aucun checkpoint
+========================================================= */
+export async function getCheckpoint(deployment, contractAddr) {
+  const addr = String(contractAddr).toLowerCase();
+  const rows = await get(`indexer_checkpoints?${depEq(deployment)}&contract_addr=eq.${addr}&select=last_block&limit=1`);
+  const b = rows?.[0]?.last_block;
+  return (b === undefined || b === null) ? -1 : Number(b);
+}
+
+export async function saveCheckpoint(deployment, contractAddr, lastBlock) {
+  await postArray(
+    'indexer_checkpoints?on_conflict=deployment,contract_addr',
+    [{
+      deployment: depOf(deployment),
+      contract_addr: String(contractAddr).toLowerCase(),
+      last_block: Number(lastBlock),
+      updated_at: new Date().toISOString()
+    }],
+    { headers: { 'Prefer': 'return=minimal, resolution=merge-duplicates' } }
+  );
+}
+
+/* =========================================================
+   Snapshots / undo (réorganisations de chaîne)
+   - snapshot = état AVANT event: { position, order_buckets, stop_buckets }
+   - restore: remet la position + ses index dans cet état
+     (le trigger positions_exposure_trg retire/rajoute la contrib exposure_agg)
+========================================================= */
+export async function snapshotPosition(deployment, position_id) {
+  const id = idStr(position_id);
+  const [pos, orders, stops] = await Promise.all([
+    get(`positions?${depEq(deployment)}&id=eq.${id}&select=*&limit=1`),
+    get(`order_buckets?${depEq(deployment)}&position_id=eq.${id}&select=*`),
+    get(`stop_buckets?${depEq(deployment)}&position_id=eq.${id}&select=*`)
+  ]);
+  return {
+    position: pos?.[0] ?? null,
+    order_buckets: orders || [],
+    stop_buckets: stops || []
+  };
+}
+
+// positions_restore_snapshot (migration 0015): buckets, position et exposure_agg
+// remis en une transaction (pas d'état à moitié annulé si un appel échoue)
+export async function restorePosition(deployment, position_id, snap) {
+  await rpc('positions_restore_snapshot', {
+    _deployment: depOf(deployment),
+    _position_id: idStr(position_id),
+    _snapshot: {
+      position: snap?.position ?? null,
+      order_buckets: snap?.order_buckets ?? [],
+      stop_buckets: snap?.stop_buckets ?? []
+    }
+  });
+}
+
+export async function saveUndo({ deployment, blockNumber, blockHash, txHash, logIndex, position_id, snapshot }) {
+  await postArray('reorg_undo?on_conflict=block_number,tx_hash,log_index', [{
+    deployment: depOf(deployment),
+    block_number: Number(blockNumber),
+    block_hash: String(blockHash),
+    tx_hash: String(txHash),
+    log_index: Number(logIndex),
+    position_id: idStr(position_id),
+    snapshot
+  }]);
+}
+
+// Entrées >= fromBlock, de la plus récente à la plus ancienne (ordre d'annulation)
+export async function getUndoSince(deployment, fromBlock) {
+  const rows = await get(
+    `reorg_undo?${depEq(deployment)}&block_number=gte.${Number(fromBlock)}` +
+    `&select=block_number,block_hash,tx_hash,log_index,position_id,snapshot` +
+    `&order=block_number.desc,log_index.desc`
+  );
+  return rows || [];
+}
+
+export async function deleteUndoSince(deployment, fromBlock) {
+  await del(`reorg_undo?${depEq(deployment)}&block_number=gte.${Number(fromBlock)}`);
+}
+
+export async function pruneUndo(deployment, beforeBlock) {
+  await del(`reorg_undo?${depEq(deployment)}&block_number=lt.${Number(beforeBlock)}`);
+}
+
+/* =========================================================
+   Idempotence durable (processed_events)
+   - claimEvent: INSERT (block_number, tx_hash, log_index) ignore-duplicates
+     -> true si on vient de le réserver, false si déjà traité (doublon)
+   - releaseEvent: libère la réservation (handler en échec → rejouable)
+========================================================= */
+export async function claimEvent({ deployment, blockNumber, txHash, logIndex, name, position_id }) {
+  const rows = await postArray(
+    'processed_events?on_conflict=block_number,tx_hash,log_index',
+    [{
+      deployment: depOf(deployment),
+      block_number: Number(blockNumber),
+      tx_hash: String(txHash).toLowerCase(),
+      log_index: Number(logIndex),
+      event_name: String(name),
+      position_id: position_id === undefined || position_id === null ? null : idStr(position_id)
+    }],
+    { headers: { 'Prefer': 'return=representation, resolution=ignore-duplicates' } }
+  );
+  return Array.isArray(rows) && rows.length > 0;
+}
+
+export async function releaseEvent({ deployment, blockNumber, txHash, logIndex }) {
+  await del(
+    `processed_events?${depEq(deployment)}&block_number=eq.${Number(blockNumber)}` +
+    `&tx_hash=eq.${String(txHash).toLowerCase()}&log_index=eq.${Number(logIndex)}`
+  );
+}
+
+export async function deleteProcessedSince(deployment, fromBlock) {
+  await del(`processed_events?${depEq(deployment)}&block_number=gte.${Number(fromBlock)}`);
+}
+
+/* =========================================================
+   Journal append-only (trade_events)
+   - un row par event décodé (payload + log brut + provenance)
+   - upsert sur (block_num, tx_hash, log_index): un log ré-inclus après
+     réorganisation redevient actif (removed=false)
+========================================================= */
+export async function journalEvent(row) {
+  await postArray(
+    'trade_events?on_conflict=block_num,tx_hash,log_index',
+    [{ ...row, removed: false }],
+    { headers: { 'Prefer': 'return=minimal, resolution=merge-duplicates' } }
+  );
+}
+
+// Réorganisation: les events >= fromBlock ne sont plus canoniques
+export async function markJournalRemovedSince(deployment, fromBlock) {
+  await patch(`trade_events?${depEq(deployment)}&block_num=gte.${Number(fromBlock)}`, { removed: true });
+}
+
+// Events journalisés (non annulés) d'une position, ordre canonique
+export async function getTradeJournal(deployment, tradeId) {
+  const rows = await get(
+    `trade_events?${depEq(deployment)}&trade_id=eq.${idStr(tradeId)}&removed=is.false` +
+    `&select=evt,payload,tx_hash,block_num,log_index,block_time&order=block_num.asc,log_index.asc`
+  );
+  return rows || [];
+}
+
+// Page du journal dans l'ordre canonique (deployment, block, logIndex); tous déploiements si absent
+export async function getJournalPage({ deployment, offset = 0, limit = 1000 } = {}) {
+  const filter = deployment ? `${depEq(deployment)}&` : '';
+  const rows = await get(
+    `trade_events?${filter}removed=is.false` +
+    `&select=id,deployment,trade_id,evt,payload,tx_hash,block_num,block_hash,log_index,block_time` +
+    `&order=deployment.asc,block_num.asc,log_index.asc,id.asc&limit=${Number(limit)}&offset=${Number(offset)}`
+  );
+  return rows || [];
+}
+
+/* =========================================================
+   Remise à zéro des projections (rebuild depuis le journal)
+   - positions, order_buckets, stop_buckets, exposure_agg, reorg_undo,
+     position_stops_history (réécrit par le rejeu: sinon chaque rebuild le duplique)
+   - dead_letters conservées (discarded / superseded = audit); le rebuild rejoue aussi
+     ces events: réussite → entrée résolue, échec → de nouveau en dead letter (cf. rebuild.js)
+   - processed_events conservé: le journal reste la liste des events traités
+   - deployment: limite au déploiement donné, sinon tous
+========================================================= */
+export async function resetProjections({ deployment } = {}) {
+  const f = deployment ? `${depEq(deployment)}&` : '';
+  await del(`order_buckets?${f}position_id=gte.0`);
+  await del(`stop_buckets?${f}position_id=gte.0`);
+  await del(`positions?${f}id=gte.0`);
+  await del(`exposure_agg?${f}asset_id=gte.0`);
+  await del(`reorg_undo?${f}block_number=gte.0`);
+  await del(`position_stops_history?${f}id=gte.0`);
+  assetCache.clear();
+}
+
+/* =========================================================
+   Dead letters (events dont le handler a échoué)
+   - upsert sur (block_number, tx_hash, log_index): un nouvel échec
+     du même event met à jour error / attempts / next_retry_at
+   - getDueDeadLetters: pending dont next_retry_at est passé, ordre canonique
+========================================================= */
+const DEAD_LETTER_COLS =
+  'id,deployment,block_number,tx_hash,log_index,event_name,position_id,event,error,attempts,status,next_retry_at,first_failed_at,last_failed_at';
+
+export async function saveDeadLetter({ event, error, attempts, status, nextRetryAt }) {
+  await postArray(
+    'dead_letters?on_conflict=block_number,tx_hash,log_index',
+    [{
+      deployment: depOf(event.deployment),
+      block_number: Number(event.block_num),
+      tx_hash: String(event.tx_hash).toLowerCase(),
+      log_index: Number(event.log_index),
+      event_name: String(event.evt),
+      position_id: event.trade_id ?? null,
+      event,
+      error: String(error ?? ''),
+      attempts: Number(attempts),
+      status,
+      next_retry_at: nextRetryAt ? new Date(nextRetryAt).toISOString() : null,
+      last_failed_at: new Date().toISOString()
+    }],
+    { headers: { 'Prefer': 'return=minimal, resolution=merge-duplicates' } }
+  );
+}
+
+export async function getDeadLetterFor({ blockNumber, txHash, logIndex }) {
+  const rows = await get(
+    `dead_letters?block_number=eq.${Number(blockNumber)}` +
+    `&tx_hash=eq.${String(txHash).toLowerCase()}&log_index=eq.${Number(logIndex)}` +
+    `&select=${DEAD_LETTER_COLS}&limit=1`
+  );
+  return rows?.[0] ?? null;
+}
+
+export async function getDueDeadLetters(deployment, limit = 100) {
+  const rows = await get(
+    `dead_letters?${depEq(deployment)}&status=eq.pending&next_retry_at=lte.${new Date().toISOString()}` +
+    `&select=${DEAD_LETTER_COLS}&order=block_number.asc,log_index.asc&limit=${Number(limit)}`
+  );
+  return rows || [];
+}
+
+export async function listDeadLetters({ deployment, status, limit = 100, offset = 0 } = {}) {
+  const filter = `${depEq(deployment)}&` + (status ? `status=eq.${encodeURIComponent(status)}&` : '');
+  const rows = await get(
+    `dead_letters?${filter}select=${DEAD_LETTER_COLS}` +
+    `&order=block_number.asc,log_index.asc&limit=${Number(limit)}&offset=${Number(offset)}`
+  );
+  return rows || [];
+}
+
+export async function getDeadLetter(deployment, id) {
+  const rows = await get(`dead_letters?${depEq(deployment)}&id=eq.${Number(id)}&select=${DEAD_LETTER_COLS}&limit=1`);
+  return rows?.[0] ?? null;
+}
+
+export async function updateDeadLetter(deployment, id, fields) {
+  await patch(`dead_letters?${depEq(deployment)}&id=eq.${Number(id)}`, fields);
+}
+
+export async function deleteDeadLetter(deployment, id) {
+  await del(`dead_letters?${depEq(deployment)}&id=eq.${Number(id)}`);
+}
+
+// Réorganisation: les events >= fromBlock ne sont plus canoniques
+export async function deleteDeadLettersSince(deployment, fromBlock) {
+  await del(`dead_letters?${depEq(deployment)}&block_number=gte.${Number(fromBlock)}`);
+}
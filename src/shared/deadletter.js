@@ -0,0 +1,77 @@
+// src/shared/deadletter.js
+// Dead letters: un event dont le handler échoue n'est plus perdu.
+// - deadLetter(ev, err): enregistre l'event (row journal), l'erreur, le nb de tentatives
+//   et la prochaine tentative (backoff exponentiel DLQ_BASE_MS → DLQ_MAX_MS)
+// - retryDeadLetters(deployment, apply): rejoue les entrées pending échues du déploiement; succès (ou doublon
+//   déjà appliqué) → entrée supprimée; refus de la garde de version (position déjà plus
+//   récente) → `superseded`, conservée pour audit; échec → attempts+1, puis `exhausted`
+//   après DLQ_MAX_ATTEMPTS (retry manuel via l'API); stockage injoignable (TransportError)
+//   → passage interrompu sans compter de tentative
+import {
+  saveDeadLetter,
+  getDeadLetterFor,
+  getDueDeadLetters,
+  updateDeadLetter,
+  deleteDeadLetter
+} from './db.js';
+import { toJournalRow, fromJournalRow, describeEvent } from './events.js';
+import { isTransportError } from './store/index.js';
+import { logInfo, logWarn } from './logger.js';
+
+const TAG = 'DeadLetter';
+
+const DLQ_BASE_MS = Math.max(1000, Number(process.env.DLQ_BASE_MS || 30000));
+const DLQ_MAX_MS  = Math.max(DLQ_BASE_MS, Number(process.env.DLQ_MAX_MS || 3600000));
+export const DLQ_MAX_ATTEMPTS = Math.max(1, Number(process.env.DLQ_MAX_ATTEMPTS || 10));
+
+export const retryDelayMs = (attempts) =>
+  Math.min(DLQ_MAX_MS, DLQ_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+async function recordFailure(event, err, attempts) {
+  const exhausted = attempts >= DLQ_MAX_ATTEMPTS;
+  await saveDeadLetter({
+    event,
+    error: err?.message || String(err),
+    attempts,
+    status: exhausted ? 'exhausted' : 'pending',
+    nextRetryAt: exhausted ? null : Date.now() + retryDelayMs(attempts)
+  });
+  return exhausted;
+}
+
+export async function deadLetter(ev, err) {
+  const prev = await getDeadLetterFor(ev);
+  const attempts = Number(prev?.attempts ?? 0) + 1;
+  const exhausted = await recordFailure(toJournalRow(ev), err, attempts);
+  logWarn(TAG, `${exhausted ? 'exhausted' : 'queued'} ${describeEvent(ev)} (attempts=${attempts})`);
+}
+
+export async function retryDeadLetters(deployment, apply, { limit = 100 } = {}) {
+  const rows = await getDueDeadLetters(deployment, limit);
+  const acc = { due: rows.length, resolved: 0, superseded: 0, failed: 0 };
+
+  for (const row of rows) {
+    const ev = fromJournalRow({ deployment: row.deployment, ...row.event });
+    let result;
+    try {
+      result = await apply(ev);
+    } catch (e) {
+      if (isTransportError(e)) throw e;
+      acc.failed++;
+      const attempts = Number(row.attempts) + 1;
+      const exhausted = await recordFailure(row.event, e, attempts);
+      logWarn(TAG, `retry #${attempts} failed ${describeEvent(ev)}:`, e?.message || e, exhausted ? '→ exhausted' : '');
+      continue;
+    }
+    if (result === 'stale') {
+      await updateDeadLetter(row.deployment, row.id, { status: 'superseded', next_retry_at: null });
+      acc.superseded++;
+      logWarn(TAG, `superseded ${describeEvent(ev)}: position already at a newer version, kept for audit`);
+      continue;
+    }
+    await deleteDeadLetter(row.deployment, row.id);
+    acc.resolved++;
+    logInfo(TAG, `resolved ${describeEvent(ev)} after ${row.attempts} failure(s)`);
+  }
+  return acc;
+}
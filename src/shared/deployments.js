@@ -0,0 +1,83 @@
+// src/shared/deployments.js
+// Déploiements indexés dans une même base: un déploiement = (chainId, contrat) + ses RPC.
+// Toutes les tables métier (positions, buckets, exposure, meta, journal…) portent une
+// colonne `deployment` = nom du déploiement.
+//
+// Env:
+//   DEPLOYMENTS (JSON), ex:
+//     [{ "name": "mainnet", "chainId": 1, "contract": "0x…", "wss": "wss://…",
+//        "rpc": "https://a,https://b", "startBlock": 123 },
+//      { "name": "testnet", "chainId": 11155111, "contract": "0x…", "wss": "wss://…", "rpc": "https://…" }]
+//   À défaut: un seul déploiement DEPLOYMENT (def: 'default') construit depuis
+//   CHAIN_ID, CONTRACT_ADDR, WSS_URL, RPC_URLS / RPC_URL / RPC_HTTP, START_BLOCK.
+//   DEFAULT_DEPLOYMENT → déploiement utilisé sans sélecteur explicite (def: le premier)
+import 'dotenv/config';
+
+const splitUrls = (s) => String(s || '').split(',').map((x) => x.trim()).filter(Boolean);
+const intOrNull = (x) => (x === undefined || x === null || x === '' ? null : Number(x));
+
+function normalize(d) {
+  return {
+    name: String(d.name || '').trim(),
+    chainId: intOrNull(d.chainId ?? d.chain_id),
+    contract: String(d.contract || d.contractAddr || '').trim().toLowerCase(),
+    wss: String(d.wss || d.wssUrl || '').trim(),
+    rpcUrls: Array.isArray(d.rpc) ? d.rpc.map(String) : splitUrls(d.rpc ?? d.rpcUrls),
+    startBlock: intOrNull(d.startBlock ?? d.start_block)
+  };
+}
+
+function load() {
+  const raw = (process.env.DEPLOYMENTS || '').trim();
+  if (!raw) {
+    return [normalize({
+      name: process.env.DEPLOYMENT || 'default',
+      chainId: process.env.CHAIN_ID,
+      contract: process.env.CONTRACT_ADDR,
+      wss: process.env.WSS_URL,
+      rpc: process.env.RPC_URLS || process.env.RPC_URL || process.env.RPC_HTTP,
+      startBlock: process.env.START_BLOCK
+    })];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`DEPLOYMENTS invalide (JSON attendu): ${e.message}`);
+  }
+  if (!Array.isArray(list) || !list.length) throw new Error('DEPLOYMENTS doit être un tableau non vide');
+
+  const out = list.map(normalize);
+  const names = new Set();
+  for (const d of out) {
+    if (!/^[a-z0-9_-]+$/i.test(d.name)) throw new Error(`DEPLOYMENTS: nom invalide "${d.name}"`);
+    if (names.has(d.name)) throw new Error(`DEPLOYMENTS: nom en double "${d.name}"`);
+    names.add(d.name);
+  }
+  return out;
+}
+
+export const DEPLOYMENTS = load();
+
+export const DEFAULT_DEPLOYMENT = (process.env.DEFAULT_DEPLOYMENT || DEPLOYMENTS[0].name).trim();
+
+export function deploymentNames() {
+  return DEPLOYMENTS.map((d) => d.name);
+}
+
+// Sélecteur (API / CLI) -> déploiement configuré; vide -> DEFAULT_DEPLOYMENT
+export function getDeployment(name) {
+  const n = String(name ?? '').trim() || DEFAULT_DEPLOYMENT;
+  const d = DEPLOYMENTS.find((x) => x.name === n);
+  if (!d) throw Object.assign(new Error('deployment_unknown'), { http: 400 });
+  return d;
+}
+
+// Contrôle des champs requis pour lire la chaîne (indexer: wss, reconcilers: rpc)
+export function assertDeployment(d, { wss = false, rpc = false } = {}) {
+  if (!d.contract) throw new Error(`[${d.name}] CONTRACT_ADDR / contract manquant`);
+  if (wss && !d.wss) throw new Error(`[${d.name}] WSS_URL / wss manquant`);
+  if (rpc && !d.rpcUrls.length) throw new Error(`[${d.name}] RPC_URLS / rpc manquant`);
+  return d;
+}
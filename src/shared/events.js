@@ -0,0 +1,160 @@
+// src/shared/events.js
+import { ethers } from 'ethers';
+import { ABI } from './abi.js';
+import {
+  upsertOpenedEvent,
+  handleExecutedEvent,
+  handleStopsUpdatedEvent,
+  handleRemovedEvent,
+  claimEvent,
+  releaseEvent
+} from './db.js';
+import { EventCache, eventKey } from './cache.js';
+
+/* =========================================================
+   Interface commune Opened / Executed / StopsUpdated / Removed
+========================================================= */
+export const EVENT_NAMES = ['Opened', 'Executed', 'StopsUpdated', 'Removed'];
+
+export const eventsIface = new ethers.Interface(ABI.Events);
+
+// topic0 de chaque event -> filtre OR sur un seul abonnement
+export const EVENT_TOPICS = EVENT_NAMES.map((n) => eventsIface.getEvent(n).topicHash);
+
+/* =========================================================
+   Décodage d'un log brut (ethers Log ou JSON-RPC)
+   -> { deployment, name, args, blockNumber, blockHash, txHash, logIndex, removed, raw }
+   Retourne null si le log n'est pas un des 4 events.
+========================================================= */
+export function decodeLog(log, deployment) {
+  const parsed = eventsIface.parseLog({ topics: log.topics, data: log.data });
+  if (!parsed) return null;
+  return {
+    deployment,
+    name: parsed.name,
+    args: parsed.args.toObject(),
+    blockNumber: Number(log.blockNumber),
+    blockHash: log.blockHash,
+    txHash: String(log.transactionHash || '').toLowerCase(),
+    logIndex: Number(log.index ?? log.logIndex),
+    removed: Boolean(log.removed),
+    raw: { address: log.address, topics: Array.from(log.topics), data: log.data }
+  };
+}
+
+// Ordre canonique on-chain: (blockNumber, logIndex)
+export function compareEvents(a, b) {
+  if (a.blockNumber !== b.blockNumber) return a.blockNumber - b.blockNumber;
+  return a.logIndex - b.logIndex;
+}
+
+/* =========================================================
+   Journal (trade_events) <-> event décodé
+   - bigint sérialisés en string, bool/number conservés
+========================================================= */
+const jsonSafe = (v) => (typeof v === 'bigint' ? v.toString() : v);
+
+export function toJournalRow(ev) {
+  const payload = Object.fromEntries(Object.entries(ev.args).map(([k, v]) => [k, jsonSafe(v)]));
+  return {
+    deployment: ev.deployment,
+    trade_id: payload.id === undefined ? null : String(payload.id),
+    evt: ev.name,
+    payload,
+    tx_hash: ev.txHash,
+    block_num: ev.blockNumber,
+    block_hash: ev.blockHash ?? null,
+    log_index: ev.logIndex,
+    block_time: ev.blockTime ?? null,
+    raw: ev.raw ?? null
+  };
+}
+
+export function fromJournalRow(row) {
+  return {
+    deployment: row.deployment,
+    name: row.evt,
+    args: row.payload,
+    blockNumber: Number(row.block_num),
+    blockHash: row.block_hash,
+    txHash: row.tx_hash,
+    logIndex: Number(row.log_index),
+    blockTime: row.block_time,
+    removed: false
+  };
+}
+
+/* =========================================================
+   Dispatch vers les handlers shared/db.js
+========================================================= */
+export async function applyEvent(ev) {
+  const a = ev.args;
+  const deployment = ev.deployment;
+  // provenance + version (blockNumber, logIndex): un event plus ancien que la position est ignoré
+  const prov = { blockNumber: ev.blockNumber, blockTime: ev.blockTime, txHash: ev.txHash, logIndex: ev.logIndex };
+  switch (ev.name) {
+    case 'Opened':
+      return upsertOpenedEvent({
+        ...prov, deployment, id: a.id, state: a.state, asset: a.asset, longSide: a.longSide, lots: a.lots,
+        entryOrTargetX6: a.entryOrTargetX6, slX6: a.slX6, tpX6: a.tpX6, liqX6: a.liqX6,
+        trader: a.trader, leverageX: a.leverageX
+      });
+    case 'Executed':
+      return handleExecutedEvent({ ...prov, deployment, id: a.id, entryX6: a.entryX6 });
+    case 'StopsUpdated':
+      return handleStopsUpdatedEvent({ ...prov, deployment, id: a.id, slX6: a.slX6, tpX6: a.tpX6 });
+    case 'Removed':
+      return handleRemovedEvent({ ...prov, deployment, id: a.id, reason: a.reason, execX6: a.execX6, pnlUsd6: a.pnlUsd6 });
+    default:
+      throw new Error(`Event ${ev.name} non géré`);
+  }
+}
+
+/* =========================================================
+   Application idempotente
+   - EventCache: court-circuit mémoire des doublons récents
+   - processed_events: réservation durable (survit aux redémarrages,
+     partagée entre process) AVANT d'appliquer
+   - échec du handler -> réservation libérée, l'event reste rejouable
+   - beforeApply(): exécuté seulement si l'event est réservé (ex: snapshot undo)
+   - reclaim: rejeu après un échec de transport; la réservation existante peut être
+     la nôtre (commit sans réponse) => appliqué quand même (positions_apply_* rejouables:
+     même version => no-op, cf. migration 0010)
+   Retourne 'applied', 'duplicate' (déjà réservé) ou 'stale' (refusé par la garde de
+   version: la position est déjà plus récente, cf. migration 0010).
+========================================================= */
+const recent = new EventCache({ max: 20000, ttlMs: 10 * 60 * 1000 });
+
+export async function applyEventOnce(ev, { beforeApply, reclaim = false } = {}) {
+  const key = eventKey(ev);
+  if (recent.seen(key)) return 'duplicate';
+
+  let claimed;
+  try {
+    claimed = await claimEvent({ ...ev, position_id: ev.args?.id });
+  } catch (e) {
+    recent.forget(key);
+    throw e;
+  }
+  if (!claimed && !reclaim) return 'duplicate';
+
+  try {
+    await beforeApply?.(ev);
+    return (await applyEvent(ev)) === false ? 'stale' : 'applied';
+  } catch (e) {
+    recent.forget(key);
+    await releaseEvent(ev).catch(() => {});
+    throw e;
+  }
+}
+
+// Après un rollback: les clés annulées doivent pouvoir être réappliquées
+export function forgetRecentEvents() {
+  recent.clear();
+}
+
+// Résumé lisible pour les logs
+export function describeEvent(ev) {
+  const args = Object.entries(ev.args).map(([k, v]) => `${k}=${v}`).join(' ');
+  return `${ev.name} ${args} @ deployment=${ev.deployment} block=${ev.blockNumber} tx=${ev.txHash} logIndex=${ev.logIndex}`;
+}
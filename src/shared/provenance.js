@@ -0,0 +1,145 @@
+// src/shared/provenance.js
+// Historique on-chain d'une position pour les reconcilers (manual*.js):
+//   { opened, executed, closed } -> { blockNumber, blockTime, txHash, args }
+// - provenance des transitions (positions.<transition>_block/_at/_tx)
+// - vrai log Removed (reason / execX6 / pnlUsd6) au lieu de zéros
+// 1) journal trade_events (events déjà décodés par l'indexer)
+// 2) à défaut, eth_getLogs filtré sur l'id (topic indexé): d'abord toute la plage
+//    [startBlock .. latest]; si le RPC la refuse, tranches de LOGS_CHUNK blocs en
+//    remontant depuis le head, sur LOGS_LOOKBACK blocs au plus.
+//    Échec RPC => transition laissée vide.
+import { getTradeJournal, patchPositionProvenance } from './db.js';
+import { eventsIface } from './events.js';
+import { logWarn } from './logger.js';
+
+const TAG = 'Provenance';
+
+const LOGS_CHUNK    = Math.max(1, Number(process.env.LOGS_CHUNK || 2000));
+const LOGS_LOOKBACK = Math.max(LOGS_CHUNK, Number(process.env.LOGS_LOOKBACK || 200000));
+
+const TRANSITIONS = { Opened: 'opened', Executed: 'executed', Removed: 'closed' };
+const TOPICS = Object.keys(TRANSITIONS).map((n) => eventsIface.getEvent(n).topicHash);
+
+const idTopic = (id) => '0x' + BigInt(id).toString(16).padStart(64, '0');
+
+// Dernier event de chaque transition (ordre canonique => le dernier l'emporte)
+function collect(items) {
+  const out = {};
+  for (const it of items) {
+    const key = TRANSITIONS[it.name];
+    if (key) out[key] = { blockNumber: it.blockNumber, blockTime: it.blockTime, txHash: it.txHash, args: it.args };
+  }
+  return out;
+}
+
+async function fromJournal(deployment, id) {
+  const rows = await getTradeJournal(deployment, id);
+  return collect(rows.map((r) => ({
+    name: r.evt,
+    args: r.payload,
+    blockNumber: Number(r.block_num),
+    blockTime: r.block_time,
+    txHash: r.tx_hash
+  })));
+}
+
+// Logs Opened/Executed/Removed de l'id, plage complète puis tranches si refusée
+async function getLogsById(rpc, dep, id, want) {
+  const filter = { address: dep.contract, topics: [TOPICS, idTopic(id)] };
+  const getLogs = (fromBlock, toBlock) =>
+    rpc.read((_c, provider) => provider.getLogs({ ...filter, fromBlock, toBlock }), { quorum: 1 });
+
+  const start = dep.startBlock ?? 0;
+  try {
+    return await getLogs(start, 'latest');
+  } catch (e) {
+    logWarn(TAG, `[${dep.name}] getLogs id=${id} full range refused (${e?.shortMessage || e?.message || e}) → chunks`);
+  }
+
+  const head = Number(await rpc.read((_c, provider) => provider.getBlockNumber(), { quorum: 1 }));
+  const floor = Math.max(start, head - LOGS_LOOKBACK + 1);
+  const logs = [];
+  for (let b = head; b >= floor; b -= LOGS_CHUNK) {
+    const a = Math.max(floor, b - LOGS_CHUNK + 1);
+    logs.push(...await getLogs(a, b));
+    const seen = collect(logs.map((l) => ({ name: eventsIface.parseLog(l)?.name })));
+    if (want.every((k) => seen[k])) break;
+    if (seen.opened) break; // rien d'antérieur à Opened
+  }
+  return logs;
+}
+
+async function fromChain(rpc, dep, id, want) {
+  const logs = await getLogsById(rpc, dep, id, want);
+
+  const times = new Map();
+  const items = [];
+  for (const log of logs) {
+    const parsed = eventsIface.parseLog({ topics: log.topics, data: log.data });
+    if (!parsed) continue;
+    const n = Number(log.blockNumber);
+    if (!times.has(n)) {
+      const block = await rpc.read((_c, provider) => provider.getBlock(n), { quorum: 1 });
+      times.set(n, block ? new Date(Number(block.timestamp) * 1000).toISOString() : null);
+    }
+    items.push({
+      name: parsed.name,
+      args: parsed.args.toObject(),
+      blockNumber: n,
+      logIndex: Number(log.index ?? log.logIndex),
+      blockTime: times.get(n),
+      txHash: String(log.transactionHash || '').toLowerCase()
+    });
+  }
+  items.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+  return collect(items);
+}
+
+/**
+ * Transitions connues pour `id`; `want` = transitions attendues d'après l'état on-chain
+ * (ex: ['opened','closed']) — la chaîne n'est interrogée que s'il en manque.
+ */
+export async function lookupProvenance({ dep, rpc, id, want = ['opened', 'executed', 'closed'] }) {
+  const prov = await fromJournal(dep.name, id);
+  if (!rpc || want.every((k) => prov[k])) return prov;
+
+  try {
+    return { ...(await fromChain(rpc, dep, id, want)), ...prov };
+  } catch (e) {
+    logWarn(TAG, `[${dep.name}] getLogs id=${id} failed:`, e?.shortMessage || e?.message || e);
+    return prov;
+  }
+}
+
+// Transitions attendues pour un état on-chain (0 ORDER, 1 OPEN, 2 CLOSED, 3 CANCELLED)
+export function expectedTransitions(state) {
+  if (state === 0) return ['opened'];
+  if (state === 1) return ['opened'];   // executed seulement si c'était un ordre limite
+  return ['opened', 'closed'];
+}
+
+// lookup (sauf `prov` déjà connu) + patch positions.<transition>_block/_at/_tx
+export async function syncProvenance({ dep, rpc, id, state, prov }) {
+  prov ??= await lookupProvenance({ dep, rpc, id, want: expectedTransitions(state) });
+  return patchPositionProvenance(dep.name, id, prov);
+}
+
+/**
+ * Arguments du handleRemovedEvent pour une position fermée / annulée on-chain:
+ * vrai log Removed (reason, execX6, pnlUsd6 + provenance) si `prov.closed` est connu,
+ * sinon `fallback` (valeurs déjà en DB), sinon reason déduite de l'état
+ * (3 => 0 CANCELLED, sinon 1 MARKET) et exec/pnl à 0.
+ */
+export function removedFrom(prov, state, fallback = null) {
+  const closed = prov?.closed;
+  if (!closed?.args) return fallback ?? { reason: state === 3 ? 0 : 1, execX6: 0, pnlUsd6: 0 };
+  const a = closed.args;
+  return {
+    reason: Number(a.reason),
+    execX6: a.execX6 ?? 0,
+    pnlUsd6: a.pnlUsd6 ?? 0,
+    blockNumber: closed.blockNumber,
+    blockTime: closed.blockTime,
+    txHash: closed.txHash
+  };
+}
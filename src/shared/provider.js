@@ -1,15 +1,15 @@
 import 'dotenv/config';
 import { ethers } from 'ethers';
-import { logInfo } from './logger.js';
+import { logInfo, logWarn, logErr } from './logger.js';
 
+// Valeurs par défaut (déploiement unique); en multi-déploiement, cf. shared/deployments.js
 const WSS_URL = process.env.WSS_URL;
-const CONTRACT_ADDR = (process.env.CONTRACT_ADDR || '').trim();
+const RPC_URL = (process.env.RPC_URL || process.env.RPC_HTTP || '').trim();
+export const CONTRACT_ADDR = (process.env.CONTRACT_ADDR || '').trim();
 
-if (!WSS_URL) throw new Error('WSS_URL manquant dans .env');
-if (!CONTRACT_ADDR) throw new Error('CONTRACT_ADDR manquant dans .env');
-
-export function makeProvider() {
-  const provider = new ethers.WebSocketProvider(WSS_URL);
+export function makeProvider(wssUrl = WSS_URL) {
+  if (!wssUrl) throw new Error('WSS_URL manquant dans .env');
+  const provider = new ethers.WebSocketProvider(wssUrl);
 
   provider.on('network', (net, old) => {
     if (old) logInfo('WS', `reconnected to chainId=${net.chainId}`);
@@ -19,7 +19,232 @@ export function makeProvider() {
   return provider;
 }
 
-export function makeContract(provider, abiFragment) {
+export function makeContract(provider, abiFragment, address = CONTRACT_ADDR) {
+  if (!address) throw new Error('CONTRACT_ADDR manquant dans .env');
   const iface = new ethers.Interface(abiFragment);
-  return new ethers.Contract(CONTRACT_ADDR, iface, provider);
+  return new ethers.Contract(address, iface, provider);
+}
+
+// Timestamp (ISO) d'un bloc, avec petit cache borné
+export function makeBlockTimes(provider, { max = 1000 } = {}) {
+  const cache = new Map();
+  return async function blockTime(blockNumber) {
+    const n = Number(blockNumber);
+    if (cache.has(n)) return cache.get(n);
+    const block = await provider.getBlock(n);
+    if (!block) throw new Error(`Bloc ${n} introuvable`);
+    const iso = new Date(Number(block.timestamp) * 1000).toISOString();
+    cache.set(n, iso);
+    if (cache.size > max) cache.delete(cache.keys().next().value);
+    return iso;
+  };
+}
+
+/* =========================================================
+   Source de logs résiliente (WS + repli HTTP)
+   - WS: abonnement filtre + heads; fermeture ou silence > staleMs => WS "down"
+   - down: reconnexion avec backoff exponentiel (+ jitter), ré-abonnement complet
+   - pendant la coupure: polling HTTP eth_getLogs/eth_blockNumber sur RPC_URL
+     (reprend quelques blocs avant le dernier head vu; les doublons sont
+     filtrés en aval par eventKey / processed_events)
+   - retour WS: le trou [dernier bloc couvert .. head] est relu par eth_getLogs (HTTP, ou
+     le WS lui-même sans RPC_URL), retenté toutes les pollMs jusqu'au succès; les heads
+     WS sont retenus pendant ce temps (rien n'est libéré au-delà du trou non relu)
+   - lectures (getLogs/getBlock/getBlockNumber): WS si up, sinon HTTP
+   - status(): { mode, head, lastHeadAt, reconnects }
+   - name: préfixe des logs (un source par déploiement)
+========================================================= */
+export class ResilientLogSource {
+  constructor({
+    filter,
+    onLog,
+    onHead,
+    name = '',
+    wssUrl = WSS_URL,
+    rpcUrl = RPC_URL,
+    pollMs = Number(process.env.POLL_MS || 4000),
+    staleMs = Number(process.env.WS_STALE_MS || 60000),
+    backoffMinMs = 1000,
+    backoffMaxMs = 60000,
+    pollChunk = Number(process.env.LOGS_CHUNK || 2000),
+    pollOverlap = 2
+  }) {
+    this.filter = filter;
+    this.onLog = onLog;
+    this.onHead = onHead;
+    this.tag = name ? `WS:${name}` : 'WS';
+    if (!wssUrl) throw new Error(`${this.tag}: WSS_URL manquant`);
+    this.wssUrl = wssUrl;
+    this.http = rpcUrl ? new ethers.JsonRpcProvider(rpcUrl) : null;
+    this.pollMs = pollMs;
+    this.staleMs = staleMs;
+    this.backoffMinMs = backoffMinMs;
+    this.backoffMaxMs = backoffMaxMs;
+    this.pollChunk = Math.max(1, pollChunk);
+    this.pollOverlap = pollOverlap;
+
+    this.ws = null;
+    this.mode = 'connecting'; // 'connecting' | 'ws' | 'http' | 'down'
+    this.head = -1;
+    this.lastHeadAt = 0;
+    this.attempts = 0;
+    this.reconnects = 0;
+    this.pollTimer = null;
+    this.polling = null;
+    this.polledThrough = -1;
+    this.gap = false;      // logs manqués depuis la dernière coupure WS (à relire au retour)
+    this.holding = false;  // heads retenus tant que le trou n'est pas relu
+    this.heldHead = -1;
+    this.staleTimer = null;
+  }
+
+  async start() {
+    if (!this.http) logWarn(this.tag, 'RPC_URL absent: pas de repli HTTP pendant les coupures WS (trou relu via WS au retour)');
+    this._connectWs();
+    this.staleTimer = setInterval(() => {
+      if (this.mode === 'ws' && Date.now() - this.lastHeadAt > this.staleMs) {
+        this._onWsDown(this.ws, `no block for ${this.staleMs}ms`);
+      }
+    }, Math.min(this.staleMs, 10000));
+    // head initial (sert de point de départ au polling si le WS ne monte jamais)
+    this._setHead(await this.getBlockNumber());
+  }
+
+  status() {
+    return { mode: this.mode, head: this.head, lastHeadAt: this.lastHeadAt, reconnects: this.reconnects };
+  }
+
+  /* ---------- lectures ---------- */
+  async getBlockNumber() { return this._read((p) => p.getBlockNumber()); }
+  async getBlock(n)      { return this._read((p) => p.getBlock(n)); }
+  async getLogs(f)       { return this._read((p) => p.getLogs(f)); }
+  async getChainId()     { return Number((await this._read((p) => p.getNetwork())).chainId); }
+
+  async _read(fn) {
+    const primary = this.mode === 'ws' && this.ws ? this.ws : (this.http || this.ws);
+    if (!primary) throw new Error('Aucun provider disponible (WS down, RPC_URL absent)');
+    try {
+      return await fn(primary);
+    } catch (e) {
+      if (this.http && primary !== this.http) return fn(this.http);
+      throw e;
+    }
+  }
+
+  /* ---------- WS ---------- */
+  _connectWs() {
+    const ws = new ethers.WebSocketProvider(this.wssUrl);
+    this.ws = ws;
+
+    const sock = ws.websocket;
+    sock.on('close', (code) => this._onWsDown(ws, `close code=${code}`));
+    sock.on('error', (err) => logErr(this.tag, 'WebSocket error', err?.message || err));
+
+    ws.on(this.filter, (log) => this.onLog(log)).catch((e) => this._onWsDown(ws, e?.message || e));
+    ws.on('block', (bn) => {
+      if (ws !== this.ws) return;
+      if (this.mode !== 'ws') this._onWsUp(ws);
+      this._setHead(Number(bn));
+    }).catch((e) => this._onWsDown(ws, e?.message || e));
+  }
+
+  _onWsUp(ws) {
+    logInfo(this.tag, `connected (mode=ws, reconnects=${this.reconnects})`);
+    this.mode = 'ws';
+    this.attempts = 0;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.gap) this._fillGap(ws);
+  }
+
+  // Relit le trou de la coupure (HTTP si dispo, sinon le WS) avant de relâcher les heads
+  async _fillGap(ws) {
+    this.holding = true;
+    const provider = this.http || ws;
+    if (this.polling) await this.polling.catch(() => {}); // poll HTTP en cours: peut s'arrêter avant l'abonnement
+    while (ws === this.ws) {
+      try {
+        await this._poll(provider);
+        break;
+      } catch (e) {
+        logErr(this.tag, 'gap poll failed, retrying', e?.shortMessage || e?.message || e);
+        await new Promise((r) => setTimeout(r, this.pollMs));
+      }
+    }
+    if (ws !== this.ws) return; // WS retombé entre-temps: _onWsDown reprend le trou
+
+    logInfo(this.tag, `gap covered through block=${this.polledThrough}`);
+    this.gap = false;
+    this.holding = false;
+    const held = this.heldHead;
+    this.heldHead = -1;
+    this._setHead(held);
+  }
+
+  _onWsDown(ws, reason) {
+    if (!ws || ws !== this.ws) return; // ancienne connexion déjà remplacée
+    this.ws = null;
+    Promise.resolve().then(() => ws.destroy()).catch(() => {});
+
+    logWarn(this.tag, `down (${reason}) → ${this.http ? 'HTTP polling' : 'waiting'}, reconnecting…`);
+    this.mode = this.http ? 'http' : 'down';
+    // début du trou: quelques blocs avant le dernier head (le plus ancien si déjà en trou)
+    const from = Math.max(-1, this.head - this.pollOverlap);
+    this.polledThrough = this.gap ? Math.min(this.polledThrough, from) : from;
+    this.gap = true;
+    this.holding = false; // heads retenus non relus: le prochain poll les recouvre
+    this.heldHead = -1;
+    if (this.http && !this.pollTimer) {
+      this.pollTimer = setInterval(() => {
+        this._poll().catch((e) => logErr(this.tag, 'HTTP poll failed', e?.shortMessage || e?.message || e));
+      }, this.pollMs);
+    }
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    const base = Math.min(this.backoffMaxMs, this.backoffMinMs * 2 ** this.attempts);
+    const delay = Math.floor(base / 2 + Math.random() * base / 2);
+    this.attempts++;
+    setTimeout(() => {
+      this.reconnects++;
+      logInfo(this.tag, `reconnect attempt #${this.attempts} (after ${delay}ms)`);
+      this._connectWs();
+    }, delay);
+  }
+
+  /* ---------- HTTP polling ---------- */
+  async _poll(provider = this.http) {
+    if (this.polling) return this.polling;
+    this.polling = (async () => {
+      const head = Number(await provider.getBlockNumber());
+      if (this.polledThrough < 0) this.polledThrough = head - this.pollOverlap; // jamais vu de head
+      for (let a = this.polledThrough + 1; a <= head; a += this.pollChunk) {
+        const b = Math.min(head, a + this.pollChunk - 1);
+        const logs = await provider.getLogs({ ...this.filter, fromBlock: a, toBlock: b });
+        for (const log of logs) this.onLog(log);
+        this.polledThrough = b;
+      }
+      this._setHead(head);
+    })();
+    try {
+      return await this.polling;
+    } finally {
+      this.polling = null;
+    }
+  }
+
+  _setHead(head) {
+    if (!Number.isInteger(head)) return;
+    this.lastHeadAt = Date.now();
+    if (this.holding) {
+      this.heldHead = Math.max(this.heldHead, head);
+      return;
+    }
+    if (head <= this.head) return;
+    this.head = head;
+    this.onHead?.(head);
+  }
 }
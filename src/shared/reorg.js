@@ -0,0 +1,104 @@
+// src/shared/reorg.js
+// Gestion des réorganisations de chaîne pour l'indexer.
+// - record(ev): snapshot de la position AVANT l'event (table reorg_undo) + hash du bloc
+// - findFork(provider): plus petit bloc appliqué dont le hash ne correspond plus à la chaîne
+// - rollback(fromBlock): rejoue les snapshots à l'envers (positions, order_buckets,
+//   stop_buckets; exposure_agg suit via trigger) pour tous les events >= fromBlock,
+//   libère leurs clés processed_events (les logs du nouveau fork seront réappliqués)
+//   et les marque removed dans le journal trade_events (dead letters et historique SL/TP
+//   >= fromBlock supprimés)
+import {
+  snapshotPosition,
+  restorePosition,
+  saveUndo,
+  getUndoSince,
+  deleteUndoSince,
+  pruneUndo,
+  deleteProcessedSince,
+  markJournalRemovedSince,
+  deleteDeadLettersSince,
+  deleteStopsHistorySince
+} from './db.js';
+import { logInfo, logWarn } from './logger.js';
+
+const TAG = 'Reorg';
+
+export class ReorgGuard {
+  constructor({ deployment, window = 64 } = {}) {
+    this.deployment = deployment;
+    this.window = Math.max(1, window);
+    this.head = 0;
+    this.prunedAt = 0;
+    this.blocks = new Map(); // blockNumber -> blockHash (blocs où un event a été appliqué)
+  }
+
+  // Recharge les hashes encore dans la fenêtre (après redémarrage)
+  async load(fromBlock) {
+    for (const r of await getUndoSince(this.deployment, Math.max(0, fromBlock))) {
+      this.blocks.set(Number(r.block_number), String(r.block_hash));
+    }
+    return this.blocks.size;
+  }
+
+  // Trop vieux pour être réorganisé → pas de snapshot
+  inWindow(blockNumber) {
+    return blockNumber > this.head - this.window;
+  }
+
+  async record(ev) {
+    if (!this.inWindow(ev.blockNumber)) return;
+    const position_id = ev.args.id;
+    const snapshot = await snapshotPosition(this.deployment, position_id);
+    await saveUndo({
+      deployment: this.deployment,
+      blockNumber: ev.blockNumber,
+      blockHash: ev.blockHash,
+      txHash: ev.txHash,
+      logIndex: ev.logIndex,
+      position_id,
+      snapshot
+    });
+    this.blocks.set(ev.blockNumber, ev.blockHash);
+  }
+
+  // Du plus récent au plus ancien: s'arrête au premier bloc encore canonique
+  async findFork(provider) {
+    let fork = null;
+    const nums = Array.from(this.blocks.keys()).sort((a, b) => b - a);
+    for (const n of nums) {
+      const b = await provider.getBlock(n);
+      if (b && b.hash === this.blocks.get(n)) break;
+      fork = n;
+    }
+    return fork;
+  }
+
+  async rollback(fromBlock) {
+    const undo = await getUndoSince(this.deployment, fromBlock);
+    logWarn(TAG, `[${this.deployment}] rollback from block=${fromBlock}: ${undo.length} event(s) to revert`);
+    for (const u of undo) {
+      await restorePosition(this.deployment, u.position_id, u.snapshot);
+      logInfo(TAG, `[${this.deployment}] reverted position=${u.position_id} (block=${u.block_number} tx=${u.tx_hash} logIndex=${u.log_index})`);
+    }
+    await deleteUndoSince(this.deployment, fromBlock);
+    await deleteProcessedSince(this.deployment, fromBlock);
+    await markJournalRemovedSince(this.deployment, fromBlock);
+    await deleteDeadLettersSince(this.deployment, fromBlock);
+    await deleteStopsHistorySince(this.deployment, fromBlock);
+    for (const n of Array.from(this.blocks.keys())) {
+      if (n >= fromBlock) this.blocks.delete(n);
+    }
+    return undo.length;
+  }
+
+  // Purge au plus une fois par fenêtre
+  async prune() {
+    const below = this.head - this.window;
+    if (below <= 0 || this.head - this.prunedAt < this.window) return;
+    this.prunedAt = this.head;
+    await pruneUndo(this.deployment, below);
+    for (const n of Array.from(this.blocks.keys())) {
+      if (n < below) this.blocks.delete(n);
+    }
+  }
+}
@@ -1,56 +1,169 @@
+// src/shared/rest.js
+// Client PostgREST (utilisé par store/rest.js)
+// - timeout par requête (REST_TIMEOUT_MS, def: 10000)
+// - retry avec backoff exponentiel + jitter (REST_RETRIES def: 3, REST_RETRY_BASE_MS def: 200,
+//   REST_RETRY_MAX_MS def: 5000), seulement pour les appels rejouables et les échecs de transport:
+//   GET, PATCH, DELETE, POST upsert (merge-duplicates, ou ignore-duplicates sans
+//   return=representation) et /rpc (fonctions SQL du projet rejouables; { retry: false } sinon)
+// - disjoncteur: après REST_BREAKER_THRESHOLD (def: 5) échecs de transport consécutifs,
+//   tout appel échoue aussitôt (TransportError code=CIRCUIT_OPEN) pendant
+//   REST_BREAKER_COOLDOWN_MS (def: 10000), puis un seul appel d'essai referme ou rouvre
+// - erreurs typées (store/errors.js): ConflictError (409, n'est plus un succès),
+//   ValidationError (4xx), TransportError (réseau, timeout, 408/429/5xx, disjoncteur)
 import 'dotenv/config';
+import { parsePrefer } from './store/query.js';
+import { TransportError, fromHttpError, isTransportError } from './store/errors.js';
+import { logInfo, logWarn } from './logger.js';
 
-const base = process.env.ENDPOINT || 'http://127.0.0.1:9304'; // défaut sûr
+const base =
+  process.env.ENDPOINT || process.env.POSTGREST_URL || process.env.REST_URL || process.env.POSTGREST_ENDPOINT ||
+  'http://127.0.0.1:9304'; // défaut sûr
 const ENDPOINT = base.replace(/\/+$/, '');
 
 console.log('[REST] Using PostgREST ENDPOINT =', ENDPOINT);
 
+const TAG = 'REST';
+
+const REST_TIMEOUT_MS     = Math.max(100, Number(process.env.REST_TIMEOUT_MS || 10000));
+const REST_RETRIES        = Math.max(0, Number(process.env.REST_RETRIES ?? 3));
+const REST_RETRY_BASE_MS  = Math.max(1, Number(process.env.REST_RETRY_BASE_MS || 200));
+const REST_RETRY_MAX_MS   = Math.max(REST_RETRY_BASE_MS, Number(process.env.REST_RETRY_MAX_MS || 5000));
+const BREAKER_THRESHOLD   = Math.max(1, Number(process.env.REST_BREAKER_THRESHOLD || 5));
+const BREAKER_COOLDOWN_MS = Math.max(100, Number(process.env.REST_BREAKER_COOLDOWN_MS || 10000));
+
 const json = (x) => JSON.stringify(x);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// full jitter: attente aléatoire dans [0 .. min(max, base * 2^n)]
+const backoff = (attempt) => Math.random() * Math.min(REST_RETRY_MAX_MS, REST_RETRY_BASE_MS * 2 ** attempt);
+
+/* =========================================================
+   Disjoncteur (closed -> open -> half-open -> closed | open)
+========================================================= */
+const breaker = { state: 'closed', failures: 0, openedAt: 0, probing: false, trips: 0 };
 
-const ok = async (res) => {
-  if (!res.ok && res.status !== 409) {
-    const body = await res.text().catch(() => '');
-    throw new Error(`HTTP ${res.status} ${res.statusText} :: ${body}`);
+const retryInMs = () => Math.max(0, breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now());
+
+// -> true si cet appel est l'essai half-open; TransportError si le disjoncteur est ouvert
+function admit(label) {
+  if (breaker.state === 'open' && retryInMs() === 0) breaker.state = 'half-open';
+  if (breaker.state === 'closed') return false;
+  if (breaker.state === 'half-open' && !breaker.probing) {
+    breaker.probing = true;
+    return true;
   }
-  return res;
-};
+  throw new TransportError(`${label} -> circuit open (PostgREST indisponible, essai dans ${retryInMs()}ms)`, { code: 'CIRCUIT_OPEN' });
+}
 
-export async function get(pathWithQuery, { headers = {} } = {}) {
-  const res = await fetch(`${ENDPOINT}/${pathWithQuery}`, { headers });
-  if (!res.ok) {
-    const body = await res.text().catch(() => '');
-    throw new Error(`GET ${pathWithQuery} -> HTTP ${res.status} ${res.statusText} :: ${body}`);
+// PostgREST a répondu (succès ou refus 4xx): joignable
+function reachable() {
+  if (breaker.state !== 'closed') logInfo(TAG, `PostgREST joignable: disjoncteur refermé (après ${breaker.failures} échec(s))`);
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.probing = false;
+}
+
+function unreachable(probe, err) {
+  breaker.failures++;
+  if (probe) breaker.probing = false;
+  if (probe || (breaker.state === 'closed' && breaker.failures >= BREAKER_THRESHOLD)) {
+    if (breaker.state === 'closed') {
+      breaker.trips++;
+      logWarn(TAG, `disjoncteur ouvert après ${breaker.failures} échec(s) de transport: ${err.message}`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
   }
-  const ct = res.headers.get('content-type') || '';
-  return ct.includes('application/json') ? res.json() : null;
 }
 
+// État du disjoncteur (logs / health)
+export function restStatus() {
+  return { state: breaker.state, failures: breaker.failures, trips: breaker.trips, retryInMs: breaker.state === 'open' ? retryInMs() : 0 };
+}
+
+// Résout quand un appel peut de nouveau partir (disjoncteur fermé ou prêt pour l'essai)
+export async function whenAvailable() {
+  while (breaker.state === 'open' && retryInMs() > 0) await sleep(retryInMs());
+}
+
+/* =========================================================
+   Requête: timeout, erreurs typées, retry (si rejouable)
+   -> { res, text } (corps lu sous le même timeout)
+========================================================= */
+async function request(method, path, { headers = {}, body, retry = false, label = `${method} ${path}` } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const probe = admit(label);
+    let err;
+    try {
+      const res = await fetch(`${ENDPOINT}/${path}`, { method, headers, body, signal: AbortSignal.timeout(REST_TIMEOUT_MS) });
+      const text = await res.text();
+      if (res.ok) {
+        reachable();
+        return { res, text };
+      }
+      err = fromHttpError(label, res.status, res.statusText, text);
+    } catch (e) {
+      const timeout = e?.name === 'TimeoutError' || e?.name === 'AbortError';
+      const code = timeout ? 'TIMEOUT' : (e?.cause?.code ?? null);
+      err = new TransportError(
+        `${label} -> ${timeout ? `timeout after ${REST_TIMEOUT_MS}ms` : (e?.cause?.message || e?.message || e)}`,
+        { code, cause: e }
+      );
+    }
+
+    if (!isTransportError(err)) {
+      reachable();
+      throw err;
+    }
+    unreachable(probe, err);
+    if (!retry || attempt >= REST_RETRIES || breaker.state === 'open') throw err;
+
+    const wait = backoff(attempt);
+    logWarn(TAG, `${err.message} → retry ${attempt + 1}/${REST_RETRIES} dans ${Math.round(wait)}ms`);
+    await sleep(wait);
+  }
+}
+
+const parseJson = (res, text) =>
+  (text && (res.headers.get('content-type') || '').includes('application/json') ? JSON.parse(text) : null);
+
+export async function get(pathWithQuery, { headers = {} } = {}) {
+  const { res, text } = await request('GET', pathWithQuery, { headers, retry: true });
+  return parseJson(res, text);
+}
+
+// -> lignes si Prefer return=representation, sinon null
 export async function postArray(pathWithQuery, arr, { headers = {} } = {}) {
-  const res = await fetch(`${ENDPOINT}/${pathWithQuery}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Prefer': 'return=minimal, resolution=ignore-duplicates',
-      ...headers
-    },
-    body: json(arr)
-  });
-  return ok(res);
+  const all = { 'Content-Type': 'application/json', 'Prefer': 'return=minimal, resolution=ignore-duplicates', ...headers };
+  const prefer = parsePrefer(all);
+  // un insert simple n'est pas rejouable; ignore-duplicates + representation non plus
+  // (la 2e réponse serait [] alors que la 1re a inséré)
+  const retry = prefer.resolution === 'merge-duplicates' ||
+    (prefer.resolution === 'ignore-duplicates' && !prefer.representation);
+  const { res, text } = await request('POST', pathWithQuery, { headers: all, body: json(arr), retry });
+  return prefer.representation ? (parseJson(res, text) ?? []) : null;
 }
 
 export async function patch(pathWithQuery, body, { headers = {} } = {}) {
-  const res = await fetch(`${ENDPOINT}/${pathWithQuery}`, {
-    method: 'PATCH',
+  await request('PATCH', pathWithQuery, {
     headers: { 'Content-Type': 'application/json', 'Prefer': 'return=minimal', ...headers },
-    body: json(body)
+    body: json(body),
+    retry: true
   });
-  return ok(res);
 }
 
 export async function del(pathWithQuery, { headers = {} } = {}) {
-  const res = await fetch(`${ENDPOINT}/${pathWithQuery}`, {
-    method: 'DELETE',
-    headers: { 'Prefer': 'return=minimal', ...headers }
+  await request('DELETE', pathWithQuery, { headers: { 'Prefer': 'return=minimal', ...headers }, retry: true });
+}
+
+// Fonction SQL exposée par PostgREST (/rpc/<fn>): un appel = une transaction
+// (un conflit = transaction annulée => ConflictError, jamais un succès)
+export async function rpc(fn, args = {}, { headers = {}, retry = true } = {}) {
+  const { res, text } = await request('POST', `rpc/${fn}`, {
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: json(args),
+    retry,
+    label: `RPC ${fn}`
   });
-  return ok(res);
+  return parseJson(res, text);
 }
@@ -0,0 +1,212 @@
+// src/shared/rpc.js
+// Client RPC HTTP multi-endpoints pour les scripts de réconciliation.
+// - RPC_URLS (liste séparée par des virgules), à défaut RPC_URL / RPC_HTTP
+// - score de santé par endpoint (succès / échecs / latence), mise au repos
+//   exponentielle après des échecs consécutifs
+// - failover: un appel échoué est retenté sur l'endpoint suivant le mieux noté
+// - quorum (RPC_QUORUM, def: 1): le résultat n'est retourné que si N endpoints
+//   renvoient la même valeur, sinon erreur code=RPC_QUORUM (aucune écriture DB)
+// - readAt: lecture figée sur un bloc (tête courante) → version des écritures
+//   des reconcilers (garde de version, migration 0010)
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { logWarn } from './logger.js';
+
+export const RPC_URLS = Array.from(new Set(
+  String(process.env.RPC_URLS || process.env.RPC_URL || process.env.RPC_HTTP || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+));
+export const RPC_QUORUM = Math.max(1, Number(process.env.RPC_QUORUM || 1));
+const RPC_TIMEOUT_MS = Math.max(500, Number(process.env.RPC_TIMEOUT_MS || 10000));
+const HEAD_MAX_AGE_MS = Math.max(0, Number(process.env.RPC_HEAD_MAX_AGE_MS || 2000));
+
+const TAG = 'RPC';
+
+// Comparaison de résultats (bigint / ethers Result) → clé stable
+const keyOf = (v) => JSON.stringify(v, (_, x) => (typeof x === 'bigint' ? x.toString() : x));
+
+// URL sans credentials ni chemin (clé API) pour les logs
+export const redactUrl = (u) => {
+  try { return new URL(u).host; } catch { return u; }
+};
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`${label} timeout after ${ms}ms`), { code: 'TIMEOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/* =========================================================
+   Endpoint: provider + contrat + santé
+   - score: moyenne glissante des succès (1) / échecs (0)
+   - downUntil: repos 1s, 2s, 4s… (max 60s) après échecs consécutifs
+========================================================= */
+class Endpoint {
+  constructor(url, address, iface) {
+    this.url = url;
+    this.name = redactUrl(url);
+    this.provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true });
+    this.contract = new ethers.Contract(address, iface, this.provider);
+    this.score = 1;
+    this.latencyMs = 0;
+    this.ok = 0;
+    this.failed = 0;
+    this.streak = 0; // échecs consécutifs
+    this.downUntil = 0;
+  }
+
+  available(now = Date.now()) {
+    return now >= this.downUntil;
+  }
+
+  success(ms) {
+    this.ok++;
+    this.streak = 0;
+    this.downUntil = 0;
+    this.score = this.score * 0.9 + 0.1;
+    this.latencyMs = this.latencyMs ? this.latencyMs * 0.8 + ms * 0.2 : ms;
+  }
+
+  failure() {
+    this.failed++;
+    this.streak++;
+    this.score = this.score * 0.9;
+    this.downUntil = Date.now() + Math.min(60000, 1000 * 2 ** (this.streak - 1));
+  }
+}
+
+/* =========================================================
+   RpcContract
+   - read(fn, { quorum }): fn(contract) exécuté sur un ou plusieurs endpoints
+   - blockNumber(): tête de chaîne (failover), mise en cache HEAD_MAX_AGE_MS
+   - readAt(fn, { quorum }): fn(contract, { blockTag }) au bloc de tête -> { block, value }
+     (tous les endpoints lisent le même bloc: quorum comparable, version cohérente)
+   - stats(): état de santé de chaque endpoint (pour les logs de fin)
+========================================================= */
+export class RpcContract {
+  constructor({ address, abi, urls = RPC_URLS, quorum = RPC_QUORUM, timeoutMs = RPC_TIMEOUT_MS }) {
+    if (!urls.length) throw new Error('RPC_URLS / RPC_URL manquant dans .env');
+    if (!address) throw new Error('CONTRACT_ADDR manquant dans .env');
+    const iface = new ethers.Interface(abi);
+    this.endpoints = urls.map((u) => new Endpoint(u, address, iface));
+    this.quorum = Math.min(Math.max(1, Number(quorum) || 1), this.endpoints.length);
+    this.timeoutMs = timeoutMs;
+    this.head = null; // { block, at, pending }
+    if (this.quorum < Number(quorum)) {
+      logWarn(TAG, `quorum=${quorum} > ${this.endpoints.length} endpoint(s) → quorum=${this.quorum}`);
+    }
+  }
+
+  // Disponibles d'abord, puis meilleur score, puis plus faible latence
+  ranked() {
+    const now = Date.now();
+    return [...this.endpoints].sort((a, b) =>
+      (b.available(now) - a.available(now)) || (b.score - a.score) || (a.latencyMs - b.latencyMs)
+    );
+  }
+
+  async _try(ep, fn) {
+    const t0 = Date.now();
+    try {
+      const v = await withTimeout(fn(ep.contract, ep.provider), this.timeoutMs, ep.name);
+      ep.success(Date.now() - t0);
+      return v;
+    } catch (e) {
+      ep.failure();
+      logWarn(TAG, `${ep.name} failed (streak=${ep.streak}):`, e?.shortMessage || e?.message || e);
+      throw e;
+    }
+  }
+
+  async read(fn, { quorum = this.quorum } = {}) {
+    const need = Math.min(Math.max(1, quorum), this.endpoints.length);
+    return need === 1 ? this._failover(fn) : this._quorum(fn, need);
+  }
+
+  async blockNumber({ maxAgeMs = HEAD_MAX_AGE_MS } = {}) {
+    const h = this.head;
+    if (h?.pending) return h.pending;
+    if (h && Date.now() - h.at <= maxAgeMs) return h.block;
+    const pending = this._failover((_, provider) => provider.getBlockNumber())
+      .then((block) => {
+        this.head = { block: Number(block), at: Date.now() };
+        return this.head.block;
+      })
+      .catch((e) => {
+        this.head = h;
+        throw e;
+      });
+    this.head = { ...h, pending };
+    return pending;
+  }
+
+  async readAt(fn, opts = {}) {
+    const block = await this.blockNumber();
+    const value = await this.read((c, provider) => fn(c, { blockTag: block }, provider), opts);
+    return { block, value };
+  }
+
+  // Premier succès, en descendant la liste classée
+  async _failover(fn) {
+    let lastErr;
+    for (const ep of this.ranked()) {
+      try {
+        return await this._try(ep, fn);
+      } catch (e) {
+        lastErr = e;
+      }
+    }
+    throw lastErr;
+  }
+
+  // `need` réponses identiques; on interroge `need` endpoints puis on complète
+  // un par un (échec ou désaccord) tant qu'il en reste
+  async _quorum(fn, need) {
+    const queue = this.ranked();
+    const votes = new Map(); // key -> { value, count }
+    let failed = 0;
+
+    const take = async (ep) => {
+      try {
+        const value = await this._try(ep, fn);
+        const k = keyOf(value);
+        const v = votes.get(k) || { value, count: 0 };
+        v.count++;
+        votes.set(k, v);
+      } catch {
+        failed++;
+      }
+    };
+
+    await Promise.all(queue.splice(0, need).map(take));
+    for (;;) {
+      const best = Array.from(votes.values()).sort((a, b) => b.count - a.count)[0];
+      if (best && best.count >= need) return best.value;
+      if (!queue.length) {
+        throw Object.assign(
+          new Error(`quorum not reached (need=${need}, answers=${Array.from(votes.values()).map((v) => v.count).join('/') || 0}, failed=${failed})`),
+          { code: 'RPC_QUORUM' }
+        );
+      }
+      await take(queue.shift());
+    }
+  }
+
+  stats() {
+    return this.endpoints.map((ep) => ({
+      endpoint: ep.name,
+      ok: ep.ok,
+      failed: ep.failed,
+      score: Number(ep.score.toFixed(3)),
+      latencyMs: Math.round(ep.latencyMs)
+    }));
+  }
+
+  describe() {
+    return `${this.endpoints.map((ep) => ep.name).join(',')} (quorum=${this.quorum})`;
+  }
+}
@@ -0,0 +1,68 @@
+// src/shared/store/errors.js
+// Erreurs typées du stockage (adapters rest / pg):
+//   ConflictError   → conflit d'unicité (HTTP 409, SQLSTATE 23505): rien n'a été écrit
+//   ValidationError → requête refusée (4xx, contrainte, type, raise exception): inutile de retenter
+//   TransportError  → stockage injoignable (réseau, timeout, 5xx, disjoncteur ouvert):
+//                     l'écriture a pu échouer OU passer sans réponse, à retenter plus tard
+// Champs communs: kind, status (HTTP, si connu), code (SQLSTATE / PGRST…), details
+export class StoreError extends Error {
+  constructor(message, { kind = 'store', status = null, code = null, details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'StoreError';
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ConflictError extends StoreError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: 'conflict' });
+    this.name = 'ConflictError';
+  }
+}
+
+export class ValidationError extends StoreError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: 'validation' });
+    this.name = 'ValidationError';
+  }
+}
+
+export class TransportError extends StoreError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: 'transport' });
+    this.name = 'TransportError';
+  }
+}
+
+export const isTransportError = (e) => e instanceof TransportError;
+export const isConflictError = (e) => e instanceof ConflictError;
+
+// Réponse HTTP PostgREST en erreur -> erreur typée (body JSON { code, message, details, hint })
+export function fromHttpError(label, status, statusText, body) {
+  let info = {};
+  try { info = JSON.parse(body); } catch {}
+  const opts = { status, code: info.code ?? null, details: info.details ?? null };
+  const message = `${label} -> HTTP ${status} ${statusText} :: ${body}`;
+  if (status === 409) return new ConflictError(message, opts);
+  if (status === 408 || status === 429 || status >= 500) return new TransportError(message, opts);
+  return new ValidationError(message, opts);
+}
+
+// Erreur node-postgres -> erreur typée (SQLSTATE dans e.code, erreurs réseau: ECONNREFUSED…)
+const PG_TRANSPORT = /^(08|53|57P0)/;              // connexion, ressources, arrêt serveur
+const PG_VALIDATION = /^(22|23|42|P0001|P0002)/;   // données, contraintes, SQL, raise exception
+const NET_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN']);
+
+export function fromPgError(label, e) {
+  const code = e?.code ? String(e.code) : null;
+  const opts = { code, details: e?.detail ?? null, cause: e };
+  const message = `${label} :: ${e?.message || e}`;
+  if (code === '23505') return new ConflictError(message, opts);
+  if (code && (NET_CODES.has(code) || PG_TRANSPORT.test(code))) return new TransportError(message, opts);
+  if (!code && /connect|terminat|timeout/i.test(String(e?.message))) return new TransportError(message, opts);
+  if (code && PG_VALIDATION.test(code)) return new ValidationError(message, opts);
+  return new StoreError(message, opts);
+}
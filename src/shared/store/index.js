@@ -0,0 +1,58 @@
+// src/shared/store/index.js
+// Stockage des projections / journal derrière une interface unique, choisie par STORAGE:
+//   rest   (défaut) PostgREST via shared/rest.js (ENDPOINT)
+//   pg     Postgres direct via le pool shared/pg.js (PGHOST, PGDATABASE, PGUSER…), sans PostgREST
+//   memory tout en mémoire (tests / exécution hors ligne; rien n'est persisté)
+//
+// Interface (chemins au format PostgREST: "table?col=eq.x&select=…&order=…"):
+//   get(path)                          -> rows[]
+//   postArray(path, rows, { headers }) -> rows[] si Prefer return=representation, sinon null
+//   patch(path, body) / del(path)
+//   rpc(fn, args)                      -> résultat de la fonction SQL (une transaction)
+//   whenAvailable()                    -> résout quand le stockage accepte de nouveau des appels
+//                                         (rest: disjoncteur; autres: immédiat)
+// Erreurs typées (cf. ./errors.js): ConflictError, ValidationError, TransportError
+import 'dotenv/config';
+import { logInfo } from '../logger.js';
+
+export { StoreError, ConflictError, ValidationError, TransportError, isTransportError, isConflictError } from './errors.js';
+
+export const STORAGE = String(process.env.STORAGE || 'rest').trim().toLowerCase();
+
+async function load(kind) {
+  switch (kind) {
+    case 'rest': {
+      const { createRestStore } = await import('./rest.js');
+      return createRestStore();
+    }
+    case 'pg': {
+      const [{ createPgStore }, { query }] = await Promise.all([import('./pg.js'), import('../pg.js')]);
+      return createPgStore({ query });
+    }
+    case 'memory': {
+      const { createMemoryStore } = await import('./memory.js');
+      return createMemoryStore();
+    }
+    default:
+      throw new Error(`STORAGE inconnu: ${kind} (rest | pg | memory)`);
+  }
+}
+
+let store = await load(STORAGE);
+logInfo('Store', `using ${store.kind}`);
+
+// Accès direct à l'adapter (ex: seed()/dump() du store memory)
+export const getStore = () => store;
+
+// Remplace l'adapter courant (tests: createMemoryStore() neuf par scénario)
+export function useStore(next) {
+  store = next;
+  return store;
+}
+
+export const get = (path, opts) => store.get(path, opts);
+export const postArray = (path, rows, opts) => store.postArray(path, rows, opts);
+export const patch = (path, body, opts) => store.patch(path, body, opts);
+export const del = (path, opts) => store.del(path, opts);
+export const rpc = (fn, args, opts) => store.rpc(fn, args, opts);
+export const whenAvailable = () => store.whenAvailable?.() ?? Promise.resolve();
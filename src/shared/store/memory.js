@@ -0,0 +1,721 @@
+// src/shared/store/memory.js
+// Adapter en mémoire: indexer / handlers / API sans Postgres ni PostgREST
+// - tables = tableaux de lignes; mêmes chemins "table?filtres" que PostgREST
+// - reproduit ce que fait la base: clés (conflits), bigserial, défauts,
+//   colonne générée trader_addr_lc, triggers exposure_agg et cache_versions['assets'],
+//   vue exposure_metrics
+// - fonctions SQL (migrations 0005 positions_apply_*, 0008 rebucket_asset,
+//   0009 positions_bulk_upsert / exposure_rebuild, 0010 garde de version,
+//   0011 position_stops_history, 0012 exposure_drift, 0013 exposure_snapshot /
+//   exposure_history, 0015 positions_restore_snapshot) portées en JS,
+//   atomiques (rollback si exception, journal undo des seules lignes touchées);
+//   une exception y remonte en ValidationError, comme un raise exception SQL
+// - seed(table, rows) / dump(table) / reset() pour tester hors ligne
+import { parsePath, parsePrefer } from './query.js';
+import { StoreError, ValidationError } from './errors.js';
+
+// Clés primaires / uniques (conflits sans on_conflict explicite)
+const KEYS = {
+  assets: ['asset_id'],
+  positions: ['deployment', 'id'],
+  order_buckets: ['deployment', 'asset_id', 'bucket_id', 'position_id'],
+  stop_buckets: ['deployment', 'asset_id', 'bucket_id', 'position_id', 'stop_type'],
+  exposure_agg: ['deployment', 'asset_id', 'side'],
+  exposure_snapshots: ['deployment', 'asset_id', 'side', 'taken_at'],
+  indexer_checkpoints: ['deployment', 'contract_addr'],
+  deployments: ['name'],
+  cache_versions: ['name'],
+  processed_events: ['block_number', 'tx_hash', 'log_index'],
+  reorg_undo: ['block_number', 'tx_hash', 'log_index'],
+  trade_events: ['block_num', 'tx_hash', 'log_index'],
+  dead_letters: ['block_number', 'tx_hash', 'log_index']
+};
+const SERIAL = new Set(['trade_events', 'dead_letters', 'meta_signatures', 'meta_actions', 'position_stops_history']);
+const GLOBAL = new Set(['assets', 'deployments', 'cache_versions']); // pas de colonne deployment
+
+const now = () => new Date().toISOString();
+const DEFAULTS = {
+  assets: () => ({ lot_num: 1, lot_den: 1, created_at: now(), updated_at: now() }),
+  trade_events: () => ({ removed: false, occurred_at: now() }),
+  dead_letters: () => ({ attempts: 1, status: 'pending', first_failed_at: now(), last_failed_at: now() }),
+  processed_events: () => ({ processed_at: now() }),
+  reorg_undo: () => ({ created_at: now() }),
+  indexer_checkpoints: () => ({ updated_at: now() }),
+  deployments: () => ({ created_at: now() }),
+  meta_signatures: () => ({ state: 0, created_at: now() })
+};
+
+/* =========================================================
+   Comparaisons (valeurs PostgREST en texte vs lignes typées)
+========================================================= */
+const INT = /^-?\d+$/;
+const NUM = /^-?\d+(\.\d+)?$/;
+
+function compare(a, b) {
+  if (typeof a === 'boolean' || typeof b === 'boolean') return String(a) === String(b) ? 0 : String(a) < String(b) ? -1 : 1;
+  const sa = String(a), sb = String(b);
+  if (INT.test(sa) && INT.test(sb)) { const x = BigInt(sa), y = BigInt(sb); return x === y ? 0 : x < y ? -1 : 1; }
+  if (NUM.test(sa) && NUM.test(sb)) return Math.sign(Number(sa) - Number(sb));
+  return sa === sb ? 0 : sa < sb ? -1 : 1;
+}
+
+function matches(row, filters) {
+  return filters.every(({ col, op, value }) => {
+    const v = row[col] ?? null;
+    if (op === 'is') return value === null ? v === null : v === value;
+    if (v === null) return false;
+    if (op === 'in') return value.some(x => compare(v, x) === 0);
+    const c = compare(v, value);
+    return { eq: c === 0, neq: c !== 0, gt: c > 0, gte: c >= 0, lt: c < 0, lte: c <= 0 }[op];
+  });
+}
+
+function sortRows(rows, order) {
+  if (!order.length) return rows;
+  return rows.sort((r1, r2) => {
+    for (const { col, desc, nullsFirst } of order) {
+      const a = r1[col] ?? null, b = r2[col] ?? null;
+      if (a === null && b === null) continue;
+      if (a === null || b === null) {
+        const first = nullsFirst ?? desc; // défaut Postgres: nulls last en asc, first en desc
+        return (a === null) === first ? -1 : 1;
+      }
+      const c = compare(a, b);
+      if (c !== 0) return desc ? -c : c;
+    }
+    return 0;
+  });
+}
+
+const project = (row, select) =>
+  select ? Object.fromEntries(select.map(c => [c, row[c] ?? null])) : { ...row };
+
+const clone = (x) => structuredClone(x);
+
+/* =========================================================
+   Store
+========================================================= */
+export function createMemoryStore() {
+  let tables = new Map();
+  let seq = new Map();
+  let skipExposure = false; // brokex.skip_exposure (positions_bulk_upsert)
+
+  const rowsOf = (t) => {
+    if (!tables.has(t)) tables.set(t, []);
+    return tables.get(t);
+  };
+
+  /* ---- journal d'annulation de la transaction en cours (atomic) ----
+     copy-on-write: seuls les tableaux et lignes modifiés sont copiés, une fois,
+     avant leur première modification (copies superficielles: une écriture
+     remplace les valeurs d'une ligne, jamais leur contenu) */
+  let undo = null; // { tables: Map(table -> tableau | null), rows: Map(ligne -> copie) }
+
+  function writable(t) {
+    if (undo && !undo.tables.has(t)) undo.tables.set(t, tables.has(t) ? tables.get(t).slice() : null);
+    return rowsOf(t);
+  }
+
+  function mutable(row) {
+    if (undo && !undo.rows.has(row)) undo.rows.set(row, { ...row });
+    return row;
+  }
+
+  /* ---- exposure_agg (équivalent trigger positions_exposure_trg) ---- */
+  function exposureApply(p, sign) {
+    const lots = BigInt(p.lots ?? 0);
+    if (lots === 0n) return;
+    const entry = BigInt(p.entry_x6 ?? 0);
+    const lev = BigInt(p.leverage_x ?? 0);
+    const liq = BigInt(p.liq_x6 ?? 0);
+    const s = BigInt(sign);
+    const key = { deployment: p.deployment, asset_id: Number(p.asset_id), side: Boolean(p.long_side) };
+
+    const aggs = writable('exposure_agg');
+    let agg = aggs.find(r => KEYS.exposure_agg.every(k => r[k] === key[k]));
+    if (!agg) {
+      agg = { ...key, sum_lots: 0, sum_entry_x6_lots: '0', sum_leverage_lots: '0', sum_liq_x6_lots: '0', sum_liq_lots: 0, positions_count: 0 };
+      aggs.push(agg);
+    }
+    mutable(agg);
+    agg.sum_lots          = Number(BigInt(agg.sum_lots) + s * lots);
+    agg.sum_entry_x6_lots = (BigInt(agg.sum_entry_x6_lots) + s * entry * lots).toString();
+    agg.sum_leverage_lots = (BigInt(agg.sum_leverage_lots) + s * lev * lots).toString();
+    if (liq > 0n) {
+      agg.sum_liq_x6_lots = (BigInt(agg.sum_liq_x6_lots) + s * liq * lots).toString();
+      agg.sum_liq_lots    = Number(BigInt(agg.sum_liq_lots) + s * lots);
+    }
+    agg.positions_count = Number(agg.positions_count) + sign;
+  }
+
+  function onPositionWrite(oldRow, newRow) {
+    if (skipExposure) return;
+    if (oldRow && Number(oldRow.state) === 1) exposureApply(oldRow, -1);
+    if (newRow && Number(newRow.state) === 1) exposureApply(newRow, +1);
+  }
+
+  /* ---- vue exposure_metrics ---- */
+  function exposureMetrics() {
+    return rowsOf('exposure_agg').map(ea => ({
+      deployment: ea.deployment,
+      asset_id: ea.asset_id,
+      side_label: ea.side ? 'LONG' : 'SHORT',
+      sum_lots: ea.sum_lots,
+      avg_entry_x6: ea.sum_lots > 0 ? Number(BigInt(ea.sum_entry_x6_lots) / BigInt(ea.sum_lots)) : null,
+      avg_leverage_x: ea.sum_lots > 0 ? Number(ea.sum_leverage_lots) / ea.sum_lots : null,
+      avg_liq_x6: ea.sum_liq_lots > 0 ? Number(BigInt(ea.sum_liq_x6_lots) / BigInt(ea.sum_liq_lots)) : null,
+      positions_count: ea.positions_count
+    }));
+  }
+
+  const VIEWS = { exposure_metrics: exposureMetrics };
+
+  /* ---- cache_versions (équivalent trigger assets_bump_version_trg) ---- */
+  function afterWrite(table, changed) {
+    if (table !== 'assets' || !changed) return;
+    const versions = writable('cache_versions');
+    let v = versions.find(r => r.name === 'assets');
+    if (!v) versions.push(v = { name: 'assets', version: 0 });
+    mutable(v).version += 1;
+    v.updated_at = now();
+  }
+
+  /* ---- écritures bas niveau ---- */
+  function withDefaults(table, row) {
+    const out = { ...(DEFAULTS[table]?.() ?? {}), ...clone(row) };
+    if (!GLOBAL.has(table) && out.deployment === undefined) out.deployment = 'default';
+    if (SERIAL.has(table) && out.id === undefined) {
+      const n = (seq.get(table) ?? 0) + 1;
+      seq.set(table, n);
+      out.id = n;
+    }
+    if (table === 'positions') out.trader_addr_lc = out.trader_addr ? String(out.trader_addr).toLowerCase() : null;
+    return out;
+  }
+
+  function insertRows(table, rows, { onConflict, resolution }) {
+    const keys = onConflict ?? KEYS[table];
+    const inserted = [];
+    const all = writable(table);
+    for (const raw of rows) {
+      const row = withDefaults(table, raw);
+      const existing = keys && all.find(r => keys.every(k => compare(r[k] ?? null, row[k] ?? null) === 0));
+      if (existing) {
+        // sans merge: doublon ignoré (comme ignore-duplicates)
+        if (resolution !== 'merge-duplicates') continue;
+        // merge: seules les colonnes envoyées sont mises à jour (défauts / id conservés)
+        const before = clone(existing);
+        Object.assign(mutable(existing), clone(raw));
+        if (table === 'positions') {
+          existing.trader_addr_lc = existing.trader_addr ? String(existing.trader_addr).toLowerCase() : null;
+          onPositionWrite(before, existing);
+        }
+        inserted.push(existing);
+        continue;
+      }
+      all.push(row);
+      if (table === 'positions') onPositionWrite(null, row);
+      inserted.push(row);
+    }
+    afterWrite(table, inserted.length > 0);
+    return inserted;
+  }
+
+  function updateWhere(table, filters, fields) {
+    let changed = 0;
+    for (const row of rowsOf(table)) {
+      if (!matches(row, filters)) continue;
+      changed++;
+      const before = clone(row);
+      Object.assign(mutable(row), clone(fields));
+      if (table === 'assets') row.updated_at = now();
+      if (table === 'positions') {
+        row.trader_addr_lc = row.trader_addr ? String(row.trader_addr).toLowerCase() : null;
+        onPositionWrite(before, row);
+      }
+    }
+    afterWrite(table, changed > 0);
+  }
+
+  function deleteWhere(table, filters) {
+    const keep = [];
+    for (const row of writable(table)) {
+      if (!matches(row, filters)) { keep.push(row); continue; }
+      if (table === 'positions') onPositionWrite(row, null);
+    }
+    afterWrite(table, keep.length < rowsOf(table).length);
+    tables.set(table, keep);
+  }
+
+  // Toute écriture est atomique: état restauré (journal undo) si une exception survient
+  function atomic(fn) {
+    if (undo) return fn();
+    undo = { tables: new Map(), rows: new Map() };
+    const savedSeq = new Map(seq);
+    try {
+      return fn();
+    } catch (e) {
+      for (const [row, before] of undo.rows) {
+        for (const k of Object.keys(row)) if (!(k in before)) delete row[k];
+        Object.assign(row, before);
+      }
+      for (const [t, rows] of undo.tables) {
+        if (rows === null) tables.delete(t);
+        else tables.set(t, rows);
+      }
+      seq = savedSeq;
+      throw e;
+    } finally {
+      undo = null;
+      skipExposure = false; // set_config(..., true): local à la transaction
+    }
+  }
+
+  /* ---- fonctions SQL (schema.sql) portées en JS ---- */
+  const eqDep = (deployment, col, v) => [
+    { col: 'deployment', op: 'eq', value: deployment },
+    { col, op: 'eq', value: String(v) }
+  ];
+  const findPosition = (deployment, id) => rowsOf('positions').find(r => matches(r, eqDep(deployment, 'id', id)));
+
+  function assetOf(asset_id) {
+    const a = rowsOf('assets').find(r => Number(r.asset_id) === Number(asset_id));
+    if (!a) throw new Error(`Asset ${asset_id} introuvable (table assets)`);
+    return a;
+  }
+
+  const notionalOf = (a, entry, lots) =>
+    BigInt(entry) * BigInt(lots) * BigInt(a.lot_num ?? 1) / BigInt(a.lot_den ?? 1);
+
+  function indexStops(deployment, asset_id, position_id, sl, tp, liq, long_side, lots) {
+    const tick = BigInt(assetOf(asset_id).tick_size_usd6);
+    const rows = [[sl, 1], [tp, 2], [liq, 3]]
+      .filter(([px]) => BigInt(px ?? 0) !== 0n)
+      .map(([px, stop_type]) => ({
+        deployment, asset_id: Number(asset_id), bucket_id: (BigInt(px) / tick).toString(),
+        position_id: String(position_id), stop_type, lots: Number(lots ?? 0), side: !long_side
+      }));
+    insertRows('stop_buckets', rows, { resolution: 'ignore-duplicates' });
+  }
+
+  const provenance = (prefix, a, row = {}) => ({
+    [`${prefix}_block`]: a._block ?? row[`${prefix}_block`] ?? null,
+    [`${prefix}_at`]: a._at ?? row[`${prefix}_at`] ?? null,
+    [`${prefix}_tx`]: a._tx ? String(a._tx).toLowerCase() : row[`${prefix}_tx`] ?? null
+  });
+
+  // positions_version_newer (0010): (bloc, logIndex) strictement plus récent; version absente = forcé
+  const LOG_INDEX_MAX = 2147483647;
+  const isNil = (v) => v === undefined || v === null;
+  function versionNewer(row, v) {
+    if (isNil(v.block) || isNil(row?.version_block)) return true;
+    const cur = [Number(row.version_block), Number(row.version_log_index ?? LOG_INDEX_MAX)];
+    const next = [Number(v.block), Number(v.log ?? LOG_INDEX_MAX)];
+    return next[0] > cur[0] || (next[0] === cur[0] && next[1] > cur[1]);
+  }
+
+  // version d'une écriture: _v_block / _v_log_index (reconcilers), sinon provenance _block / _log_index
+  const versionOf = (a) => (isNil(a._v_block)
+    ? { block: a._block ?? null, log: a._log_index ?? null }
+    : { block: a._v_block, log: a._v_log_index ?? null });
+
+  const versionCols = (v, row = {}) => (isNil(v.block)
+    ? { version_block: row.version_block ?? null, version_log_index: row.version_log_index ?? null }
+    : { version_block: Number(v.block), version_log_index: isNil(v.log) ? null : Number(v.log) });
+
+  // position_stops_history (0011): ancienne -> nouvelle valeur SL/TP, version de l'écriture
+  const sameStops = (old, sl, tp) =>
+    old && BigInt(old.sl_x6 ?? 0) === BigInt(sl ?? 0) && BigInt(old.tp_x6 ?? 0) === BigInt(tp ?? 0);
+
+  function recordStops(deployment, position_id, evt, old, sl, tp, v, a = {}) {
+    insertRows('position_stops_history', [{
+      deployment, position_id: String(position_id), evt,
+      old_sl_x6: old ? String(old.sl_x6 ?? 0) : null, old_tp_x6: old ? String(old.tp_x6 ?? 0) : null,
+      sl_x6: String(sl ?? 0), tp_x6: String(tp ?? 0),
+      block_number: isNil(v.block) ? null : Number(v.block), log_index: isNil(v.log) ? null : Number(v.log),
+      tx_hash: a._tx ? String(a._tx).toLowerCase() : null, block_time: a._at ?? null, recorded_at: now()
+    }], {});
+  }
+
+  const FUNCTIONS = {
+    positions_apply_opened(a) {
+      const asset = assetOf(a._asset_id);
+      const state = Number(a._state);
+      const p = findPosition(a._deployment, a._id);
+      const v = versionOf(a);
+      if (!versionNewer(p, v)) return false;
+      const old = p ? { sl_x6: p.sl_x6, tp_x6: p.tp_x6 } : null;
+
+      const notional = state === 1 ? notionalOf(asset, a._entry_or_target_x6, a._lots) : null;
+      insertRows('positions', [{
+        deployment: a._deployment, id: String(a._id), state, asset_id: Number(a._asset_id),
+        trader_addr: a._trader, long_side: Boolean(a._long_side), lots: Number(a._lots), leverage_x: Number(a._leverage_x),
+        entry_x6: state === 1 ? String(a._entry_or_target_x6) : null,
+        target_x6: state === 0 ? String(a._entry_or_target_x6) : null,
+        sl_x6: String(a._sl_x6 ?? 0), tp_x6: String(a._tp_x6 ?? 0), liq_x6: String(a._liq_x6 ?? 0),
+        notional_usd6: notional === null ? null : notional.toString(),
+        margin_usd6: notional === null ? null : (notional / BigInt(a._leverage_x)).toString(),
+        close_reason: null, exec_x6: null, pnl_usd6: null,
+        ...provenance('opened', a, p),
+        ...versionCols(v, p)
+      }], { resolution: 'merge-duplicates' });
+
+      if (!sameStops(old, a._sl_x6, a._tp_x6)) recordStops(a._deployment, a._id, 'Opened', old, a._sl_x6, a._tp_x6, v, a);
+
+      deleteWhere('order_buckets', eqDep(a._deployment, 'position_id', a._id));
+      deleteWhere('stop_buckets', eqDep(a._deployment, 'position_id', a._id));
+      if (state === 0) {
+        insertRows('order_buckets', [{
+          deployment: a._deployment, asset_id: Number(a._asset_id),
+          bucket_id: (BigInt(a._entry_or_target_x6) / BigInt(asset.tick_size_usd6)).toString(),
+          position_id: String(a._id), lots: Number(a._lots ?? 0), side: Boolean(a._long_side)
+        }], { resolution: 'ignore-duplicates' });
+      } else {
+        indexStops(a._deployment, a._asset_id, a._id, a._sl_x6, a._tp_x6, a._liq_x6, Boolean(a._long_side), a._lots);
+      }
+      return true;
+    },
+
+    positions_apply_executed(a) {
+      const p = findPosition(a._deployment, a._id);
+      if (!p) throw new Error(`Position ${a._id} introuvable pour Executed`);
+      const v = versionOf(a);
+      if (!versionNewer(p, v)) return false;
+      const notional = notionalOf(assetOf(p.asset_id), a._entry_x6, p.lots);
+
+      updateWhere('positions', eqDep(a._deployment, 'id', a._id), {
+        state: 1,
+        entry_x6: String(a._entry_x6),
+        notional_usd6: notional.toString(),
+        margin_usd6: (notional / BigInt(p.leverage_x)).toString(),
+        ...provenance('executed', a, p),
+        ...versionCols(v, p)
+      });
+      deleteWhere('order_buckets', eqDep(a._deployment, 'position_id', a._id));
+      deleteWhere('stop_buckets', eqDep(a._deployment, 'position_id', a._id));
+      indexStops(a._deployment, p.asset_id, a._id, p.sl_x6, p.tp_x6, p.liq_x6, Boolean(p.long_side), p.lots);
+      return true;
+    },
+
+    positions_apply_stops_updated(a) {
+      const p = findPosition(a._deployment, a._id);
+      if (!p) throw new Error(`Position ${a._id} introuvable pour StopsUpdated`);
+      const v = versionOf(a);
+      if (!versionNewer(p, v)) return false;
+      recordStops(a._deployment, a._id, 'StopsUpdated', p, a._sl_x6, a._tp_x6, v, a);
+
+      updateWhere('positions', eqDep(a._deployment, 'id', a._id), {
+        sl_x6: String(a._sl_x6 ?? 0),
+        tp_x6: String(a._tp_x6 ?? 0),
+        ...versionCols(v, p)
+      });
+      deleteWhere('stop_buckets', [...eqDep(a._deployment, 'position_id', a._id), { col: 'stop_type', op: 'in', value: ['1', '2'] }]);
+      indexStops(a._deployment, p.asset_id, a._id, a._sl_x6, a._tp_x6, 0, Boolean(p.long_side), p.lots);
+      return true;
+    },
+
+    positions_apply_removed(a) {
+      const p = findPosition(a._deployment, a._id);
+      const v = versionOf(a);
+      if (!p || !versionNewer(p, v)) return false;
+      updateWhere('positions', eqDep(a._deployment, 'id', a._id), {
+        state: Number(a._state ?? 2),
+        close_reason: Number(a._reason),
+        exec_x6: String(a._exec_x6 ?? 0),
+        pnl_usd6: String(a._pnl_usd6 ?? 0),
+        ...provenance('closed', a, p),
+        ...versionCols(v, p)
+      });
+      deleteWhere('order_buckets', eqDep(a._deployment, 'position_id', a._id));
+      deleteWhere('stop_buckets', eqDep(a._deployment, 'position_id', a._id));
+      return true;
+    },
+
+    rebucket_asset(a) {
+      const asset = assetOf(a._asset_id);
+      const tick = BigInt(asset.tick_size_usd6);
+      if (tick <= 0n) throw new Error(`Asset ${a._asset_id}: tick_size_usd6 invalide (${tick})`);
+
+      const scope = [{ col: 'asset_id', op: 'eq', value: String(a._asset_id) }];
+      if (a._deployment) scope.push({ col: 'deployment', op: 'eq', value: a._deployment });
+      const positions = rowsOf('positions').filter(p => matches(p, scope));
+      const byKey = new Map(positions.map(p => [`${p.deployment}:${p.id}`, p]));
+      const priceOf = (p, stopType) => (stopType === 1 ? p?.sl_x6 : stopType === 2 ? p?.tp_x6 : p?.liq_x6);
+      const moved = (rows, px) => rows.filter(r => {
+        const v = px(byKey.get(`${r.deployment}:${r.position_id}`), r);
+        return v === null || v === undefined || BigInt(r.bucket_id) !== BigInt(v) / tick;
+      }).length;
+
+      const oldOrders = rowsOf('order_buckets').filter(r => matches(r, scope));
+      const oldStops = rowsOf('stop_buckets').filter(r => matches(r, scope));
+      const orders = { before: oldOrders.length, moved: moved(oldOrders, p => p?.target_x6) };
+      const stops = { before: oldStops.length, moved: moved(oldStops, (p, r) => priceOf(p, Number(r.stop_type))) };
+
+      deleteWhere('order_buckets', scope);
+      deleteWhere('stop_buckets', scope);
+
+      orders.after = insertRows('order_buckets', positions
+        .filter(p => Number(p.state) === 0 && BigInt(p.target_x6 ?? 0) !== 0n)
+        .map(p => ({
+          deployment: p.deployment, asset_id: Number(p.asset_id), bucket_id: (BigInt(p.target_x6) / tick).toString(),
+          position_id: String(p.id), lots: Number(p.lots ?? 0), side: Boolean(p.long_side)
+        })), { resolution: 'ignore-duplicates' }).length;
+
+      const before = rowsOf('stop_buckets').length;
+      for (const p of positions.filter(p => Number(p.state) === 1)) {
+        indexStops(p.deployment, p.asset_id, p.id, p.sl_x6, p.tp_x6, p.liq_x6, Boolean(p.long_side), p.lots);
+      }
+      stops.after = rowsOf('stop_buckets').length - before;
+
+      return {
+        asset_id: Number(a._asset_id),
+        deployment: a._deployment ?? null,
+        tick_size_usd6: Number(tick),
+        positions: positions.length,
+        orders,
+        stops
+      };
+    },
+
+    exposure_rebuild(a) {
+      const scope = [];
+      if (a._deployment) scope.push({ col: 'deployment', op: 'eq', value: a._deployment });
+      if (a._asset_id !== undefined && a._asset_id !== null) scope.push({ col: 'asset_id', op: 'eq', value: String(a._asset_id) });
+
+      tables.set('exposure_agg', writable('exposure_agg').filter(r => !matches(r, scope)));
+      const open = rowsOf('positions').filter(p => matches(p, scope) && Number(p.state) === 1 && Number(p.lots ?? 0) !== 0);
+      for (const p of open) exposureApply(p, +1);
+
+      return {
+        deployment: a._deployment ?? null,
+        asset_id: a._asset_id ?? null,
+        rows: rowsOf('exposure_agg').filter(r => matches(r, scope)).length,
+        positions: open.length
+      };
+    },
+
+    exposure_drift(a) {
+      const scope = [];
+      if (a._deployment) scope.push({ col: 'deployment', op: 'eq', value: a._deployment });
+      if (a._asset_id !== undefined && a._asset_id !== null) scope.push({ col: 'asset_id', op: 'eq', value: String(a._asset_id) });
+
+      // agrégats attendus: calculés à part (exposureApply sur une table vide), puis remis en place
+      const current = writable('exposure_agg');
+      tables.set('exposure_agg', []);
+      rowsOf('positions').filter(p => matches(p, scope) && Number(p.state) === 1 && Number(p.lots ?? 0) !== 0)
+        .forEach(p => exposureApply(p, +1));
+      const expected = rowsOf('exposure_agg');
+      tables.set('exposure_agg', current);
+
+      const cols = ['sum_lots', 'sum_entry_x6_lots', 'sum_leverage_lots', 'sum_liq_x6_lots', 'sum_liq_lots', 'positions_count'];
+      const big = ['sum_entry_x6_lots', 'sum_leverage_lots', 'sum_liq_x6_lots'];
+      const keyOf = (r) => `${r.deployment}|${r.asset_id}|${r.side}`;
+      const groups = new Map();
+      for (const r of current.filter(r => matches(r, scope))) groups.set(keyOf(r), { key: r, actual: r });
+      for (const r of expected) groups.set(keyOf(r), { key: r, actual: groups.get(keyOf(r))?.actual, expected: r });
+
+      const view = (r) => Object.fromEntries(cols.map(c => [c, big.includes(c) ? BigInt(r?.[c] ?? 0).toString() : Number(r?.[c] ?? 0)]));
+      const rows = [];
+      for (const g of groups.values()) {
+        const actual = view(g.actual), want = view(g.expected);
+        if (cols.every(c => String(actual[c]) === String(want[c]))) continue;
+        rows.push({
+          deployment: g.key.deployment, asset_id: Number(g.key.asset_id), side: g.key.side ? 'LONG' : 'SHORT',
+          actual, expected: want
+        });
+      }
+      rows.sort((x, y) => x.deployment.localeCompare(y.deployment) || x.asset_id - y.asset_id || (x.side === 'LONG' ? -1 : 1));
+
+      const applied = Boolean(a._apply) && rows.length > 0;
+      if (applied) FUNCTIONS.exposure_rebuild(a);
+      return {
+        deployment: a._deployment ?? null,
+        asset_id: a._asset_id ?? null,
+        checked: groups.size,
+        drifted: rows.length,
+        applied,
+        rows
+      };
+    },
+
+    exposure_snapshot(a) {
+      const period = Math.max(Number(a._period_s ?? 300) || 300, 1) * 1000;
+      const taken_at = new Date(Math.floor(Date.now() / period) * period).toISOString();
+      const deployments = a._deployment ? [a._deployment] : rowsOf('deployments').map(d => d.name);
+      const metrics = exposureMetrics();
+
+      const rows = [];
+      for (const deployment of deployments) {
+        for (const asset of rowsOf('assets')) {
+          for (const side of [true, false]) {
+            const m = metrics.find(r => r.deployment === deployment && Number(r.asset_id) === Number(asset.asset_id) && r.side_label === (side ? 'LONG' : 'SHORT'));
+            rows.push({
+              deployment, asset_id: Number(asset.asset_id), side, taken_at,
+              sum_lots: m?.sum_lots ?? 0,
+              avg_entry_x6: m?.avg_entry_x6 ?? null,
+              avg_leverage_x: m?.avg_leverage_x ?? null,
+              avg_liq_x6: m?.avg_liq_x6 ?? null,
+              positions_count: m?.positions_count ?? 0
+            });
+          }
+        }
+      }
+      insertRows('exposure_snapshots', rows, { resolution: 'merge-duplicates' });
+      return { deployment: a._deployment ?? null, taken_at, rows: rows.length };
+    },
+
+    exposure_history(a) {
+      const step = Math.max(Number(a._interval_s ?? 3600) || 3600, 1) * 1000;
+      const from = Date.parse(a._from), to = Date.parse(a._to);
+      const last = new Map(); // `${t}|${side}` -> photo la plus récente de l'intervalle
+      for (const s of rowsOf('exposure_snapshots')) {
+        const at = Date.parse(s.taken_at);
+        if (s.deployment !== a._deployment || Number(s.asset_id) !== Number(a._asset_id) || at < from || at >= to) continue;
+        const t = Math.floor(at / step) * step;
+        const key = `${t}|${s.side}`;
+        if (!last.has(key) || Date.parse(last.get(key).taken_at) < at) last.set(key, { ...s, t });
+      }
+      return Array.from(last.values())
+        .sort((x, y) => x.t - y.t || (x.side === y.side ? 0 : x.side ? -1 : 1))
+        .map(s => ({
+          t: new Date(s.t).toISOString(),
+          side_label: s.side ? 'LONG' : 'SHORT',
+          sum_lots: s.sum_lots,
+          avg_entry_x6: s.avg_entry_x6,
+          avg_leverage_x: s.avg_leverage_x,
+          avg_liq_x6: s.avg_liq_x6,
+          positions_count: s.positions_count,
+          taken_at: s.taken_at
+        }));
+    },
+
+    positions_bulk_upsert(a) {
+      skipExposure = true;
+      const all = a._positions ?? [];
+      for (const r of all) assetOf(r.asset_id);
+      // version périmée: ni la position ni ses buckets ne sont touchés
+      const rows = all.filter(r => versionNewer(findPosition(r.deployment, r.id), { block: r.version_block, log: r.version_log_index }));
+
+      for (const r of rows) {
+        const old = findPosition(r.deployment, r.id);
+        if (!sameStops(old, r.sl_x6, r.tp_x6)) {
+          recordStops(r.deployment, r.id, 'Bulk', old, r.sl_x6, r.tp_x6, { block: r.version_block, log: r.version_log_index });
+        }
+      }
+
+      const cols = ['opened', 'executed', 'closed'];
+      const merged = rows.map(r => {
+        const asset = assetOf(r.asset_id);
+        const old = findPosition(r.deployment, r.id);
+        const entry = r.entry_x6 ?? null;
+        const notional = entry === null ? null : notionalOf(asset, entry, r.lots);
+        const out = {
+          ...r,
+          id: String(r.id),
+          sl_x6: String(r.sl_x6 ?? 0), tp_x6: String(r.tp_x6 ?? 0), liq_x6: String(r.liq_x6 ?? 0),
+          notional_usd6: notional === null ? null : notional.toString(),
+          margin_usd6: notional === null || !(Number(r.leverage_x) > 0) ? null : (notional / BigInt(r.leverage_x)).toString()
+        };
+        for (const c of cols) {
+          for (const k of [`${c}_block`, `${c}_at`, `${c}_tx`]) out[k] = out[k] ?? old?.[k] ?? null;
+          if (out[`${c}_tx`]) out[`${c}_tx`] = String(out[`${c}_tx`]).toLowerCase();
+        }
+        return { ...out, ...versionCols({ block: r.version_block, log: r.version_log_index }, old) };
+      });
+      insertRows('positions', merged, { resolution: 'merge-duplicates' });
+
+      let orders = 0, stops = 0;
+      for (const r of merged) {
+        deleteWhere('order_buckets', eqDep(r.deployment, 'position_id', r.id));
+        deleteWhere('stop_buckets', eqDep(r.deployment, 'position_id', r.id));
+        const tick = BigInt(assetOf(r.asset_id).tick_size_usd6);
+        if (Number(r.state) === 0 && BigInt(r.target_x6 ?? 0) !== 0n) {
+          orders += insertRows('order_buckets', [{
+            deployment: r.deployment, asset_id: Number(r.asset_id), bucket_id: (BigInt(r.target_x6) / tick).toString(),
+            position_id: r.id, lots: Number(r.lots ?? 0), side: Boolean(r.long_side)
+          }], { resolution: 'ignore-duplicates' }).length;
+        } else if (Number(r.state) === 1) {
+          const before = rowsOf('stop_buckets').length;
+          indexStops(r.deployment, r.asset_id, r.id, r.sl_x6, r.tp_x6, r.liq_x6, Boolean(r.long_side), r.lots);
+          stops += rowsOf('stop_buckets').length - before;
+        }
+      }
+      skipExposure = false;
+      return { positions: merged.length, orders, stops, stale: all.length - rows.length };
+    },
+
+    positions_restore_snapshot(a) {
+      const dep = a._deployment;
+      const id = String(a._position_id);
+      const snap = a._snapshot ?? {};
+      deleteWhere('order_buckets', eqDep(dep, 'position_id', id));
+      deleteWhere('stop_buckets', eqDep(dep, 'position_id', id));
+      if (!snap.position) {
+        deleteWhere('positions', eqDep(dep, 'id', id));
+        return null;
+      }
+      // ligne complète réécrite: colonnes absentes du snapshot remises à null
+      const pos = snap.position;
+      const full = Object.fromEntries(Object.keys(findPosition(dep, id) ?? {}).map(k => [k, null]));
+      insertRows('positions', [{
+        ...full, ...pos, deployment: dep, id,
+        sl_x6: pos.sl_x6 ?? '0', tp_x6: pos.tp_x6 ?? '0', liq_x6: pos.liq_x6 ?? '0'
+      }], { resolution: 'merge-duplicates' });
+      insertRows('order_buckets', (snap.order_buckets ?? []).map(r => ({ ...r, deployment: dep, position_id: id })), { resolution: 'ignore-duplicates' });
+      insertRows('stop_buckets', (snap.stop_buckets ?? []).map(r => ({ ...r, deployment: dep, position_id: id })), { resolution: 'ignore-duplicates' });
+      return null;
+    }
+  };
+
+  return {
+    kind: 'memory',
+
+    async get(path) {
+      const q = parsePath(path);
+      const source = VIEWS[q.table] ? VIEWS[q.table]() : rowsOf(q.table);
+      const rows = sortRows(source.filter(r => matches(r, q.filters)), q.order);
+      const from = q.offset ?? 0;
+      const page = q.limit === null ? rows.slice(from) : rows.slice(from, from + q.limit);
+      return page.map(r => clone(project(r, q.select)));
+    },
+
+    async postArray(path, rows, { headers } = {}) {
+      const q = parsePath(path);
+      const prefer = parsePrefer(headers);
+      const inserted = atomic(() => insertRows(q.table, rows, { onConflict: q.onConflict, resolution: prefer.resolution }));
+      return prefer.representation ? clone(inserted) : null;
+    },
+
+    async patch(path, body) {
+      const q = parsePath(path);
+      atomic(() => updateWhere(q.table, q.filters, body));
+    },
+
+    async del(path) {
+      const q = parsePath(path);
+      atomic(() => deleteWhere(q.table, q.filters));
+    },
+
+    async rpc(fn, args = {}) {
+      const impl = FUNCTIONS[fn];
+      if (!impl) throw new Error(`RPC ${fn} non disponible (store memory)`);
+      try {
+        return atomic(() => impl(args)) ?? null;
+      } catch (e) {
+        throw e instanceof StoreError ? e : new ValidationError(e?.message || String(e), { cause: e });
+      }
+    },
+
+    /* ---- hors interface: tests / outils hors ligne ---- */
+    seed(table, rows) {
+      atomic(() => insertRows(table, rows, { resolution: 'merge-duplicates' }));
+    },
+    dump(table) {
+      return clone(rowsOf(table));
+    },
+    reset() {
+      tables = new Map();
+      seq = new Map();
+    }
+  };
+}
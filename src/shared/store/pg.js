@@ -0,0 +1,121 @@
+// src/shared/store/pg.js
+// Adapter Postgres direct (pool shared/pg.js), sans PostgREST
+// - mêmes chemins "table?filtres" que PostgREST, traduits en SQL paramétré
+// - écritures via json_populate_record(set): Postgres fait les conversions de types
+// - résultats normalisés comme PostgREST: int8 -> number (si sûr), timestamptz -> ISO
+// - erreurs typées comme store/rest (ConflictError / ValidationError / TransportError)
+import { parsePath, parsePrefer, ident } from './query.js';
+import { fromPgError } from './errors.js';
+
+const INT8_OID = 20;
+const SQL_OPS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function whereSql(filters, params) {
+  const parts = filters.map(({ col, op, value }) => {
+    if (op === 'is') return `"${col}" is ${value === null ? 'null' : value}`;
+    params.push(value);
+    return op === 'in' ? `"${col}" = any($${params.length})` : `"${col}" ${SQL_OPS[op]} $${params.length}`;
+  });
+  return parts.length ? ` where ${parts.join(' and ')}` : '';
+}
+
+function orderSql(order) {
+  if (!order.length) return '';
+  return ' order by ' + order.map(o =>
+    `"${o.col}" ${o.desc ? 'desc' : 'asc'}` + (o.nullsFirst === null ? '' : o.nullsFirst ? ' nulls first' : ' nulls last')
+  ).join(', ');
+}
+
+function normalize(res) {
+  const int8 = new Set(res.fields.filter(f => f.dataTypeID === INT8_OID).map(f => f.name));
+  return res.rows.map(row => {
+    for (const [k, v] of Object.entries(row)) {
+      if (v instanceof Date) row[k] = v.toISOString();
+      else if (int8.has(k) && v !== null && Number.isSafeInteger(Number(v))) row[k] = Number(v);
+    }
+    return row;
+  });
+}
+
+export function createPgStore({ query }) {
+  const run = async (label, text, params) => {
+    try {
+      return await query(text, params);
+    } catch (e) {
+      throw fromPgError(`PG ${label}`, e);
+    }
+  };
+
+  return {
+    kind: 'pg',
+
+    async get(path) {
+      const q = parsePath(path);
+      const params = [];
+      const cols = q.select ? q.select.map(c => `"${c}"`).join(', ') : '*';
+      let sql = `select ${cols} from public."${q.table}"${whereSql(q.filters, params)}${orderSql(q.order)}`;
+      if (q.limit !== null) { params.push(q.limit); sql += ` limit $${params.length}`; }
+      if (q.offset !== null) { params.push(q.offset); sql += ` offset $${params.length}`; }
+      return normalize(await run(`GET ${path}`, sql, params));
+    },
+
+    async postArray(path, rows, { headers } = {}) {
+      const q = parsePath(path);
+      const prefer = parsePrefer(headers);
+      if (!rows.length) return prefer.representation ? [] : null;
+
+      const cols = [...new Set(rows.flatMap(r => Object.keys(r)))].map(ident);
+      const list = cols.map(c => `"${c}"`).join(', ');
+      let sql =
+        `insert into public."${q.table}" (${list}) ` +
+        `select ${list} from json_populate_recordset(null::public."${q.table}", $1::json)`;
+
+      const target = q.onConflict ? ` (${q.onConflict.map(c => `"${c}"`).join(', ')})` : '';
+      if (prefer.resolution === 'merge-duplicates') {
+        if (!target) throw new Error(`PG POST ${path} :: merge-duplicates sans on_conflict`);
+        const set = cols.filter(c => !q.onConflict.includes(c)).map(c => `"${c}" = excluded."${c}"`);
+        sql += ` on conflict${target} ` + (set.length ? `do update set ${set.join(', ')}` : 'do nothing');
+      } else if (prefer.resolution === 'ignore-duplicates') {
+        sql += ` on conflict${target} do nothing`;
+      }
+      if (prefer.representation) sql += ' returning *';
+
+      const res = await run(`POST ${path}`, sql, [JSON.stringify(rows)]);
+      return prefer.representation ? normalize(res) : null;
+    },
+
+    async patch(path, body) {
+      const q = parsePath(path);
+      if (!q.filters.length) throw new Error(`PG PATCH ${path} :: filtre requis`);
+      const cols = Object.keys(body).map(ident);
+      if (!cols.length) return;
+      const list = cols.map(c => `"${c}"`).join(', ');
+      const params = [JSON.stringify(body)];
+      const sql =
+        `update public."${q.table}" set (${list}) = ` +
+        `(select ${list} from json_populate_record(null::public."${q.table}", $1::json))` +
+        whereSql(q.filters, params);
+      await run(`PATCH ${path}`, sql, params);
+    },
+
+    async del(path) {
+      const q = parsePath(path);
+      if (!q.filters.length) throw new Error(`PG DELETE ${path} :: filtre requis`);
+      const params = [];
+      await run(`DELETE ${path}`, `delete from public."${q.table}"${whereSql(q.filters, params)}`, params);
+    },
+
+    // fonction SQL: un appel = une transaction (comme /rpc/<fn> côté PostgREST)
+    async rpc(fn, args = {}) {
+      const names = Object.keys(args).map(ident);
+      const params = names.map(n => {
+        const v = args[n];
+        return v !== null && typeof v === 'object' ? JSON.stringify(v) : v;
+      });
+      const call = names.map((n, i) => `"${n}" => $${i + 1}`).join(', ');
+      const res = await run(`RPC ${fn}`, `select public."${ident(fn)}"(${call}) as result`, params);
+      const out = res.rows[0]?.result;
+      return out === undefined || out === '' ? null : out;
+    }
+  };
+}
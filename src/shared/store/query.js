@@ -0,0 +1,87 @@
+// src/shared/store/query.js
+// Parse des chemins PostgREST utilisés par le code ("table?col=op.val&select=…&order=…")
+// -> { table, filters, select, order, limit, offset, onConflict }
+// Sous-ensemble supporté: eq, neq, gt, gte, lt, lte, in.(a,b), is.null|true|false
+// (les adapters pg et memory n'acceptent rien d'autre: erreur explicite plutôt qu'un filtre ignoré)
+
+const OPS = new Set(['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is']);
+const IDENT = /^[a-z_][a-z0-9_]*$/;
+
+export function ident(name) {
+  const s = String(name);
+  if (!IDENT.test(s)) throw new Error(`Identifiant invalide: ${s}`);
+  return s;
+}
+
+function parseValue(op, raw) {
+  if (op === 'in') {
+    const m = /^\((.*)\)$/.exec(raw);
+    if (!m) throw new Error(`Filtre in invalide: ${raw}`);
+    return m[1] === '' ? [] : m[1].split(',').map(v => v.replace(/^"(.*)"$/, '$1'));
+  }
+  if (op === 'is') {
+    if (!['null', 'true', 'false'].includes(raw)) throw new Error(`Filtre is invalide: ${raw}`);
+    return raw === 'null' ? null : raw === 'true';
+  }
+  return raw;
+}
+
+function parseOrder(raw) {
+  return raw.split(',').filter(Boolean).map(part => {
+    const [col, ...mods] = part.split('.');
+    return {
+      col: ident(col),
+      desc: mods.includes('desc'),
+      nullsFirst: mods.includes('nullsfirst') ? true : mods.includes('nullslast') ? false : null
+    };
+  });
+}
+
+export function parsePath(pathWithQuery) {
+  const [tablePart, qs = ''] = String(pathWithQuery).split('?');
+  const q = {
+    table: ident(tablePart),
+    filters: [],
+    select: null, // null = *
+    order: [],
+    limit: null,
+    offset: null,
+    onConflict: null
+  };
+
+  for (const pair of qs.split('&').filter(Boolean)) {
+    const i = pair.indexOf('=');
+    const key = decodeURIComponent(i < 0 ? pair : pair.slice(0, i));
+    const val = i < 0 ? '' : decodeURIComponent(pair.slice(i + 1));
+
+    if (key === 'select') {
+      q.select = val === '*' || val === '' ? null : val.split(',').map(ident);
+    } else if (key === 'order') {
+      q.order = parseOrder(val);
+    } else if (key === 'limit') {
+      q.limit = Number(val);
+    } else if (key === 'offset') {
+      q.offset = Number(val);
+    } else if (key === 'on_conflict') {
+      q.onConflict = val.split(',').map(ident);
+    } else {
+      const dot = val.indexOf('.');
+      const op = dot < 0 ? '' : val.slice(0, dot);
+      if (!OPS.has(op)) throw new Error(`Opérateur non supporté: ${key}=${val}`);
+      q.filters.push({ col: ident(key), op, value: parseValue(op, val.slice(dot + 1)) });
+    }
+  }
+  return q;
+}
+
+// Prefer: return=representation, resolution=ignore-duplicates|merge-duplicates
+// (absent => mêmes défauts que rest.js postArray: minimal + ignore-duplicates)
+export function parsePrefer(headers = {}) {
+  const raw = Object.entries(headers).find(([k]) => k.toLowerCase() === 'prefer')?.[1]
+    ?? 'return=minimal, resolution=ignore-duplicates';
+  const prefs = Object.fromEntries(String(raw).split(',').map(s => s.trim().split('=')).filter(p => p.length === 2));
+  return {
+    representation: prefs.return === 'representation',
+    resolution: prefs.resolution ?? null
+  };
+}
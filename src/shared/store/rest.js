@@ -0,0 +1,16 @@
+// src/shared/store/rest.js
+// Adapter PostgREST (défaut): délègue à shared/rest.js (timeout, retry, disjoncteur)
+import { get, postArray, patch, del, rpc, whenAvailable, restStatus } from '../rest.js';
+
+export function createRestStore() {
+  return {
+    kind: 'rest',
+    get,
+    postArray,
+    patch,
+    del,
+    rpc,
+    whenAvailable,
+    status: restStatus
+  };
+}
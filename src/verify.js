@@ -1,7 +1,8 @@
 // src/verify.js
 // Ponts entre l’API et les runners CLI.
-// - verifyAndSync(ids): STATE-ONLY (manual_state.js), n’appelle PAS getTrade
+// - verifyAndSync(ids, opts): STATE-ONLY (manual_state.js), n’appelle PAS getTrade
 // - verifyAndSyncFull(ids, opts): FULL (manual.js), appelle getTrade + stateOf
+// opts.deployment → déploiement vérifié (shared/deployments.js; def: DEFAULT_DEPLOYMENT)
 
 import { runManualState } from './manual_state.js';
 import { spawn } from 'child_process';
@@ -13,15 +14,17 @@ import { fileURLToPath } from 'url';
  * applique les corrections minimales (0->1 executed + stops, 1->2/3 removed, sinon patch).
  *
  * @param {number[]} ids
+ * @param {{ deployment?:string }} [opts]
  * @returns {{checked:number, updated:number, mismatches:any[]}}
  */
-export async function verifyAndSync(ids) {
+export async function verifyAndSync(ids, opts = {}) {
   if (!Array.isArray(ids) || ids.length === 0) {
     throw new Error('ids_required');
   }
 
   const acc = await runManualState(ids, {
     suppressLogs: true,
+    deployment: opts.deployment,
     dbConcurrency: Number(process.env.DB_CONC  ?? 500),
     rpcConcurrency: Number(process.env.RPC_CONC ?? 100),
     // workers: laissé par défaut
@@ -45,7 +48,7 @@ export async function verifyAndSync(ids) {
  * Parse la ligne "Done. scanned=... created=... ..." de manual.js.
  *
  * @param {number[]} ids
- * @param {{ dbConcurrency?:number, rpcConcurrency?:number, workers?:number }} [opts]
+ * @param {{ deployment?:string, dbConcurrency?:number, rpcConcurrency?:number, workers?:number }} [opts]
  * @returns {Promise<{checked:number, created:number, executed:number, stops:number, removed:number, statePatched:number, skipped:number, raw:string}>}
  */
 export async function verifyAndSyncFull(ids, opts = {}) {
@@ -67,6 +70,7 @@ export async function verifyAndSyncFull(ids, opts = {}) {
   if (opts.dbConcurrency)  argList.push(`--dbConcurrency=${opts.dbConcurrency}`);
   if (opts.rpcConcurrency) argList.push(`--rpcConcurrency=${opts.rpcConcurrency}`);
   if (opts.workers)        argList.push(`--workers=${opts.workers}`);
+  if (opts.deployment)     argList.push(`--deployment=${opts.deployment}`);
 
   return new Promise((resolve, reject) => {
     const child = spawn(process.execPath, argList, {
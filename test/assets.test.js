@@ -0,0 +1,73 @@
+// API d'administration des assets et invalidation du cache assets (cache_versions)
+import './env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAsset } from '../src/shared/db.js';
+import { watchAssetChanges } from '../src/shared/assetwatch.js';
+import { ADMIN, freshStore, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('admin asset routes require the admin token', async () => {
+  freshStore();
+  assert.equal((await api.post('/assets', { body: { asset_id: 1, symbol: 'ETH', tick_size_usd6: 10000 } })).status, 401);
+  const wrong = await api.patch('/assets/0', { body: { symbol: 'X' }, headers: { authorization: 'Bearer nope' } });
+  assert.deepEqual(wrong, { status: 401, body: { error: 'unauthorized' } });
+});
+
+test('POST /assets creates an asset once, PATCH updates it', async () => {
+  freshStore();
+  const created = await api.post('/assets', { headers: ADMIN, body: { asset_id: 1, symbol: 'ETH', tick_size_usd6: '10000' } });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body, { asset_id: 1, symbol: 'ETH', tick_size_usd6: '10000', lot_num: '1', lot_den: '1' });
+  assert.deepEqual(await api.post('/assets', { headers: ADMIN, body: { asset_id: 1, symbol: 'ETH', tick_size_usd6: 1 } }),
+    { status: 409, body: { error: 'asset_exists' } });
+
+  const updated = await api.patch('/assets/1', { headers: ADMIN, body: { tick_size_usd6: 1000000 } });
+  assert.equal(updated.status, 200);
+  assert.equal(String(updated.body.tick_size_usd6), '1000000');
+  assert.equal(String((await api.get('/assets/1')).body.tick_size_usd6), '1000000');
+});
+
+test('invalid asset payloads are refused with the field error', async () => {
+  freshStore();
+  const patch = (body, id = 0) => api.patch(`/assets/${id}`, { headers: ADMIN, body });
+  assert.deepEqual(await patch({ tick_size_usd6: 0 }), { status: 400, body: { error: 'bad_tick' } });
+  assert.deepEqual(await patch({ tick_size_usd6: '1.5' }), { status: 400, body: { error: 'bad_tick' } });
+  assert.deepEqual(await patch({ lot_den: -1 }), { status: 400, body: { error: 'lot_invalid' } });
+  assert.deepEqual(await patch({ asset_id: 3 }), { status: 400, body: { error: 'field_not_allowed' } });
+  assert.deepEqual(await patch({}), { status: 400, body: { error: 'no_fields' } });
+  assert.deepEqual(await patch({ symbol: 'X' }, 42), { status: 404, body: { error: 'asset_not_found' } });
+});
+
+test('an API write invalidates the asset cache of the process', async () => {
+  freshStore();
+  assert.equal(String((await getAsset(0)).tick_size_usd6), '10000');
+  await api.patch('/assets/0', { headers: ADMIN, body: { tick_size_usd6: 1000000 } });
+  assert.equal(String((await getAsset(0)).tick_size_usd6), '1000000');
+});
+
+test('a direct write elsewhere is picked up through cache_versions by the watcher', async () => {
+  const st = freshStore();
+  const stop = watchAssetChanges({ intervalMs: 10 });
+  try {
+    assert.equal(String((await getAsset(0)).tick_size_usd6), '10000');
+    await sleep(30); // version connue du watcher
+
+    await st.patch('assets?asset_id=eq.0', { tick_size_usd6: 100 }); // SQL direct: trigger cache_versions
+    assert.equal(String((await getAsset(0)).tick_size_usd6), '10000'); // encore en cache
+
+    let tick;
+    for (let i = 0; i < 50 && tick !== '100'; i++) {
+      await sleep(10);
+      tick = String((await getAsset(0)).tick_size_usd6);
+    }
+    assert.equal(tick, '100');
+  } finally {
+    stop();
+  }
+});
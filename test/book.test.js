@@ -0,0 +1,79 @@
+// Carnet agrégé (order_buckets): GET /book/:assetId, fenêtre mark ± depth·step
+import './env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEventOnce } from '../src/shared/events.js';
+import { freshStore, opened, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+
+// ordre en attente (state 0) au prix cible, tick 0.01 $
+let block = 10;
+const order = (id, longSide, targetX6, lots = 1) =>
+  applyEventOnce(opened(id, block++, { state: 0, longSide, lots, entryOrTargetX6: targetX6, slX6: 0n, liqX6: 0n }));
+
+const bookOf = (q) => api.get(`/book/0?${q}`);
+const levels = (side) => side.map(l => [l.price, l.lots]);
+
+test('the window is mark ± depth·step, both edges included', async () => {
+  freshStore();
+  await order(1, true, 98_000_000n, 1);  // bucket 9800 = borne basse
+  await order(2, true, 97_990_000n, 7);  // 9799: hors fenêtre
+  await order(3, false, 102_000_000n, 2); // bucket 10200 = borne haute
+  await order(4, false, 102_010_000n, 7); // 10201: hors fenêtre
+  await order(5, true, 99_500_000n, 3);
+  await order(6, false, 100_500_000n, 4);
+
+  const { status, body } = await bookOf('mark=100&depth=2&step=1');
+  assert.equal(status, 200);
+  assert.equal(body.step, '1.00');
+  assert.deepEqual(levels(body.bids), [['99.00', 3], ['98.00', 1]]);
+  assert.deepEqual(levels(body.asks), [['101.00', 4], ['102.00', 2]]);
+  assert.deepEqual(body.totals, { bids: { lots: 4, count: 2 }, asks: { lots: 6, count: 2 } });
+  assert.deepEqual(body.bids.map(l => l.cum_lots), [3, 4]);
+});
+
+test('one level less of depth drops the edge buckets', async () => {
+  freshStore();
+  await order(1, true, 98_000_000n, 1);
+  await order(2, true, 99_000_000n, 2);
+  await order(3, false, 101_000_000n, 3);
+  await order(4, false, 102_000_000n, 4);
+
+  const { body } = await bookOf('mark=100&depth=1&step=1');
+  assert.deepEqual(levels(body.bids), [['99.00', 2]]);
+  assert.deepEqual(levels(body.asks), [['101.00', 3]]);
+  assert.deepEqual(body.totals, { bids: { lots: 2, count: 1 }, asks: { lots: 3, count: 1 } });
+});
+
+test('the lower edge is clamped at bucket 0 near a zero mark', async () => {
+  freshStore();
+  await order(1, true, 10_000n, 5);   // 0.01 $, bucket 1
+  await order(2, false, 3_000_000n, 1);
+  const { status, body } = await bookOf('mark=1&depth=3&step=1');
+  assert.equal(status, 200);
+  assert.deepEqual(levels(body.bids), [['0.00', 5]]); // niveau arrondi à step, vers le bas
+  assert.deepEqual(levels(body.asks), [['3.00', 1]]);
+});
+
+test('levels never show a better price than their orders', async () => {
+  freshStore();
+  await order(1, true, 99_990_000n, 1);
+  await order(2, false, 100_010_000n, 1);
+  const { body } = await bookOf('mark=100&depth=5&step=0.5');
+  assert.deepEqual(levels(body.bids), [['99.50', 1]]);
+  assert.deepEqual(levels(body.asks), [['100.50', 1]]);
+});
+
+test('depth is bounded and mark / step are validated', async () => {
+  freshStore();
+  assert.equal((await bookOf('mark=100&depth=500')).status, 200);
+  assert.deepEqual(await bookOf('mark=100&depth=501'), { status: 400, body: { error: 'depth_invalid' } });
+  assert.deepEqual(await bookOf('mark=100&depth=0'), { status: 400, body: { error: 'depth_invalid' } });
+  assert.deepEqual(await bookOf('mark=100&depth=1.5'), { status: 400, body: { error: 'depth_invalid' } });
+  assert.deepEqual(await bookOf('depth=5'), { status: 400, body: { error: 'mark_invalid' } });
+  assert.deepEqual(await bookOf('mark=100&step=0'), { status: 400, body: { error: 'step_invalid' } });
+  assert.deepEqual(await api.get('/book/9?mark=1'), { status: 404, body: { error: 'asset_not_found' } });
+});
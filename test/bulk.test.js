@@ -0,0 +1,37 @@
+// Écriture en masse: bisection sur refus de la base, lot entier sur stockage injoignable
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBulkWriter } from '../src/shared/bulk.js';
+import { positionRow } from '../src/shared/db.js';
+import { getStore, useStore, TransportError } from '../src/shared/store/index.js';
+import { DEP, freshStore } from './helpers.js';
+
+const row = (id, asset = 0) => positionRow({
+  deployment: DEP, id, state: 1, asset, longSide: true, lots: 5, leverageX: 10,
+  entryX6: 100_000_000n, targetX6: 0n, slX6: 90_000_000n, tpX6: 0n, liqX6: 80_000_000n,
+  trader: '0x' + '11'.repeat(20)
+});
+
+test('a batch refused by the store is bisected down to the offending rows', async () => {
+  const st = freshStore();
+  const bulk = createBulkWriter({ deployment: DEP, batchSize: 100 });
+  for (const id of [1, 2, 3, 4]) await bulk.add(row(id, id === 3 ? 99 : 0)); // asset 99 inconnu
+  const r = await bulk.close();
+
+  assert.deepEqual(r.failed, [3]);
+  assert.deepEqual(st.dump('positions').map(p => Number(p.id)).sort(), [1, 2, 4]);
+});
+
+test('an unreachable store fails the whole batch without bisecting or marking rows', async () => {
+  const st = freshStore();
+  let calls = 0;
+  useStore({ ...getStore(), rpc: async () => { calls++; throw new TransportError('ECONNREFUSED'); } });
+  const bulk = createBulkWriter({ deployment: DEP, batchSize: 100, retries: 0 });
+  for (const id of [1, 2, 3, 4]) await bulk.add(row(id));
+
+  await assert.rejects(bulk.flush(), TransportError);
+  assert.equal(calls, 1);
+  assert.deepEqual(bulk.stats().failed, []);
+  assert.equal(st.dump('positions').length, 0);
+});
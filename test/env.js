@@ -0,0 +1,6 @@
+// Importé en premier par chaque test: store memory avant le chargement de shared/store,
+// API importée sans écoute (cf. startApi), routes admin actives
+process.env.STORAGE = 'memory';
+process.env.API_LISTEN = '0';
+process.env.ADMIN_TOKEN = 'test-admin';
+process.env.LOG_PREFIX ??= 'TEST';
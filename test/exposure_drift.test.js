@@ -0,0 +1,48 @@
+// Dérive exposure_agg (migration 0012) via POST /exposure/drift
+import './env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEventOnce } from '../src/shared/events.js';
+import { ADMIN, freshStore, opened, exposure, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+
+async function drifted() {
+  const st = freshStore();
+  await applyEventOnce(opened(1, 10));
+  await applyEventOnce(opened(2, 11, { lots: 3 }));
+  await applyEventOnce(opened(3, 12, { longSide: false, lots: 2 }));
+  // écriture hors trigger: l'agrégat long ne correspond plus aux positions
+  await st.patch('exposure_agg?deployment=eq.default&asset_id=eq.0&side=eq.true', { sum_lots: 42, positions_count: 7 });
+  return st;
+}
+
+test('drift is reported per side without touching exposure_agg', async () => {
+  const st = await drifted();
+  const { status, body } = await api.post('/exposure/drift?asset=0', { headers: ADMIN });
+  assert.equal(status, 200);
+  assert.equal(body.drifted, 1);
+  assert.equal(body.applied, false);
+  assert.equal(body.rows.length, 1);
+  assert.equal(body.rows[0].side, 'LONG');
+  assert.deepEqual(exposure(st), { sum_lots: 42, positions_count: 7 });
+});
+
+test('apply=1 rebuilds the drifted aggregates from open positions', async () => {
+  const st = await drifted();
+  const { body } = await api.post('/exposure/drift?asset=0&apply=1', { headers: ADMIN });
+  assert.equal(body.drifted, 1);
+  assert.equal(body.applied, true);
+  assert.deepEqual(exposure(st), { sum_lots: 8, positions_count: 2 });
+  assert.deepEqual(exposure(st, false), { sum_lots: 2, positions_count: 1 });
+
+  assert.equal((await api.post('/exposure/drift?asset=0', { headers: ADMIN })).body.drifted, 0);
+});
+
+test('drift check is admin only and validates the asset', async () => {
+  freshStore();
+  assert.equal((await api.post('/exposure/drift')).status, 401);
+  assert.deepEqual(await api.post('/exposure/drift?asset=x', { headers: ADMIN }), { status: 400, body: { error: 'asset_id_invalid' } });
+});
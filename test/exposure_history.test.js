@@ -0,0 +1,73 @@
+// Séries d'exposition (migration 0013): exposure_snapshot et GET /exposure/:assetId/history
+import './env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEventOnce } from '../src/shared/events.js';
+import { snapshotExposure } from '../src/shared/db.js';
+import { DEP, freshStore, opened, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+
+const snap = (taken_at, side, sum_lots, positions_count = 1) => ({
+  deployment: DEP, asset_id: 0, side, taken_at, sum_lots,
+  avg_entry_x6: 100000000, avg_leverage_x: 10, avg_liq_x6: 80000000, positions_count
+});
+
+test('a snapshot photographs every asset and side, once per slot', async () => {
+  const st = freshStore();
+  st.seed('assets', [{ asset_id: 1, symbol: 'ETH', tick_size_usd6: 10000 }]);
+  await applyEventOnce(opened(1, 10));
+
+  const first = await snapshotExposure({ deployment: DEP, period_s: 3600 });
+  await applyEventOnce(opened(2, 11, { lots: 3 }));
+  const second = await snapshotExposure({ deployment: DEP, period_s: 3600 });
+  assert.equal(second.taken_at, first.taken_at);
+
+  const rows = st.dump('exposure_snapshots');
+  assert.equal(rows.length, 4); // 2 assets x 2 sides, photo du créneau remplacée
+  const lots = (asset, side) => Number(rows.find(r => r.asset_id === asset && r.side === side).sum_lots);
+  assert.equal(lots(0, true), 8);
+  assert.equal(lots(0, false), 0);
+  assert.equal(lots(1, true), 0);
+});
+
+test('history keeps the last snapshot of each interval per side', async () => {
+  const st = freshStore();
+  st.seed('exposure_snapshots', [
+    snap('2026-01-01T00:05:00.000Z', true, 1),
+    snap('2026-01-01T00:50:00.000Z', true, 4, 2),
+    snap('2026-01-01T00:05:00.000Z', false, 2),
+    snap('2026-01-01T01:10:00.000Z', true, 6, 3),
+    snap('2026-01-01T02:00:00.000Z', true, 9, 4) // borne to exclue
+  ]);
+
+  const { status, body } = await api.get('/exposure/0/history?from=2026-01-01T00:00:00Z&to=2026-01-01T02:00:00Z&interval=1h');
+  assert.equal(status, 200);
+  assert.equal(body.count, 2);
+  assert.deepEqual(body.points.map(p => [p.t, p.long?.sum_lots, p.short?.sum_lots ?? null]), [
+    ['2026-01-01T00:00:00.000Z', 4, 2],
+    ['2026-01-01T01:00:00.000Z', 6, null]
+  ]);
+  assert.deepEqual(body.points[0].long, { sum_lots: 4, avg_entry_x6: 100000000, avg_leverage_x: 10, avg_liq_x6: 80000000, positions_count: 2 });
+});
+
+test('history accepts unix seconds and short intervals', async () => {
+  const st = freshStore();
+  st.seed('exposure_snapshots', [snap('2026-01-01T00:05:00.000Z', true, 1), snap('2026-01-01T00:20:00.000Z', true, 2)]);
+  const from = Date.parse('2026-01-01T00:00:00Z') / 1000;
+  const { body } = await api.get(`/exposure/0/history?from=${from}&to=${from + 1800}&interval=15m`);
+  assert.equal(body.interval, 900);
+  assert.deepEqual(body.points.map(p => p.long.sum_lots), [1, 2]);
+});
+
+test('invalid ranges and intervals are refused', async () => {
+  freshStore();
+  const h = (q) => api.get(`/exposure/0/history?${q}`);
+  assert.deepEqual(await h('from=2026-01-02&to=2026-01-01'), { status: 400, body: { error: 'range_invalid' } });
+  assert.deepEqual(await h('from=yesterday'), { status: 400, body: { error: 'range_invalid' } });
+  assert.deepEqual(await h('interval=0'), { status: 400, body: { error: 'interval_invalid' } });
+  assert.deepEqual(await h('interval=1w'), { status: 400, body: { error: 'interval_invalid' } });
+  assert.deepEqual(await h('from=2025-01-01&to=2026-01-01&interval=1m'), { status: 400, body: { error: 'range_too_large' } });
+});
@@ -0,0 +1,89 @@
+// PnL latent et exposition nette au prix mark: GET /exposure/:assetId/pnl et /exposure/pnl
+import './env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEventOnce } from '../src/shared/events.js';
+import { freshStore, opened, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+
+// 5 lots long et 2 lots short, entrée 100 $
+async function book({ lotDen = 1 } = {}) {
+  const st = freshStore();
+  if (lotDen !== 1) await st.patch('assets?asset_id=eq.0', { lot_den: lotDen });
+  await applyEventOnce(opened(1, 10));
+  await applyEventOnce(opened(2, 11, { longSide: false, lots: 2, slX6: 110_000_000n, liqX6: 120_000_000n }));
+  return st;
+}
+
+test('a mark above entry is a gain for longs and a loss for shorts', async () => {
+  await book();
+  const { status, body } = await api.get('/exposure/0/pnl?mark=110');
+  assert.equal(status, 200);
+  assert.equal(body.mark_x6, '110000000');
+  assert.equal(body.long.upnl_usd6, '50000000');
+  assert.equal(body.short.upnl_usd6, '-20000000');
+  assert.equal(body.long.avg_entry_x6, 100_000_000);
+  assert.equal(body.long.mark_notional_usd6, '550000000');
+  assert.deepEqual(body.net, { lots: 3, exposure_usd6: '330000000', upnl_usd6: '30000000' });
+  assert.deepEqual(body.house, { exposure_usd6: '-330000000', upnl_usd6: '-30000000' });
+  assert.equal(body.skew, 3 / 7);
+});
+
+test('a mark below entry flips the signs', async () => {
+  await book();
+  const { body } = await api.get('/exposure/0/pnl?mark=90.5');
+  assert.equal(body.long.upnl_usd6, '-47500000');
+  assert.equal(body.short.upnl_usd6, '19000000');
+  assert.equal(body.net.upnl_usd6, '-28500000');
+  assert.equal(body.house.upnl_usd6, '28500000');
+});
+
+test('amounts are scaled by the asset lot size', async () => {
+  await book({ lotDen: 100 });
+  const { body } = await api.get('/exposure/0/pnl?mark=110');
+  assert.equal(body.long.upnl_usd6, '500000');
+  assert.equal(body.short.upnl_usd6, '-200000');
+  assert.equal(body.net.exposure_usd6, '3300000');
+});
+
+test('an asset without positions has zero PnL and no skew', async () => {
+  freshStore();
+  const { body } = await api.get('/exposure/0/pnl?mark=110');
+  assert.equal(body.long.upnl_usd6, '0');
+  assert.equal(body.long.avg_entry_x6, null);
+  assert.deepEqual(body.net, { lots: 0, exposure_usd6: '0', upnl_usd6: '0' });
+  assert.equal(body.skew, null);
+});
+
+test('/exposure/pnl sums the priced assets and lists the unpriced ones', async () => {
+  const st = await book();
+  st.seed('assets', [
+    { asset_id: 1, symbol: 'ETH', tick_size_usd6: 10000 },
+    { asset_id: 2, symbol: 'SOL', tick_size_usd6: 10000 }
+  ]);
+  await applyEventOnce(opened(3, 12, { asset: 1, lots: 1 }));
+  await applyEventOnce(opened(4, 13, { asset: 2, lots: 1 }));
+
+  const { status, body } = await api.get('/exposure/pnl?marks=1:120,0:110');
+  assert.equal(status, 200);
+  assert.deepEqual(body.items.map(it => [it.asset_id, it.net.upnl_usd6]), [[0, '30000000'], [1, '20000000']]);
+  assert.deepEqual(body.total, {
+    upnl_usd6: '50000000', exposure_usd6: '450000000',
+    house_upnl_usd6: '-50000000', house_exposure_usd6: '-450000000'
+  });
+  assert.deepEqual(body.unpriced, [2]);
+});
+
+test('invalid marks and unknown assets are refused', async () => {
+  await book();
+  assert.deepEqual(await api.get('/exposure/0/pnl'), { status: 400, body: { error: 'mark_invalid' } });
+  assert.deepEqual(await api.get('/exposure/0/pnl?mark=-1'), { status: 400, body: { error: 'mark_invalid' } });
+  assert.deepEqual(await api.get('/exposure/0/pnl?mark=0'), { status: 400, body: { error: 'mark_invalid' } });
+  assert.deepEqual(await api.get('/exposure/9/pnl?mark=1'), { status: 404, body: { error: 'asset_not_found' } });
+  assert.deepEqual(await api.get('/exposure/pnl'), { status: 400, body: { error: 'marks_required' } });
+  assert.deepEqual(await api.get('/exposure/pnl?marks=0=110'), { status: 400, body: { error: 'marks_invalid' } });
+  assert.deepEqual(await api.get('/exposure/pnl?marks=9:110'), { status: 404, body: { error: 'asset_not_found' } });
+});
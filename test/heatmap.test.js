@@ -0,0 +1,78 @@
+// Heatmap des liquidations (stop_buckets, stop_type=3): GET /heatmap/liquidations/:assetId
+import './env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEventOnce } from '../src/shared/events.js';
+import { freshStore, opened, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+
+// tick 0.01 $: liquidations longues à 80.00 (5 lots) et 79.99 (3 lots), courte à 80.50 (2 lots)
+async function book() {
+  const st = freshStore();
+  await applyEventOnce(opened(1, 10));
+  await applyEventOnce(opened(2, 11, { lots: 3, liqX6: 79_990_000n }));
+  await applyEventOnce(opened(3, 12, { longSide: false, lots: 2, slX6: 110_000_000n, liqX6: 80_500_000n }));
+  return st;
+}
+
+const heatmap = (q) => api.get(`/heatmap/liquidations/0?${q}`);
+const bandsOf = (body) => body.bands.map(b => [b.price_from_x6, b.price_to_x6, b.long.lots, b.short.lots]);
+
+test('a liquidation on a band edge falls in the band it opens, not the one it closes', async () => {
+  await book();
+  const { status, body } = await heatmap('from=79&to=81&step=1');
+  assert.equal(status, 200);
+  assert.equal(body.step_x6, '1000000');
+  assert.deepEqual(bandsOf(body), [
+    ['79000000', '80000000', 3, 0], // 79.99 < 80 exclu
+    ['80000000', '81000000', 5, 2]  // 80.00 inclus
+  ]);
+  assert.deepEqual(body.totals, { long: { lots: 8, count: 2 }, short: { lots: 2, count: 1 } });
+});
+
+test('the range is inclusive of from and exclusive of to, aligned on whole buckets', async () => {
+  await book();
+  const lots = async (q) => (await heatmap(q)).body.totals.long.lots;
+  assert.equal(await lots('from=79.99&to=80'), 3);     // bucket 80.00 hors plage
+  assert.equal(await lots('from=80&to=80.01'), 5);     // bucket 80.00 seul
+  assert.equal(await lots('from=80.009&to=80.01'), 5); // from arrondi au bucket inférieur
+  assert.equal(await lots('from=79.98&to=79.99'), 0);   // 79.99 = borne exclue
+
+  const { body } = await heatmap('from=79.995&to=80.005');
+  assert.equal(body.from_x6, '79990000'); // bucket de from
+  assert.equal(body.to_x6, '80010000');   // to arrondi au bucket supérieur
+  assert.equal(body.totals.long.lots, 8);
+});
+
+test('the step is rounded up to whole ticks and the last band is cut at to', async () => {
+  await book();
+  let { body } = await heatmap('from=80&to=80.05&step=0.015');
+  assert.equal(body.step_x6, '20000');
+  assert.deepEqual(bandsOf(body).map(b => b.slice(0, 2)), [
+    ['80000000', '80020000'], ['80020000', '80040000'], ['80040000', '80050000']
+  ]);
+
+  ({ body } = await heatmap('from=79&to=80.5&step=1'));
+  assert.deepEqual(bandsOf(body), [['79000000', '80000000', 3, 0], ['80000000', '80500000', 5, 0]]);
+});
+
+test('the default step splits the range into 100 bands, empty bands included', async () => {
+  await book();
+  const { body } = await heatmap('from=70&to=90');
+  assert.equal(body.step_x6, '200000');
+  assert.equal(body.band_count, 100);
+  assert.equal(body.bands.filter(b => b.long.count + b.short.count > 0).length, 3);
+});
+
+test('invalid ranges and steps are refused', async () => {
+  await book();
+  assert.deepEqual(await heatmap('from=80'), { status: 400, body: { error: 'range_required' } });
+  assert.deepEqual(await heatmap('from=81&to=80'), { status: 400, body: { error: 'range_invalid' } });
+  assert.deepEqual(await heatmap('from=80&to=80'), { status: 400, body: { error: 'range_invalid' } });
+  assert.deepEqual(await heatmap('from=80&to=81&step=0'), { status: 400, body: { error: 'step_invalid' } });
+  assert.deepEqual(await heatmap('from=0&to=100&step=0.01'), { status: 400, body: { error: 'range_too_large' } });
+  assert.deepEqual(await api.get('/heatmap/liquidations/9?from=1&to=2'), { status: 404, body: { error: 'asset_not_found' } });
+});
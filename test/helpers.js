@@ -0,0 +1,83 @@
+// test/helpers.js
+// Scénarios sur le store memory: un createMemoryStore() neuf par test,
+// events au format décodé (cf. shared/events.js decodeLog)
+import { useStore } from '../src/shared/store/index.js';
+import { createMemoryStore } from '../src/shared/store/memory.js';
+import { invalidateAssetCache } from '../src/shared/db.js';
+
+export const DEP = 'default';
+
+// tick 0.01 $ (x6), lot = 1
+export function freshStore({ tick = 10000 } = {}) {
+  const st = useStore(createMemoryStore());
+  invalidateAssetCache();
+  st.seed('assets', [{ asset_id: 0, symbol: 'BTC', tick_size_usd6: tick, lot_num: 1, lot_den: 1 }]);
+  return st;
+}
+
+let seqTx = 0;
+export function ev(name, blockNumber, args, { logIndex = 0, blockHash } = {}) {
+  return {
+    deployment: DEP,
+    name,
+    args,
+    blockNumber,
+    blockHash: blockHash ?? `0xb${blockNumber}`,
+    txHash: `0x${(++seqTx).toString(16).padStart(64, '0')}`,
+    logIndex,
+    removed: false
+  };
+}
+
+// Position OPEN (state=1) long, 100 $, SL 90 $, liq 80 $
+export const opened = (id, blockNumber, over = {}) => ev('Opened', blockNumber, {
+  id, state: 1, asset: 0, longSide: true, lots: 5,
+  entryOrTargetX6: 100_000_000n, slX6: 90_000_000n, tpX6: 0n, liqX6: 80_000_000n,
+  trader: '0x00000000000000000000000000000000000000Ab', leverageX: 10,
+  ...over
+});
+
+export const stopsUpdated = (id, blockNumber, slX6, tpX6, opts) =>
+  ev('StopsUpdated', blockNumber, { id, slX6, tpX6 }, opts);
+
+// colonne null = colonne absente (une ligne SQL a toutes ses colonnes)
+const compact = (row) => row && Object.fromEntries(Object.entries(row).filter(([, v]) => v !== null && v !== undefined));
+
+// État des projections d'une position (comparaisons avant / après)
+export function projection(st, id) {
+  const mine = (r) => String(r.position_id) === String(id);
+  const bucketKey = (r) => `${r.bucket_id}:${r.stop_type ?? ''}:${r.side}:${r.lots}`;
+  return {
+    position: compact(st.dump('positions').find(p => String(p.id) === String(id))) ?? null,
+    order_buckets: st.dump('order_buckets').filter(mine).map(bucketKey).sort(),
+    stop_buckets: st.dump('stop_buckets').filter(mine).map(bucketKey).sort()
+  };
+}
+
+export function exposure(st, side = true) {
+  const agg = st.dump('exposure_agg').find(r => r.deployment === DEP && r.asset_id === 0 && r.side === side);
+  return agg ? { sum_lots: agg.sum_lots, positions_count: agg.positions_count } : { sum_lots: 0, positions_count: 0 };
+}
+
+// API (src/endpoint.js) sur un port éphémère: { get, post, patch, close }, réponses { status, body }
+export const ADMIN = { authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+
+export async function startApi() {
+  const { app } = await import('../src/endpoint.js');
+  const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (method) => async (path, { body, headers = {} } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  return {
+    get: call('GET'),
+    post: call('POST'),
+    patch: call('PATCH'),
+    close: () => new Promise((resolve) => { server.closeAllConnections(); server.close(resolve); })
+  };
+}
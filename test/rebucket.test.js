@@ -0,0 +1,48 @@
+// Re-bucketing après changement de tick
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEventOnce } from '../src/shared/events.js';
+import { rebucketAsset, updateAsset } from '../src/shared/db.js';
+import { freshStore, opened, projection, exposure } from './helpers.js';
+
+test('buckets are recomputed from position prices with the new tick', async () => {
+  const st = freshStore({ tick: 10000 }); // 0.01 $
+  await applyEventOnce(opened(1, 10)); // OPEN: SL 90 $, liq 80 $
+  await applyEventOnce(opened(2, 11, { state: 0, entryOrTargetX6: 99_015_000n })); // ORDER à 99.015 $
+  assert.deepEqual(projection(st, 1).stop_buckets, ['8000:3:false:5', '9000:1:false:5']);
+  assert.deepEqual(projection(st, 2).order_buckets, ['9901::true:5']);
+  const expo = exposure(st);
+
+  await updateAsset(0, { tick_size_usd6: 1_000_000 }); // 1 $
+  const report = await rebucketAsset(0);
+
+  assert.equal(report.tick_size_usd6, 1_000_000);
+  assert.equal(report.positions, 2);
+  assert.deepEqual(report.orders, { before: 1, after: 1, moved: 1 });
+  assert.deepEqual(report.stops, { before: 2, after: 2, moved: 2 });
+  assert.deepEqual(projection(st, 1).stop_buckets, ['80:3:false:5', '90:1:false:5']);
+  assert.deepEqual(projection(st, 2).order_buckets, ['99::true:5']);
+  assert.deepEqual(exposure(st), expo); // positions inchangées
+});
+
+test('rebucketing with an unchanged tick moves nothing', async () => {
+  const st = freshStore();
+  await applyEventOnce(opened(1, 10));
+  const before = projection(st, 1);
+
+  const report = await rebucketAsset(0);
+  assert.equal(report.orders.moved, 0);
+  assert.equal(report.stops.moved, 0);
+  assert.deepEqual(projection(st, 1), before);
+});
+
+test('closed and cancelled positions are not re-indexed', async () => {
+  const st = freshStore();
+  await applyEventOnce(opened(1, 10));
+  await st.patch('positions?id=eq.1', { state: 2 });
+
+  const report = await rebucketAsset(0);
+  assert.equal(report.stops.after, 0);
+  assert.deepEqual(projection(st, 1).stop_buckets, []);
+});
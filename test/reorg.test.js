@@ -0,0 +1,76 @@
+// Réorganisations: rollback des snapshots undo et ré-application du fork canonique
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReorgGuard } from '../src/shared/reorg.js';
+import { applyEventOnce, forgetRecentEvents, toJournalRow } from '../src/shared/events.js';
+import { journalEvent } from '../src/shared/db.js';
+import { DEP, freshStore, opened, stopsUpdated, ev, projection, exposure } from './helpers.js';
+
+// Comme l'indexer: journal, snapshot undo avant application, application idempotente
+async function index(guard, e) {
+  await journalEvent(toJournalRow(e));
+  return applyEventOnce(e, { beforeApply: () => guard.record(e) });
+}
+
+async function rollback(guard, fromBlock) {
+  const n = await guard.rollback(fromBlock);
+  forgetRecentEvents();
+  return n;
+}
+
+test('rollback restores the position, its buckets and exposure to their pre-event state', async () => {
+  const st = freshStore();
+  const guard = new ReorgGuard({ deployment: DEP, window: 64 });
+
+  await index(guard, opened(1, 10));
+  const afterOpen = projection(st, 1);
+  assert.deepEqual(exposure(st), { sum_lots: 5, positions_count: 1 });
+
+  await index(guard, stopsUpdated(1, 12, 95_000_000n, 120_000_000n));
+  await index(guard, ev('Removed', 13, { id: 1, reason: 1, execX6: 95_000_000n, pnlUsd6: -2_500_000n }, { logIndex: 1 }));
+  assert.equal(projection(st, 1).position.state, 2);
+  assert.deepEqual(exposure(st), { sum_lots: 0, positions_count: 0 });
+
+  assert.equal(await rollback(guard, 12), 2);
+  assert.deepEqual(projection(st, 1), afterOpen);
+  assert.deepEqual(exposure(st), { sum_lots: 5, positions_count: 1 });
+
+  // blocs annulés: plus d'undo, clés libérées, journal marqué removed, historique SL/TP purgé
+  assert.equal(st.dump('reorg_undo').filter(r => r.block_number >= 12).length, 0);
+  assert.equal(st.dump('processed_events').filter(r => r.block_number >= 12).length, 0);
+  assert.ok(st.dump('trade_events').filter(r => r.block_num >= 12).every(r => r.removed));
+  assert.equal(st.dump('position_stops_history').filter(r => Number(r.block_number) >= 12).length, 0);
+});
+
+test('rolling back the Opened block removes the position entirely', async () => {
+  const st = freshStore();
+  const guard = new ReorgGuard({ deployment: DEP, window: 64 });
+
+  await index(guard, opened(1, 10));
+  await index(guard, opened(2, 11, { state: 0, entryOrTargetX6: 99_000_000n }));
+  assert.equal(projection(st, 2).order_buckets.length, 1);
+
+  await rollback(guard, 10);
+  assert.equal(projection(st, 1).position, null);
+  assert.equal(projection(st, 2).position, null);
+  assert.deepEqual(projection(st, 2).order_buckets, []);
+  assert.deepEqual(projection(st, 1).stop_buckets, []);
+  assert.deepEqual(exposure(st), { sum_lots: 0, positions_count: 0 });
+});
+
+test('events of the new fork are re-applied after a rollback', async () => {
+  const st = freshStore();
+  const guard = new ReorgGuard({ deployment: DEP, window: 64 });
+
+  const orphan = stopsUpdated(1, 12, 95_000_000n, 0n, { blockHash: '0xorphan' });
+  await index(guard, opened(1, 10));
+  await index(guard, orphan);
+  await rollback(guard, 12);
+
+  // même log ré-inclus dans le bloc canonique (même tx / logIndex, autre hash)
+  const canonical = { ...orphan, blockHash: '0xcanonical', args: { ...orphan.args, slX6: 93_000_000n } };
+  assert.equal(await index(guard, canonical), 'applied');
+  assert.equal(String(projection(st, 1).position.sl_x6), '93000000');
+  assert.equal(st.dump('trade_events').find(r => r.tx_hash === canonical.txHash).removed, false);
+});
@@ -0,0 +1,25 @@
+// positions_restore_snapshot (port mémoire du SQL): tout ou rien
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReorgGuard } from '../src/shared/reorg.js';
+import { applyEventOnce } from '../src/shared/events.js';
+import { DEP, freshStore, opened, stopsUpdated, projection, exposure } from './helpers.js';
+
+const index = (guard, e) => applyEventOnce(e, { beforeApply: () => guard.record(e) });
+
+test('positions_restore_snapshot is all-or-nothing', async () => {
+  const st = freshStore();
+  const guard = new ReorgGuard({ deployment: DEP, window: 64 });
+  await index(guard, opened(1, 10));
+  await index(guard, stopsUpdated(1, 12, 95_000_000n, 120_000_000n));
+  const before = { p: projection(st, 1), x: exposure(st) };
+
+  // snapshot illisible: les buckets sont déjà supprimés quand la position échoue
+  const [undo] = st.dump('reorg_undo').filter(r => r.block_number === 12);
+  const broken = { ...undo.snapshot, position: { ...undo.snapshot.position, lots: 'not-a-number' } };
+  await assert.rejects(st.rpc('positions_restore_snapshot', { _deployment: DEP, _position_id: '1', _snapshot: broken }));
+
+  assert.deepEqual(projection(st, 1), before.p);
+  assert.deepEqual(exposure(st), before.x);
+});
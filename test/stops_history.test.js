@@ -0,0 +1,62 @@
+// Historique SL/TP par position (migration 0011) via GET /position/:id/stops-history
+import './env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReorgGuard } from '../src/shared/reorg.js';
+import { applyEventOnce, forgetRecentEvents } from '../src/shared/events.js';
+import { DEP, freshStore, opened, stopsUpdated, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+
+const stops = (items) => items.map(r => [r.evt, r.old_sl_x6, r.old_tp_x6, r.sl_x6, r.tp_x6, r.block_number]);
+
+test('each applied change is recorded in order with its old and new values', async () => {
+  freshStore();
+  await applyEventOnce(opened(1, 10));
+  await applyEventOnce(stopsUpdated(1, 12, 95_000_000n, 120_000_000n));
+  await applyEventOnce(stopsUpdated(1, 15, 0n, 130_000_000n));
+
+  const { status, body } = await api.get('/position/1/stops-history');
+  assert.equal(status, 200);
+  assert.equal(body.sl_x6, '0');
+  assert.equal(body.tp_x6, '130000000');
+  assert.deepEqual(stops(body.items), [
+    ['Opened', null, null, '90000000', '0', 10],
+    ['StopsUpdated', '90000000', '0', '95000000', '120000000', 12],
+    ['StopsUpdated', '95000000', '120000000', '0', '130000000', 15]
+  ]);
+  assert.equal((await api.get('/position/1/stops-history?limit=1&offset=2')).body.items[0].block_number, 15);
+});
+
+test('replayed and stale events add no history', async () => {
+  freshStore();
+  const update = stopsUpdated(1, 12, 95_000_000n, 0n);
+  await applyEventOnce(opened(1, 10));
+  await applyEventOnce(update);
+
+  forgetRecentEvents();
+  assert.equal(await applyEventOnce(update, { reclaim: true }), 'stale');
+  assert.equal(await applyEventOnce(stopsUpdated(1, 11, 91_000_000n, 0n)), 'stale');
+  assert.equal((await api.get('/position/1/stops-history')).body.count, 2);
+});
+
+test('a reorg rollback removes the history of the cancelled blocks', async () => {
+  freshStore();
+  const guard = new ReorgGuard({ deployment: DEP, window: 64 });
+  const index = (e) => applyEventOnce(e, { beforeApply: () => guard.record(e) });
+  await index(opened(1, 10));
+  await index(stopsUpdated(1, 12, 95_000_000n, 0n));
+
+  await guard.rollback(12);
+  const { body } = await api.get('/position/1/stops-history');
+  assert.deepEqual(stops(body.items), [['Opened', null, null, '90000000', '0', 10]]);
+  assert.equal(body.sl_x6, '90000000');
+});
+
+test('unknown or malformed position ids are refused', async () => {
+  freshStore();
+  assert.deepEqual(await api.get('/position/7/stops-history'), { status: 404, body: { error: 'position_not_found' } });
+  assert.deepEqual(await api.get('/position/abc/stops-history'), { status: 400, body: { error: 'id_invalid' } });
+});
@@ -0,0 +1,69 @@
+// Garde de version (migration 0010) et dead letters périmées
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEventOnce } from '../src/shared/events.js';
+import { deadLetter, retryDeadLetters } from '../src/shared/deadletter.js';
+import { updateDeadLetter } from '../src/shared/db.js';
+import { DEP, freshStore, opened, stopsUpdated, projection, exposure } from './helpers.js';
+
+test('an event older than the position is refused and reported as stale', async () => {
+  const st = freshStore();
+  assert.equal(await applyEventOnce(opened(1, 10)), 'applied');
+  assert.equal(await applyEventOnce(stopsUpdated(1, 15, 95_000_000n, 0n, { logIndex: 3 })), 'applied');
+
+  assert.equal(await applyEventOnce(stopsUpdated(1, 12, 91_000_000n, 0n)), 'stale');
+  // même bloc, logIndex antérieur: périmé aussi
+  assert.equal(await applyEventOnce(stopsUpdated(1, 15, 92_000_000n, 0n, { logIndex: 1 })), 'stale');
+
+  const p = projection(st, 1).position;
+  assert.equal(String(p.sl_x6), '95000000');
+  assert.equal(Number(p.version_block), 15);
+  assert.ok(projection(st, 1).stop_buckets.includes('9500:1:false:5'));
+  assert.ok(!projection(st, 1).stop_buckets.some(b => b.startsWith('9100:')));
+});
+
+test('replaying the same event is a duplicate and leaves exposure untouched', async () => {
+  const st = freshStore();
+  const e = opened(1, 10);
+  assert.equal(await applyEventOnce(e), 'applied');
+  assert.equal(await applyEventOnce(e), 'duplicate');
+  assert.deepEqual(exposure(st), { sum_lots: 5, positions_count: 1 });
+
+  // Opened en retard (autre tx, bloc antérieur): ne réécrit pas la position
+  assert.equal(await applyEventOnce(opened(1, 9, { lots: 50 })), 'stale');
+  assert.equal(projection(st, 1).position.lots, 5);
+  assert.deepEqual(exposure(st), { sum_lots: 5, positions_count: 1 });
+});
+
+test('a dead letter refused by the version guard is marked superseded, not resolved', async () => {
+  const st = freshStore();
+  await applyEventOnce(opened(1, 10));
+  const late = stopsUpdated(1, 12, 91_000_000n, 0n);
+  await deadLetter(late, new Error('handler failed'));
+  await applyEventOnce(stopsUpdated(1, 15, 95_000_000n, 0n));
+
+  const [row] = st.dump('dead_letters');
+  await updateDeadLetter(DEP, row.id, { next_retry_at: new Date(0).toISOString() });
+
+  const acc = await retryDeadLetters(DEP, (e) => applyEventOnce(e));
+  assert.deepEqual(acc, { due: 1, resolved: 0, superseded: 1, failed: 0 });
+
+  const [after] = st.dump('dead_letters');
+  assert.equal(after.status, 'superseded');
+  assert.equal(after.next_retry_at, null);
+  assert.equal(String(projection(st, 1).position.sl_x6), '95000000');
+});
+
+test('a dead letter that applies cleanly is resolved and removed', async () => {
+  const st = freshStore();
+  await applyEventOnce(opened(1, 10));
+  await deadLetter(stopsUpdated(1, 12, 91_000_000n, 0n), new Error('handler failed'));
+  const [row] = st.dump('dead_letters');
+  await updateDeadLetter(DEP, row.id, { next_retry_at: new Date(0).toISOString() });
+
+  const acc = await retryDeadLetters(DEP, (e) => applyEventOnce(e));
+  assert.deepEqual(acc, { due: 1, resolved: 1, superseded: 0, failed: 0 });
+  assert.equal(st.dump('dead_letters').length, 0);
+  assert.equal(String(projection(st, 1).position.sl_x6), '91000000');
+});